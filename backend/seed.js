@@ -186,6 +186,7 @@ async function seedDatabase() {
       dummyUsers.map(async (user) => ({
         ...user,
         password: await bcrypt.hash(user.password, 10),
+        isEmailVerified: true,
       }))
     );
 
@@ -1,6 +1,20 @@
 // backend/src/controllers/auth.controller.js
 const User = require('../models/User.model.js');
-const { generateTokens, generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+const {
+  generateAccessToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateDepartmentToken,
+} = require('../utils/jwt');
+const MailService = require('../services/mail.service.js');
+const EmailVerificationService = require('../services/emailVerification.service.js');
+const MfaService = require('../services/mfa.service.js');
+const RefreshTokenService = require('../services/refreshToken.service.js');
+const SessionService = require('../services/session.service.js');
+const PasswordPolicyService = require('../services/passwordPolicy.service.js');
+const LockoutService = require('../services/lockout.service.js');
+const DepartmentTerminalService = require('../services/departmentTerminal.service.js');
+const PermissionService = require('../services/permission.service.js');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 /**
@@ -80,9 +94,11 @@ exports.register = async (req, res) => {
 
     const user = await User.create(userData);
 
+    await EmailVerificationService.sendVerification(user);
+
     // If patient, generate tokens and login
     if (role === 'patient') {
-      const { accessToken, refreshToken } = generateTokens(user._id, user.role);
+      const { accessToken, refreshToken } = await RefreshTokenService.issueTokens(user, req);
 
       return res.status(201).json({
         message: 'Account created successfully',
@@ -92,7 +108,8 @@ exports.register = async (req, res) => {
           email: user.email,
           firstName: user.firstName,
           lastName: user.lastName,
-          role: user.role
+          role: user.role,
+          isEmailVerified: user.isEmailVerified
         },
         accessToken,
         refreshToken
@@ -235,6 +252,38 @@ exports.register = async (req, res) => {
 
 // backend/src/controllers/auth.controller.js - LOGIN FUNCTION
 
+/**
+ * Build the successful login response (user + tokens)
+ * Shared by password login and the MFA verification step
+ */
+const buildLoginResponse = async (user, req) => {
+  // ✅ POPULATE hospital and department info
+  await user.populate([
+    { path: 'hospitalId', select: 'name email approvalStatus subscriptionStatus security' },
+    { path: 'departmentId', select: 'name code' },
+  ]);
+
+  // Generate tokens (starts a new session)
+  const { accessToken, refreshToken } = await RefreshTokenService.issueTokens(user, req);
+
+  // Remove password from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+
+  return {
+    message: 'Login successful',
+    user: userResponse,
+    accessToken,
+    refreshToken,
+    // Hospital policy requires MFA but the user hasn't set it up yet
+    mfaEnrollmentRequired: MfaService.enrollmentRequired(user),
+    // 'required' (set by an admin) or 'expired' - the user must pick a new password first
+    passwordChangeRequired: PasswordPolicyService.changeRequired(user),
+    // Named permissions of the user's role in their hospital
+    permissions: await PermissionService.forUser(user),
+  };
+};
+
 exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -243,16 +292,35 @@ exports.login = async (req, res) => {
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await LockoutService.recordUnknownEmail(email, req);
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Email or password is incorrect',
       });
     }
 
+    // Locked accounts are refused before the password is even checked
+    if (user.isLocked) {
+      await LockoutService.recordFailure(user, req, 'account_locked');
+      return res.status(423).json({
+        error: 'Account locked',
+        message: 'Too many failed login attempts. Try again later or ask your hospital admin to unlock your account.',
+        status: 'account_locked',
+      });
+    }
+
     // Compare password
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
+      const locked = await LockoutService.recordFailure(user, req, 'invalid_password');
+      if (locked) {
+        return res.status(423).json({
+          error: 'Account locked',
+          message: 'Too many failed login attempts. Your account has been locked.',
+          status: 'account_locked',
+        });
+      }
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Email or password is incorrect',
@@ -261,32 +329,35 @@ exports.login = async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await LockoutService.recordFailure(user, req, 'account_inactive');
       return res.status(403).json({
         error: 'Account inactive',
         message: 'Your account has been deactivated',
       });
     }
 
-    // ✅ POPULATE hospital and department info
-    await user.populate([
-      { path: 'hospitalId', select: 'name email approvalStatus subscriptionStatus' },
-      { path: 'departmentId', select: 'name code' },
-    ]);
+    // Some roles can't sign in at all until their email is verified
+    if (!user.isEmailVerified && EmailVerificationService.getPolicy(user.role) === 'block') {
+      await LockoutService.recordFailure(user, req, 'email_unverified');
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Please verify your email address before signing in. Check your inbox for the verification link.',
+        status: 'email_unverified',
+      });
+    }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Second step: no tokens until a verification code is checked at /auth/mfa/verify
+    if (user.mfaEnabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        mfaRequired: true,
+        mfaToken: generateMfaChallengeToken(user._id),
+      });
+    }
 
-    // Remove password from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    await user.resetLoginAttempts();
 
-    res.json({
-      message: 'Login successful',
-      user: userResponse,
-      accessToken,
-      refreshToken,
-    });
+    res.json(await buildLoginResponse(user, req));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -313,19 +384,20 @@ exports.refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    let decoded;
+    // Rotate: the presented token stops working, a new one replaces it
+    let rotated;
     try {
-      decoded = verifyRefreshToken(refreshToken);
+      rotated = await RefreshTokenService.rotate(refreshToken, req);
     } catch (error) {
-      return res.status(401).json({
+      if (error.name !== 'RefreshTokenError') throw error;
+      return res.status(error.status).json({
         error: 'Invalid token',
         message: error.message
       });
     }
 
     // Get user
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(rotated.userId);
     
     if (!user || !user.isActive) {
       return res.status(401).json({
@@ -334,12 +406,10 @@ exports.refreshToken = async (req, res) => {
       });
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user._id, user.role);
-
     return res.status(200).json({
       message: 'Token refreshed',
-      ...tokens
+      accessToken: generateAccessToken(user._id, user.role, rotated.sessionId),
+      refreshToken: rotated.refreshToken
     });
 
   } catch (error) {
@@ -367,7 +437,10 @@ exports.getMe = async (req, res) => {
     }
 
     return res.status(200).json({
-      user
+      user,
+      mfaEnrollmentRequired: MfaService.enrollmentRequired(req.user),
+      passwordChangeRequired: PasswordPolicyService.changeRequired(req.user),
+      permissions: await PermissionService.forUser(req.user)
     });
 
   } catch (error) {
@@ -380,14 +453,15 @@ exports.getMe = async (req, res) => {
 };
 
 /**
- * Logout (client-side token deletion)
+ * Logout (revokes this device's refresh token family)
  * POST /api/auth/logout
  */
 exports.logout = async (req, res) => {
   try {
-    // In a JWT system, logout is primarily client-side
-    // But we can log the event for security audit
-    
+    if (req.body.refreshToken) {
+      await RefreshTokenService.revokeToken(req.body.refreshToken, req.userId);
+    }
+
     return res.status(200).json({
       message: 'Logout successful'
     });
@@ -401,6 +475,80 @@ exports.logout = async (req, res) => {
   }
 };
 
+/**
+ * Logout on all devices
+ * POST /api/auth/logout-all
+ */
+exports.logoutAll = async (req, res) => {
+  try {
+    await RefreshTokenService.revokeAllForUser(req.userId, 'logout_all', req.userId);
+
+    return res.status(200).json({
+      message: 'Logged out on all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Logout failed'
+    });
+  }
+};
+
+/**
+ * List the current user's active sessions
+ * GET /api/auth/sessions
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listActive(req.userId, req.sessionId);
+
+    return res.status(200).json({
+      count: sessions.length,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+/**
+ * End one of the current user's sessions
+ * DELETE /api/auth/sessions/:sessionId
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await SessionService.findForUser(req.userId, req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Session not found'
+      });
+    }
+
+    await RefreshTokenService.revokeFamily(session.familyId, 'user_revoked', req.userId);
+
+    return res.status(200).json({
+      message: 'Session ended',
+      current: session.familyId === req.sessionId
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to end session'
+    });
+  }
+};
+
 /**
  * Request password reset
  * POST /api/auth/forgot-password
@@ -429,12 +577,10 @@ exports.forgotPassword = async (req, res) => {
     const resetToken = user.createPasswordResetToken();
     await user.save({ validateBeforeSave: false });
 
-    // TODO: Send email with reset link
-    // const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
-    // await sendEmail({ to: user.email, subject: 'Password Reset', html: ... });
-
-    console.log('Password reset token:', resetToken);
-    console.log('Reset link:', `http://localhost:3000/reset-password/${resetToken}`);
+    await MailService.send(user.email, 'passwordReset', {
+      firstName: user.firstName,
+      token: resetToken,
+    });
 
     return res.status(200).json({
       message: 'If an account with that email exists, a password reset link has been sent',
@@ -477,7 +623,7 @@ exports.resetPassword = async (req, res) => {
     const user = await User.findOne({
       resetPasswordToken: hashedToken,
       resetPasswordExpires: { $gt: Date.now() }
-    }).select('+password');
+    }).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(400).json({
@@ -486,14 +632,27 @@ exports.resetPassword = async (req, res) => {
       });
     }
 
-    // Update password
-    user.password = password;
+    // Update password (hospital rules and history apply)
+    await PasswordPolicyService.setPassword(user, password);
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    // The reset link was delivered by email, so the address is proven
+    user.isEmailVerified = true;
     await user.save();
 
+    // Whoever had the old password may still be signed in somewhere
+    await RefreshTokenService.revokeAllForUser(user._id, 'password_reset');
+
+    // A reset link must not skip the second factor - sign in normally instead
+    if (user.mfaEnabled) {
+      return res.status(200).json({
+        message: 'Password reset successful. Please sign in.',
+        mfaRequired: true
+      });
+    }
+
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id, user.role);
+    const { accessToken, refreshToken } = await RefreshTokenService.issueTokens(user, req);
 
     return res.status(200).json({
       message: 'Password reset successful',
@@ -502,6 +661,13 @@ exports.resetPassword = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'PasswordPolicyError') {
+      return res.status(error.status).json({
+        error: 'Password rejected',
+        message: error.message,
+        details: error.details
+      });
+    }
     console.error('Reset password error:', error);
     return res.status(500).json({
       error: 'Server error',
@@ -526,7 +692,7 @@ exports.changePassword = async (req, res) => {
     }
 
     // Get user with password
-    const user = await User.findById(req.userId).select('+password');
+    const user = await User.findById(req.userId).select('+password +passwordHistory');
 
     // Verify current password
     const isValid = await user.comparePassword(currentPassword);
@@ -538,8 +704,8 @@ exports.changePassword = async (req, res) => {
       });
     }
 
-    // Update password
-    user.password = newPassword;
+    // Update password (hospital rules and history apply)
+    await PasswordPolicyService.setPassword(user, newPassword);
     await user.save();
 
     return res.status(200).json({
@@ -547,6 +713,13 @@ exports.changePassword = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'PasswordPolicyError') {
+      return res.status(error.status).json({
+        error: 'Password rejected',
+        message: error.message,
+        details: error.details
+      });
+    }
     console.error('Change password error:', error);
     return res.status(500).json({
       error: 'Server error',
@@ -555,4 +728,403 @@ exports.changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Get the password rules that apply to the current user
+ * GET /api/auth/password-policy
+ */
+exports.getPasswordPolicy = async (req, res) => {
+  try {
+    return res.status(200).json({
+      policy: await PasswordPolicyService.forUser(req.user)
+    });
+
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch password policy'
+    });
+  }
+};
+
+/**
+ * Verify email address
+ * POST /api/auth/verify-email/:token
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await EmailVerificationService.verify(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired token',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    return res.status(200).json({
+      message: 'Email verified successfully',
+      isEmailVerified: true
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Email verification failed'
+    });
+  }
+};
+
+/**
+ * Resend verification email (for users who can't sign in yet)
+ * POST /api/auth/resend-verification
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      await EmailVerificationService.sendVerification(user);
+    }
+
+    // Don't reveal if user exists (security)
+    return res.status(200).json({
+      message: 'If that account exists and is not yet verified, a new verification link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to resend verification email'
+    });
+  }
+};
+
+/**
+ * Resend verification email to the signed-in user
+ * POST /api/auth/me/resend-verification
+ */
+exports.resendMyVerification = async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'Your email address is already verified'
+      });
+    }
+
+    const sent = await EmailVerificationService.sendVerification(req.user);
+
+    if (!sent) {
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: 'A verification link was sent recently. Please wait a minute before trying again.'
+      });
+    }
+
+    return res.status(200).json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to resend verification email'
+    });
+  }
+};
+
+/**
+ * Complete login with a verification code
+ * POST /api/auth/mfa/verify
+ */
+exports.verifyMfaLogin = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyMfaChallengeToken(mfaToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: error.message
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive || !user.mfaEnabled) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'Please sign in again'
+      });
+    }
+
+    if (user.isLocked) {
+      await LockoutService.recordFailure(user, req, 'account_locked');
+      return res.status(423).json({
+        error: 'Account locked',
+        message: 'Too many failed attempts. Try again later.',
+        status: 'account_locked'
+      });
+    }
+
+    const method = await MfaService.verifyCode(user._id, code);
+
+    if (!method) {
+      if (await LockoutService.recordFailure(user, req, 'invalid_mfa_code')) {
+        return res.status(423).json({
+          error: 'Account locked',
+          message: 'Too many failed attempts. Your account has been locked.',
+          status: 'account_locked'
+        });
+      }
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'The verification code is incorrect or has already been used'
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    const response = await buildLoginResponse(user, req);
+
+    if (method === 'backup_code') {
+      response.backupCodesRemaining = await MfaService.backupCodesRemaining(user._id);
+    }
+
+    return res.status(200).json(response);
+
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Verification failed'
+    });
+  }
+};
+
+/**
+ * Start MFA enrollment
+ * POST /api/auth/mfa/setup
+ */
+exports.setupMfa = async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await MfaService.setup(req.user);
+
+    return res.status(200).json({
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    return res.status(error.status || 500).json({
+      error: 'MFA setup failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Confirm MFA enrollment with the first code
+ * POST /api/auth/mfa/confirm
+ */
+exports.confirmMfa = async (req, res) => {
+  try {
+    const backupCodes = await MfaService.confirm(req.userId, req.body.code);
+
+    return res.status(200).json({
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      mfaEnabled: true,
+      backupCodes
+    });
+
+  } catch (error) {
+    console.error('MFA confirm error:', error);
+    return res.status(error.status || 500).json({
+      error: 'MFA confirmation failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Disable MFA (requires password and a current code)
+ * POST /api/auth/mfa/disable
+ */
+exports.disableMfa = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!req.user.mfaEnabled) {
+      return res.status(400).json({
+        error: 'MFA not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const user = await User.findById(req.userId).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        error: 'Invalid password',
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await MfaService.verifyCode(req.userId, code))) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'The verification code is incorrect or has already been used'
+      });
+    }
+
+    await MfaService.disable(req.user);
+
+    return res.status(200).json({
+      message: 'Two-factor authentication disabled',
+      mfaEnabled: false
+    });
+
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    return res.status(error.status || 500).json({
+      error: 'MFA disable failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Replace backup codes (requires a current code)
+ * POST /api/auth/mfa/backup-codes
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    if (!req.user.mfaEnabled) {
+      return res.status(400).json({
+        error: 'MFA not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await MfaService.verifyCode(req.userId, req.body.code))) {
+      return res.status(401).json({
+        error: 'Invalid code',
+        message: 'The verification code is incorrect or has already been used'
+      });
+    }
+
+    const backupCodes = await MfaService.regenerateBackupCodes(req.userId);
+
+    return res.status(200).json({
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to generate backup codes'
+    });
+  }
+};
+
+/**
+ * Describe a department for the terminal UI
+ */
+const terminalDepartment = (department) => ({
+  id: department._id,
+  name: department.name,
+  code: department.code,
+  hospitalName: department.hospitalId?.name
+});
+
+/**
+ * Sign a shared department terminal in
+ * POST /api/auth/department/login
+ */
+exports.departmentLogin = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const department = await DepartmentTerminalService.login(email, password, req);
+
+    return res.status(200).json({
+      message: 'Terminal signed in. Staff identify themselves with their PIN.',
+      departmentToken: generateDepartmentToken(department._id),
+      department: terminalDepartment(department),
+      staff: await DepartmentTerminalService.listStaff(department._id)
+    });
+
+  } catch (error) {
+    if (error.name !== 'DepartmentTerminalError') {
+      console.error('Department login error:', error);
+    }
+    return res.status(error.status || 500).json({
+      error: 'Department login failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Department and staff list for a signed-in terminal
+ * GET /api/auth/department/staff
+ */
+exports.getTerminalStaff = async (req, res) => {
+  try {
+    return res.status(200).json({
+      department: terminalDepartment(req.department),
+      staff: await DepartmentTerminalService.listStaff(req.department._id)
+    });
+
+  } catch (error) {
+    console.error('Get terminal staff error:', error);
+    return res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to fetch department staff'
+    });
+  }
+};
+
+/**
+ * Set the PIN used on department terminals (requires password)
+ * PUT /api/auth/staff-pin
+ */
+exports.setStaffPin = async (req, res) => {
+  try {
+    const { password, pin } = req.body;
+
+    const user = await User.findById(req.userId).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        error: 'Invalid password',
+        message: 'Password is incorrect'
+      });
+    }
+
+    await DepartmentTerminalService.setPin(user._id, pin);
+
+    return res.status(200).json({
+      message: 'Terminal PIN saved'
+    });
+
+  } catch (error) {
+    console.error('Set staff PIN error:', error);
+    return res.status(error.status || 500).json({
+      error: 'Failed to set PIN',
+      message: error.message
+    });
+  }
+};
+
 module.exports = exports;
\ No newline at end of file
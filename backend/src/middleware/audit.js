@@ -1,5 +1,6 @@
 
 const { AuditLog } = require('../models');
+const AuditChainService = require('../services/auditChain.service.js');
 
 /**
  * LOG AUDIT FUNCTION
@@ -12,8 +13,14 @@ const { AuditLog } = require('../models');
  * @param {object} req - Express request object
  * @param {string} details - Optional extra information
  * @param {ObjectId} affectedPatientId - Patient affected by this action
+ * @param {string} userRole - Role of the user when req.user isn't set (e.g. sign-in attempts)
+ *
+ * Failures are logged and swallowed, except in fail-closed mode
+ * (AUDIT_FAIL_CLOSED=true) where a failed READ of a patient's data throws
+ * an AuditWriteError. Routes pass it on with next(error) so the data isn't
+ * returned and the error handler answers 503.
  */
-async function logAudit(userId, action, resourceType, resourceId, req, details = null, affectedPatientId = null) {
+async function logAudit(userId, action, resourceType, resourceId, req, details = null, affectedPatientId = null, userRole = null) {
   try {
     // Get user's IP address
     const ipAddress = 
@@ -26,27 +33,37 @@ async function logAudit(userId, action, resourceType, resourceId, req, details =
     const userAgent = req.headers['user-agent'] || 'Unknown';
 
     // Get user role from request
-    const userRole = req.user ? req.user.role : 'unknown';
+    userRole = userRole || (req.user ? req.user.role : 'unknown');
 
-    // Save the audit log to database
-    await AuditLog.create({
+    // Append the audit log to the hash chain
+    await AuditChainService.append({
       userId,
       userRole,
       action,
       resourceType,
       resourceId,
       affectedPatientId,
+      hospitalId: req.hospitalId,
       ipAddress,
       userAgent,
+      terminalDepartmentId: req.terminalDepartmentId,
+      emergencyAccessId: req.emergencyAccess?._id,
       details,
       timestamp: new Date(),
     });
 
     // Also log to console for monitoring
-    console.log(`[AUDIT] ${userRole.toUpperCase()} (${userId}) ${action} ${resourceType}:${resourceId}`);
+    console.log(`[AUDIT]${req.emergencyAccess ? '[BREAK-GLASS]' : ''} ${userRole.toUpperCase()} (${userId}) ${action} ${resourceType}:${resourceId}`);
   } catch (error) {
-    // If audit logging fails, just log error but don't break the request
     console.error('Failed to create audit log:', error);
+
+    // Don't show PHI we couldn't record access to
+    if (AuditChainService.failClosed() && action === 'READ' && affectedPatientId) {
+      const auditError = new Error('Audit logging is unavailable, so this patient data cannot be shown');
+      auditError.name = 'AuditWriteError';
+      auditError.status = 503;
+      throw auditError;
+    }
   }
 }
 
@@ -115,22 +132,31 @@ async function getUserAuditStats(userId) {
 
 /**
  * Get audit trail for a specific patient
- * Shows all actions performed on a patient's data
+ * Shows all actions performed on a patient's data, newest first
+ *
+ * @param {ObjectId} patientId - Patient
+ * @param {object} options - page, limit, and filter (extra AuditLog conditions)
+ * @returns {object} { logs, total }
  */
-async function getPatientAuditTrail(patientId, limit = 50) {
+async function getPatientAuditTrail(patientId, { page = 1, limit = 50, filter = {} } = {}) {
   try {
-    const logs = await AuditLog.find({
-      affectedPatientId: patientId,
-    })
-      .populate('userId', 'firstName lastName role')
-      .sort({ timestamp: -1 })
-      .limit(limit)
-      .lean();
+    const query = { ...filter, affectedPatientId: patientId };
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('userId', 'firstName lastName role')
+        .populate('hospitalId', 'name')
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
 
-    return logs;
+    return { logs, total };
   } catch (error) {
     console.error('Failed to get patient audit trail:', error);
-    return [];
+    return { logs: [], total: 0 };
   }
 }
 
@@ -3,11 +3,76 @@
 const jwt = require('jsonwebtoken');
 const { verifyAccessToken } = require('../utils/jwt.js');
 const {User, Hospital, Department, HospitalSharing } = require('../models/index.js');
+const EmailVerificationService = require('../services/emailVerification.service.js');
+const MfaService = require('../services/mfa.service.js');
+const SessionService = require('../services/session.service.js');
+const PasswordPolicyService = require('../services/passwordPolicy.service.js');
+const DepartmentTerminalService = require('../services/departmentTerminal.service.js');
+const PermissionService = require('../services/permission.service.js');
+const EmergencyAccessService = require('../services/emergencyAccess.service.js');
+const ConsentService = require('../services/consent.service.js');
+const { logAudit } = require('./audit.js');
 
 
 
 
 
+/**
+ * Per-account checks shared by personal logins and terminal staff (PIN)
+ * Returns { status, body } to reject the request with, or null to continue
+ */
+const accountDenial = (user, decoded, req) => {
+  // "Log out all devices" / password reset invalidate earlier access tokens
+  // (on a terminal: the staff member is signed out of terminals signed in before it)
+  if (user.tokensRevokedAt && decoded.iat < Math.floor(user.tokensRevokedAt.getTime() / 1000)) {
+    return {
+      status: 401,
+      body: {
+        error: 'Unauthorized',
+        message: 'Session has been revoked'
+      }
+    };
+  }
+
+  // Unverified accounts are blocked or read-only depending on their role's policy
+  if (!EmailVerificationService.allowsRequest(user, req)) {
+    return {
+      status: 403,
+      body: {
+        error: 'Email not verified',
+        message: 'Please verify your email address to continue',
+        status: 'email_unverified'
+      }
+    };
+  }
+
+  // Staff whose hospital requires MFA can only reach /auth (to enroll) until they do
+  if (MfaService.enrollmentRequired(user) && !req.baseUrl.endsWith('/auth')) {
+    return {
+      status: 403,
+      body: {
+        error: 'MFA required',
+        message: 'Your hospital requires two-factor authentication. Set it up to continue',
+        status: 'mfa_enrollment_required'
+      }
+    };
+  }
+
+  // Forced or expired password: only /auth (to change it) until a new one is set
+  if (PasswordPolicyService.changeRequired(user) && !req.baseUrl.endsWith('/auth')) {
+    return {
+      status: 403,
+      body: {
+        error: 'Password change required',
+        message: 'You must change your password to continue',
+        status: 'password_change_required'
+      }
+    };
+  }
+
+  return null;
+};
+
 /**
  * Main authentication middleware
  * Verifies JWT token and attaches user to request
@@ -30,6 +95,10 @@ const authenticate = async (req, res, next) => {
     let decoded;
     try {
       decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // MFA challenge tokens share the secret but must never work as access tokens
+      if (!['access', 'department'].includes(decoded.type)) {
+        throw new Error('Not an access token');
+      }
       console.log('✅ Token decoded:', decoded.userId);
     } catch (err) {
       console.error('❌ Token verification failed:', err.message);
@@ -39,8 +108,13 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Shared department terminal: the staff member is identified by PIN
+    if (decoded.type === 'department') {
+      return authenticateTerminal(decoded, req, res, next);
+    }
+
     const user = await User.findById(decoded.userId)
-      .populate('hospitalId', 'name approvalStatus subscriptionStatus')
+      .populate('hospitalId', 'name approvalStatus subscriptionStatus security')
       .populate('departmentId', 'name code');
     
     console.log('👤 User found:', user?.email);
@@ -54,6 +128,19 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // A single session can be ended (by the user or an admin) before its tokens expire
+    if (decoded.sid && !(await SessionService.validate(decoded.sid, req))) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Session has been revoked'
+      });
+    }
+
+    const denial = accountDenial(user, decoded, req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
     // Check hospital status for non-super admins
     if (user.role !== 'super_admin' && user.hospitalId) {
       console.log('🔍 Checking hospital status...');
@@ -83,6 +170,7 @@ const authenticate = async (req, res, next) => {
     req.userId = decoded.userId;
     req.hospitalId = user.hospitalId?._id;
     req.departmentId = user.departmentId?._id;
+    req.sessionId = decoded.sid;
     
     console.log('✅ Auth middleware passed\n');
     next();
@@ -97,7 +185,107 @@ const authenticate = async (req, res, next) => {
 
 
 
+/**
+ * Department terminal requests (department token + staff PIN headers)
+ * Acts as the identified staff member, limited to their department
+ */
+const authenticateTerminal = async (decoded, req, res, next) => {
+  try {
+    // Personal account settings (password, MFA, sessions) need a personal login
+    if (req.baseUrl.endsWith('/auth')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Not available from a department terminal'
+      });
+    }
+
+    const department = await DepartmentTerminalService.validateToken(decoded);
+    req.terminalDepartmentId = department._id;
+
+    const user = await DepartmentTerminalService.identifyStaff(
+      department,
+      req.headers['x-staff-id'],
+      req.headers['x-staff-pin'],
+      req
+    );
+
+    // Same account checks as a personal login; /auth is unreachable from a
+    // terminal, so MFA setup and password changes need a personal login
+    const denial = accountDenial(user, decoded, req);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    req.user = user;
+    req.userId = user._id.toString();
+    req.hospitalId = user.hospitalId?._id;
+    req.departmentId = department._id;
+
+    next();
+  } catch (error) {
+    if (error.name !== 'DepartmentTerminalError') {
+      console.error('❌ Terminal authentication error:', error);
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: 'Authentication failed'
+      });
+    }
+
+    res.status(error.status).json({
+      error: error.status === 401 ? 'Unauthorized' : 'Forbidden',
+      message: error.message,
+      status: error.code
+    });
+  }
+};
+
+/**
+ * Department terminal token only (no staff PIN)
+ * For the terminal's own endpoints, e.g. listing who can sign in on it
+ */
+const authenticateDepartment = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'No token provided'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+      if (decoded.type !== 'department') {
+        throw new Error('Not a department token');
+      }
+    } catch (err) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or expired token'
+      });
+    }
+
+    req.department = await DepartmentTerminalService.validateToken(decoded);
+    req.terminalDepartmentId = req.department._id;
+
+    next();
+  } catch (error) {
+    if (error.name !== 'DepartmentTerminalError') {
+      console.error('❌ Department authentication error:', error);
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: 'Authentication failed'
+      });
+    }
 
+    res.status(error.status).json({
+      error: error.status === 401 ? 'Unauthorized' : 'Forbidden',
+      message: error.message
+    });
+  }
+};
 
 
 // NEW: Require Super Admin
@@ -201,8 +389,17 @@ const requireSameDepartment = (departmentIdParam) => {
   };
 };
 
+const SHARED_RESOURCE_LABELS = {
+  medicalRecords: 'medical records',
+  testResults: 'test results',
+  prescriptions: 'prescriptions',
+};
+
 // NEW: Can Access Patient (checks if user can access patient's data)
-const canAccessPatient = async (req, res, next) => {
+// resource (medicalRecords | testResults | prescriptions) is checked against the
+// permissions of a cross-hospital sharing agreement and the patient's consent;
+// null = the patient profile
+const canAccessPatientData = (resource = null) => async (req, res, next) => {
   try {
     const patientId = req.params.patientId || req.body.patientId;
     
@@ -234,21 +431,48 @@ const canAccessPatient = async (req, res, next) => {
       return next();
     }
 
-    // Healthcare workers can access patients in their hospital
-    if (['hospital_admin', 'doctor', 'nurse'].includes(req.user.role)) {
+    let sharingDenied = null;
+
+    // Staff with records:read can access patients in their hospital
+    if (await PermissionService.can(req.user, 'records:read')) {
       if (req.hospitalId.toString() === patient.hospitalId.toString()) {
         req.patient = patient;
         return next();
       }
       
-      // Check if cross-hospital sharing is enabled
-      const HospitalSharing = require('../models/HospitalSharing');
-      const canAccess = await HospitalSharing.canAccess(req.hospitalId, patient.hospitalId);
-      
-      if (canAccess) {
+      // Check if cross-hospital sharing covers this patient and data
+      const [sharing] = await HospitalSharing.findForPatient(req.hospitalId, patient._id, {
+        targetHospitalId: patient.hospitalId,
+      });
+
+      // ...and the patient consented to this hospital seeing it
+      const consent = sharing && sharing.allows(resource)
+        ? await ConsentService.findValid(patient._id, req.hospitalId, resource)
+        : null;
+
+      if (consent) {
         req.patient = patient;
+        req.hospitalSharing = sharing;
+        req.patientConsent = consent;
+        await sharing.recordAccess();
         return next();
       }
+
+      if (sharing && !sharing.allows(resource)) {
+        sharingDenied = `The sharing agreement with this patient's hospital does not include ${SHARED_RESOURCE_LABELS[resource]}`;
+      } else if (sharing) {
+        sharingDenied = `The patient has not consented to sharing ${SHARED_RESOURCE_LABELS[resource] || 'their records'} with your hospital`;
+      }
+    }
+
+    // Break-the-glass grant: every request made with it is audited and flagged
+    const emergencyAccess = await EmergencyAccessService.findActive(req.userId, patient._id);
+    if (emergencyAccess) {
+      req.patient = patient;
+      req.emergencyAccess = emergencyAccess;
+      await logAudit(req.userId, 'READ', 'User', patient._id.toString(), req,
+        `BREAK-GLASS: ${req.method} ${req.originalUrl}`, patient._id);
+      return next();
     }
 
     // Department staff can only access via test orders
@@ -261,9 +485,12 @@ const canAccessPatient = async (req, res, next) => {
 
     return res.status(403).json({
       error: 'Forbidden',
-      message: 'You do not have permission to access this patient data'
+      message: sharingDenied || 'You do not have permission to access this patient data',
+      // Lets the UI offer break-the-glass access
+      ...(await PermissionService.can(req.user, 'emergency:access') && { status: 'emergency_access_available' })
     });
   } catch (error) {
+    if (error.name === 'AuditWriteError') return next(error);
     console.error('Patient access check error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -272,6 +499,41 @@ const canAccessPatient = async (req, res, next) => {
   }
 };
 
+const canAccessPatient = canAccessPatientData();
+
+/**
+ * Sharing agreements that let the user's hospital see this patient's
+ * medicalRecords | testResults | prescriptions held by other hospitals.
+ * Without the patient's consent there are none
+ */
+async function findPatientSharings(req, patientId, resource, targetHospitalId) {
+  if (!req.hospitalId) return [];
+  if (!(await ConsentService.findValid(patientId, req.hospitalId, resource))) return [];
+  return HospitalSharing.findForPatient(req.hospitalId, patientId, { targetHospitalId, resource });
+}
+
+/**
+ * Hospitals whose copy of a patient's data the user may read (use after
+ * canAccessPatientData): their own hospital, hospitals sharing this resource
+ * with it, and the patient's hospital during a break-the-glass grant.
+ * hospitalIds is null - no limit - for the patient themself and super admins.
+ * The sharings are returned so their permissions can be applied to the data.
+ */
+async function findPatientDataScope(req, patientId, resource) {
+  if (req.user.role === 'patient' || req.user.role === 'super_admin') {
+    return { hospitalIds: null, sharings: [] };
+  }
+
+  const sharings = await findPatientSharings(req, patientId, resource);
+  const hospitalIds = [req.hospitalId, ...sharings.map((sharing) => sharing.targetHospitalId)];
+
+  if (req.emergencyAccess?.patientHospitalId) {
+    hospitalIds.push(req.emergencyAccess.patientHospitalId);
+  }
+
+  return { hospitalIds, sharings };
+}
+
 
 /**
  * Optional authentication
@@ -326,6 +588,38 @@ const requireRole = (...roles) => {
 };
 
 
+/**
+ * Require named permission(s) - all of them
+ * Role -> permission mapping (and per-hospital overrides) lives in PermissionService
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      if (!(await PermissionService.can(req.user, ...permissions))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Access denied. Required permission: ${permissions.join(' and ')}`
+        });
+      }
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to check permissions'
+      });
+    }
+  };
+};
+
+
 /**
  * Require patient role
  */
@@ -393,11 +687,16 @@ const requireEmailVerified = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateDepartment,
   optionalAuth,
   requireRole,
+  requirePermission,
   requireHealthcareWorker,
   requirePatient,
   canAccessPatient,
+  canAccessPatientData,
+  findPatientSharings,
+  findPatientDataScope,
   canModifyPatientData,
   requireEmailVerified,
   requireSuperAdmin,
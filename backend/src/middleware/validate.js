@@ -1,5 +1,5 @@
 // backend/src/middleware/validate.js
-const { validationResult } = require('express-validator');
+const { validationResult, body } = require('express-validator');
 
 /**
  * Validation middleware
@@ -22,4 +22,33 @@ const validate = (req, res, next) => {
   next();
 };
 
-module.exports = { validate };
\ No newline at end of file
+/**
+ * Structured lab result validators (body.analytes)
+ * Accepts an array, or a JSON string when sent as multipart form data
+ */
+const analyteValidators = [
+  body('analytes')
+    .optional()
+    .customSanitizer(value => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .isArray()
+    .withMessage('Analytes must be a list'),
+  body('analytes.*.code').trim().notEmpty().withMessage('Analyte code is required'),
+  body('analytes.*.name').trim().notEmpty().withMessage('Analyte name is required'),
+  body('analytes.*.value').isFloat().withMessage('Analyte value must be a number').toFloat(),
+  body('analytes.*.unit').optional().trim(),
+  body([
+    'analytes.*.referenceLow',
+    'analytes.*.referenceHigh',
+    'analytes.*.criticalLow',
+    'analytes.*.criticalHigh',
+  ]).optional({ values: 'null' }).isFloat().withMessage('Reference and critical limits must be numbers').toFloat(),
+];
+
+module.exports = { validate, analyteValidators };
\ No newline at end of file
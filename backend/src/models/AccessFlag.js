@@ -0,0 +1,66 @@
+// backend/src/models/AccessFlag.js
+
+const mongoose = require('mongoose');
+
+// A patient marking an entry of their access history as suspicious. Kept
+// apart from the audit log, which is never modified, and reviewed by the
+// admins of the hospital the access came from.
+const AccessFlagSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    auditLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AuditLog',
+      required: true,
+      unique: true,
+    },
+
+    // Who accessed the records, and from which hospital
+    accessedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    hospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      index: true,
+    },
+
+    reason: {
+      type: String,
+      required: [true, 'Please say why this access looks suspicious'],
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+    },
+
+    status: {
+      type: String,
+      enum: ['open', 'reviewed'],
+      default: 'open',
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const AccessFlag = mongoose.model('AccessFlag', AccessFlagSchema);
+
+module.exports = AccessFlag;
@@ -0,0 +1,88 @@
+// backend/src/models/Analyte.js
+
+const mongoose = require('mongoose');
+
+// One measured value in a lab result (e.g. Glucose 5.4 mmol/L, range 3.9 - 5.6).
+// Shared by TestOrder and TestResult; `flag` is computed, never set by hand.
+const AnalyteSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Analyte code is required'],
+      uppercase: true,
+      trim: true,
+    }, // Stable key used for trending, e.g. 'GLU', 'HGB'
+    name: {
+      type: String,
+      required: [true, 'Analyte name is required'],
+      trim: true,
+    },
+    value: {
+      type: Number,
+      required: [true, 'Analyte value is required'],
+    },
+    unit: String,
+
+    // Reference range (normal)
+    referenceLow: Number,
+    referenceHigh: Number,
+
+    // Critical limits (values beyond these need urgent attention)
+    criticalLow: Number,
+    criticalHigh: Number,
+
+    flag: {
+      type: String,
+      enum: ['normal', 'low', 'high', 'critical'],
+      default: 'normal',
+    },
+  },
+  { _id: false }
+);
+
+// Flag a single analyte against its reference and critical limits
+function computeAnalyteFlag(analyte) {
+  const { value, referenceLow, referenceHigh, criticalLow, criticalHigh } = analyte;
+
+  if ((criticalLow != null && value <= criticalLow) || (criticalHigh != null && value >= criticalHigh)) {
+    return 'critical';
+  }
+  if (referenceLow != null && value < referenceLow) return 'low';
+  if (referenceHigh != null && value > referenceHigh) return 'high';
+  return 'normal';
+}
+
+// Flag every analyte and return the overall result status: normal | abnormal | critical
+function applyAnalyteFlags(analytes) {
+  let status = 'normal';
+
+  analytes.forEach((analyte) => {
+    analyte.flag = computeAnalyteFlag(analyte);
+
+    if (analyte.flag === 'critical') {
+      status = 'critical';
+    } else if (analyte.flag !== 'normal' && status === 'normal') {
+      status = 'abnormal';
+    }
+  });
+
+  return status;
+}
+
+// Human-readable range, e.g. "3.9 - 5.6 mmol/L"
+function formatReferenceRange(analyte) {
+  const unit = analyte.unit ? ` ${analyte.unit}` : '';
+  if (analyte.referenceLow != null && analyte.referenceHigh != null) {
+    return `${analyte.referenceLow} - ${analyte.referenceHigh}${unit}`;
+  }
+  if (analyte.referenceLow != null) return `>= ${analyte.referenceLow}${unit}`;
+  if (analyte.referenceHigh != null) return `<= ${analyte.referenceHigh}${unit}`;
+  return '';
+}
+
+module.exports = {
+  AnalyteSchema,
+  computeAnalyteFlag,
+  applyAnalyteFlags,
+  formatReferenceRange,
+};
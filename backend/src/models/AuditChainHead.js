@@ -0,0 +1,30 @@
+// backend/src/models/AuditChainHead.js
+
+const mongoose = require('mongoose');
+
+// The newest entry of the audit log hash chain, kept outside the audit log.
+// Deleting the newest entries leaves no gap in seq, so verification compares
+// the chain's end against this. A single document, moved forward on every append.
+const AuditChainHeadSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      default: 'audit',
+    },
+    seq: {
+      type: Number,
+      required: true,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const AuditChainHead = mongoose.model('AuditChainHead', AuditChainHeadSchema);
+
+module.exports = AuditChainHead;
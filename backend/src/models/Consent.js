@@ -0,0 +1,73 @@
+// backend/src/models/Consent.js
+
+const mongoose = require('mongoose');
+
+// Kinds of data a patient can consent to share
+const CONSENT_RESOURCES = ['medicalRecords', 'testResults', 'prescriptions'];
+
+// A patient's consent for another hospital to see their records through a
+// sharing agreement. Consents are never edited: a new consent for the same
+// hospital replaces the old one, so the documents are the patient's history.
+const ConsentSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // Hospital allowed to view the records
+    hospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: [true, 'Hospital is required'],
+    },
+
+    resources: {
+      type: [{ type: String, enum: CONSENT_RESOURCES }],
+      default: () => [...CONSENT_RESOURCES],
+    },
+
+    // Period the consent applies to
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    validUntil: Date,
+
+    status: {
+      type: String,
+      enum: ['active', 'revoked'],
+      default: 'active',
+    },
+    revokedAt: Date,
+    revocationReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+ConsentSchema.index({ patientId: 1, hospitalId: 1, status: 1 });
+
+ConsentSchema.virtual('isValid').get(function () {
+  const now = Date.now();
+  return (
+    this.status === 'active' &&
+    (!this.validFrom || this.validFrom <= now) &&
+    (!this.validUntil || this.validUntil > now)
+  );
+});
+
+const Consent = mongoose.model('Consent', ConsentSchema);
+
+Consent.CONSENT_RESOURCES = CONSENT_RESOURCES;
+
+module.exports = Consent;
@@ -62,12 +62,21 @@ const DepartmentSchema = new mongoose.Schema(
     },
 
     // Services Offered
+    // Test orders reference these by _id and take their price and duration
     services: [
       {
-        name: String,
+        name: {
+          type: String,
+          required: [true, 'Service name is required'],
+          trim: true,
+        },
         description: String,
-        price: Number,
-        duration: Number, // in minutes
+        price: {
+          type: Number,
+          required: [true, 'Service price is required'],
+          min: 0,
+        },
+        duration: { type: Number, min: 0 }, // in minutes
         isActive: { type: Boolean, default: true },
       },
     ],
@@ -88,6 +97,14 @@ const DepartmentSchema = new mongoose.Schema(
       type: String,
       select: false, // Don't return password by default
     },
+    // Terminal tokens issued before this are rejected
+    departmentPasswordChangedAt: Date,
+    // Wrong department passwords lock terminal sign-in (hospital lockout policy)
+    loginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: Date,
 
     // Operating Hours
     operatingHours: {
@@ -135,6 +152,10 @@ DepartmentSchema.virtual('fullName').get(function () {
   return `${this.name} Department`;
 });
 
+DepartmentSchema.virtual('isLocked').get(function () {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Instance method to check if currently open
 DepartmentSchema.methods.isCurrentlyOpen = function () {
   const now = new Date();
@@ -157,10 +178,38 @@ DepartmentSchema.methods.compareDepartmentPassword = async function (password) {
   return await bcrypt.compare(password, this.departmentPassword);
 };
 
+// Instance method to count a wrong department password, same rules as user accounts
+DepartmentSchema.methods.incLoginAttempts = async function ({ maxAttempts = 5, lockMinutes = 120 } = {}) {
+  // If we have a previous lock that has expired, restart at 1
+  if (this.lockUntil && this.lockUntil < Date.now()) {
+    await this.updateOne({
+      $set: { loginAttempts: 1 },
+      $unset: { lockUntil: 1 },
+    });
+    return false;
+  }
+
+  const updates = { $inc: { loginAttempts: 1 } };
+
+  if (this.loginAttempts + 1 >= maxAttempts && !this.isLocked) {
+    updates.$set = { lockUntil: Date.now() + lockMinutes * 60 * 1000 };
+  }
+
+  await this.updateOne(updates);
+  return !!updates.$set;
+};
+
 // Pre-save middleware to hash password
 DepartmentSchema.pre('save', async function (next) {
   // Only hash if password is modified and not already hashed
   if (this.isModified('departmentPassword') && this.departmentPassword) {
+    if (!this.isNew) {
+      this.departmentPasswordChangedAt = new Date();
+      // A new password from the hospital admin also lifts a lockout
+      this.loginAttempts = 0;
+      this.lockUntil = undefined;
+    }
+
     // Check if already hashed (bcrypt hashes start with $2)
     if (!this.departmentPassword.startsWith('$2')) {
       this.departmentPassword = await bcrypt.hash(this.departmentPassword, 10);
@@ -0,0 +1,89 @@
+// backend/src/models/EmergencyAccess.js
+
+const mongoose = require('mongoose');
+
+// Break-the-glass grant: a clinician's time-boxed access to one patient of
+// another hospital without a sharing agreement. Every grant is reported to the
+// admins of both hospitals, who review it afterwards.
+const EmergencyAccessSchema = new mongoose.Schema(
+  {
+    // Who broke the glass
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    userHospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      required: true,
+      index: true,
+    },
+
+    // Whose records
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    patientHospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      index: true,
+    },
+
+    justification: {
+      type: String,
+      required: [true, 'A justification is required'],
+      trim: true,
+      minlength: [20, 'Justification must be at least 20 characters'],
+      maxlength: [1000, 'Justification cannot exceed 1000 characters'],
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Ended before expiry by the clinician or an admin
+    endedAt: Date,
+    endedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Admin review after the fact
+    reviewStatus: {
+      type: String,
+      enum: ['pending', 'justified', 'unjustified'],
+      default: 'pending',
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+EmergencyAccessSchema.index({ userId: 1, patientId: 1, expiresAt: -1 });
+
+EmergencyAccessSchema.virtual('isActive').get(function () {
+  return !this.endedAt && this.expiresAt > Date.now();
+});
+
+const EmergencyAccess = mongoose.model('EmergencyAccess', EmergencyAccessSchema);
+
+module.exports = EmergencyAccess;
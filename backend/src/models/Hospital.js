@@ -91,6 +91,38 @@ const HospitalSchema = new mongoose.Schema(
       allowPatientPortal: { type: Boolean, default: true },
     },
 
+    // Security policy
+    security: {
+      // Doctors and hospital admins must sign in with two-factor authentication
+      requireMfa: { type: Boolean, default: false },
+
+      // Password rules for this hospital's accounts
+      passwordPolicy: {
+        minLength: { type: Number, default: 8, min: 8, max: 128 },
+        requireUppercase: { type: Boolean, default: false },
+        requireLowercase: { type: Boolean, default: false },
+        requireNumber: { type: Boolean, default: false },
+        requireSymbol: { type: Boolean, default: false },
+        // Last N passwords (including the current one) that can't be reused
+        historyCount: { type: Number, default: 0, min: 0, max: 24 },
+        // Staff passwords expire after this many days (0 = never)
+        maxAgeDays: { type: Number, default: 0, min: 0, max: 365 },
+      },
+
+      // Failed sign-ins before an account is locked, and for how long
+      lockout: {
+        maxAttempts: { type: Number, default: 5, min: 3, max: 20 },
+        lockMinutes: { type: Number, default: 120, min: 1, max: 1440 },
+      },
+
+      // Per-role permission lists replacing the defaults (see permission.service)
+      rolePermissions: {
+        doctor: { type: [String], default: undefined },
+        nurse: { type: [String], default: undefined },
+        department_staff: { type: [String], default: undefined },
+      },
+    },
+
     // Statistics (for quick access)
     stats: {
       totalDoctors: { type: Number, default: 0 },
@@ -2,6 +2,13 @@
 
 const mongoose = require('mongoose');
 
+// Data a sharing agreement can include -> its permission flag
+const RESOURCE_PERMISSIONS = {
+  medicalRecords: 'canViewMedicalRecords',
+  testResults: 'canViewTestResults',
+  prescriptions: 'canViewPrescriptions',
+};
+
 const HospitalSharingSchema = new mongoose.Schema(
   {
     // Requesting Hospital (wants to view records)
@@ -156,10 +163,27 @@ HospitalSharingSchema.methods.recordAccess = function () {
   return this.save();
 };
 
-// Static method to check if hospital A can access hospital B's records
+// Instance method: does a limited agreement include this patient?
+HospitalSharingSchema.methods.coversPatient = function (patientId) {
+  if (this.scope !== 'limited') return true;
+  if (!patientId) return false;
+  return this.specificPatients.some((id) => id.toString() === patientId.toString());
+};
+
+// Instance method: may the requesting hospital see this kind of data?
+// resource: medicalRecords | testResults | prescriptions (null = the patient profile)
+HospitalSharingSchema.methods.allows = function (resource) {
+  if (!resource) return true;
+  const flag = RESOURCE_PERMISSIONS[resource];
+  return Boolean(flag && this.permissions?.[flag]);
+};
+
+// Static method to check if hospital A can access hospital B's records.
+// With a patientId, limited agreements only cover their listed patients
 HospitalSharingSchema.statics.canAccess = async function (
   requestingHospitalId,
-  targetHospitalId
+  targetHospitalId,
+  patientId
 ) {
   const sharing = await this.findOne({
     requestingHospitalId,
@@ -170,10 +194,30 @@ HospitalSharingSchema.statics.canAccess = async function (
 
   if (!sharing) return false;
   if (sharing.isExpired) return false;
+  if (patientId && !sharing.coversPatient(patientId)) return false;
 
   return true;
 };
 
+// Static method to find the usable agreements that cover a patient.
+// Pass targetHospitalId to only look at the agreement with that hospital
+HospitalSharingSchema.statics.findForPatient = async function (
+  requestingHospitalId,
+  patientId,
+  { targetHospitalId, resource } = {}
+) {
+  const sharings = await this.find({
+    requestingHospitalId,
+    ...(targetHospitalId && { targetHospitalId }),
+    status: 'approved',
+    isActive: true,
+  });
+
+  return sharings.filter(
+    (sharing) => !sharing.isExpired && sharing.coversPatient(patientId) && sharing.allows(resource)
+  );
+};
+
 // Static method to find pending requests for super admin
 HospitalSharingSchema.statics.findPendingRequests = function () {
   return this.find({ status: 'pending' })
@@ -193,4 +237,6 @@ HospitalSharingSchema.pre('save', function (next) {
 
 const HospitalSharing = mongoose.model('HospitalSharing', HospitalSharingSchema);
 
+HospitalSharing.RESOURCE_PERMISSIONS = RESOURCE_PERMISSIONS;
+
 module.exports = HospitalSharing;
\ No newline at end of file
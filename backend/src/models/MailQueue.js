@@ -0,0 +1,49 @@
+// backend/src/models/MailQueue.js
+
+const mongoose = require('mongoose');
+
+// Emails that could not be delivered straight away, waiting to be retried
+const MailQueueSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, 'Recipient is required'],
+      lowercase: true,
+      trim: true,
+    },
+    template: String,
+    subject: {
+      type: String,
+      required: true,
+    },
+    text: String,
+    html: String,
+
+    status: {
+      type: String,
+      enum: ['queued', 'sent', 'failed'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: String,
+    transport: String,
+    messageId: String,
+    sentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MailQueueSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const MailQueue = mongoose.model('MailQueue', MailQueueSchema);
+
+module.exports = MailQueue;
@@ -0,0 +1,74 @@
+// backend/src/models/Notification.js
+
+const mongoose = require('mongoose');
+
+// In-app notification shown in the dashboard bell
+const NotificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Recipient is required'],
+    },
+    type: {
+      type: String,
+      enum: [
+        'test_order_created',
+        'test_order_paid',
+        'test_result_uploaded',
+        'result_alert',
+        'account_approved',
+        'account_rejected',
+        'hospital_approved',
+        'hospital_rejected',
+        'sharing_requested',
+        'sharing_approved',
+        'sharing_rejected',
+        'prescription_created',
+        'emergency_access',
+        'access_flagged',
+      ],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    link: String, // Frontend path to open, e.g. '/dashboard/patient/tests'
+
+    // What the notification is about
+    resourceType: String,
+    resourceId: mongoose.Schema.Types.ObjectId,
+
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+NotificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to count unread notifications for a user
+NotificationSchema.statics.countUnread = function (userId) {
+  return this.countDocuments({ userId, isRead: false });
+};
+
+// Static method to mark every unread notification for a user as read
+NotificationSchema.statics.markAllRead = function (userId) {
+  return this.updateMany({ userId, isRead: false }, { isRead: true, readAt: new Date() });
+};
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+module.exports = Notification;
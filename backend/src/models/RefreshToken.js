@@ -0,0 +1,56 @@
+// backend/src/models/RefreshToken.js
+
+const mongoose = require('mongoose');
+
+// One document per issued refresh token. Tokens from the same login share a
+// familyId; every refresh rotates to a new token in the family.
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    familyId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // JWT id of the refresh token
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'rotated', 'revoked'],
+      default: 'active',
+    },
+    rotatedAt: Date,
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'reuse_detected', 'password_reset', 'user_revoked', 'admin_revoked'],
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RefreshTokenSchema.index({ userId: 1, status: 1 });
+
+// Expired tokens can't be used anyway - let MongoDB clean them up
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,109 @@
+// backend/src/models/ResultAlert.js
+
+const mongoose = require('mongoose');
+
+// Raised when an abnormal or critical result is recorded. The ordering doctor
+// must acknowledge it; unacknowledged alerts escalate to the hospital admins.
+const ResultAlertSchema = new mongoose.Schema(
+  {
+    // Who & where
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Patient ID is required'],
+      index: true,
+    },
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Ordering doctor is required'],
+      index: true,
+    },
+    hospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      index: true,
+    },
+    departmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+    },
+
+    // The result that triggered the alert
+    sourceType: {
+      type: String,
+      enum: ['TestOrder', 'TestResult'],
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: 'sourceType',
+    },
+    testName: String,
+    severity: {
+      type: String,
+      enum: ['abnormal', 'critical'],
+      required: true,
+      index: true,
+    },
+    summary: String, // e.g. "Potassium 6.8 mmol/L (critical)"
+
+    // Workflow
+    status: {
+      type: String,
+      enum: ['open', 'escalated', 'acknowledged'],
+      default: 'open',
+      index: true,
+    },
+    escalationDueAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    escalatedAt: Date,
+    escalatedTo: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acknowledgedAt: Date,
+    acknowledgementNote: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One unacknowledged alert per result
+ResultAlertSchema.index({ sourceType: 1, sourceId: 1, status: 1 });
+ResultAlertSchema.index({ status: 1, escalationDueAt: 1 });
+
+// Instance method to acknowledge the alert
+ResultAlertSchema.methods.acknowledge = function (userId, note) {
+  if (this.status === 'acknowledged') {
+    const error = new Error('This alert has already been acknowledged');
+    error.status = 409;
+    throw error;
+  }
+
+  this.status = 'acknowledged';
+  this.acknowledgedBy = userId;
+  this.acknowledgedAt = new Date();
+  this.acknowledgementNote = note;
+  return this.save();
+};
+
+// Static method to find alerts past their escalation deadline
+ResultAlertSchema.statics.findOverdue = function (now = new Date()) {
+  return this.find({ status: 'open', escalationDueAt: { $lte: now } });
+};
+
+const ResultAlert = mongoose.model('ResultAlert', ResultAlertSchema);
+
+module.exports = ResultAlert;
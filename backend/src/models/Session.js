@@ -0,0 +1,61 @@
+// backend/src/models/Session.js
+
+const mongoose = require('mongoose');
+
+// A signed-in device. One session per refresh token family (see RefreshToken.js);
+// access tokens carry the familyId as `sid`.
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    familyId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Device info from the request that started / last refreshed the session
+    userAgent: String,
+    device: String, // e.g. "Chrome on Windows"
+    ipAddress: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'reuse_detected', 'password_reset', 'user_revoked', 'admin_revoked'],
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Follows the newest refresh token in the family
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
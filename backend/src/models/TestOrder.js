@@ -1,6 +1,35 @@
 // backend/src/models/TestOrder.js
 
 const mongoose = require('mongoose');
+const { AnalyteSchema, applyAnalyteFlags } = require('./Analyte.js');
+
+// Round to cents
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Split a test's cost between the insurer and the patient for a policy.
+// The patient pays the uncovered share, but never less than the policy's co-pay.
+function calculateCoPay(amount, policy) {
+  const uncovered = amount * (1 - (policy.coveragePercent ?? 0) / 100);
+  const coPayAmount = roundCurrency(Math.min(amount, Math.max(uncovered, policy.coPayAmount || 0)));
+
+  return {
+    coveredAmount: roundCurrency(amount - coPayAmount),
+    coPayAmount,
+  };
+}
+
+// Allowed status transitions (from -> [to]). Anything else is rejected on save.
+const STATUS_TRANSITIONS = {
+  ordered: ['payment_pending', 'ready_for_test', 'cancelled'],
+  payment_pending: ['ready_for_test', 'payment_failed', 'cancelled'],
+  payment_failed: ['payment_pending', 'ready_for_test', 'cancelled'],
+  ready_for_test: ['in_progress', 'cancelled'],
+  in_progress: ['completed'],
+  completed: [],
+  cancelled: [],
+};
 
 const TestOrderSchema = new mongoose.Schema(
   {
@@ -43,6 +72,12 @@ const TestOrderSchema = new mongoose.Schema(
       required: [true, 'Test type is required'],
       trim: true,
     },
+    orderSetId: {
+      type: String, // Shared by every order created in one multi-test request
+      index: true,
+    },
+    serviceId: mongoose.Schema.Types.ObjectId, // Department.services entry this order was placed for
+    estimatedDuration: Number, // in minutes, copied from the service
     testDescription: String,
     testInstructions: String, // Instructions for patient
     
@@ -78,10 +113,53 @@ const TestOrderSchema = new mongoose.Schema(
       enum: ['cash', 'card', 'insurance', 'bank_transfer', 'mobile_money'],
     },
     paymentReference: String,
+    paymentProvider: String, // e.g. 'mock'; unset for cash confirmed at the counter
+    paymentEvents: [String], // Provider webhook event IDs already applied (idempotency)
+    chargeAmount: {
+      type: Number, // This order's share of the provider payment that was started
+      min: 0,
+    },
     paidBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    amountPaid: {
+      type: Number, // What was actually taken; a refund returns this
+      min: 0,
+    },
+    refundDate: Date,
+    refundAmount: {
+      type: Number,
+      min: 0,
+    },
+    refundReference: String,
+
+    // Insurance claim (when paymentMethod is 'insurance')
+    insuranceClaim: {
+      claimNumber: String,
+      policyId: mongoose.Schema.Types.ObjectId, // Patient's User.insurancePolicies entry
+      provider: String,
+      policyNumber: String,
+      status: {
+        type: String,
+        enum: ['submitted', 'approved', 'partially_covered', 'denied'],
+      },
+      claimedAmount: { type: Number, min: 0 },
+      approvedAmount: { type: Number, min: 0 },
+      coPayAmount: { type: Number, min: 0 }, // What the patient still owes
+      submittedAt: Date,
+      submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      adjudicatedAt: Date,
+      adjudicatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      denialReason: String,
+      notes: String,
+    },
 
     // Test Execution Status
     status: {
@@ -99,13 +177,32 @@ const TestOrderSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Every status change (who, when, from, to)
+    statusHistory: [
+      {
+        from: String,
+        to: { type: String, required: true },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        changedAt: { type: Date, default: Date.now },
+        note: String,
+      },
+    ],
+
     // Results (filled by department staff)
     result: String,
     resultNotes: String,
     resultFileUrl: String,
     resultFileType: String, // pdf, jpg, png, etc.
     normalRange: String,
-    abnormalFlag: Boolean,
+    abnormalFlag: Boolean, // Derived from analytes when they are present
+    analytes: [AnalyteSchema], // Structured, per-analyte results
+    resultStatus: {
+      type: String,
+      enum: ['normal', 'abnormal', 'critical'],
+    },
     
     // Department Staff Actions
     resultUploadedBy: {
@@ -150,6 +247,9 @@ TestOrderSchema.index({ departmentId: 1, status: 1, paymentStatus: 1 });
 TestOrderSchema.index({ patientId: 1, hospitalId: 1, orderedDate: -1 });
 TestOrderSchema.index({ orderedBy: 1, hospitalId: 1, orderedDate: -1 });
 TestOrderSchema.index({ hospitalId: 1, status: 1 });
+TestOrderSchema.index({ paymentProvider: 1, paymentReference: 1 });
+TestOrderSchema.index({ departmentId: 1, 'insuranceClaim.status': 1 });
+TestOrderSchema.index({ patientId: 1, 'analytes.code': 1, completedDate: -1 });
 
 // Virtual for payment status indicator (for department staff UI)
 TestOrderSchema.virtual('paymentStatusIndicator').get(function () {
@@ -166,46 +266,263 @@ TestOrderSchema.virtual('canUploadResult').get(function () {
   );
 });
 
-// Instance method to mark as paid
+// Instance method to check a status change against the transition table
+TestOrderSchema.methods.canTransitionTo = function (newStatus) {
+  const from = this.$locals.originalStatus || this.status;
+  return (STATUS_TRANSITIONS[from] || []).includes(newStatus);
+};
+
+// Virtual for what the patient has to pay (the co-pay once insurance has adjudicated)
+TestOrderSchema.virtual('amountDue').get(function () {
+  const claim = this.insuranceClaim;
+  if (claim && ['approved', 'partially_covered'].includes(claim.status)) {
+    return claim.coPayAmount;
+  }
+  return this.paymentAmount;
+});
+
+// Virtual: an insurance claim is waiting for the insurer's decision, so the
+// amount the patient owes isn't known yet and no payment is taken
+TestOrderSchema.virtual('claimPending').get(function () {
+  return this.insuranceClaim?.status === 'submitted';
+});
+
+// Instance method to change status (validated and recorded on save)
+TestOrderSchema.methods.transitionTo = function (newStatus, userId, note) {
+  this.status = newStatus;
+  this.$locals.statusChangedBy = userId;
+  this.$locals.statusNote = note;
+  return this;
+};
+
+// Instance method to mark as paid (amount: what was actually taken, defaults to amountDue)
 TestOrderSchema.methods.markAsPaid = function (paymentDetails) {
   this.paymentStatus = 'paid';
   this.paymentDate = new Date();
+  this.amountPaid = paymentDetails.amount ?? this.amountDue;
   this.paymentMethod = paymentDetails.method;
   this.paymentReference = paymentDetails.reference;
+  if (paymentDetails.provider) {
+    this.paymentProvider = paymentDetails.provider;
+  }
   this.paidBy = paymentDetails.paidBy;
-  this.status = 'ready_for_test';
+  this.transitionTo('ready_for_test', paymentDetails.paidBy, 'Payment received');
+  return this.save();
+};
+
+// Instance method to record a declined/failed payment attempt
+TestOrderSchema.methods.markPaymentFailed = function (reason) {
+  this.paymentStatus = 'failed';
+  if (this.canTransitionTo('payment_failed')) {
+    this.transitionTo('payment_failed', null, reason || 'Payment failed');
+  }
   return this.save();
 };
 
 // Instance method to upload result
+// Stores the result data; the order stays open until completeTest() is called
 TestOrderSchema.methods.uploadResult = function (resultData, uploadedBy) {
   if (!this.canUploadResult) {
     throw new Error('Cannot upload result: Payment not confirmed');
   }
   
-  this.result = resultData.result;
-  this.resultNotes = resultData.notes;
-  this.resultFileUrl = resultData.fileUrl;
-  this.resultFileType = resultData.fileType;
-  this.normalRange = resultData.normalRange;
-  this.abnormalFlag = resultData.abnormalFlag;
+  if (resultData.result !== undefined) this.result = resultData.result;
+  if (resultData.notes !== undefined) this.resultNotes = resultData.notes;
+  if (resultData.fileUrl) {
+    this.resultFileUrl = resultData.fileUrl;
+    this.resultFileType = resultData.fileType;
+  }
+  if (resultData.normalRange !== undefined) this.normalRange = resultData.normalRange;
+  if (resultData.abnormalFlag !== undefined) this.abnormalFlag = resultData.abnormalFlag;
+  if (resultData.analytes !== undefined) this.analytes = resultData.analytes;
   this.resultUploadedBy = uploadedBy;
   this.resultUploadedAt = new Date();
-  this.status = 'completed';
-  this.completedDate = new Date();
+
+  // Uploading a result implies the test has been performed
+  if (this.status === 'ready_for_test') {
+    this.transitionTo('in_progress', uploadedBy, 'Result uploaded');
+  }
   
   return this.save();
 };
 
-// Instance method to cancel order
-TestOrderSchema.methods.cancelOrder = function (userId, reason) {
-  this.status = 'cancelled';
-  this.cancelledDate = new Date();
-  this.cancelledBy = userId;
-  this.cancellationReason = reason;
+// Instance method to mark test as in progress
+TestOrderSchema.methods.startTest = function (userId) {
+  if (!this.canUploadResult || this.status !== 'ready_for_test') {
+    throw new Error('Cannot start test: Order is not ready for testing');
+  }
+
+  this.transitionTo('in_progress', userId);
   return this.save();
 };
 
+// Instance method to complete test (requires an uploaded result)
+TestOrderSchema.methods.completeTest = function (userId) {
+  if (!this.canUploadResult) {
+    throw new Error('Cannot complete test: Order is not ready for testing');
+  }
+
+  if (!this.result && !this.resultFileUrl && this.analytes.length === 0) {
+    throw new Error('Cannot complete test: No result has been uploaded');
+  }
+
+  this.transitionTo('completed', userId);
+  this.completedDate = new Date();
+  return this.save();
+};
+
+// Instance method to cancel order (paid orders are marked refunded; the caller
+// sends the refund). The update only applies while the order still has the status
+// and payment status it was loaded with, so of two concurrent cancellations only
+// one succeeds. Resolves to the cancelled order, or null when the order changed.
+TestOrderSchema.methods.cancelOrder = async function (userId, reason) {
+  if (!this.canTransitionTo('cancelled')) {
+    const error = new Error(`Cannot change test order status from ${this.status} to cancelled`);
+    error.name = 'InvalidStatusTransition';
+    error.status = 409;
+    throw error;
+  }
+
+  const now = new Date();
+  const update = {
+    status: 'cancelled',
+    cancelledDate: now,
+    cancelledBy: userId,
+    cancellationReason: reason,
+  };
+
+  if (this.paymentStatus === 'paid') {
+    update.paymentStatus = 'refunded';
+    update.refundDate = now;
+    update.refundAmount = this.amountPaid ?? this.amountDue;
+  }
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status, paymentStatus: this.paymentStatus },
+    {
+      $set: update,
+      $push: { statusHistory: { from: this.status, to: 'cancelled', changedBy: userId, note: reason } },
+    },
+    { new: true }
+  );
+};
+
+// Instance method to submit an insurance claim against one of the patient's policies
+TestOrderSchema.methods.submitInsuranceClaim = function (policy, userId) {
+  if (['paid', 'waived', 'refunded'].includes(this.paymentStatus)) {
+    const error = new Error(`Cannot claim insurance for an order that is already ${this.paymentStatus}`);
+    error.status = 409;
+    throw error;
+  }
+
+  if (this.insuranceClaim && ['submitted', 'approved', 'partially_covered'].includes(this.insuranceClaim.status)) {
+    const error = new Error('An insurance claim is already open for this test order');
+    error.status = 409;
+    throw error;
+  }
+
+  const estimate = calculateCoPay(this.paymentAmount, policy);
+
+  this.paymentMethod = 'insurance';
+  this.insuranceClaim = {
+    claimNumber: `CLM-${Date.now()}-${Math.random().toString(36).substring(2, 7).toUpperCase()}`,
+    policyId: policy._id,
+    provider: policy.provider,
+    policyNumber: policy.policyNumber,
+    status: 'submitted',
+    claimedAmount: estimate.coveredAmount,
+    coPayAmount: estimate.coPayAmount,
+    submittedAt: new Date(),
+    submittedBy: userId,
+  };
+
+  return this.save();
+};
+
+// Instance method to record the insurer's decision on the claim
+// Orders fully covered by insurance are marked as paid straight away
+TestOrderSchema.methods.adjudicateInsuranceClaim = function (decision, userId) {
+  const claim = this.insuranceClaim;
+
+  if (!claim || claim.status !== 'submitted') {
+    const error = new Error('There is no submitted insurance claim awaiting adjudication');
+    error.status = 409;
+    throw error;
+  }
+
+  // The patient already paid the full amount; a co-pay now would change amountDue after the fact
+  if (['paid', 'waived', 'refunded'].includes(this.paymentStatus)) {
+    const error = new Error(`Cannot adjudicate a claim on an order that is already ${this.paymentStatus}`);
+    error.status = 409;
+    throw error;
+  }
+
+  // Never fall back to claimedAmount: it comes from the patient's own policy terms
+  const approvedAmount = decision.status === 'denied' ? 0 : decision.approvedAmount;
+
+  if (approvedAmount == null || approvedAmount < 0 || approvedAmount > this.paymentAmount) {
+    const error = new Error(`Approved amount must be between 0 and ${this.paymentAmount}`);
+    error.status = 400;
+    throw error;
+  }
+
+  claim.status = decision.status;
+  claim.approvedAmount = approvedAmount;
+  claim.coPayAmount = roundCurrency(this.paymentAmount - approvedAmount);
+  claim.adjudicatedAt = new Date();
+  claim.adjudicatedBy = userId;
+  claim.denialReason = decision.status === 'denied' ? decision.denialReason : undefined;
+  if (decision.notes) {
+    claim.notes = decision.notes;
+  }
+
+  if (decision.status !== 'denied' && claim.coPayAmount === 0 && this.canTransitionTo('ready_for_test')) {
+    return this.markAsPaid({ method: 'insurance', reference: claim.claimNumber, paidBy: userId });
+  }
+
+  return this.save();
+};
+
+// Static method to get one analyte's values for a patient over time (oldest first),
+// optionally only from the given hospitals
+TestOrderSchema.statics.getAnalyteTrend = function (patientId, code, hospitalIds = null) {
+  const match = { patientId: new mongoose.Types.ObjectId(patientId), 'analytes.code': code.toUpperCase() };
+  if (hospitalIds) {
+    match.hospitalId = { $in: hospitalIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$analytes' },
+    { $match: { 'analytes.code': code.toUpperCase() } },
+    {
+      $project: {
+        _id: 0,
+        source: 'TestOrder',
+        sourceId: '$_id',
+        testName: 1,
+        date: { $ifNull: ['$completedDate', '$resultUploadedAt'] },
+        value: '$analytes.value',
+        unit: '$analytes.unit',
+        referenceLow: '$analytes.referenceLow',
+        referenceHigh: '$analytes.referenceHigh',
+        flag: '$analytes.flag',
+      },
+    },
+    { $sort: { date: 1 } },
+  ]);
+};
+
+// Static method to generate an order set ID
+TestOrderSchema.statics.generateOrderSetId = function () {
+  return `SET-${Date.now()}-${Math.random().toString(36).substring(2, 7).toUpperCase()}`;
+};
+
+// Static method to load every order in an order set
+TestOrderSchema.statics.findOrderSet = function (orderSetId) {
+  return this.find({ orderSetId }).sort({ createdAt: 1 });
+};
+
 // Static method to find pending payment tests for department
 TestOrderSchema.statics.findPendingForDepartment = function (departmentId) {
   return this.find({
@@ -230,12 +547,26 @@ TestOrderSchema.statics.findReadyForUpload = function (departmentId) {
     .sort({ orderedDate: -1 });
 };
 
+// Derive analyte flags and the overall result status from structured results
+TestOrderSchema.pre('validate', function (next) {
+  if (this.isModified('analytes') && this.analytes.length > 0) {
+    this.resultStatus = applyAnalyteFlags(this.analytes);
+    this.abnormalFlag = this.resultStatus !== 'normal';
+  }
+  next();
+});
+
+// Remember the persisted status so transitions can be validated on save
+TestOrderSchema.post('init', function () {
+  this.$locals.originalStatus = this.status;
+});
+
 // Pre-save middleware to auto-update status based on payment
 TestOrderSchema.pre('save', function (next) {
   // If payment just became paid, update status
   if (this.isModified('paymentStatus') && this.paymentStatus === 'paid') {
     if (this.status === 'payment_pending' || this.status === 'ordered') {
-      this.status = 'ready_for_test';
+      this.transitionTo('ready_for_test', this.$locals.statusChangedBy || this.paidBy, this.$locals.statusNote);
     }
   }
   
@@ -248,6 +579,56 @@ TestOrderSchema.pre('save', function (next) {
   next();
 });
 
+// Pre-save middleware to enforce the status transition table
+TestOrderSchema.pre('save', function (next) {
+  if (this.isNew) {
+    if (!['ordered', 'payment_pending', 'ready_for_test'].includes(this.status)) {
+      const error = new Error(`A test order cannot be created with status: ${this.status}`);
+      error.name = 'InvalidStatusTransition';
+      error.status = 409;
+      return next(error);
+    }
+
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: this.$locals.statusChangedBy || this.orderedBy,
+      note: this.$locals.statusNote,
+    });
+  } else if (this.isModified('status')) {
+    const from = this.$locals.originalStatus;
+
+    if (from !== this.status) {
+      if (!this.canTransitionTo(this.status)) {
+        const error = new Error(`Cannot change test order status from ${from} to ${this.status}`);
+        error.name = 'InvalidStatusTransition';
+        error.status = 409;
+        return next(error);
+      }
+
+      this.statusHistory.push({
+        from,
+        to: this.status,
+        changedBy: this.$locals.statusChangedBy,
+        note: this.$locals.statusNote,
+      });
+    }
+  }
+
+  next();
+});
+
+// Reset transition bookkeeping once the new status is persisted
+TestOrderSchema.post('save', function () {
+  this.$locals.originalStatus = this.status;
+  delete this.$locals.statusChangedBy;
+  delete this.$locals.statusNote;
+});
+
+// Static transition table (for routes and UI hints)
+TestOrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+TestOrderSchema.statics.calculateCoPay = calculateCoPay;
+
 const TestOrder = mongoose.model('TestOrder', TestOrderSchema);
 
 module.exports = TestOrder;
\ No newline at end of file
@@ -2,6 +2,47 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Patient insurance policy (embedded in the patient's user document)
+const insurancePolicySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Insurance provider is required'],
+    trim: true
+  },
+  policyNumber: {
+    type: String,
+    required: [true, 'Policy number is required'],
+    trim: true
+  },
+  memberId: String,
+  groupNumber: String,
+  // Share of a test's cost the insurer covers
+  coveragePercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 80
+  },
+  // Minimum amount the patient always pays per test
+  coPayAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  validFrom: Date,
+  validTo: Date,
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -105,6 +146,7 @@ const userSchema = new mongoose.Schema({
   phone: String,
   address: String,
   emergencyContact: String,
+  insurancePolicies: [insurancePolicySchema],
 
 
 
@@ -156,13 +198,52 @@ const userSchema = new mongoose.Schema({
   },
   lockUntil: Date,
   lastLogin: Date,
+  // Access tokens issued before this moment are rejected ("log out all devices")
+  tokensRevokedAt: Date,
 
   // MFA
   mfaEnabled: {
     type: Boolean,
     default: false
   },
-  mfaSecret: String,
+  mfaSecret: {
+    type: String,
+    select: false
+  },
+  // Secret waiting for its first code before MFA is switched on
+  mfaPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  mfaBackupCodes: {
+    type: [String],
+    select: false
+  },
+  // Last TOTP time step accepted, so a code can't be replayed
+  mfaLastUsedStep: {
+    type: Number,
+    select: false
+  },
+
+  // Password policy
+  passwordChangedAt: Date,
+  // Hashes of previous passwords, newest first, checked against reuse
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  // Set by admins / maintenance scripts: user must pick a new password before continuing
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+
+  // Department terminal PIN (HMAC, see departmentTerminal.service.js)
+  staffPinHash: {
+    type: String,
+    select: false
+  },
 
 }, {
   timestamps: true
@@ -186,6 +267,8 @@ userSchema.pre('save', async function(next) {
   // Only hash if password is modified
   if (!this.isModified('password')) return next();
 
+  this.passwordChangedAt = new Date();
+
   try {
     // Check if password is already hashed (bcrypt hashes start with $2)
     if (this.password && this.password.startsWith('$2')) {
@@ -211,29 +294,28 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 };
 
 // Increment login attempts
-userSchema.methods.incLoginAttempts = async function() {
+// Thresholds come from the hospital's lockout policy (see lockout.service.js)
+// Returns true when this attempt locked the account
+userSchema.methods.incLoginAttempts = async function({ maxAttempts = 5, lockMinutes = 120 } = {}) {
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $set: { loginAttempts: 1 },
       $unset: { lockUntil: 1 }
     });
+    return false;
   }
 
-
-
   // Otherwise increment
   const updates = { $inc: { loginAttempts: 1 } };
-  
-  // Lock account after 5 failed attempts for 2 hours
-  const maxAttempts = 5;
-  const lockTime = 2 * 60 * 60 * 1000; // 2 hours
 
+  // Lock account after maxAttempts failed attempts for lockMinutes
   if (this.loginAttempts + 1 >= maxAttempts && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + lockTime };
+    updates.$set = { lockUntil: Date.now() + lockMinutes * 60 * 1000 };
   }
 
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return !!updates.$set;
 };
 
 // Reset login attempts
@@ -283,6 +365,11 @@ userSchema.methods.toJSON = function() {
   delete user.emailVerificationToken;
   delete user.emailVerificationExpires;
   delete user.mfaSecret;
+  delete user.mfaPendingSecret;
+  delete user.mfaBackupCodes;
+  delete user.mfaLastUsedStep;
+  delete user.passwordHistory;
+  delete user.staffPinHash;
   delete user.loginAttempts;
   delete user.lockUntil;
   return user;
@@ -294,6 +381,22 @@ userSchema.methods.toJSON = function() {
 
 
 
+// Instance method to get a usable insurance policy (the given one, else the primary)
+userSchema.methods.getActiveInsurancePolicy = function (policyId) {
+  const now = new Date();
+  const usable = (this.insurancePolicies || []).filter(policy =>
+    policy.isActive &&
+    (!policy.validFrom || policy.validFrom <= now) &&
+    (!policy.validTo || policy.validTo >= now)
+  );
+
+  if (policyId) {
+    return usable.find(policy => policy._id.toString() === policyId.toString()) || null;
+  }
+
+  return usable.find(policy => policy.isPrimary) || usable[0] || null;
+};
+
 // NEW: Instance method to check if user belongs to hospital
 userSchema.methods.belongsToHospital = function (hospitalId) {
   return this.hospitalId && this.hospitalId.toString() === hospitalId.toString();
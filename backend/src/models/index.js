@@ -4,6 +4,16 @@ const Hospital = require('./Hospital.js');
 const Department = require('./Department.js'); 
 const TestOrder = require('./TestOrder.js'); 
 const HospitalSharing = require('./HospitalSharing.js'); 
+const ResultAlert = require('./ResultAlert.js');
+const Notification = require('./Notification.js');
+const MailQueue = require('./MailQueue.js');
+const RefreshToken = require('./RefreshToken.js');
+const Session = require('./Session.js');
+const EmergencyAccess = require('./EmergencyAccess.js');
+const Consent = require('./Consent.js');
+const AccessFlag = require('./AccessFlag.js');
+const AuditChainHead = require('./AuditChainHead.js');
+const { AnalyteSchema, applyAnalyteFlags } = require('./Analyte.js');
 
 
 
@@ -34,6 +44,12 @@ const MedicalRecordSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Hospital the entry was made at; staff reads are limited to the hospitals they may see
+    hospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      index: true,
+    },
     visitDate: {
       type: Date,
       required: true,
@@ -132,6 +148,12 @@ const PrescriptionSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Hospital the entry was made at; staff reads are limited to the hospitals they may see
+    hospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      index: true,
+    },
     prescribedDate: {
       type: Date,
       required: true,
@@ -197,18 +219,21 @@ const TestResultSchema = new mongoose.Schema(
       index: true,
     },
     
-    // Results
+    // Results (free text, or structured analytes)
     result: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.analytes || this.analytes.length === 0;
+      },
       trim: true,
     },
     normalRange: String,
+    analytes: [AnalyteSchema],
     status: {
       type: String,
       enum: ['normal', 'abnormal', 'critical', 'pending'],
       default: 'normal',
-    },
+    }, // Derived from analytes when they are present
     
     // Hospital info
     hospitalName: {
@@ -216,6 +241,12 @@ const TestResultSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Hospital the entry was made at; staff reads are limited to the hospitals they may see
+    hospitalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+      index: true,
+    },
     labName: String,
     
     // File attachment
@@ -238,15 +269,53 @@ const TestResultSchema = new mongoose.Schema(
 TestResultSchema.index({ patientId: 1, testDate: -1 });
 TestResultSchema.index({ orderedBy: 1, testDate: -1 });
 TestResultSchema.index({ status: 1, testDate: -1 });
+TestResultSchema.index({ patientId: 1, 'analytes.code': 1, testDate: -1 });
+
+// Derive analyte flags and the overall status from structured results
+TestResultSchema.pre('validate', function (next) {
+  if (this.isModified('analytes') && this.analytes.length > 0) {
+    this.status = applyAnalyteFlags(this.analytes);
+  }
+  next();
+});
+
+// Static method to get one analyte's values for a patient over time (oldest first),
+// optionally only from the given hospitals
+TestResultSchema.statics.getAnalyteTrend = function (patientId, code, hospitalIds = null) {
+  const match = { patientId: new mongoose.Types.ObjectId(patientId), 'analytes.code': code.toUpperCase() };
+  if (hospitalIds) {
+    match.hospitalId = { $in: hospitalIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$analytes' },
+    { $match: { 'analytes.code': code.toUpperCase() } },
+    {
+      $project: {
+        _id: 0,
+        source: 'TestResult',
+        sourceId: '$_id',
+        testName: 1,
+        date: '$testDate',
+        value: '$analytes.value',
+        unit: '$analytes.unit',
+        referenceLow: '$analytes.referenceLow',
+        referenceHigh: '$analytes.referenceHigh',
+        flag: '$analytes.flag',
+      },
+    },
+    { $sort: { date: 1 } },
+  ]);
+};
 
 // ==================== AUDIT LOG MODEL (UPDATED) ====================
 
 const AuditLogSchema = new mongoose.Schema({
-  // Who did the action
+  // Who did the action (null for sign-in attempts that match no user account)
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
     index: true,
   },
   userRole: {
@@ -281,9 +350,26 @@ const AuditLogSchema = new mongoose.Schema({
     index: true,
   },
   
+  // Hospital the user acted from
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+  },
+
   // Security information
   ipAddress: String,
   userAgent: String,
+  // Set when the action came from a shared department terminal (staff identified by PIN)
+  terminalDepartmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+  },
+  // Set when the action relied on a break-the-glass emergency access grant
+  emergencyAccessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmergencyAccess',
+    index: { sparse: true },
+  },
   
   // Additional details
   details: String,
@@ -294,6 +380,21 @@ const AuditLogSchema = new mongoose.Schema({
     default: Date.now,
     index: true,
   },
+
+  // Hash chain (see services/auditChain.service.js). Entries written before
+  // the chain existed have none of these
+  seq: {
+    type: Number,
+    unique: true,
+    sparse: true,
+  },
+  prevHash: String,
+  hash: String,
+});
+
+// Audit entries are append-only: the app never edits them
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Audit log entries cannot be modified'));
 });
 
 // Compound indexes
@@ -324,4 +425,13 @@ module.exports = {
   Department,      
   TestOrder,      
   HospitalSharing,
+  ResultAlert,
+  Notification,
+  MailQueue,
+  RefreshToken,
+  Session,
+  EmergencyAccess,
+  Consent,
+  AccessFlag,
+  AuditChainHead,
 };
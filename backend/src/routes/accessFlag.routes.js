@@ -0,0 +1,78 @@
+// backend/src/routes/accessFlag.routes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { validate } = require('../middleware/validate.js');
+const { authenticate, requireHospitalAdmin } = require('../middleware/auth.js');
+const { logAudit } = require('../middleware/audit.js');
+const AccessReportService = require('../services/accessReport.service.js');
+const { AccessFlag } = require('../models/index.js');
+
+/**
+ * @route   GET /api/access-flags
+ * @desc    Accesses patients reported as suspicious, from this hospital or to
+ *          its patients. Pass ?status=open for the review queue
+ * @access  Hospital Admin
+ */
+router.get(
+  '/',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    query('status').optional().isIn(['open', 'reviewed']),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const hospitalId = req.user.role === 'super_admin' ? null : req.hospitalId;
+      const filter = req.query.status ? { status: req.query.status } : {};
+
+      const flags = await AccessReportService.listForHospital(hospitalId, filter);
+
+      res.json({ count: flags.length, data: flags });
+    } catch (error) {
+      console.error('List access flags error:', error);
+      res.status(500).json({ error: 'Failed to fetch flagged accesses', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/access-flags/:flagId/review
+ * @desc    Record the outcome of reviewing a flagged access
+ * @access  Hospital Admin (of either hospital)
+ */
+router.put(
+  '/:flagId/review',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    body('note').trim().isLength({ min: 1, max: 1000 }).withMessage('A review note is required'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const flag = await AccessFlag.findById(req.params.flagId).catch(() => null);
+      if (!flag) {
+        return res.status(404).json({ error: 'Not Found', message: 'Flagged access not found' });
+      }
+
+      if (!(await AccessReportService.isAdminFor(flag, req))) {
+        return res.status(403).json({ error: 'Forbidden', message: 'You cannot review this flagged access' });
+      }
+
+      await AccessReportService.review(flag, req.userId, req.body.note);
+
+      await logAudit(req.userId, 'UPDATE', 'AccessFlag', flag._id.toString(), req,
+        `Flagged access reviewed - ${req.body.note}`, flag.patientId);
+
+      res.json({ message: 'Review saved', data: flag });
+    } catch (error) {
+      console.error('Review access flag error:', error);
+      res.status(500).json({ error: 'Failed to review flagged access', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+// backend/src/routes/auditLog.routes.js
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { validate } = require('../middleware/validate.js');
+const { authenticate, requireHospitalAdmin, requireSuperAdmin } = require('../middleware/auth.js');
+const { logAudit } = require('../middleware/audit.js');
+const AuditLogService = require('../services/auditLog.service.js');
+const AuditChainService = require('../services/auditChain.service.js');
+
+const ACTIONS = ['CREATE', 'READ', 'UPDATE', 'DELETE', 'UPLOAD', 'LOGIN', 'LOGOUT'];
+
+const filterValidators = [
+  query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  query('patientId').optional().isMongoId().withMessage('Invalid patient ID'),
+  query('resourceType').optional().trim().notEmpty(),
+  query('action').optional().isIn(ACTIONS).withMessage('Unknown action'),
+  query('from').optional().isISO8601().withMessage('Invalid start date'),
+  query('to').optional().isISO8601().withMessage('Invalid end date'),
+  query('ip').optional().trim().notEmpty(),
+  query('hospitalId').optional().isMongoId().withMessage('Invalid hospital ID'),
+];
+
+/**
+ * Scope + filters for the request. Only super admins can pick a hospital
+ */
+async function buildQuery(req) {
+  const filters = { ...req.query };
+  if (req.user.role !== 'super_admin') delete filters.hospitalId;
+
+  const scope = await AuditLogService.scopeFor(req);
+  const filter = AuditLogService.buildFilter(filters);
+
+  return Object.keys(scope).length ? { $and: [scope, filter] } : filter;
+}
+
+/**
+ * @route   GET /api/audit-logs
+ * @desc    Audit log, newest first. Filters: userId, patientId, resourceType,
+ *          action, from, to, ip (and hospitalId for super admins).
+ *          Pass the returned nextCursor as ?cursor= for the next page
+ * @access  Hospital Admin (own hospital's staff and patients), Super Admin
+ */
+router.get(
+  '/',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    ...filterValidators,
+    query('cursor').optional().isMongoId().withMessage('Invalid cursor'),
+    query('limit').optional().isInt({ min: 1, max: AuditLogService.MAX_LIMIT }),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const filter = await buildQuery(req);
+      const { data, nextCursor } = await AuditLogService.find(filter, req.query);
+
+      res.json({ count: data.length, data, nextCursor });
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      res.status(500).json({ error: 'Failed to get audit logs', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/audit-logs/export
+ * @desc    Download every matching log as CSV or NDJSON (?format=csv|ndjson).
+ *          Same filters as GET /api/audit-logs
+ * @access  Hospital Admin (own hospital's staff and patients), Super Admin
+ */
+router.get(
+  '/export',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    ...filterValidators,
+    query('format').optional().isIn(AuditLogService.EXPORT_FORMATS).withMessage('Format must be csv or ndjson'),
+    validate,
+  ],
+  async (req, res) => {
+    const format = req.query.format || 'csv';
+    let cursor;
+
+    try {
+      const filter = await buildQuery(req);
+
+      // The export itself is audited
+      await logAudit(req.userId, 'READ', 'AuditLog', 'export', req,
+        `Audit log export (${format}): ${JSON.stringify(req.query)}`);
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${date}.${format}"`);
+
+      if (format === 'csv') res.write(AuditLogService.csvHeader());
+
+      cursor = AuditLogService.exportCursor(filter);
+      for await (const log of cursor) {
+        // Stop reading once the client has gone away
+        if (res.destroyed) break;
+
+        const line = format === 'csv' ? AuditLogService.toCsvRow(log) : AuditLogService.toNdjsonRow(log);
+        // Respect backpressure on big exports; a disconnect ends the wait too
+        if (!res.write(line) && !res.destroyed) {
+          await new Promise((resolve) => {
+            const done = () => {
+              res.off('drain', done);
+              res.off('close', done);
+              resolve();
+            };
+            res.once('drain', done);
+            res.once('close', done);
+          });
+        }
+      }
+
+      res.end();
+    } catch (error) {
+      console.error('Export audit logs error:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({ error: 'Failed to export audit logs', message: error.message });
+    } finally {
+      if (cursor) await cursor.close().catch(() => {});
+    }
+  }
+);
+
+/**
+ * @route   GET /api/audit-logs/verify
+ * @desc    Walk the audit log hash chain and report gaps (deleted entries),
+ *          modified entries, broken links and a removed end (against the
+ *          recorded head), with the retention horizon
+ * @access  Super Admin
+ */
+router.get('/verify', authenticate, requireSuperAdmin, async (req, res) => {
+  try {
+    const report = await AuditChainService.verify();
+
+    await logAudit(req.userId, 'READ', 'AuditLog', 'verify', req,
+      `Audit chain verification: ${report.ok ? 'intact' : 'problems found'}`);
+
+    res.json({ data: report });
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    res.status(500).json({ error: 'Failed to verify audit log', message: error.message });
+  }
+});
+
+module.exports = router;
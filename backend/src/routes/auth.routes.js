@@ -2,7 +2,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { validate } = require('../middleware/validate.js');
-const { authenticate } = require('../middleware/auth.js');
+const { authenticate, authenticateDepartment, requireRole } = require('../middleware/auth.js');
 const authController = require('../controllers/auth.controller.js');
 
 
@@ -95,6 +95,36 @@ router.post('/logout',
   authController.logout
 );
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout on all devices (revokes every refresh token)
+ * @access  Private
+ */
+router.post('/logout-all',
+  authenticate,
+  authController.logoutAll
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) for the current user
+ * @access  Private
+ */
+router.get('/sessions',
+  authenticate,
+  authController.getSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    End one session
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId',
+  authenticate,
+  authController.revokeSession
+);
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset
@@ -145,4 +175,180 @@ router.post('/change-password',
   authController.changePassword
 );
 
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Password rules for the current user's hospital
+ * @access  Private
+ */
+router.get('/password-policy',
+  authenticate,
+  authController.getPasswordPolicy
+);
+
+/**
+ * @route   POST /api/auth/verify-email/:token
+ * @desc    Verify email address
+ * @access  Public
+ */
+router.post('/verify-email/:token',
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend the verification email
+ * @access  Public
+ */
+router.post('/resend-verification',
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email is required'),
+  ],
+  validate,
+  authController.resendVerification
+);
+
+/**
+ * @route   POST /api/auth/me/resend-verification
+ * @desc    Resend the verification email to the signed-in user
+ * @access  Private
+ */
+router.post('/me/resend-verification',
+  authenticate,
+  authController.resendMyVerification
+);
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Complete login with an authenticator or backup code
+ * @access  Public (requires the mfaToken from /login)
+ */
+router.post('/mfa/verify',
+  [
+    body('mfaToken')
+      .notEmpty()
+      .withMessage('MFA token is required'),
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Verification code is required'),
+  ],
+  validate,
+  authController.verifyMfaLogin
+);
+
+/**
+ * @route   POST /api/auth/mfa/setup
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/mfa/setup',
+  authenticate,
+  authController.setupMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/confirm
+ * @desc    Confirm enrollment with the first code and receive backup codes
+ * @access  Private
+ */
+router.post('/mfa/confirm',
+  authenticate,
+  [
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Verification code is required'),
+  ],
+  validate,
+  authController.confirmMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/disable
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.post('/mfa/disable',
+  authenticate,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Verification code is required'),
+  ],
+  validate,
+  authController.disableMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/backup-codes
+ * @desc    Replace backup codes
+ * @access  Private
+ */
+router.post('/mfa/backup-codes',
+  authenticate,
+  [
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Verification code is required'),
+  ],
+  validate,
+  authController.regenerateBackupCodes
+);
+
+/**
+ * @route   POST /api/auth/department/login
+ * @desc    Sign a shared department terminal in with the department credentials
+ * @access  Public
+ */
+router.post('/department/login',
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Valid email is required'),
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+  ],
+  validate,
+  authController.departmentLogin
+);
+
+/**
+ * @route   GET /api/auth/department/staff
+ * @desc    Staff who can identify themselves on this terminal
+ * @access  Department terminal
+ */
+router.get('/department/staff',
+  authenticateDepartment,
+  authController.getTerminalStaff
+);
+
+/**
+ * @route   PUT /api/auth/staff-pin
+ * @desc    Set the PIN used on department terminals
+ * @access  Department Staff
+ */
+router.put('/staff-pin',
+  authenticate,
+  requireRole('department_staff'),
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body('pin')
+      .matches(/^\d{4,8}$/)
+      .withMessage('PIN must be 4 to 8 digits'),
+  ],
+  validate,
+  authController.setStaffPin
+);
+
 module.exports = router;
\ No newline at end of file
@@ -10,8 +10,29 @@ const {
   requireDepartmentStaff,
 } = require('../middleware/auth.js');
 const { Department, User, Hospital } = require('../models/index.js');
+const { logAudit } = require('../middleware/audit.js');
 const bcrypt = require('bcryptjs');
 
+/**
+ * Load a department of the current user's hospital.
+ * Sends the 404/403 response itself and returns null when access is denied.
+ */
+async function findHospitalDepartment(req, res) {
+  const department = await Department.findById(req.params.departmentId);
+
+  if (!department) {
+    res.status(404).json({ error: 'Not Found', message: 'Department not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'super_admin' && department.hospitalId.toString() !== req.hospitalId?.toString()) {
+    res.status(403).json({ error: 'Forbidden', message: 'You can only access departments in your hospital' });
+    return null;
+  }
+
+  return department;
+}
+
 // ============================================
 // HOSPITAL ADMIN ROUTES
 // ============================================
@@ -221,7 +242,6 @@ router.put(
         'phone',
         'email',
         'location',
-        'services',
         'operatingHours',
         'head',
         'isActive',
@@ -251,6 +271,72 @@ router.put(
   }
 );
 
+/**
+ * @route   PUT /api/departments/:departmentId/terminal-login
+ * @desc    Configure the shared terminal login (enable/disable, email, password).
+ *          Changing the password or disabling it signs existing terminals out
+ * @access  Hospital Admin
+ */
+router.put(
+  '/:departmentId/terminal-login',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    body('departmentLoginEnabled').optional().isBoolean(),
+    body('departmentEmail').optional().isEmail().withMessage('Valid email is required'),
+    body('departmentPassword').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const department = await findHospitalDepartment(req, res);
+      if (!department) return;
+
+      const { departmentLoginEnabled, departmentEmail, departmentPassword } = req.body;
+
+      if (departmentEmail && departmentEmail.toLowerCase() !== department.departmentEmail) {
+        const emailExists = await Department.findOne({ departmentEmail: departmentEmail.toLowerCase() });
+        if (emailExists) {
+          return res.status(409).json({
+            error: 'Conflict',
+            message: 'Department email already in use',
+          });
+        }
+        department.departmentEmail = departmentEmail;
+      }
+
+      if (departmentPassword) department.departmentPassword = departmentPassword;
+      if (departmentLoginEnabled !== undefined) department.departmentLoginEnabled = departmentLoginEnabled;
+
+      if (department.departmentLoginEnabled && !department.departmentEmail) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'A department email is required to enable terminal login',
+        });
+      }
+
+      await department.save();
+
+      await logAudit(req.userId, 'UPDATE', 'Department', department._id.toString(), req,
+        `Terminal login ${department.departmentLoginEnabled ? 'enabled' : 'disabled'}${departmentPassword ? ', password changed' : ''}`);
+
+      res.json({
+        message: 'Terminal login updated',
+        data: {
+          departmentLoginEnabled: department.departmentLoginEnabled,
+          departmentEmail: department.departmentEmail,
+        },
+      });
+    } catch (error) {
+      console.error('Update terminal login error:', error);
+      res.status(500).json({
+        error: 'Update failed',
+        message: error.message,
+      });
+    }
+  }
+);
+
 /**
  * @route   DELETE /api/departments/:departmentId
  * @desc    Delete (deactivate) department
@@ -419,4 +505,157 @@ router.post(
   }
 );
 
-module.exports = router;
\ No newline at end of file
+// ============================================
+// SERVICE CATALOG
+// ============================================
+
+/**
+ * @route   GET /api/departments/:departmentId/services
+ * @desc    Get the department's service catalog (admins also see inactive services)
+ * @access  Authenticated users in the same hospital
+ */
+router.get('/:departmentId/services', authenticate, async (req, res) => {
+  try {
+    const department = await findHospitalDepartment(req, res);
+    if (!department) return;
+
+    const isAdmin = ['super_admin', 'hospital_admin'].includes(req.user.role);
+    const services = isAdmin
+      ? department.services
+      : department.services.filter(service => service.isActive);
+
+    res.json({ count: services.length, data: services });
+  } catch (error) {
+    console.error('Get department services error:', error);
+    res.status(500).json({ error: 'Failed to fetch services', message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/departments/:departmentId/services
+ * @desc    Add a service to the catalog
+ * @access  Hospital Admin
+ */
+router.post(
+  '/:departmentId/services',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    body('name').trim().notEmpty().withMessage('Service name is required'),
+    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+    body('duration').optional().isInt({ min: 0 }).withMessage('Duration must be a number of minutes').toInt(),
+    body('description').optional().trim(),
+    body('isActive').optional().isBoolean().toBoolean(),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const department = await findHospitalDepartment(req, res);
+      if (!department) return;
+
+      const { name, description, price, duration, isActive } = req.body;
+
+      const duplicate = department.services.find(
+        service => service.name.toLowerCase() === name.toLowerCase()
+      );
+      if (duplicate) {
+        return res.status(400).json({
+          error: 'Service exists',
+          message: 'A service with this name already exists in this department',
+        });
+      }
+
+      department.services.push({ name, description, price, duration, isActive });
+      await department.save();
+
+      res.status(201).json({
+        message: 'Service added successfully',
+        data: department.services[department.services.length - 1],
+      });
+    } catch (error) {
+      console.error('Add department service error:', error);
+      res.status(500).json({ error: 'Creation failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/departments/:departmentId/services/:serviceId
+ * @desc    Update a service (price changes only affect new orders)
+ * @access  Hospital Admin
+ */
+router.put(
+  '/:departmentId/services/:serviceId',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    body('name').optional().trim().notEmpty(),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+    body('duration').optional().isInt({ min: 0 }).withMessage('Duration must be a number of minutes').toInt(),
+    body('description').optional().trim(),
+    body('isActive').optional().isBoolean().toBoolean(),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const department = await findHospitalDepartment(req, res);
+      if (!department) return;
+
+      const service = department.services.id(req.params.serviceId);
+      if (!service) {
+        return res.status(404).json({ error: 'Not Found', message: 'Service not found' });
+      }
+
+      const { name } = req.body;
+      const duplicate = name !== undefined && department.services.find(
+        other => !other._id.equals(service._id) && other.name.toLowerCase() === name.toLowerCase()
+      );
+      if (duplicate) {
+        return res.status(400).json({
+          error: 'Service exists',
+          message: 'A service with this name already exists in this department',
+        });
+      }
+
+      ['name', 'description', 'price', 'duration', 'isActive'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          service[field] = req.body[field];
+        }
+      });
+      await department.save();
+
+      res.json({ message: 'Service updated successfully', data: service });
+    } catch (error) {
+      console.error('Update department service error:', error);
+      res.status(500).json({ error: 'Update failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/departments/:departmentId/services/:serviceId
+ * @desc    Remove (deactivate) a service - existing orders keep referencing it
+ * @access  Hospital Admin
+ */
+router.delete('/:departmentId/services/:serviceId', authenticate, requireHospitalAdmin, async (req, res) => {
+  try {
+    const department = await findHospitalDepartment(req, res);
+    if (!department) return;
+
+    const service = department.services.id(req.params.serviceId);
+    if (!service) {
+      return res.status(404).json({ error: 'Not Found', message: 'Service not found' });
+    }
+
+    // Soft delete
+    service.isActive = false;
+    await department.save();
+
+    res.json({ message: 'Service deleted successfully' });
+  } catch (error) {
+    console.error('Delete department service error:', error);
+    res.status(500).json({ error: 'Deletion failed', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+// backend/src/routes/emergencyAccess.routes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { validate } = require('../middleware/validate.js');
+const { authenticate, requirePermission, requireHospitalAdmin } = require('../middleware/auth.js');
+const { logAudit } = require('../middleware/audit.js');
+const EmergencyAccessService = require('../services/emergencyAccess.service.js');
+const { EmergencyAccess } = require('../models/index.js');
+
+/**
+ * Load the grant in :accessId or send 404
+ */
+async function findAccess(req, res) {
+  const access = await EmergencyAccess.findById(req.params.accessId).catch(() => null);
+  if (!access) {
+    res.status(404).json({ error: 'Not Found', message: 'Emergency access not found' });
+    return null;
+  }
+  return access;
+}
+
+/**
+ * @route   POST /api/emergency-access
+ * @desc    Break the glass: time-boxed access to one patient of another hospital.
+ *          Identify the patient by patientId or patientEmail. Both hospitals' admins are notified
+ * @access  emergency:access (doctors, nurses)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermission('emergency:access'),
+  [
+    body('patientId').optional().isMongoId().withMessage('Invalid patient ID'),
+    body('patientEmail').optional().isEmail().withMessage('Valid patient email is required'),
+    body('justification')
+      .trim()
+      .isLength({ min: 20, max: 1000 })
+      .withMessage('Justification must be between 20 and 1000 characters'),
+    body('durationMinutes')
+      .optional()
+      .isInt({ min: 15, max: EmergencyAccessService.MAX_MINUTES })
+      .withMessage(`Duration must be between 15 and ${EmergencyAccessService.MAX_MINUTES} minutes`),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const { patientId, patientEmail, justification, durationMinutes } = req.body;
+
+      if (!patientId && !patientEmail) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'Patient ID or email is required',
+        });
+      }
+
+      const access = await EmergencyAccessService.grant(
+        req.user,
+        { patientId, patientEmail },
+        justification,
+        durationMinutes,
+        req
+      );
+
+      res.status(201).json({
+        message: 'Emergency access granted. This access is logged and will be reviewed',
+        data: access,
+      });
+    } catch (error) {
+      if (error.name !== 'EmergencyAccessError') {
+        console.error('Emergency access error:', error);
+      }
+      res.status(error.status || 500).json({
+        error: 'Emergency access failed',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/emergency-access/mine
+ * @desc    The current user's active emergency access grants
+ * @access  emergency:access
+ */
+router.get('/mine', authenticate, requirePermission('emergency:access'), async (req, res) => {
+  try {
+    const grants = await EmergencyAccess.find({
+      userId: req.userId,
+      endedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    })
+      .populate('patientId', 'firstName lastName email')
+      .populate('patientHospitalId', 'name')
+      .sort({ expiresAt: 1 });
+
+    res.json({ count: grants.length, data: grants });
+  } catch (error) {
+    console.error('Get emergency access error:', error);
+    res.status(500).json({ error: 'Failed to fetch emergency access', message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/emergency-access
+ * @desc    Grants used by this hospital's clinicians or on its patients.
+ *          Pass ?reviewStatus=pending for the review queue
+ * @access  Hospital Admin
+ */
+router.get(
+  '/',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    query('reviewStatus').optional().isIn(['pending', 'justified', 'unjustified']),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const hospitalId = req.user.role === 'super_admin' ? null : req.hospitalId;
+      const filter = req.query.reviewStatus ? { reviewStatus: req.query.reviewStatus } : {};
+
+      const grants = await EmergencyAccessService.listForHospital(hospitalId, filter);
+
+      res.json({ count: grants.length, data: grants });
+    } catch (error) {
+      console.error('List emergency access error:', error);
+      res.status(500).json({ error: 'Failed to fetch emergency access', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/emergency-access/:accessId/end
+ * @desc    End a grant before it expires
+ * @access  The clinician who broke the glass, or an admin of either hospital
+ */
+router.post('/:accessId/end', authenticate, async (req, res) => {
+  try {
+    const access = await findAccess(req, res);
+    if (!access) return;
+
+    if (access.userId.toString() !== req.userId.toString() && !EmergencyAccessService.isAdminFor(access, req)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'You cannot end this emergency access' });
+    }
+
+    await EmergencyAccessService.end(access, req.userId);
+
+    await logAudit(req.userId, 'UPDATE', 'EmergencyAccess', access._id.toString(), req,
+      'Emergency access ended', access.patientId);
+
+    res.json({ message: 'Emergency access ended', data: access });
+  } catch (error) {
+    if (error.name !== 'EmergencyAccessError') {
+      console.error('End emergency access error:', error);
+    }
+    res.status(error.status || 500).json({ error: 'Failed to end emergency access', message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/emergency-access/:accessId/review
+ * @desc    Record whether a break-glass access was justified
+ * @access  Hospital Admin (of either hospital)
+ */
+router.put(
+  '/:accessId/review',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    body('reviewStatus').isIn(['justified', 'unjustified']).withMessage('Review must be justified or unjustified'),
+    body('note').optional().trim().isLength({ max: 1000 }),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const access = await findAccess(req, res);
+      if (!access) return;
+
+      if (!EmergencyAccessService.isAdminFor(access, req)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'You cannot review this emergency access' });
+      }
+
+      await EmergencyAccessService.review(access, req.userId, req.body.reviewStatus, req.body.note);
+
+      await logAudit(req.userId, 'UPDATE', 'EmergencyAccess', access._id.toString(), req,
+        `Emergency access reviewed: ${req.body.reviewStatus}${req.body.note ? ` - ${req.body.note}` : ''}`, access.patientId);
+
+      res.json({ message: 'Review saved', data: access });
+    } catch (error) {
+      console.error('Review emergency access error:', error);
+      res.status(500).json({ error: 'Failed to review emergency access', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -10,8 +10,30 @@ const {
   requireHospitalAdmin,
 } = require('../middleware/auth.js');
 const { Hospital, User, Department } = require('../models/index.js');
+const NotificationService = require('../services/notification.service.js');
+const MailService = require('../services/mail.service.js');
+const EmailVerificationService = require('../services/emailVerification.service.js');
+const PasswordPolicyService = require('../services/passwordPolicy.service.js');
+const LockoutService = require('../services/lockout.service.js');
+const PermissionService = require('../services/permission.service.js');
+const { logAudit } = require('../middleware/audit.js');
 const bcrypt = require('bcryptjs');
 
+/**
+ * Email every admin of a hospital about its registration decision.
+ */
+async function emailHospitalAdmins(hospital, template, data = {}) {
+  const admins = await User.find({ role: 'hospital_admin', hospitalId: hospital._id }).select('email firstName');
+
+  for (const admin of admins) {
+    await MailService.send(admin.email, template, {
+      firstName: admin.firstName,
+      hospitalName: hospital.name,
+      ...data,
+    });
+  }
+}
+
 // ============================================
 // PUBLIC ROUTES (No authentication)
 // ============================================
@@ -113,6 +135,8 @@ router.post(
       adminUser.hospitalId = hospital._id;
       await adminUser.save();
 
+      await EmailVerificationService.sendVerification(adminUser);
+
       res.status(201).json({
         message: 'Hospital registration submitted successfully',
         data: {
@@ -224,7 +248,16 @@ router.post(
 
       await hospital.save();
 
-      // TODO: Send approval email to hospital admin
+      await NotificationService.notifyUsers({ role: 'hospital_admin', hospitalId: hospital._id }, {
+        type: 'hospital_approved',
+        title: `${hospital.name} has been approved`,
+        message: 'Your hospital can now add departments and staff',
+        link: '/dashboard/hospital-admin',
+        resourceType: 'Hospital',
+        resourceId: hospital._id,
+      });
+
+      await emailHospitalAdmins(hospital, 'hospitalApproved');
 
       res.json({
         message: 'Hospital approved successfully',
@@ -274,7 +307,15 @@ router.post(
 
       await hospital.save();
 
-      // TODO: Send rejection email to hospital admin
+      await NotificationService.notifyUsers({ role: 'hospital_admin', hospitalId: hospital._id }, {
+        type: 'hospital_rejected',
+        title: `${hospital.name} registration was rejected`,
+        message: reason,
+        resourceType: 'Hospital',
+        resourceId: hospital._id,
+      });
+
+      await emailHospitalAdmins(hospital, 'hospitalRejected', { reason });
 
       res.json({
         message: 'Hospital rejected',
@@ -473,6 +514,157 @@ router.put(
   }
 );
 
+/**
+ * @route   PUT /api/hospitals/my-hospital/security
+ * @desc    Update hospital security policy (MFA requirement, password rules, lockout). Only fields sent are changed
+ * @access  Hospital Admin
+ */
+router.put(
+  '/my-hospital/security',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    body('requireMfa').optional().isBoolean().withMessage('requireMfa must be true or false'),
+    body('passwordPolicy.minLength').optional().isInt({ min: 8, max: 128 }).withMessage('Minimum length must be between 8 and 128'),
+    body([
+      'passwordPolicy.requireUppercase',
+      'passwordPolicy.requireLowercase',
+      'passwordPolicy.requireNumber',
+      'passwordPolicy.requireSymbol',
+    ]).optional().isBoolean().withMessage('Complexity rules must be true or false'),
+    body('passwordPolicy.historyCount').optional().isInt({ min: 0, max: 24 }).withMessage('Password history must be between 0 and 24'),
+    body('passwordPolicy.maxAgeDays').optional().isInt({ min: 0, max: 365 }).withMessage('Password expiry must be between 0 and 365 days'),
+    body('lockout.maxAttempts').optional().isInt({ min: 3, max: 20 }).withMessage('Failed attempts before lockout must be between 3 and 20'),
+    body('lockout.lockMinutes').optional().isInt({ min: 1, max: 1440 }).withMessage('Lockout duration must be between 1 and 1440 minutes'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      if (!req.hospitalId) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'You are not associated with any hospital',
+        });
+      }
+
+      const updates = {};
+      if (req.body.requireMfa !== undefined) {
+        updates['security.requireMfa'] = req.body.requireMfa;
+      }
+      for (const key of Object.keys(PasswordPolicyService.DEFAULT_POLICY)) {
+        if (req.body.passwordPolicy?.[key] !== undefined) {
+          updates[`security.passwordPolicy.${key}`] = req.body.passwordPolicy[key];
+        }
+      }
+      for (const key of Object.keys(LockoutService.DEFAULT_LOCKOUT)) {
+        if (req.body.lockout?.[key] !== undefined) {
+          updates[`security.lockout.${key}`] = req.body.lockout[key];
+        }
+      }
+
+      const hospital = await Hospital.findByIdAndUpdate(
+        req.hospitalId,
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+
+      res.json({
+        message: 'Security policy updated',
+        data: hospital,
+      });
+    } catch (error) {
+      console.error('Update hospital security error:', error);
+      res.status(500).json({
+        error: 'Update failed',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/hospitals/my-hospital/permissions
+ * @desc    Permission catalog, default role mapping and this hospital's effective mapping
+ * @access  Hospital Admin
+ */
+router.get('/my-hospital/permissions', authenticate, requireHospitalAdmin, async (req, res) => {
+  try {
+    if (!req.hospitalId) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'You are not associated with any hospital',
+      });
+    }
+
+    const hospital = await Hospital.findById(req.hospitalId).select('security').lean();
+
+    res.json({
+      permissions: PermissionService.PERMISSIONS,
+      defaults: PermissionService.DEFAULT_ROLE_PERMISSIONS,
+      data: PermissionService.matrix(hospital),
+    });
+  } catch (error) {
+    console.error('Get hospital permissions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch permissions',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/hospitals/my-hospital/permissions
+ * @desc    Replace the permissions of doctors, nurses or department staff.
+ *          Body: { rolePermissions: { nurse: ['orders:create', ...] } }; null restores the defaults
+ * @access  Hospital Admin
+ */
+router.put(
+  '/my-hospital/permissions',
+  authenticate,
+  requireHospitalAdmin,
+  [
+    body('rolePermissions').isObject().withMessage('rolePermissions must be an object'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      if (!req.hospitalId) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'You are not associated with any hospital',
+        });
+      }
+
+      const update = PermissionService.buildUpdate(req.body.rolePermissions);
+
+      const hospital = await Hospital.findByIdAndUpdate(req.hospitalId, update, { new: true })
+        .select('security')
+        .lean();
+
+      await logAudit(req.userId, 'UPDATE', 'Hospital', req.hospitalId.toString(), req,
+        `Role permissions changed: ${Object.keys(req.body.rolePermissions).join(', ')}`);
+
+      res.json({
+        message: 'Role permissions updated',
+        data: PermissionService.matrix(hospital),
+      });
+    } catch (error) {
+      if (error.name === 'PermissionError') {
+        return res.status(error.status).json({
+          error: 'Validation error',
+          message: error.message,
+          details: error.details,
+        });
+      }
+      console.error('Update hospital permissions error:', error);
+      res.status(500).json({
+        error: 'Update failed',
+        message: error.message,
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/hospitals/my-hospital/stats
  * @desc    Get hospital statistics
@@ -10,6 +10,7 @@ const {
   requireHospitalAdmin,
 } = require('../middleware/auth.js');
 const { HospitalSharing, Hospital } = require('../models/index.js');
+const NotificationService = require('../services/notification.service.js');
 
 // ============================================
 // HOSPITAL ADMIN ROUTES (Request Sharing)
@@ -27,11 +28,21 @@ router.post(
   [
     body('targetHospitalId').notEmpty().withMessage('Target hospital ID is required'),
     body('requestReason').trim().notEmpty().withMessage('Reason for request is required'),
+    body('scope').optional().isIn(['full', 'limited']).withMessage('Scope must be full or limited'),
+    body('specificPatients').optional().isArray(),
+    body('specificPatients.*').isMongoId().withMessage('Invalid patient ID'),
+    body('permissions').optional().isObject(),
+    body([
+      'permissions.canViewMedicalRecords',
+      'permissions.canViewTestResults',
+      'permissions.canViewPrescriptions',
+      'permissions.canViewDiagnosis',
+    ]).optional().isBoolean().toBoolean(),
     validate,
   ],
   async (req, res) => {
     try {
-      const { targetHospitalId, requestReason, scope, specificPatients } = req.body;
+      const { targetHospitalId, requestReason, scope, specificPatients, permissions } = req.body;
 
       // Can't request sharing with own hospital
       if (targetHospitalId === req.hospitalId.toString()) {
@@ -80,6 +91,7 @@ router.post(
         requestedBy: req.userId,
         scope: scope || 'full',
         specificPatients: specificPatients || [],
+        permissions,
       });
 
       const populatedRequest = await HospitalSharing.findById(sharingRequest._id)
@@ -87,7 +99,14 @@ router.post(
         .populate('targetHospitalId', 'name email')
         .populate('requestedBy', 'firstName lastName email');
 
-      // TODO: Send notification to super admin
+      await NotificationService.notifyUsers({ role: 'super_admin' }, {
+        type: 'sharing_requested',
+        title: 'New record sharing request',
+        message: `${populatedRequest.requestingHospitalId.name} requested access to ${populatedRequest.targetHospitalId.name}`,
+        link: '/dashboard/super-admin/sharing',
+        resourceType: 'HospitalSharing',
+        resourceId: sharingRequest._id,
+      });
 
       res.status(201).json({
         message: 'Sharing request submitted successfully',
@@ -325,7 +344,20 @@ router.post(
         await sharing.save();
       }
 
-      // TODO: Send approval notification to both hospitals
+      await NotificationService.notifyUsers(
+        {
+          role: 'hospital_admin',
+          hospitalId: { $in: [requestingHospital._id, targetHospital._id] },
+        },
+        {
+          type: 'sharing_approved',
+          title: 'Record sharing approved',
+          message: `${requestingHospital.name} can now access records from ${targetHospital.name}`,
+          link: '/dashboard/hospital-admin',
+          resourceType: 'HospitalSharing',
+          resourceId: sharing._id,
+        }
+      );
 
       res.json({
         message: 'Sharing request approved',
@@ -377,7 +409,14 @@ router.post(
 
       await sharing.reject(req.userId, reason);
 
-      // TODO: Send rejection notification
+      await NotificationService.notifyUsers({ role: 'hospital_admin', hospitalId: sharing.requestingHospitalId }, {
+        type: 'sharing_rejected',
+        title: 'Record sharing request rejected',
+        message: reason,
+        link: '/dashboard/hospital-admin',
+        resourceType: 'HospitalSharing',
+        resourceId: sharing._id,
+      });
 
       res.json({
         message: 'Sharing request rejected',
@@ -2,16 +2,25 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const { 
-  requireRole,
   authenticate,
-  requireHealthcareWorker,
+  requirePermission,
   canAccessPatient,
+  canAccessPatientData,
+  findPatientSharings,
+  findPatientDataScope,
   requireSuperAdmin,
   requireHospitalAdmin,
-  requireDepartmentStaff,
 } = require('../middleware/auth.js');
 const { logAudit} = require('../middleware/audit.js');
 const S3Service = require('../services/s3.service.js');
+const ResultAlertService = require('../services/resultAlert.service.js');
+const NotificationService = require('../services/notification.service.js');
+const MailService = require('../services/mail.service.js');
+const SessionService = require('../services/session.service.js');
+const RefreshTokenService = require('../services/refreshToken.service.js');
+const LockoutService = require('../services/lockout.service.js');
+const ConsentService = require('../services/consent.service.js');
+const EmailVerificationService = require('../services/emailVerification.service.js');
 const {
   Hospital,
   Department,
@@ -20,12 +29,11 @@ const {
   MedicalRecord, 
   Prescription, 
   TestResult, 
-  AuditLog, 
   HospitalSharing
 } = require('../models/index.js');
 
 
-const { validate } = require('../middleware/validate.js');
+const { validate, analyteValidators } = require('../middleware/validate.js');
 
 
 // Import new route files
@@ -35,6 +43,11 @@ const departmentRoutes = require('./department.routes.js');
 const testOrderRoutes = require('./testOrder.routes.js');
 const hospitalSharingRoutes = require('./hospitalSharing.routes.js');
 const patientRoutes = require('./patient.routes.js')
+const resultAlertRoutes = require('./resultAlert.routes.js');
+const notificationRoutes = require('./notification.routes.js');
+const emergencyAccessRoutes = require('./emergencyAccess.routes.js');
+const accessFlagRoutes = require('./accessFlag.routes.js');
+const auditLogRoutes = require('./auditLog.routes.js');
 
 
 
@@ -43,14 +56,34 @@ const router = express.Router();
 
 
 
-// Helper function to check if user can access patient from another hospital
-async function canAccessCrossHospital(userHospitalId, patientHospitalId) {
-  if (userHospitalId.toString() === patientHospitalId.toString()) {
-    return true; // Same hospital
+// Shown instead of the diagnosis when an agreement doesn't share diagnoses
+const REDACTED_DIAGNOSIS = 'Not shared';
+
+// Apply sharing agreements to records read through them: hide diagnoses the
+// agreement excludes and count the access (canAccessPatient already counted
+// req.hospitalSharing)
+async function applySharingAgreements(records, sharings, req) {
+  const emergencyHospitalId = req.emergencyAccess?.patientHospitalId?.toString();
+
+  for (const sharing of sharings) {
+    const hospitalId = sharing.targetHospitalId.toString();
+    const shared = records.filter(
+      (record) => (record.hospitalId?._id || record.hospitalId)?.toString() === hospitalId
+    );
+    if (!shared.length) continue;
+
+    if (!sharing.permissions?.canViewDiagnosis && hospitalId !== emergencyHospitalId) {
+      shared.forEach((record) => {
+        record.diagnosis = REDACTED_DIAGNOSIS;
+      });
+    }
+
+    if (sharing._id.toString() !== req.hospitalSharing?._id.toString()) {
+      await sharing.recordAccess();
+    }
   }
-  
-  // Check if cross-hospital sharing is approved
-  return await HospitalSharing.canAccess(userHospitalId, patientHospitalId);
+
+  return records;
 }
 
 
@@ -77,6 +110,21 @@ router.use('/hospital-sharing', hospitalSharingRoutes);
 
 router.use('/patients', patientRoutes);
 
+// Abnormal / critical result alerts
+router.use('/result-alerts', resultAlertRoutes);
+
+// In-app notifications (dashboard bell)
+router.use('/notifications', notificationRoutes);
+
+// Break-the-glass emergency access to other hospitals' patients
+router.use('/emergency-access', emergencyAccessRoutes);
+
+// Suspicious accesses flagged by patients
+router.use('/access-flags', accessFlagRoutes);
+
+// Audit log query and export (admins)
+router.use('/audit-logs', auditLogRoutes);
+
 
 
 
@@ -323,6 +371,20 @@ router.post('/admin/approve/:userId', authenticate, requireHospitalAdmin, async
 
     await user.save();
 
+    await NotificationService.notify([user._id], {
+      type: 'account_approved',
+      title: 'Your account has been approved',
+      message: 'You can now use all features available to your role',
+      link: `/dashboard/${user.role.replace('_', '-')}`,
+      resourceType: 'User',
+      resourceId: user._id,
+    });
+
+    await MailService.send(user.email, 'accountApproved', { firstName: user.firstName });
+
+    // The link sent at sign-up may have expired while waiting for approval
+    await EmailVerificationService.sendVerification(user);
+
     await logAudit(req.userId, 'APPROVE', 'User', userId, {
       role: user.role,
       hospitalId: req.hospitalId,
@@ -440,6 +502,16 @@ router.post(
 
       await user.save();
 
+      await NotificationService.notify([user._id], {
+        type: 'account_rejected',
+        title: 'Your account application was not approved',
+        message: reason || 'Contact your hospital administrator for details',
+        resourceType: 'User',
+        resourceId: user._id,
+      });
+
+      await MailService.send(user.email, 'accountRejected', { firstName: user.firstName, reason });
+
       await logAudit(req.userId, 'REJECT', 'User', userId, {
         reason,
         hospitalId: req.hospitalId,
@@ -647,6 +719,225 @@ router.put(
   }
 );
 
+/**
+ * Load a staff member of the admin's hospital, or send 404/403
+ * (super admins can manage any account)
+ */
+async function findHospitalStaff(req, res) {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'User not found',
+    });
+    return null;
+  }
+
+  const isOwnStaff = user.role !== 'patient' &&
+    !!user.hospitalId && user.hospitalId.toString() === req.hospitalId?.toString();
+
+  if (req.user.role !== 'super_admin' && !isOwnStaff) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only manage staff in your hospital',
+    });
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * @route   GET /api/admin/users/locked
+ * @desc    List staff accounts locked after too many failed sign-ins
+ * @access  Hospital Admin
+ */
+router.get('/admin/users/locked', authenticate, requireHospitalAdmin, async (req, res) => {
+  try {
+    const filter = req.user.role === 'super_admin'
+      ? {}
+      : { hospitalId: req.hospitalId, role: { $ne: 'patient' } };
+
+    const users = await LockoutService.listLocked(filter);
+
+    res.json({
+      count: users.length,
+      data: users,
+    });
+  } catch (error) {
+    console.error('Fetch locked users error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch locked accounts',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:userId/unlock
+ * @desc    Unlock a staff account locked after failed sign-ins
+ * @access  Hospital Admin
+ */
+router.post(
+  '/admin/users/:userId/unlock',
+  authenticate,
+  requireHospitalAdmin,
+  [param('userId').isMongoId(), validate],
+  async (req, res) => {
+    try {
+      const user = await findHospitalStaff(req, res);
+      if (!user) return;
+
+      await LockoutService.unlock(user._id);
+
+      await logAudit(req.userId, 'UPDATE', 'User', user._id.toString(), req,
+        `Unlocked account of ${user.email}`);
+
+      res.json({ message: 'Account unlocked' });
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      res.status(500).json({
+        error: 'Failed to unlock account',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/users/:userId/sessions
+ * @desc    List a staff member's active sessions
+ * @access  Hospital Admin
+ */
+router.get(
+  '/admin/users/:userId/sessions',
+  authenticate,
+  requireHospitalAdmin,
+  [param('userId').isMongoId(), validate],
+  async (req, res) => {
+    try {
+      const user = await findHospitalStaff(req, res);
+      if (!user) return;
+
+      const sessions = await SessionService.listActive(user._id);
+
+      res.json({
+        count: sessions.length,
+        data: sessions,
+      });
+    } catch (error) {
+      console.error('Fetch user sessions error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch sessions',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/sessions/:sessionId
+ * @desc    Terminate one of a staff member's sessions
+ * @access  Hospital Admin
+ */
+router.delete(
+  '/admin/users/:userId/sessions/:sessionId',
+  authenticate,
+  requireHospitalAdmin,
+  [param('userId').isMongoId(), validate],
+  async (req, res) => {
+    try {
+      const user = await findHospitalStaff(req, res);
+      if (!user) return;
+
+      const session = await SessionService.findForUser(user._id, req.params.sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Session not found',
+        });
+      }
+
+      await RefreshTokenService.revokeFamily(session.familyId, 'admin_revoked', req.userId);
+
+      await logAudit(req.userId, 'DELETE', 'Session', session.familyId, req,
+        `Terminated ${user.email} session on ${session.device}`);
+
+      res.json({ message: 'Session terminated' });
+    } catch (error) {
+      console.error('Terminate session error:', error);
+      res.status(500).json({
+        error: 'Failed to terminate session',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/sessions
+ * @desc    Terminate all of a staff member's sessions
+ * @access  Hospital Admin
+ */
+router.delete(
+  '/admin/users/:userId/sessions',
+  authenticate,
+  requireHospitalAdmin,
+  [param('userId').isMongoId(), validate],
+  async (req, res) => {
+    try {
+      const user = await findHospitalStaff(req, res);
+      if (!user) return;
+
+      await RefreshTokenService.revokeAllForUser(user._id, 'admin_revoked', req.userId);
+
+      await logAudit(req.userId, 'DELETE', 'Session', user._id.toString(), req,
+        `Terminated all sessions of ${user.email}`);
+
+      res.json({ message: 'All sessions terminated' });
+    } catch (error) {
+      console.error('Terminate sessions error:', error);
+      res.status(500).json({
+        error: 'Failed to terminate sessions',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/require-password-change
+ * @desc    Make a staff member choose a new password at their next request
+ * @access  Hospital Admin
+ */
+router.post(
+  '/admin/users/:userId/require-password-change',
+  authenticate,
+  requireHospitalAdmin,
+  [param('userId').isMongoId(), validate],
+  async (req, res) => {
+    try {
+      const user = await findHospitalStaff(req, res);
+      if (!user) return;
+
+      await User.updateOne({ _id: user._id }, { $set: { mustChangePassword: true } });
+
+      await logAudit(req.userId, 'UPDATE', 'User', user._id.toString(), req,
+        `Required ${user.email} to change password`);
+
+      res.json({ message: 'User must change their password' });
+    } catch (error) {
+      console.error('Require password change error:', error);
+      res.status(500).json({
+        error: 'Failed to require password change',
+        message: error.message,
+      });
+    }
+  }
+);
+
 
 
 
@@ -746,7 +1037,7 @@ router.get('/patients/:patientId',
   canAccessPatient,
   param('patientId').isMongoId(),
   validate,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const patient = await User.findOne({
         _id: req.params.patientId,
@@ -757,10 +1048,11 @@ router.get('/patients/:patientId',
         return res.status(404).json({ error: 'Patient not found' });
       }
 
-      await logAudit(req.user._id, 'READ', 'patient', patient._id.toString(), req);
+      await logAudit(req.user._id, 'READ', 'patient', patient._id.toString(), req, null, patient._id);
 
       res.json(patient);
     } catch (error) {
+      if (error.name === 'AuditWriteError') return next(error);
       console.error('Get patient error:', error);
       res.status(500).json({ error: 'Failed to get patient' });
     }
@@ -857,40 +1149,24 @@ router.get('/patients/:patientId',
 router.get(
   '/medical-records/patient/:patientId',
   authenticate,
-  canAccessPatient,
-  async (req, res) => {
+  canAccessPatientData('medicalRecords'),
+  async (req, res, next) => {
     try {
       const { patientId } = req.params;
       const { hospitalId } = req.query; // Optional: filter by hospital
 
       const query = { patientId };
 
-      // If user is patient, show all their records from all hospitals
-      if (req.user.role === 'patient') {
-        // No hospital filter - show everything
-      } else {
-        // Healthcare worker or admin
+      // Patients see their records from every hospital; staff see their
+      // hospital's, shared hospitals' and (break-the-glass) the patient's hospital's
+      const { hospitalIds, sharings } = await findPatientDataScope(req, patientId, 'medicalRecords');
+
+      if (hospitalIds) {
+        query.hospitalId = { $in: hospitalIds };
+
         if (hospitalId) {
-          // Filter by specific hospital
-          query.hospitalId = hospitalId;
-        } else {
-          // Show records from user's hospital + shared hospitals
-          const accessibleHospitals = [req.hospitalId];
-          
-          // Get shared hospitals
-          const sharings = await HospitalSharing.find({
-            requestingHospitalId: req.hospitalId,
-            status: 'approved',
-            isActive: true,
-          });
-          
-          sharings.forEach((sharing) => {
-            if (!sharing.isExpired) {
-              accessibleHospitals.push(sharing.targetHospitalId);
-            }
-          });
-          
-          query.hospitalId = { $in: accessibleHospitals };
+          // Filter by specific hospital (still limited to accessible ones)
+          query.hospitalId = { $in: hospitalIds.filter((id) => id?.toString() === hospitalId) };
         }
       }
 
@@ -907,11 +1183,16 @@ router.get(
         })
         .sort({ visitDate: -1 });
 
+      await applySharingAgreements(records, sharings, req);
+
+      await logAudit(req.userId, 'READ', 'medical_records', patientId, req, null, patientId);
+
       res.json({
         count: records.length,
         data: records,
       });
     } catch (error) {
+      if (error.name === 'AuditWriteError') return next(error);
       console.error('Fetch medical records error:', error);
       res.status(500).json({
         error: 'Failed to fetch medical records',
@@ -929,7 +1210,7 @@ router.get(
 router.post(
   '/medical-records',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('records:write'),
   [
     body('patientId').notEmpty().withMessage('Patient ID is required'),
     body('diagnosis').trim().notEmpty().withMessage('Diagnosis is required'),
@@ -1004,22 +1285,29 @@ router.post(
  */
 router.get('/patients/:patientId/medical-records',
   authenticate,
-  canAccessPatient,
   param('patientId').isMongoId(),
   validate,
-  async (req, res) => {
+  canAccessPatientData('medicalRecords'),
+  async (req, res, next) => {
     try {
-      const records = await MedicalRecord.find({
-        patientId: req.params.patientId,
-      })
+      const query = { patientId: req.params.patientId };
+
+      // Same hospital limits as GET /medical-records/patient/:patientId
+      const { hospitalIds, sharings } = await findPatientDataScope(req, req.params.patientId, 'medicalRecords');
+      if (hospitalIds) query.hospitalId = { $in: hospitalIds };
+
+      const records = await MedicalRecord.find(query)
       .populate('doctorId', 'firstName lastName specialization')
       .sort({ visitDate: -1 })
       .limit(100);
 
-      await logAudit(req.user._id, 'READ', 'medical_records', req.params.patientId, req);
+      await applySharingAgreements(records, sharings, req);
+
+      await logAudit(req.user._id, 'READ', 'medical_records', req.params.patientId, req, null, req.params.patientId);
 
       res.json(records);
     } catch (error) {
+      if (error.name === 'AuditWriteError') return next(error);
       console.error('Get medical records error:', error);
       res.status(500).json({ error: 'Failed to get records' });
     }
@@ -1034,7 +1322,7 @@ router.get('/patients/:patientId/medical-records',
  * @desc    Get single medical record
  * @access  Doctor, Nurse, Patient (own data)
  */
-router.get('/medical-records/:recordId', authenticate, async (req, res) => {
+router.get('/medical-records/:recordId', authenticate, async (req, res, next) => {
   try {
     const { recordId } = req.params;
 
@@ -1063,17 +1351,24 @@ router.get('/medical-records/:recordId', authenticate, async (req, res) => {
                       record.patientId._id.toString() === req.userId.toString();
     const isDoctor = record.doctorId._id.toString() === req.userId.toString();
     const isSameHospital = record.hospitalId._id.toString() === req.hospitalId?.toString();
-    const canAccessShared = await canAccessCrossHospital(req.hospitalId, record.hospitalId._id);
+    const sharings = !isPatient && !isDoctor && !isSameHospital && req.hospitalId
+      ? await findPatientSharings(req, record.patientId._id, 'medicalRecords', record.hospitalId._id)
+      : [];
 
-    if (!isPatient && !isDoctor && !isSameHospital && !canAccessShared && req.user.role !== 'super_admin') {
+    if (!isPatient && !isDoctor && !isSameHospital && !sharings.length && req.user.role !== 'super_admin') {
       return res.status(403).json({
         error: 'Forbidden',
         message: 'You do not have permission to view this record',
       });
     }
 
+    await applySharingAgreements([record], sharings, req);
+
+    await logAudit(req.userId, 'READ', 'MedicalRecord', record._id.toString(), req, null, record.patientId._id);
+
     res.json({ data: record });
   } catch (error) {
+    if (error.name === 'AuditWriteError') return next(error);
     console.error('Fetch medical record error:', error);
     res.status(500).json({
       error: 'Failed to fetch medical record',
@@ -1094,7 +1389,7 @@ router.get('/medical-records/:recordId', authenticate, async (req, res) => {
 router.put(
   '/medical-records/:recordId',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('records:write'),
   async (req, res) => {
     try {
       const { recordId } = req.params;
@@ -1173,7 +1468,7 @@ router.put(
  */
 router.patch('/medical-records/:id',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('records:write'),
   param('id').isMongoId(),
   validate,
   async (req, res) => {
@@ -1279,11 +1574,11 @@ router.get(
 /**
  * CREATE PRESCRIPTION
  * POST /api/prescriptions
- * Only doctors can prescribe
+ * Requires prescriptions:create (doctors by default)
  */
 router.post('/prescriptions',
   authenticate,
-  requireRole('doctor', 'admin'),
+  requirePermission('prescriptions:create'),
   [
     body('patientId').isMongoId(),
     body('medicationName').trim().notEmpty(),
@@ -1312,6 +1607,15 @@ router.post('/prescriptions',
 
       await prescription.populate('doctorId', 'firstName lastName specialization');
 
+      await NotificationService.notify([patient._id], {
+        type: 'prescription_created',
+        title: `New prescription: ${prescription.medicationName}`,
+        message: `${prescription.dosage}, ${prescription.frequency} for ${prescription.duration}`,
+        link: '/dashboard/patient/prescriptions',
+        resourceType: 'Prescription',
+        resourceId: prescription._id,
+      });
+
       await logAudit(
         req.user._id,
         'CREATE',
@@ -1359,37 +1663,22 @@ router.post('/prescriptions',
 router.get(
   '/prescriptions/patient/:patientId',
   authenticate,
-  canAccessPatient,
-  async (req, res) => {
+  canAccessPatientData('prescriptions'),
+  async (req, res, next) => {
     try {
       const { patientId } = req.params;
       const { hospitalId, status } = req.query;
 
       const query = { patientId };
 
-      // Apply hospital filter based on user role
-      if (req.user.role === 'patient') {
-        // Patients see all their prescriptions
-      } else {
+      // Patients see all their prescriptions; staff only accessible hospitals'
+      const { hospitalIds, sharings } = await findPatientDataScope(req, patientId, 'prescriptions');
+
+      if (hospitalIds) {
+        query.hospitalId = { $in: hospitalIds };
+
         if (hospitalId) {
-          query.hospitalId = hospitalId;
-        } else {
-          // Show prescriptions from accessible hospitals
-          const accessibleHospitals = [req.hospitalId];
-          
-          const sharings = await HospitalSharing.find({
-            requestingHospitalId: req.hospitalId,
-            status: 'approved',
-            isActive: true,
-          });
-          
-          sharings.forEach((sharing) => {
-            if (!sharing.isExpired) {
-              accessibleHospitals.push(sharing.targetHospitalId);
-            }
-          });
-          
-          query.hospitalId = { $in: accessibleHospitals };
+          query.hospitalId = { $in: hospitalIds.filter((id) => id?.toString() === hospitalId) };
         }
       }
 
@@ -1400,11 +1689,16 @@ router.get(
         .populate('hospitalId', 'name')
         .sort({ prescribedDate: -1 });
 
+      await applySharingAgreements(prescriptions, sharings, req);
+
+      await logAudit(req.userId, 'READ', 'prescriptions', patientId, req, null, patientId);
+
       res.json({
         count: prescriptions.length,
         data: prescriptions,
       });
     } catch (error) {
+      if (error.name === 'AuditWriteError') return next(error);
       console.error('Fetch prescriptions error:', error);
       res.status(500).json({
         error: 'Failed to fetch prescriptions',
@@ -1460,7 +1754,7 @@ router.get(
 router.post(
   '/prescriptions',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('prescriptions:create'),
   [
     body('patientId').notEmpty().withMessage('Patient ID is required'),
     body('medication').trim().notEmpty().withMessage('Medication is required'),
@@ -1505,6 +1799,15 @@ router.post(
         .populate('doctorId', 'firstName lastName specialization')
         .populate('hospitalId', 'name');
 
+      await NotificationService.notify([patientId], {
+        type: 'prescription_created',
+        title: `New prescription: ${medication}`,
+        message: `${dosage}, ${frequency} for ${duration}`,
+        link: '/dashboard/patient/prescriptions',
+        resourceType: 'Prescription',
+        resourceId: prescription._id,
+      });
+
       await logAudit(req.userId, 'CREATE', 'Prescription', prescription._id, {
         patientId,
         medication,
@@ -1746,7 +2049,7 @@ router.post(
  */
 router.patch('/prescriptions/:id',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('prescriptions:update'),
   param('id').isMongoId(),
   body('isActive').isBoolean(),
   validate,
@@ -1781,14 +2084,15 @@ router.patch('/prescriptions/:id',
  */
 router.post('/test-results',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('results:record'),
   [
     body('patientId').isMongoId(),
     body('testName').trim().notEmpty(),
     body('testType').trim().notEmpty(),
     body('testDate').isISO8601().toDate(),
-    body('result').trim().notEmpty(),
+    body('result').if(body('analytes').not().exists()).trim().notEmpty(),
     body('hospitalName').trim().notEmpty(),
+    ...analyteValidators,
   ],
   validate,
   async (req, res) => {
@@ -1805,8 +2109,11 @@ router.post('/test-results',
       const testResult = await TestResult.create({
         ...req.body,
         orderedBy: req.user._id,
+        hospitalId: req.hospitalId,
       });
 
+      await ResultAlertService.raiseForTestResult(testResult, req.hospitalId);
+
       await testResult.populate('orderedBy', 'firstName lastName role');
 
       await logAudit(req.user._id, 'CREATE', 'test_result', testResult._id.toString(), req);
@@ -1829,17 +2136,22 @@ router.post('/test-results',
  */
 router.get('/test-results/patient/:patientId',
   authenticate,
-  canAccessPatient,
-  async (req, res) => {
+  canAccessPatientData('testResults'),
+  async (req, res, next) => {
     try {
-      const testResults = await TestResult.find({ 
-        patientId: req.params.patientId 
-      })
+      const query = { patientId: req.params.patientId };
+      const { hospitalIds } = await findPatientDataScope(req, req.params.patientId, 'testResults');
+      if (hospitalIds) query.hospitalId = { $in: hospitalIds };
+
+      const testResults = await TestResult.find(query)
         .populate('orderedBy', 'firstName lastName specialization')
         .sort({ testDate: -1 });
 
+      await logAudit(req.user._id, 'READ', 'test_results', req.params.patientId, req, null, req.params.patientId);
+
       res.json(testResults);
     } catch (error) {
+      if (error.name === 'AuditWriteError') return next(error);
       console.error('Get test results error:', error);
       res.status(500).json({ error: 'Failed to get test results' });
     }
@@ -1852,14 +2164,15 @@ router.get('/test-results/patient/:patientId',
  */
 router.post('/test-results',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('results:record'),
   [
     body('patientId').isMongoId(),
     body('testName').trim().notEmpty(),
     body('testType').trim().notEmpty(),
     body('testDate').isISO8601().toDate(),
-    body('result').trim().notEmpty(),
+    body('result').if(body('analytes').not().exists()).trim().notEmpty(),
     body('hospitalName').trim().notEmpty(),
+    ...analyteValidators,
   ],
   validate,
   async (req, res) => {
@@ -1867,8 +2180,11 @@ router.post('/test-results',
       const testResult = await TestResult.create({
         ...req.body,
         orderedBy: req.user._id,
+        hospitalId: req.hospitalId,
       });
 
+      await ResultAlertService.raiseForTestResult(testResult, req.hospitalId);
+
       await logAudit(
         req.user._id,
         'CREATE',
@@ -1891,7 +2207,7 @@ router.post('/test-results',
  */
 router.post('/test-results/upload',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('results:record'),
   upload.single('file'),
   async (req, res) => {
     try {
@@ -1920,22 +2236,25 @@ router.post('/test-results/upload',
  */
 router.get('/patients/:patientId/test-results',
   authenticate,
-  canAccessPatient,
+  canAccessPatientData('testResults'),
   param('patientId').isMongoId(),
   validate,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const testResults = await TestResult.find({
-        patientId: req.params.patientId,
-      })
+      const query = { patientId: req.params.patientId };
+      const { hospitalIds } = await findPatientDataScope(req, req.params.patientId, 'testResults');
+      if (hospitalIds) query.hospitalId = { $in: hospitalIds };
+
+      const testResults = await TestResult.find(query)
       .populate('orderedBy', 'firstName lastName role')
       .sort({ testDate: -1 })
       .limit(100);
 
-      await logAudit(req.user._id, 'READ', 'test_results', req.params.patientId, req);
+      await logAudit(req.user._id, 'READ', 'test_results', req.params.patientId, req, null, req.params.patientId);
 
       res.json(testResults);
     } catch (error) {
+      if (error.name === 'AuditWriteError') return next(error);
       console.error('Get test results error:', error);
       res.status(500).json({ error: 'Failed to get test results' });
     }
@@ -1948,7 +2267,7 @@ router.get('/patients/:patientId/test-results',
  */
 router.post('/test-results/:id/upload',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('results:record'),
   upload.single('file'),
   param('id').isMongoId(),
   validate,
@@ -1994,61 +2313,6 @@ router.post('/test-results/:id/upload',
   }
 );
 
-// ==================== AUDIT LOGS ====================
-
-/**
- * GET AUDIT LOGS
- * GET /api/audit-logs
- * Healthcare workers can view all, patients see only their own
- */
-router.get('/audit-logs',
-  authenticate,
-  async (req, res) => {
-    try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
-      const skip = (page - 1) * limit;
-
-      const query = {};
-
-      // Patients can only see logs about themselves
-      if (req.user.role === 'patient') {
-        query.affectedPatientId = req.user._id;
-      }
-
-      // Filter by action type if provided
-      if (req.query.action) {
-        query.action = req.query.action;
-      }
-
-      const [logs, total] = await Promise.all([
-        AuditLog.find(query)
-          .populate('userId', 'firstName lastName role')
-          .sort({ timestamp: -1 })
-          .skip(skip)
-          .limit(limit),
-        AuditLog.countDocuments(query),
-      ]);
-
-      res.json({
-        logs,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit),
-        },
-      });
-    } catch (error) {
-      console.error('Get audit logs error:', error);
-      res.status(500).json({ error: 'Failed to get audit logs' });
-    }
-  }
-);
-
-
-
-
 // ============================================
 // USER PROFILE
 // ============================================
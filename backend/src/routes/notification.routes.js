@@ -0,0 +1,103 @@
+// backend/src/routes/notification.routes.js
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { validate } = require('../middleware/validate.js');
+const { authenticate } = require('../middleware/auth.js');
+const { Notification } = require('../models/index.js');
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications (newest first).
+ *          ?unread=true returns only unread ones; ?limit= caps the list (max 100).
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('unread').optional().isBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const filter = { userId: req.userId };
+      if (req.query.unread === 'true') filter.isRead = false;
+
+      const [notifications, unreadCount] = await Promise.all([
+        Notification.find(filter)
+          .sort({ createdAt: -1 })
+          .limit(parseInt(req.query.limit, 10) || 20),
+        Notification.countUnread(req.userId),
+      ]);
+
+      res.json({ success: true, count: notifications.length, unreadCount, data: notifications });
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      res.status(500).json({ error: 'Failed to fetch notifications', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Number of unread notifications (for the bell badge)
+ * @access  Private
+ */
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.userId);
+    res.json({ success: true, unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Failed to fetch unread count', message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark every notification as read
+ * @access  Private
+ */
+router.put('/read-all', authenticate, async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.userId);
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Update failed', message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/:notificationId/read
+ * @desc    Mark a single notification as read
+ * @access  Private (recipient only)
+ */
+router.put('/:notificationId/read', authenticate, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      userId: req.userId,
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Not Found', message: 'Notification not found' });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ message: 'Notification marked as read', data: notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Update failed', message: error.message });
+  }
+});
+
+module.exports = router;
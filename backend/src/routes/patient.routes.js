@@ -2,17 +2,333 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticate, requireHealthcareWorker } = require('../middleware/auth.js');
-const { User, HospitalSharing } = require('../models/index.js');
+const { body, query } = require('express-validator');
+const { validate } = require('../middleware/validate.js');
+const { authenticate, requirePatient, requirePermission } = require('../middleware/auth.js');
+const { logAudit } = require('../middleware/audit.js');
+const { User, Hospital, HospitalSharing, Consent } = require('../models/index.js');
+const ConsentService = require('../services/consent.service.js');
+const AccessReportService = require('../services/accessReport.service.js');
+
+const insurancePolicyValidators = [
+  body('coveragePercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Coverage must be between 0 and 100 percent'),
+  body('coPayAmount').optional().isFloat({ min: 0 }).withMessage('Co-pay must be a positive amount'),
+  body('validFrom').optional().isISO8601().withMessage('Invalid start date'),
+  body('validTo').optional().isISO8601().withMessage('Invalid end date'),
+  body('isPrimary').optional().isBoolean(),
+  body('isActive').optional().isBoolean(),
+  validate,
+];
+
+const INSURANCE_POLICY_FIELDS = [
+  'provider', 'policyNumber', 'memberId', 'groupNumber', 'coveragePercent',
+  'coPayAmount', 'validFrom', 'validTo', 'isPrimary', 'isActive',
+];
+
+// Only one policy can be primary
+function setPrimaryPolicy(patient, policy) {
+  if (policy.isPrimary) {
+    patient.insurancePolicies.forEach(other => {
+      if (other._id.toString() !== policy._id.toString()) {
+        other.isPrimary = false;
+      }
+    });
+  }
+}
+
+/**
+ * @route   GET /api/patients/me/insurance
+ * @desc    Get my insurance policies
+ * @access  Patient
+ */
+router.get('/me/insurance', authenticate, requirePatient, async (req, res) => {
+  try {
+    const patient = await User.findById(req.userId).select('insurancePolicies');
+    res.json({ count: patient.insurancePolicies.length, data: patient.insurancePolicies });
+  } catch (error) {
+    console.error('Get insurance policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch insurance policies', message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/me/insurance
+ * @desc    Add an insurance policy
+ * @access  Patient
+ */
+router.post(
+  '/me/insurance',
+  authenticate,
+  requirePatient,
+  [
+    body('provider').trim().notEmpty().withMessage('Insurance provider is required'),
+    body('policyNumber').trim().notEmpty().withMessage('Policy number is required'),
+    ...insurancePolicyValidators,
+  ],
+  async (req, res) => {
+    try {
+      const patient = await User.findById(req.userId);
+
+      const policyData = {};
+      INSURANCE_POLICY_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) policyData[field] = req.body[field];
+      });
+
+      // The first policy becomes primary
+      if (patient.insurancePolicies.length === 0) {
+        policyData.isPrimary = true;
+      }
+
+      patient.insurancePolicies.push(policyData);
+      const policy = patient.insurancePolicies[patient.insurancePolicies.length - 1];
+      setPrimaryPolicy(patient, policy);
+      await patient.save();
+
+      await logAudit(req.userId, 'CREATE', 'InsurancePolicy', policy._id.toString(), req, policy.provider, req.userId);
+
+      res.status(201).json({ message: 'Insurance policy added', data: policy });
+    } catch (error) {
+      console.error('Add insurance policy error:', error);
+      res.status(500).json({ error: 'Failed to add insurance policy', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/patients/me/insurance/:policyId
+ * @desc    Update an insurance policy
+ * @access  Patient
+ */
+router.put(
+  '/me/insurance/:policyId',
+  authenticate,
+  requirePatient,
+  [
+    body('provider').optional().trim().notEmpty(),
+    body('policyNumber').optional().trim().notEmpty(),
+    ...insurancePolicyValidators,
+  ],
+  async (req, res) => {
+    try {
+      const patient = await User.findById(req.userId);
+      const policy = patient.insurancePolicies.id(req.params.policyId);
+
+      if (!policy) {
+        return res.status(404).json({ error: 'Not Found', message: 'Insurance policy not found' });
+      }
+
+      INSURANCE_POLICY_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) policy[field] = req.body[field];
+      });
+      setPrimaryPolicy(patient, policy);
+      await patient.save();
+
+      await logAudit(req.userId, 'UPDATE', 'InsurancePolicy', policy._id.toString(), req, policy.provider, req.userId);
+
+      res.json({ message: 'Insurance policy updated', data: policy });
+    } catch (error) {
+      console.error('Update insurance policy error:', error);
+      res.status(500).json({ error: 'Failed to update insurance policy', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/patients/me/insurance/:policyId
+ * @desc    Remove an insurance policy
+ * @access  Patient
+ */
+router.delete('/me/insurance/:policyId', authenticate, requirePatient, async (req, res) => {
+  try {
+    const patient = await User.findById(req.userId);
+    const policy = patient.insurancePolicies.id(req.params.policyId);
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Not Found', message: 'Insurance policy not found' });
+    }
+
+    policy.deleteOne();
+    await patient.save();
+
+    await logAudit(req.userId, 'DELETE', 'InsurancePolicy', req.params.policyId, req, policy.provider, req.userId);
+
+    res.json({ message: 'Insurance policy removed' });
+  } catch (error) {
+    console.error('Remove insurance policy error:', error);
+    res.status(500).json({ error: 'Failed to remove insurance policy', message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/me/consents
+ * @desc    My sharing consents, including revoked ones (newest first)
+ * @access  Patient
+ */
+router.get('/me/consents', authenticate, requirePatient, async (req, res) => {
+  try {
+    const consents = await ConsentService.history(req.userId);
+    res.json({ count: consents.length, data: consents });
+  } catch (error) {
+    console.error('Get consents error:', error);
+    res.status(500).json({ error: 'Failed to fetch consents', message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/patients/me/consent-hospitals
+ * @desc    Hospitals a patient can give consent to
+ * @access  Patient
+ */
+router.get('/me/consent-hospitals', authenticate, requirePatient, async (req, res) => {
+  try {
+    const hospitals = await Hospital.find({ approvalStatus: 'approved' })
+      .select('name address.city')
+      .sort({ name: 1 });
+    res.json({ count: hospitals.length, data: hospitals });
+  } catch (error) {
+    console.error('Get consent hospitals error:', error);
+    res.status(500).json({ error: 'Failed to fetch hospitals', message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/patients/me/consents
+ * @desc    Consent to a hospital seeing my records through a sharing agreement.
+ *          Replaces any active consent for the same hospital
+ * @access  Patient
+ */
+router.post(
+  '/me/consents',
+  authenticate,
+  requirePatient,
+  [
+    body('hospitalId').isMongoId().withMessage('Valid hospital is required'),
+    body('resources').optional().isArray({ min: 1 }).withMessage('Choose at least one kind of record'),
+    body('resources.*').isIn(ConsentService.CONSENT_RESOURCES).withMessage('Unknown record type'),
+    body('validFrom').optional().isISO8601().withMessage('Invalid start date'),
+    body('validUntil').optional().isISO8601().withMessage('Invalid end date'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const consent = await ConsentService.grant(req.userId, req.body);
+
+      await logAudit(req.userId, 'CREATE', 'Consent', consent._id.toString(), req,
+        `Consent granted: ${consent.resources.join(', ')}`, req.userId);
+
+      res.status(201).json({ message: 'Consent granted', data: consent });
+    } catch (error) {
+      if (error.name !== 'ConsentError') {
+        console.error('Grant consent error:', error);
+      }
+      res.status(error.status || 500).json({ error: 'Failed to grant consent', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/patients/me/consents/:consentId/revoke
+ * @desc    Revoke a consent. It stays in the history
+ * @access  Patient
+ */
+router.post(
+  '/me/consents/:consentId/revoke',
+  authenticate,
+  requirePatient,
+  [
+    body('reason').optional().trim().isLength({ max: 500 }),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const consent = await Consent.findOne({ _id: req.params.consentId, patientId: req.userId }).catch(() => null);
+
+      if (!consent) {
+        return res.status(404).json({ error: 'Not Found', message: 'Consent not found' });
+      }
+
+      await ConsentService.revoke(consent, req.body.reason);
+
+      await logAudit(req.userId, 'UPDATE', 'Consent', consent._id.toString(), req,
+        `Consent revoked${req.body.reason ? ` - ${req.body.reason}` : ''}`, req.userId);
+
+      res.json({ message: 'Consent revoked', data: consent });
+    } catch (error) {
+      if (error.name !== 'ConsentError') {
+        console.error('Revoke consent error:', error);
+      }
+      res.status(error.status || 500).json({ error: 'Failed to revoke consent', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/patients/me/access-history
+ * @desc    Who accessed my records (paginated). Filters: resource, role,
+ *          crossHospital (true|false), from, to
+ * @access  Patient
+ */
+router.get(
+  '/me/access-history',
+  authenticate,
+  requirePatient,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('resource').optional().isIn(Object.keys(AccessReportService.RESOURCE_GROUPS)),
+    query('crossHospital').optional().isIn(['true', 'false']),
+    query('from').optional().isISO8601().withMessage('Invalid start date'),
+    query('to').optional().isISO8601().withMessage('Invalid end date'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const report = await AccessReportService.history(req.user, req.query);
+      res.json(report);
+    } catch (error) {
+      console.error('Get access history error:', error);
+      res.status(500).json({ error: 'Failed to fetch access history', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/patients/me/access-history/:logId/flag
+ * @desc    Report an access as suspicious to the hospital admins
+ * @access  Patient
+ */
+router.post(
+  '/me/access-history/:logId/flag',
+  authenticate,
+  requirePatient,
+  [
+    body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('Please say why this access looks suspicious'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const flag = await AccessReportService.flag(req.user, req.params.logId, req.body.reason);
+
+      await logAudit(req.userId, 'CREATE', 'AccessFlag', flag._id.toString(), req, req.body.reason, req.userId);
+
+      res.status(201).json({ message: 'Thank you. The hospital has been asked to review this access', data: flag });
+    } catch (error) {
+      if (error.name !== 'AccessReportError') {
+        console.error('Flag access error:', error);
+      }
+      res.status(error.status || 500).json({ error: 'Failed to flag access', message: error.message });
+    }
+  }
+);
 
 /**
  * @route   GET /api/patients/search
  * @desc    Search patients by name, email, or phone
- * @access  Healthcare Workers (doctors, nurses)
+ * @access  patients:read (doctors, nurses)
  */
 // backend/src/routes/patient.routes.js - FIND THE SEARCH ROUTE AND UPDATE
 
-router.get('/search', authenticate, requireHealthcareWorker, async (req, res) => {
+router.get('/search', authenticate, requirePermission('patients:read'), async (req, res) => {
   try {
     const { q } = req.query;
 
@@ -61,12 +377,45 @@ router.get('/search', authenticate, requireHealthcareWorker, async (req, res) =>
     });
   }
 });
+/**
+ * @route   GET /api/patients/:patientId/insurance
+ * @desc    Get a patient's insurance policies
+ * @access  insurance:read (same hospital)
+ */
+router.get(
+  '/:patientId/insurance',
+  authenticate,
+  requirePermission('insurance:read'),
+  async (req, res, next) => {
+    try {
+      const patient = await User.findOne({ _id: req.params.patientId, role: 'patient' })
+        .select('firstName lastName hospitalId insurancePolicies');
+
+      if (!patient) {
+        return res.status(404).json({ error: 'Not Found', message: 'Patient not found' });
+      }
+
+      if (req.user.role !== 'super_admin' && patient.hospitalId?.toString() !== req.hospitalId?.toString()) {
+        return res.status(403).json({ error: 'Forbidden', message: 'You can only access patients in your hospital' });
+      }
+
+      await logAudit(req.userId, 'READ', 'InsurancePolicy', 'multiple', req, null, patient._id);
+
+      res.json({ count: patient.insurancePolicies.length, data: patient.insurancePolicies });
+    } catch (error) {
+      if (error.name === 'AuditWriteError') return next(error);
+      console.error('Get patient insurance error:', error);
+      res.status(500).json({ error: 'Failed to fetch insurance policies', message: error.message });
+    }
+  }
+);
+
 /**
  * @route   GET /api/patients/:patientId
  * @desc    Get patient details
- * @access  Healthcare Workers
+ * @access  patients:read
  */
-router.get('/:patientId', authenticate, requireHealthcareWorker, async (req, res) => {
+router.get('/:patientId', authenticate, requirePermission('patients:read'), async (req, res, next) => {
   try {
     const { patientId } = req.params;
 
@@ -92,10 +441,13 @@ router.get('/:patientId', authenticate, requireHealthcareWorker, async (req, res
       });
     }
 
+    await logAudit(req.userId, 'READ', 'patient', patient._id.toString(), req, null, patient._id);
+
     res.json({
       data: patient,
     });
   } catch (error) {
+    if (error.name === 'AuditWriteError') return next(error);
     console.error('Get patient error:', error);
     res.status(500).json({
       error: 'Failed to fetch patient',
@@ -107,9 +459,9 @@ router.get('/:patientId', authenticate, requireHealthcareWorker, async (req, res
 /**
  * @route   GET /api/patients
  * @desc    Get all patients in hospital
- * @access  Healthcare Workers
+ * @access  patients:read
  */
-router.get('/', authenticate, requireHealthcareWorker, async (req, res) => {
+router.get('/', authenticate, requirePermission('patients:read'), async (req, res) => {
   try {
     const { limit = 50, page = 1 } = req.query;
 
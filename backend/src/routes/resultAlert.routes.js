@@ -0,0 +1,100 @@
+// backend/src/routes/resultAlert.routes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const { validate } = require('../middleware/validate.js');
+const { authenticate, requirePermission } = require('../middleware/auth.js');
+const { logAudit } = require('../middleware/audit.js');
+const ResultAlertService = require('../services/resultAlert.service.js');
+const { ResultAlert } = require('../models/index.js');
+
+/**
+ * @route   GET /api/result-alerts
+ * @desc    Abnormal / critical result alerts needing attention.
+ *          Doctors see alerts for tests they ordered; hospital admins see
+ *          alerts escalated to them. Pass ?status= to filter
+ *          (defaults to everything not yet acknowledged).
+ * @access  alerts:manage (doctors, hospital admins)
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission('alerts:manage'),
+  [
+    query('status').optional().isIn(['open', 'escalated', 'acknowledged']),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const filter = req.user.role === 'doctor'
+        ? { doctorId: req.userId }
+        : { hospitalId: req.hospitalId, escalatedTo: req.userId };
+
+      filter.status = req.query.status || { $ne: 'acknowledged' };
+
+      const alerts = await ResultAlert.find(filter)
+        .populate('patientId', 'firstName lastName email phone')
+        .populate('doctorId', 'firstName lastName email')
+        .populate('departmentId', 'name code')
+        .populate('acknowledgedBy', 'firstName lastName role')
+        .sort({ severity: -1, createdAt: -1 })
+        .limit(100);
+
+      res.json({ success: true, count: alerts.length, data: alerts });
+    } catch (error) {
+      console.error('Get result alerts error:', error);
+      res.status(500).json({ error: 'Failed to fetch result alerts', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/result-alerts/:alertId/acknowledge
+ * @desc    Acknowledge an abnormal / critical result alert
+ * @access  alerts:manage - ordering doctor (or a hospital admin the alert was escalated to)
+ */
+router.put(
+  '/:alertId/acknowledge',
+  authenticate,
+  requirePermission('alerts:manage'),
+  [
+    body('note').optional().trim(),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const alert = await ResultAlert.findById(req.params.alertId);
+
+      if (!alert) {
+        return res.status(404).json({ error: 'Not Found', message: 'Result alert not found' });
+      }
+
+      if (!ResultAlertService.canAcknowledge(alert, req.user)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only the ordering doctor can acknowledge this alert',
+        });
+      }
+
+      await alert.acknowledge(req.userId, req.body.note);
+
+      await logAudit(
+        req.userId,
+        'UPDATE',
+        'ResultAlert',
+        alert._id.toString(),
+        req,
+        `Acknowledged ${alert.severity} result: ${alert.testName}${alert.escalatedAt ? ' (after escalation)' : ''}`,
+        alert.patientId
+      );
+
+      res.json({ message: 'Result alert acknowledged', data: alert });
+    } catch (error) {
+      console.error('Acknowledge result alert error:', error);
+      res.status(error.status || 500).json({ error: 'Acknowledge failed', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,38 +4,199 @@
 
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
-const { validate } = require('../middleware/validate.js');
+const { body, param } = require('express-validator');
+const { validate, analyteValidators } = require('../middleware/validate.js');
 const {
   authenticate,
-  requireHealthcareWorker,
-  requireDepartmentStaff,
+  requirePermission,
+  canAccessPatientData,
+  findPatientDataScope,
 } = require('../middleware/auth.js');
-const { TestOrder, User, Department } = require('../models/index.js');
+const { logAudit } = require('../middleware/audit.js');
+const S3Service = require('../services/s3.service.js');
+const PaymentService = require('../services/payment.service.js');
+const ResultAlertService = require('../services/resultAlert.service.js');
+const NotificationService = require('../services/notification.service.js');
+const MailService = require('../services/mail.service.js');
+const { TestOrder, TestResult, User, Department } = require('../models/index.js');
+const multer = require('multer');
+const path = require('path');
+
+// Result files are kept in memory and streamed to S3
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (S3Service.isValidFileType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PDF, image and Word files are allowed.'));
+    }
+  },
+});
+
+/**
+ * Load a test order that belongs to the current user's department.
+ * Sends the 404/403 response itself and returns null when access is denied.
+ */
+async function findDepartmentOrder(req, res) {
+  const testOrder = await TestOrder.findById(req.params.orderId);
+
+  if (!testOrder) {
+    res.status(404).json({ error: 'Not Found', message: 'Test order not found' });
+    return null;
+  }
+
+  if (!req.departmentId || testOrder.departmentId.toString() !== req.departmentId.toString()) {
+    res.status(403).json({ error: 'Forbidden', message: 'You can only access tests for your department' });
+    return null;
+  }
+
+  return testOrder;
+}
+
+/**
+ * Whether the current user may act on an order's payment or cancel it:
+ * the ordering doctor, the patient, staff of the order's department
+ * or an admin of the order's hospital.
+ */
+function canManageOrder(req, testOrder) {
+  const isDoctor = testOrder.orderedBy.toString() === req.userId.toString();
+  const isPatient = testOrder.patientId.toString() === req.userId.toString();
+  const isDepartmentStaff = req.user.role === 'department_staff' &&
+    testOrder.departmentId.toString() === req.departmentId?.toString();
+  const isHospitalAdmin = req.user.role === 'hospital_admin' &&
+    testOrder.hospitalId.toString() === req.hospitalId?.toString();
+
+  return isDoctor || isPatient || isDepartmentStaff || isHospitalAdmin;
+}
+
+/**
+ * Whether the current user may confirm a cash payment taken at the counter:
+ * staff of the order's department or an admin of the order's hospital.
+ * Everyone else pays through the payment provider.
+ */
+function canConfirmCashPayment(req, testOrder) {
+  const isDepartmentStaff = req.user.role === 'department_staff' &&
+    testOrder.departmentId.toString() === req.departmentId?.toString();
+  const isHospitalAdmin = req.user.role === 'hospital_admin' &&
+    testOrder.hospitalId.toString() === req.hospitalId?.toString();
+
+  return isDepartmentStaff || isHospitalAdmin;
+}
+
+/**
+ * Look up an orderable service in a department of the given hospital.
+ * Throws (with status 404/400) when the department or service can't be ordered.
+ */
+async function findOrderableService(hospitalId, departmentId, serviceId) {
+  const department = await Department.findOne({ _id: departmentId, hospitalId, isActive: true });
+  if (!department) {
+    const error = new Error('Department not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const service = department.services.id(serviceId);
+  if (!service) {
+    const error = new Error('Service not found in this department');
+    error.status = 404;
+    throw error;
+  }
+
+  if (!service.isActive) {
+    const error = new Error(`${service.name} is not currently offered`);
+    error.status = 400;
+    throw error;
+  }
+
+  return { department, service };
+}
+
+/**
+ * Fields for a new test order. Name, price and duration always come from
+ * the department's catalog; free services skip payment.
+ */
+function buildTestOrder(req, { department, service }, { patientId, description, urgency, orderSetId }) {
+  const paymentRequired = service.price > 0;
+
+  return {
+    patientId,
+    orderedBy: req.userId,
+    hospitalId: req.hospitalId,
+    departmentId: department._id,
+    orderSetId,
+    serviceId: service._id,
+    testName: service.name,
+    testType: service.name,
+    testDescription: description || service.description,
+    estimatedDuration: service.duration,
+    paymentAmount: service.price,
+    urgency: urgency || 'routine',
+    paymentRequired,
+    paymentStatus: paymentRequired ? 'pending' : 'waived',
+    status: paymentRequired ? 'payment_pending' : 'ready_for_test',
+    orderedDate: new Date(),
+  };
+}
+
+/**
+ * Load the orders of an order set the current user may act on - all of them
+ * for the ordering doctor, the patient and hospital admins, only their own
+ * department's for department staff.
+ * Sends the 404/403 response itself and returns null when access is denied.
+ */
+async function findManageableOrderSet(req, res) {
+  const testOrders = await TestOrder.findOrderSet(req.params.orderSetId);
+
+  if (testOrders.length === 0) {
+    res.status(404).json({ error: 'Not Found', message: 'Order set not found' });
+    return null;
+  }
+
+  const manageable = testOrders.filter(testOrder => canManageOrder(req, testOrder));
+
+  if (manageable.length === 0) {
+    res.status(403).json({ error: 'Forbidden', message: 'You do not have permission to access this order set' });
+    return null;
+  }
+
+  return manageable;
+}
+
+// Totals for an order set (cancelled orders are left out)
+function summarizeOrderSet(testOrders) {
+  const active = testOrders.filter(testOrder => testOrder.status !== 'cancelled');
+  const unpaid = active.filter(testOrder => ['pending', 'failed'].includes(testOrder.paymentStatus));
+
+  return {
+    totalAmount: active.reduce((total, testOrder) => total + testOrder.paymentAmount, 0),
+    amountDue: unpaid.reduce((total, testOrder) => total + testOrder.amountDue, 0),
+    paymentStatus: unpaid.length === 0 ? 'paid' : unpaid.length === active.length ? 'pending' : 'partially_paid',
+  };
+}
 
 /**
  * @route   POST /api/test-orders
  * @desc    Create new test order
- * @access  Healthcare Workers (doctors, nurses)
+ * @access  orders:create (doctors, nurses)
  */
 router.post(
   '/',
   authenticate,
-  requireHealthcareWorker,
+  requirePermission('orders:create'),
   [
     body('patientId').notEmpty().withMessage('Patient ID is required'),
-    body('testType').trim().notEmpty().withMessage('Test type is required'),
     body('departmentId').notEmpty().withMessage('Department is required'),
-    body('amount').isNumeric().withMessage('Amount must be a number'),
+    body('serviceId').isMongoId().withMessage('A service from the department catalog is required'),
     validate,
   ],
   async (req, res) => {
     try {
       const {
         patientId,
-        testType,
         departmentId,
-        amount,
+        serviceId,
         description,
         urgency,
       } = req.body;
@@ -45,26 +206,13 @@ router.post(
         return res.status(404).json({ error: 'Not Found', message: 'Patient not found' });
       }
 
-      const department = await Department.findOne({ _id: departmentId, hospitalId: req.hospitalId });
-      if (!department) {
-        return res.status(404).json({ error: 'Not Found', message: 'Department not found' });
-      }
+      const catalogEntry = await findOrderableService(req.hospitalId, departmentId, serviceId);
 
-      const testOrder = await TestOrder.create({
-        patientId,
-        orderedBy: req.userId,
-        hospitalId: req.hospitalId,
-        departmentId,
-        testName: testType,
-        testType: testType,
-        testDescription: description,
-        paymentAmount: amount,
-        urgency: urgency || 'routine',
-        paymentRequired: true,
-        paymentStatus: 'pending', // ✅ Correct
-        status: 'payment_pending', // ✅ Correct: waiting for payment
-        orderedDate: new Date(),
-      });
+      const testOrder = await TestOrder.create(
+        buildTestOrder(req, catalogEntry, { patientId, description, urgency })
+      );
+
+      await NotificationService.notifyTestOrderEvent(testOrder, 'orderCreated');
 
       const populatedOrder = await TestOrder.findById(testOrder._id)
         .populate('patientId', 'firstName lastName email phone')
@@ -78,7 +226,263 @@ router.post(
       });
     } catch (error) {
       console.error('Create test order error:', error);
-      res.status(500).json({ error: 'Creation failed', message: error.message });
+      res.status(error.status || 500).json({ error: 'Creation failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/test-orders/order-sets
+ * @desc    Order several tests at once (one order per service, sharing an order set ID)
+ * @access  orders:create (doctors, nurses)
+ */
+router.post(
+  '/order-sets',
+  authenticate,
+  requirePermission('orders:create'),
+  [
+    body('patientId').notEmpty().withMessage('Patient ID is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one test is required'),
+    body('items.*.departmentId').notEmpty().withMessage('Department is required for every test'),
+    body('items.*.serviceId').isMongoId().withMessage('A service from the department catalog is required for every test'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const { patientId, items, description, urgency } = req.body;
+
+      const patient = await User.findOne({ _id: patientId, role: 'patient' });
+      if (!patient) {
+        return res.status(404).json({ error: 'Not Found', message: 'Patient not found' });
+      }
+
+      // Validate every test before creating anything
+      const catalogEntries = [];
+      for (const item of items) {
+        catalogEntries.push(await findOrderableService(req.hospitalId, item.departmentId, item.serviceId));
+      }
+
+      const orderSetId = TestOrder.generateOrderSetId();
+      const created = [];
+
+      try {
+        for (const catalogEntry of catalogEntries) {
+          created.push(await TestOrder.create(
+            buildTestOrder(req, catalogEntry, { patientId, description, urgency, orderSetId })
+          ));
+        }
+      } catch (error) {
+        // Don't leave half an order set behind
+        await TestOrder.deleteMany({ _id: { $in: created.map(testOrder => testOrder._id) } });
+        throw error;
+      }
+
+      for (const testOrder of created) {
+        await NotificationService.notifyTestOrderEvent(testOrder, 'orderCreated');
+      }
+
+      await logAudit(
+        req.userId,
+        'CREATE',
+        'TestOrder',
+        orderSetId,
+        req,
+        `Order set with ${created.length} tests`,
+        patientId
+      );
+
+      const testOrders = await TestOrder.findOrderSet(orderSetId)
+        .populate('patientId', 'firstName lastName email phone')
+        .populate('departmentId', 'name code');
+
+      res.status(201).json({
+        message: 'Order set created successfully',
+        data: { orderSetId, ...summarizeOrderSet(testOrders), orders: testOrders },
+      });
+    } catch (error) {
+      console.error('Create order set error:', error);
+      res.status(error.status || 500).json({ error: 'Creation failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/test-orders/order-sets/:orderSetId
+ * @desc    Get every order in an order set with the combined total
+ * @access  Ordering Doctor, Patient, Department Staff, Hospital Admin
+ */
+router.get('/order-sets/:orderSetId', authenticate, async (req, res, next) => {
+  try {
+    const testOrders = await findManageableOrderSet(req, res);
+    if (!testOrders) return;
+
+    await TestOrder.populate(testOrders, [
+      { path: 'patientId', select: 'firstName lastName email phone' },
+      { path: 'departmentId', select: 'name code' },
+    ]);
+
+    await logAudit(req.userId, 'READ', 'OrderSet', req.params.orderSetId, req,
+      `${testOrders.length} test order(s)`, testOrders[0].patientId._id);
+
+    res.json({
+      data: { orderSetId: req.params.orderSetId, ...summarizeOrderSet(testOrders), orders: testOrders },
+    });
+  } catch (error) {
+    if (error.name === 'AuditWriteError') return next(error);
+    console.error('Fetch order set error:', error);
+    res.status(500).json({ error: 'Failed to fetch order set', message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/test-orders/order-sets/:orderSetId/payment/initiate
+ * @desc    Start one provider payment for every unpaid order in the set
+ * @access  Ordering Doctor, Patient, Department Staff, Hospital Admin
+ */
+router.post(
+  '/order-sets/:orderSetId/payment/initiate',
+  authenticate,
+  [
+    body('paymentMethod')
+      .isIn(['card', 'mobile_money', 'bank_transfer', 'insurance'])
+      .withMessage('Payment method must be card, mobile_money, bank_transfer or insurance'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const testOrders = await findManageableOrderSet(req, res);
+      if (!testOrders) return;
+
+      const unpaid = testOrders.filter(testOrder =>
+        testOrder.status !== 'cancelled' && ['pending', 'failed'].includes(testOrder.paymentStatus)
+      );
+
+      const payment = await PaymentService.initiateGroupPayment(unpaid, req.body.paymentMethod);
+
+      await logAudit(
+        req.userId,
+        'UPDATE',
+        'TestOrder',
+        req.params.orderSetId,
+        req,
+        `Order set payment initiated (${req.body.paymentMethod}, ${payment.reference})`,
+        testOrders[0].patientId
+      );
+
+      res.json({ message: 'Payment initiated', data: payment });
+    } catch (error) {
+      console.error('Order set payment initiation error:', error);
+      res.status(error.status || 500).json({ error: 'Payment initiation failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/test-orders/order-sets/:orderSetId/payment
+ * @desc    Confirm one payment for the whole order set (marks every unpaid order
+ *          the user may manage paid). Cash is confirmed by department staff or a
+ *          hospital admin; other methods are verified with the payment provider.
+ * @access  Ordering Doctor, Patient, Department Staff, Hospital Admin
+ */
+router.post(
+  '/order-sets/:orderSetId/payment',
+  authenticate,
+  [
+    body('paymentMethod')
+      .optional()
+      .isIn(['cash', 'card', 'mobile_money', 'bank_transfer', 'insurance'])
+      .withMessage('Invalid payment method'),
+    body('transactionId').optional().trim(),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const { paymentMethod, transactionId } = req.body;
+
+      const testOrders = await findManageableOrderSet(req, res);
+      if (!testOrders) return;
+
+      const unpaid = testOrders.filter(testOrder =>
+        testOrder.status !== 'cancelled' && ['pending', 'failed'].includes(testOrder.paymentStatus)
+      );
+
+      if (unpaid.length === 0) {
+        return res.status(400).json({ error: 'Already Paid', message: 'Every test in this order set has already been paid' });
+      }
+
+      const blocked = unpaid.find(testOrder => !testOrder.canTransitionTo('ready_for_test'));
+      if (blocked) {
+        return res.status(409).json({
+          error: 'Invalid Status',
+          message: `Payment cannot be confirmed for an order with status: ${blocked.status}`,
+        });
+      }
+
+      const method = paymentMethod || (unpaid[0].paymentProvider ? unpaid[0].paymentMethod : null);
+
+      if (!method) {
+        return res.status(400).json({
+          error: 'Payment Not Started',
+          message: 'Start a payment with /payment/initiate first, or give the payment method',
+        });
+      }
+
+      if (method === 'cash' && !unpaid.every(testOrder => canConfirmCashPayment(req, testOrder))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only department staff or a hospital admin can confirm a cash payment',
+        });
+      }
+
+      // No cash while a claim is open (a provider payment started before the claim is still confirmed)
+      const claimPending = unpaid.find(testOrder => testOrder.claimPending);
+      if (method === 'cash' && claimPending) {
+        return res.status(409).json({
+          error: 'Claim Pending',
+          message: `Test order ${claimPending._id} has an insurance claim awaiting the insurer's decision`,
+        });
+      }
+
+      if (method === 'cash') {
+        const reference = transactionId || `TXN-${Date.now()}`;
+        for (const testOrder of unpaid) {
+          await testOrder.markAsPaid({ method: 'cash', reference, paidBy: req.userId });
+          await NotificationService.notifyTestOrderEvent(testOrder, 'paymentReceived');
+        }
+      } else {
+        const result = await PaymentService.verifyPayment(unpaid, transactionId, req.userId);
+
+        if (result.status !== 'succeeded') {
+          return res.status(402).json({
+            error: 'Payment Not Completed',
+            message: `Payment is ${result.status} with the payment provider`,
+          });
+        }
+      }
+
+      await logAudit(
+        req.userId,
+        'UPDATE',
+        'TestOrder',
+        req.params.orderSetId,
+        req,
+        `Order set payment confirmed (${method}, ${unpaid.length} tests)`,
+        testOrders[0].patientId
+      );
+
+      // The orders were updated in place; only the ones this user manages are returned
+      await TestOrder.populate(testOrders, [
+        { path: 'patientId', select: 'firstName lastName email' },
+        { path: 'departmentId', select: 'name code' },
+      ]);
+
+      res.json({
+        message: 'Payment confirmed successfully',
+        data: { orderSetId: req.params.orderSetId, ...summarizeOrderSet(testOrders), orders: testOrders },
+      });
+    } catch (error) {
+      console.error('Order set payment confirmation error:', error);
+      res.status(error.status || 500).json({ error: 'Payment confirmation failed', message: error.message });
     }
   }
 );
@@ -86,9 +490,9 @@ router.post(
 /**
  * @route   GET /api/test-orders/doctor/my-orders
  * @desc    Get all test orders created by the logged-in doctor
- * @access  Doctor
+ * @access  orders:read
  */
-router.get('/doctor/my-orders', authenticate, requireHealthcareWorker, async (req, res) => {
+router.get('/doctor/my-orders', authenticate, requirePermission('orders:read'), async (req, res) => {
   try {
     const { status, paymentStatus } = req.query;
     const query = { orderedBy: req.userId, hospitalId: req.hospitalId };
@@ -111,36 +515,89 @@ router.get('/doctor/my-orders', authenticate, requireHealthcareWorker, async (re
 
 /**
  * @route   GET /api/test-orders/patient/:patientId
- * @desc    Get all test orders for a patient
- * @access  Healthcare Workers, Patient (own orders)
+ * @desc    Get all test orders for a patient (staff: their hospital's, shared
+ *          hospitals' and, with break-the-glass access, the patient's hospital's)
+ * @access  Patient (own orders), staff who can access the patient's test results
  */
-router.get('/patient/:patientId', authenticate, async (req, res) => {
-  try {
-    const { patientId } = req.params;
+router.get(
+  '/patient/:patientId',
+  authenticate,
+  param('patientId').isMongoId().withMessage('Invalid patient ID'),
+  validate,
+  canAccessPatientData('testResults'),
+  async (req, res, next) => {
+    try {
+      const { patientId } = req.params;
 
-    if (req.user.role === 'patient' && req.userId.toString() !== patientId) {
-      return res.status(403).json({ error: 'Forbidden', message: 'You can only view your own test orders' });
+      const query = { patientId };
+      const { hospitalIds } = await findPatientDataScope(req, patientId, 'testResults');
+      if (hospitalIds) query.hospitalId = { $in: hospitalIds };
+
+      const testOrders = await TestOrder.find(query)
+        .populate('orderedBy', 'firstName lastName specialization')
+        .populate('departmentId', 'name code')
+        .populate('hospitalId', 'name')
+        .sort({ createdAt: -1 });
+
+      await logAudit(req.userId, 'READ', 'test_orders', patientId, req, null, patientId);
+
+      res.json({ count: testOrders.length, data: testOrders });
+    } catch (error) {
+      if (error.name === 'AuditWriteError') return next(error);
+      console.error('Fetch patient test orders error:', error);
+      res.status(500).json({ error: 'Failed to fetch test orders', message: error.message });
     }
+  }
+);
 
-    const testOrders = await TestOrder.find({ patientId })
-      .populate('orderedBy', 'firstName lastName specialization')
-      .populate('departmentId', 'name code')
-      .populate('hospitalId', 'name')
-      .sort({ createdAt: -1 });
+/**
+ * @route   GET /api/test-orders/patient/:patientId/trends/:analyteCode
+ * @desc    One analyte's results over time (test orders and recorded test results),
+ *          limited to the hospitals the user may read
+ * @access  Patient (own results), staff who can access the patient's test results
+ */
+router.get(
+  '/patient/:patientId/trends/:analyteCode',
+  authenticate,
+  [
+    param('patientId').isMongoId().withMessage('Invalid patient ID'),
+    param('analyteCode').trim().notEmpty().withMessage('Analyte code is required'),
+    validate,
+  ],
+  canAccessPatientData('testResults'),
+  async (req, res, next) => {
+    try {
+      const { patientId, analyteCode } = req.params;
 
-    res.json({ count: testOrders.length, data: testOrders });
-  } catch (error) {
-    console.error('Fetch patient test orders error:', error);
-    res.status(500).json({ error: 'Failed to fetch test orders', message: error.message });
+      const { hospitalIds } = await findPatientDataScope(req, patientId, 'testResults');
+
+      const [orderPoints, resultPoints] = await Promise.all([
+        TestOrder.getAnalyteTrend(patientId, analyteCode, hospitalIds),
+        TestResult.getAnalyteTrend(patientId, analyteCode, hospitalIds),
+      ]);
+
+      const points = [...orderPoints, ...resultPoints]
+        .filter(point => point.date)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      await logAudit(req.userId, 'READ', 'test_results', patientId, req,
+        `Trend for ${analyteCode.toUpperCase()}`, patientId);
+
+      res.json({ analyteCode: analyteCode.toUpperCase(), count: points.length, data: points });
+    } catch (error) {
+      if (error.name === 'AuditWriteError') return next(error);
+      console.error('Fetch analyte trend error:', error);
+      res.status(500).json({ error: 'Failed to fetch trend', message: error.message });
+    }
   }
-});
+);
 
 /**
  * @route   GET /api/test-orders/department/pending
  * @desc    Get pending payment test orders for department
- * @access  Department Staff
+ * @access  orders:process (department staff)
  */
-router.get('/department/pending', authenticate, requireDepartmentStaff, async (req, res) => {
+router.get('/department/pending', authenticate, requirePermission('orders:process'), async (req, res) => {
   try {
     const testOrders = await TestOrder.find({
       departmentId: req.departmentId,
@@ -160,15 +617,15 @@ router.get('/department/pending', authenticate, requireDepartmentStaff, async (r
 
 /**
  * @route   GET /api/test-orders/department/ready
- * @desc    Get paid test orders ready for upload
- * @access  Department Staff
+ * @desc    Get paid test orders ready for testing or result upload
+ * @access  orders:process (department staff)
  */
-router.get('/department/ready', authenticate, requireDepartmentStaff, async (req, res) => {
+router.get('/department/ready', authenticate, requirePermission('orders:process'), async (req, res) => {
   try {
     const testOrders = await TestOrder.find({
       departmentId: req.departmentId,
-      paymentStatus: 'paid', // ✅ Payment confirmed
-      status: 'ready_for_test', // ✅ Correct: ready for testing/upload
+      paymentStatus: { $in: ['paid', 'waived'] }, // ✅ Payment confirmed
+      status: { $in: ['ready_for_test', 'in_progress'] }, // ✅ Ready for testing/upload
     })
       .populate('patientId', 'firstName lastName email phone')
       .populate('orderedBy', 'firstName lastName')
@@ -184,9 +641,9 @@ router.get('/department/ready', authenticate, requireDepartmentStaff, async (req
 /**
  * @route   GET /api/test-orders/department/completed
  * @desc    Get completed test orders
- * @access  Department Staff
+ * @access  orders:process (department staff)
  */
-router.get('/department/completed', authenticate, requireDepartmentStaff, async (req, res) => {
+router.get('/department/completed', authenticate, requirePermission('orders:process'), async (req, res) => {
   try {
     const testOrders = await TestOrder.find({
       departmentId: req.departmentId,
@@ -204,16 +661,331 @@ router.get('/department/completed', authenticate, requireDepartmentStaff, async
   }
 });
 
+/**
+ * @route   GET /api/test-orders/department/cancelled
+ * @desc    Get cancelled test orders
+ * @access  orders:process (department staff)
+ */
+router.get('/department/cancelled', authenticate, requirePermission('orders:process'), async (req, res) => {
+  try {
+    const testOrders = await TestOrder.find({
+      departmentId: req.departmentId,
+      status: 'cancelled',
+    })
+      .populate('patientId', 'firstName lastName email phone')
+      .populate('orderedBy', 'firstName lastName')
+      .populate('cancelledBy', 'firstName lastName role')
+      .sort({ cancelledDate: -1 })
+      .limit(50);
+
+    res.json({ count: testOrders.length, data: testOrders });
+  } catch (error) {
+    console.error('Fetch cancelled tests error:', error);
+    res.status(500).json({ error: 'Failed to fetch cancelled tests', message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/test-orders/department/insurance-pending
+ * @desc    Get test orders awaiting insurance adjudication
+ * @access  insurance:adjudicate (department staff)
+ */
+router.get('/department/insurance-pending', authenticate, requirePermission('insurance:adjudicate'), async (req, res) => {
+  try {
+    const testOrders = await TestOrder.find({
+      departmentId: req.departmentId,
+      status: { $ne: 'cancelled' },
+      'insuranceClaim.status': 'submitted',
+    })
+      .populate('patientId', 'firstName lastName email phone')
+      .populate('orderedBy', 'firstName lastName')
+      .sort({ 'insuranceClaim.submittedAt': 1 });
+
+    res.json({ count: testOrders.length, data: testOrders });
+  } catch (error) {
+    console.error('Fetch insurance pending tests error:', error);
+    res.status(500).json({ error: 'Failed to fetch insurance claims', message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/test-orders/:orderId/insurance-claim
+ * @desc    Submit an insurance claim for a test order
+ * @access  Ordering Doctor, Patient, Department Staff, Hospital Admin
+ */
+router.post(
+  '/:orderId/insurance-claim',
+  authenticate,
+  [
+    body('policyId').optional().isMongoId().withMessage('Invalid insurance policy'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const testOrder = await TestOrder.findById(req.params.orderId);
+      if (!testOrder) {
+        return res.status(404).json({ error: 'Not Found', message: 'Test order not found' });
+      }
+
+      if (!canManageOrder(req, testOrder)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'You do not have permission to claim insurance for this test order' });
+      }
+
+      if (!testOrder.canTransitionTo('ready_for_test')) {
+        return res.status(409).json({
+          error: 'Invalid Status',
+          message: `Insurance cannot be claimed for an order with status: ${testOrder.status}`,
+        });
+      }
+
+      const patient = await User.findById(testOrder.patientId);
+      const policy = patient && patient.getActiveInsurancePolicy(req.body.policyId);
+      if (!policy) {
+        return res.status(400).json({ error: 'No Insurance', message: 'The patient has no active insurance policy to claim against' });
+      }
+
+      await testOrder.submitInsuranceClaim(policy, req.userId);
+
+      await logAudit(
+        req.userId,
+        'UPDATE',
+        'TestOrder',
+        testOrder._id.toString(),
+        req,
+        `Insurance claim ${testOrder.insuranceClaim.claimNumber} submitted to ${policy.provider}`,
+        testOrder.patientId
+      );
+
+      res.status(201).json({ message: 'Insurance claim submitted', data: testOrder });
+    } catch (error) {
+      console.error('Submit insurance claim error:', error);
+      res.status(error.status || 500).json({ error: 'Insurance claim failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/test-orders/:orderId/insurance-claim/adjudicate
+ * @desc    Record the insurer's decision on a claim
+ * @access  insurance:adjudicate (order's department)
+ */
+router.put(
+  '/:orderId/insurance-claim/adjudicate',
+  authenticate,
+  requirePermission('insurance:adjudicate'),
+  [
+    body('status')
+      .isIn(['approved', 'partially_covered', 'denied'])
+      .withMessage('Status must be approved, partially_covered or denied'),
+    // Claimed amounts come from patient-entered policy terms, so the insurer's figure is required
+    body('approvedAmount')
+      .if(body('status').isIn(['approved', 'partially_covered']))
+      .notEmpty()
+      .withMessage('Approved amount is required unless the claim is denied'),
+    body('approvedAmount').optional().isFloat({ min: 0 }).toFloat(),
+    body('denialReason')
+      .if(body('status').equals('denied'))
+      .trim()
+      .notEmpty()
+      .withMessage('Denial reason is required'),
+    body('notes').optional().trim(),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const testOrder = await findDepartmentOrder(req, res);
+      if (!testOrder) return;
+
+      const { status, approvedAmount, denialReason, notes } = req.body;
+      await testOrder.adjudicateInsuranceClaim({ status, approvedAmount, denialReason, notes }, req.userId);
+
+      // Fully covered claims settle the order
+      await NotificationService.notifyTestOrderEvent(testOrder, 'paymentReceived');
+
+      const claim = testOrder.insuranceClaim;
+      await logAudit(
+        req.userId,
+        'UPDATE',
+        'TestOrder',
+        testOrder._id.toString(),
+        req,
+        `Insurance claim ${claim.claimNumber} ${status.replace(/_/g, ' ')} (co-pay ${claim.coPayAmount})`,
+        testOrder.patientId
+      );
+
+      res.json({ message: 'Insurance claim adjudicated', data: testOrder });
+    } catch (error) {
+      console.error('Adjudicate insurance claim error:', error);
+      res.status(error.status || 500).json({ error: 'Adjudication failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/test-orders/:orderId/cancel
+ * @desc    Cancel a test order (refunds it if already paid)
+ * @access  Ordering Doctor, Patient (own orders), Department Staff (order's department)
+ */
+router.put(
+  '/:orderId/cancel',
+  authenticate,
+  [
+    body('reason').trim().notEmpty().withMessage('Cancellation reason is required'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { reason } = req.body;
+
+      const testOrder = await TestOrder.findById(orderId);
+      if (!testOrder) {
+        return res.status(404).json({ error: 'Not Found', message: 'Test order not found' });
+      }
+
+      if (!canManageOrder(req, testOrder)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'You do not have permission to cancel this test order' });
+      }
+
+      if (!testOrder.canTransitionTo('cancelled')) {
+        return res.status(409).json({
+          error: 'Invalid Status',
+          message: `A test order cannot be cancelled once it is ${testOrder.status.replace(/_/g, ' ')}`,
+        });
+      }
+
+      const wasPaid = testOrder.paymentStatus === 'paid';
+
+      // Claim the cancellation first so a concurrent request can't refund twice
+      const cancelled = await testOrder.cancelOrder(req.userId, reason);
+      if (!cancelled) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'This test order was changed by someone else. Reload it and try again',
+        });
+      }
+
+      if (wasPaid) {
+        try {
+          // testOrder still holds the payment as loaded (paid)
+          await PaymentService.refundPayment(testOrder);
+          if (testOrder.refundReference) {
+            cancelled.refundReference = testOrder.refundReference;
+            await TestOrder.updateOne({ _id: cancelled._id }, { $set: { refundReference: testOrder.refundReference } });
+          }
+        } catch (refundError) {
+          // Cancelled, but the money is still with the hospital
+          await TestOrder.updateOne(
+            { _id: cancelled._id },
+            { $set: { paymentStatus: 'paid' }, $unset: { refundDate: 1, refundAmount: 1 } }
+          );
+          await logAudit(req.userId, 'UPDATE', 'TestOrder', cancelled._id.toString(), req,
+            `Cancelled: ${reason} (refund failed: ${refundError.message})`, cancelled.patientId);
+
+          return res.status(refundError.status || 502).json({
+            error: 'Refund failed',
+            message: `Test order cancelled, but the refund failed: ${refundError.message}. Refund the payment manually`,
+          });
+        }
+      }
+
+      await logAudit(
+        req.userId,
+        'UPDATE',
+        'TestOrder',
+        cancelled._id.toString(),
+        req,
+        `Cancelled: ${reason}${wasPaid ? ' (refunded)' : ''}`,
+        cancelled.patientId
+      );
+
+      res.json({
+        message: wasPaid ? 'Test order cancelled and refunded' : 'Test order cancelled',
+        data: cancelled,
+      });
+    } catch (error) {
+      console.error('Cancel test order error:', error);
+      res.status(error.status || 500).json({ error: 'Cancellation failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/test-orders/payments/webhook/:provider
+ * @desc    Payment provider webhook (authenticated by the provider's signature)
+ * @access  Public
+ */
+router.post('/payments/webhook/:provider', async (req, res) => {
+  try {
+    const result = await PaymentService.handleWebhook(req.params.provider, req);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(error.status || 500).json({ error: 'Webhook processing failed', message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/test-orders/:orderId/payment/initiate
+ * @desc    Start a payment with the payment provider
+ * @access  Ordering Doctor, Patient, Department Staff, Hospital Admin
+ */
+router.post(
+  '/:orderId/payment/initiate',
+  authenticate,
+  [
+    body('paymentMethod')
+      .isIn(['card', 'mobile_money', 'bank_transfer', 'insurance'])
+      .withMessage('Payment method must be card, mobile_money, bank_transfer or insurance'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const testOrder = await TestOrder.findById(req.params.orderId);
+      if (!testOrder) {
+        return res.status(404).json({ error: 'Not Found', message: 'Test order not found' });
+      }
+
+      if (!canManageOrder(req, testOrder)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'You do not have permission to pay for this test order' });
+      }
+
+      const payment = await PaymentService.initiatePayment(testOrder, req.body.paymentMethod);
+
+      await logAudit(
+        req.userId,
+        'UPDATE',
+        'TestOrder',
+        testOrder._id.toString(),
+        req,
+        `Payment initiated (${req.body.paymentMethod}, ${payment.reference})`,
+        testOrder.patientId
+      );
+
+      res.json({ message: 'Payment initiated', data: payment });
+    } catch (error) {
+      console.error('Payment initiation error:', error);
+      res.status(error.status || 500).json({ error: 'Payment initiation failed', message: error.message });
+    }
+  }
+);
+
 /**
  * @route   POST /api/test-orders/:orderId/payment
- * @desc    Confirm payment for test order (simulate payment)
- * @access  Patient or Department Staff
+ * @desc    Confirm payment for test order. Cash is confirmed directly by
+ *          department staff or a hospital admin; other methods must have
+ *          been started with /payment/initiate and are verified with the
+ *          payment provider.
+ * @access  Ordering Doctor, Patient, Department Staff, Hospital Admin
  */
 router.post(
   '/:orderId/payment',
   authenticate,
   [
-    body('paymentMethod').optional().trim(),
+    body('paymentMethod')
+      .optional()
+      .isIn(['cash', 'card', 'mobile_money', 'bank_transfer', 'insurance'])
+      .withMessage('Invalid payment method'),
     body('transactionId').optional().trim(),
     validate,
   ],
@@ -227,18 +999,73 @@ router.post(
         return res.status(404).json({ error: 'Not Found', message: 'Test order not found' });
       }
 
+      if (!canManageOrder(req, testOrder)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'You do not have permission to pay for this test order' });
+      }
+
       if (testOrder.paymentStatus === 'paid') {
         return res.status(400).json({ error: 'Already Paid', message: 'This test order has already been paid' });
       }
 
-      testOrder.paymentStatus = 'paid'; // ✅ Correct
-      testOrder.status = 'ready_for_test'; // ✅ Correct: payment done, ready for testing
-      testOrder.paymentDate = new Date();
-      testOrder.paymentMethod = paymentMethod || 'cash';
-      testOrder.paymentReference = transactionId || `TXN-${Date.now()}`;
-      testOrder.paidBy = req.userId;
+      if (!testOrder.canTransitionTo('ready_for_test')) {
+        return res.status(409).json({
+          error: 'Invalid Status',
+          message: `Payment cannot be confirmed for an order with status: ${testOrder.status}`,
+        });
+      }
+
+      const method = paymentMethod || (testOrder.paymentProvider ? testOrder.paymentMethod : null);
+
+      if (!method) {
+        return res.status(400).json({
+          error: 'Payment Not Started',
+          message: 'Start a payment with /payment/initiate first, or give the payment method',
+        });
+      }
+
+      if (method === 'cash' && !canConfirmCashPayment(req, testOrder)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only department staff or a hospital admin can confirm a cash payment',
+        });
+      }
+
+      // No cash while a claim is open (a provider payment started before the claim is still confirmed)
+      if (method === 'cash' && testOrder.claimPending) {
+        return res.status(409).json({
+          error: 'Claim Pending',
+          message: 'This test order has an insurance claim awaiting the insurer\'s decision',
+        });
+      }
 
-      await testOrder.save();
+      if (method === 'cash') {
+        await testOrder.markAsPaid({
+          method: 'cash',
+          reference: transactionId || `TXN-${Date.now()}`,
+          paidBy: req.userId,
+        });
+        await NotificationService.notifyTestOrderEvent(testOrder, 'paymentReceived');
+      } else {
+        const result = await PaymentService.verifyPayment(testOrder, transactionId, req.userId);
+
+        if (result.status !== 'succeeded') {
+          return res.status(402).json({
+            error: 'Payment Not Completed',
+            message: `Payment is ${result.status} with the payment provider`,
+            paymentStatus: testOrder.paymentStatus,
+          });
+        }
+      }
+
+      await logAudit(
+        req.userId,
+        'UPDATE',
+        'TestOrder',
+        testOrder._id.toString(),
+        req,
+        `Payment confirmed (${method})`,
+        testOrder.patientId
+      );
 
       const updatedOrder = await TestOrder.findById(orderId)
         .populate('patientId', 'firstName lastName email')
@@ -247,7 +1074,186 @@ router.post(
       res.json({ message: 'Payment confirmed successfully', data: updatedOrder });
     } catch (error) {
       console.error('Payment confirmation error:', error);
-      res.status(500).json({ error: 'Payment confirmation failed', message: error.message });
+      res.status(error.status || 500).json({ error: 'Payment confirmation failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/test-orders/:orderId/start
+ * @desc    Mark test as in progress
+ * @access  orders:process (order's department)
+ */
+router.put('/:orderId/start', authenticate, requirePermission('orders:process'), async (req, res) => {
+  try {
+    const testOrder = await findDepartmentOrder(req, res);
+    if (!testOrder) return;
+
+    if (!testOrder.canUploadResult) {
+      return res.status(400).json({
+        error: 'Payment Required',
+        message: 'Test cannot be started until payment is confirmed',
+        paymentStatus: testOrder.paymentStatus,
+      });
+    }
+
+    if (testOrder.status !== 'ready_for_test') {
+      return res.status(400).json({
+        error: 'Invalid Status',
+        message: `Test cannot be started from status: ${testOrder.status}`,
+      });
+    }
+
+    await testOrder.startTest(req.userId);
+
+    await logAudit(req.userId, 'UPDATE', 'TestOrder', testOrder._id.toString(), req, 'Test started', testOrder.patientId);
+
+    res.json({ message: 'Test marked as in progress', data: testOrder });
+  } catch (error) {
+    console.error('Start test error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to start test', message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/test-orders/:orderId/upload
+ * @desc    Upload test result (file and/or result text)
+ * @access  orders:upload_result (order's department)
+ */
+router.post(
+  '/:orderId/upload',
+  authenticate,
+  requirePermission('orders:upload_result'),
+  upload.single('resultFile'),
+  [
+    body('result').optional().trim(),
+    body('resultNotes').optional().trim(),
+    body('normalRange').optional().trim(),
+    body('abnormalFlag').optional().isBoolean(),
+    ...analyteValidators,
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const testOrder = await findDepartmentOrder(req, res);
+      if (!testOrder) return;
+
+      if (!testOrder.canUploadResult) {
+        return res.status(400).json({
+          error: 'Cannot Upload',
+          message: 'Payment must be confirmed before uploading results',
+          paymentStatus: testOrder.paymentStatus,
+          status: testOrder.status,
+        });
+      }
+
+      const { result, resultNotes, normalRange, abnormalFlag, analytes } = req.body;
+
+      if (!req.file && !result && !(analytes && analytes.length)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'A result file, result text or analyte values are required',
+        });
+      }
+
+      let fileUrl = null;
+      if (req.file) {
+        fileUrl = await S3Service.uploadFile(req.file, testOrder.patientId.toString(), 'test-results');
+      }
+
+      await testOrder.uploadResult(
+        {
+          result,
+          notes: resultNotes,
+          fileUrl,
+          fileType: req.file ? path.extname(req.file.originalname).substring(1).toLowerCase() : undefined,
+          normalRange,
+          abnormalFlag: abnormalFlag === undefined ? undefined : abnormalFlag === 'true' || abnormalFlag === true,
+          analytes,
+        },
+        req.userId
+      );
+
+      // Abnormal / critical results must reach the ordering doctor
+      await ResultAlertService.raiseForTestOrder(testOrder);
+      await NotificationService.notifyTestOrderEvent(testOrder, 'resultUploaded');
+
+      await logAudit(
+        req.userId,
+        'UPLOAD',
+        'TestOrder',
+        testOrder._id.toString(),
+        req,
+        req.file ? `File: ${req.file.originalname}` : analytes?.length ? `${analytes.length} analytes uploaded` : 'Result text uploaded',
+        testOrder.patientId
+      );
+
+      const populatedOrder = await TestOrder.findById(testOrder._id)
+        .populate('patientId', 'firstName lastName email')
+        .populate('orderedBy', 'firstName lastName email')
+        .populate('resultUploadedBy', 'firstName lastName');
+
+      res.json({ message: 'Test result uploaded successfully', data: populatedOrder });
+    } catch (error) {
+      console.error('Upload result error:', error);
+      res.status(error.status || 500).json({ error: 'Upload failed', message: error.message });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/test-orders/:orderId/complete
+ * @desc    Mark test as completed once a result has been uploaded
+ * @access  orders:process (order's department)
+ */
+router.put(
+  '/:orderId/complete',
+  authenticate,
+  requirePermission('orders:process'),
+  [
+    body('resultNotes').optional().trim(),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const testOrder = await findDepartmentOrder(req, res);
+      if (!testOrder) return;
+
+      if (!testOrder.canUploadResult) {
+        return res.status(400).json({
+          error: 'Invalid Status',
+          message: `Test cannot be completed from status: ${testOrder.status}`,
+          paymentStatus: testOrder.paymentStatus,
+        });
+      }
+
+      if (!testOrder.result && !testOrder.resultFileUrl && !testOrder.analytes?.length) {
+        return res.status(400).json({
+          error: 'Result Required',
+          message: 'Upload a result before completing the test',
+        });
+      }
+
+      if (req.body.resultNotes) {
+        testOrder.resultNotes = req.body.resultNotes;
+      }
+
+      await testOrder.completeTest(req.userId);
+
+      const patient = await User.findById(testOrder.patientId).select('email firstName');
+      if (patient) {
+        await MailService.send(patient.email, 'resultReady', {
+          firstName: patient.firstName,
+          testName: testOrder.testName,
+        });
+      }
+
+      await logAudit(req.userId, 'UPDATE', 'TestOrder', testOrder._id.toString(), req, 'Test completed', testOrder.patientId);
+
+      res.json({ message: 'Test marked as completed', data: testOrder });
+    } catch (error) {
+      console.error('Complete test error:', error);
+      res.status(error.status || 500).json({ error: 'Failed to complete test', message: error.message });
     }
   }
 );
@@ -257,7 +1263,7 @@ router.post(
  * @desc    Get single test order details
  * @access  Doctor, Patient, Department Staff
  */
-router.get('/:orderId', authenticate, async (req, res) => {
+router.get('/:orderId', authenticate, async (req, res, next) => {
   try {
     const { orderId } = req.params;
 
@@ -266,7 +1272,8 @@ router.get('/:orderId', authenticate, async (req, res) => {
       .populate('orderedBy', 'firstName lastName specialization')
       .populate('departmentId', 'name code')
       .populate('hospitalId', 'name')
-      .populate('resultUploadedBy', 'firstName lastName');
+      .populate('resultUploadedBy', 'firstName lastName')
+      .populate('statusHistory.changedBy', 'firstName lastName role');
 
     if (!testOrder) {
       return res.status(404).json({ error: 'Not Found', message: 'Test order not found' });
@@ -281,8 +1288,11 @@ router.get('/:orderId', authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Forbidden', message: 'You do not have permission to view this test order' });
     }
 
+    await logAudit(req.userId, 'READ', 'TestOrder', testOrder._id.toString(), req, null, testOrder.patientId._id);
+
     res.json({ data: testOrder });
   } catch (error) {
+    if (error.name === 'AuditWriteError') return next(error);
     console.error('Fetch test order error:', error);
     res.status(500).json({ error: 'Failed to fetch test order', message: error.message });
   }
@@ -108,6 +108,7 @@ async function createTestUsers() {
         ...userData,
         password: hashedPassword,
         isActive: true,
+        isEmailVerified: true,
         approvalStatus: 'approved',
       });
 
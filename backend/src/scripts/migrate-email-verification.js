@@ -0,0 +1,46 @@
+// backend/src/scripts/migrate-email-verification.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User.model.js');
+
+/**
+ * Marks accounts that existed before email verification was introduced as
+ * verified, so staff aren't locked out when the block policy goes live.
+ * Run once on deploy. Only accounts created before --before (default: now)
+ * are touched, so a later run can't verify new sign-ups:
+ *
+ *   npm run migrate:email-verification -- --before=2026-10-19
+ */
+async function migrateEmailVerification() {
+  const beforeArg = process.argv.find(arg => arg.startsWith('--before='));
+  const before = beforeArg ? new Date(beforeArg.split('=')[1]) : new Date();
+
+  if (Number.isNaN(before.getTime())) {
+    console.error('❌ --before must be a date, e.g. --before=2026-10-19');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log(`\n🔄 Marking accounts created before ${before.toISOString()} as verified...\n`);
+
+  const result = await User.updateMany(
+    { isEmailVerified: { $ne: true }, createdAt: { $lt: before } },
+    {
+      $set: { isEmailVerified: true },
+      $unset: { emailVerificationToken: '', emailVerificationExpires: '' },
+    }
+  );
+
+  console.log(`✓ Accounts updated: ${result.modifiedCount}`);
+
+  await mongoose.connection.close();
+  console.log('\n✅ Email verification migration complete!\n');
+}
+
+migrateEmailVerification().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// backend/src/scripts/migrate-hospital-ids.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { User, MedicalRecord, Prescription, TestResult } = require('../models');
+
+/**
+ * Fills in hospitalId on medical records, prescriptions and test results
+ * written before the field existed. Each entry takes the hospital of the
+ * staff member who wrote it; entries whose author has no hospital are left
+ * alone (staff reads skip them until they are fixed by hand). Safe to re-run:
+ *
+ *   npm run migrate:hospital-ids
+ */
+const COLLECTIONS = [
+  { name: 'Medical records', Model: MedicalRecord, authorField: 'doctorId' },
+  { name: 'Prescriptions', Model: Prescription, authorField: 'doctorId' },
+  { name: 'Test results', Model: TestResult, authorField: 'orderedBy' },
+];
+
+async function migrateHospitalIds() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log('\n🔄 Backfilling hospitalId from each entry\'s author...\n');
+
+  for (const { name, Model, authorField } of COLLECTIONS) {
+    const missing = { hospitalId: { $exists: false } };
+    const authorIds = await Model.distinct(authorField, missing);
+    const authors = await User.find({ _id: { $in: authorIds }, hospitalId: { $ne: null } })
+      .select('hospitalId');
+
+    let updated = 0;
+    for (const author of authors) {
+      const result = await Model.updateMany(
+        { ...missing, [authorField]: author._id },
+        { $set: { hospitalId: author.hospitalId } }
+      );
+      updated += result.modifiedCount;
+    }
+
+    const left = await Model.countDocuments(missing);
+    console.log(`✓ ${name}: ${updated} updated, ${left} without a hospital`);
+  }
+
+  await mongoose.connection.close();
+  console.log('\n✅ Hospital ID migration complete!\n');
+}
+
+migrateHospitalIds().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
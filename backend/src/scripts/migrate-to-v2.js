@@ -52,6 +52,7 @@ async function migrate() {
         role: 'super_admin',
         phone: '+1234567890',
         isActive: true,
+        isEmailVerified: true,
         approvalStatus: 'approved',
       });
       
@@ -318,6 +319,7 @@ async function migrate() {
         hospitalId: defaultHospital._id,
         phone: '+1-555-0110',
         isActive: true,
+        isEmailVerified: true,
         approvalStatus: 'approved',
         approvedBy: superAdmin._id,
       });
@@ -429,6 +431,7 @@ async function migrate() {
           hospitalId: defaultHospital._id,
           phone: '+1-555-0' + (120 + staffMembers.indexOf(staffData)),
           isActive: true,
+          isEmailVerified: true,
           approvalStatus: 'approved',
           approvedBy: defaultHospital.adminUserId,
         });
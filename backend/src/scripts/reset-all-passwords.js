@@ -4,6 +4,9 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// --must-change: users have to pick a new password when they next sign in
+const mustChangePassword = process.argv.includes('--must-change');
+
 async function resetAllPasswords() {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
@@ -34,7 +37,7 @@ async function resetAllPasswords() {
       // Update directly in database (bypassing mongoose middleware)
       const result = await usersCollection.updateOne(
         { email },
-        { $set: { password: hashedPassword } }
+        { $set: { password: hashedPassword, passwordChangedAt: new Date(), mustChangePassword } }
       );
 
       if (result.matchedCount > 0) {
@@ -45,6 +48,9 @@ async function resetAllPasswords() {
     }
 
     console.log('\n✨ All passwords reset!\n');
+    if (mustChangePassword) {
+      console.log('🔁 Users must change their password at next sign-in\n');
+    }
 
     await mongoose.connection.close();
   } catch (error) {
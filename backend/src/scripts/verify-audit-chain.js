@@ -0,0 +1,51 @@
+// backend/src/scripts/verify-audit-chain.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const AuditChainService = require('../services/auditChain.service.js');
+
+async function verifyAuditChain() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log('\n🔍 Verifying audit log chain...\n');
+
+  const report = await AuditChainService.verify();
+
+  console.log(`✓ Entries checked: ${report.checked}` +
+    (report.checked ? ` (seq ${report.firstSeq} to ${report.lastSeq})` : ''));
+  console.log(`  Entries from before the chain (not checked): ${report.unchained}`);
+  console.log(report.head
+    ? `  Recorded head: seq ${report.head.seq}`
+    : '  No head recorded (chain written before it was tracked), a deleted end can\'t be detected');
+  if (report.retention) {
+    console.log(`  Retention horizon: ${report.retention.horizon.toISOString()}` +
+      (report.retention.firstTimestamp ? `, oldest entry: ${report.retention.firstTimestamp.toISOString()}` : ''));
+  }
+
+  report.gaps.forEach(gap => console.log(`  ✗ Missing entries: seq ${gap.from} to ${gap.to}`));
+  report.modified.forEach(entry => console.log(`  ✗ Modified: seq ${entry.seq} (${entry.id})`));
+  report.brokenLinks.forEach(entry => console.log(`  ✗ Broken link: seq ${entry.seq} (${entry.id})`));
+  if (report.truncated) {
+    console.log(`  ✗ ${report.truncated.reason}: ` + (report.truncated.from
+      ? `seq ${report.truncated.from} to ${report.truncated.to}`
+      : `seq ${report.truncated.seq}`));
+  }
+  report.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+
+  await mongoose.connection.close();
+
+  if (!report.ok) {
+    const { gaps, modified, brokenLinks, truncated } = report.issues;
+    console.log(`\n❌ Audit log has been tampered with: ${gaps} gaps, ${modified} modified, ${brokenLinks} broken links` +
+      `${truncated ? ', end of the chain removed' : ''}\n`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ Audit log chain is intact!\n');
+}
+
+verifyAuditChain().catch(async (error) => {
+  console.error('❌ Verification failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -27,6 +27,7 @@ async function verifySuperAdmin() {
         role: 'super_admin',
         phone: '+1234567890',
         isActive: true,
+        isEmailVerified: true,
         approvalStatus: 'approved',
       });
 
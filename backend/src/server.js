@@ -20,6 +20,9 @@ const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const compression = require('compression');
 const routes = require('./routes/index.js');
+const ResultAlertService = require('./services/resultAlert.service.js');
+const MailService = require('./services/mail.service.js');
+const PaymentService = require('./services/payment.service.js');
 
 // ==================== LOAD ENVIRONMENT VARIABLES ====================
 // This loads variables from .env file (like database password, API keys)
@@ -36,6 +39,13 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+// Payments: the mock provider is only allowed in development and test
+const paymentConfigErrors = PaymentService.configurationErrors();
+if (paymentConfigErrors.length > 0) {
+  paymentConfigErrors.forEach(message => console.error(`❌ ${message}`));
+  process.exit(1);
+}
+
 // ==================== CREATE EXPRESS APP ====================
 const app = express();
 
@@ -178,6 +188,14 @@ app.use((err, req, res, next) => {
     });
   }
 
+  // Fail-closed audit (AUDIT_FAIL_CLOSED=true): a PHI read that couldn't be audited
+  if (err.name === 'AuditWriteError') {
+    return res.status(503).json({
+      error: 'Audit unavailable',
+      message: err.message,
+    });
+  }
+
   // MongoDB duplicate key error
   if (err.code === 11000) {
     return res.status(409).json({
@@ -316,6 +334,14 @@ if (process.env.NODE_ENV !== 'test') {
     console.log('✨ Press Ctrl+C to stop the server\n');
   });
 
+  // Escalate unacknowledged critical / abnormal result alerts to hospital admins
+  ResultAlertService.startEscalationWorker(
+    Number(process.env.RESULT_ALERT_CHECK_INTERVAL_MS) || 60 * 1000
+  );
+
+  // Retry emails that could not be delivered the first time
+  MailService.startRetryWorker(Number(process.env.MAIL_RETRY_INTERVAL_MS) || 60 * 1000);
+
   // Handle server errors
   server.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
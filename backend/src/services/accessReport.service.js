@@ -0,0 +1,205 @@
+const { AuditLog, AccessFlag, User } = require('../models/index.js');
+const { getPatientAuditTrail } = require('../middleware/audit.js');
+const NotificationService = require('./notification.service.js');
+const AuditLogService = require('./auditLog.service.js');
+
+/**
+ * ACCESS REPORT SERVICE
+ * "Who viewed my records" for patients.
+ *
+ * - history() turns the patient's audit trail into a report: who, role,
+ *   hospital, what kind of data, when, and whether it was cross-hospital
+ *   (another hospital's staff or break-the-glass). The patient's own
+ *   activity is left out.
+ * - flag() lets the patient mark an entry as suspicious; the admins of the
+ *   hospital the access came from and of the patient's hospital are notified.
+ * - Flags live in AccessFlag so audit entries are never modified.
+ */
+
+// Report filter -> audit resourceTypes (routes don't all use the same names)
+const RESOURCE_GROUPS = {
+  profile: ['patient', 'User'],
+  medicalRecords: ['medical_records', 'MedicalRecord'],
+  prescriptions: ['prescriptions', 'Prescription'],
+  testResults: ['test_results', 'test_result', 'TestResult', 'TestOrder'],
+  insurance: ['InsurancePolicy'],
+};
+
+const MAX_LIMIT = 100;
+
+function accessReportError(message, status = 400) {
+  const error = new Error(message);
+  error.name = 'AccessReportError';
+  error.status = status;
+  return error;
+}
+
+function resourceGroup(resourceType) {
+  return Object.keys(RESOURCE_GROUPS).find((group) => RESOURCE_GROUPS[group].includes(resourceType)) || 'other';
+}
+
+class AccessReportService {
+  /**
+   * A PATIENT'S ACCESS HISTORY
+   * @param {object} patient - Patient (req.user)
+   * @param {object} options - page, limit, resource, role, crossHospital ('true'|'false'), from, to
+   * @returns {object} { data, total, page, pages }
+   */
+  static async history(patient, { page = 1, limit = 20, resource, role, crossHospital, from, to } = {}) {
+    page = Math.max(parseInt(page, 10) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIMIT);
+
+    const filter = { userId: { $ne: patient._id } };
+    const patientHospitalId = patient.hospitalId?._id || patient.hospitalId;
+
+    if (resource && RESOURCE_GROUPS[resource]) filter.resourceType = { $in: RESOURCE_GROUPS[resource] };
+    if (role) filter.userRole = role;
+    Object.assign(filter, AuditLogService.buildFilter({ from, to }));
+    if (crossHospital === 'true') {
+      filter.$or = [
+        { hospitalId: { $nin: [null, patientHospitalId] } },
+        { emergencyAccessId: { $exists: true } },
+      ];
+    } else if (crossHospital === 'false') {
+      filter.hospitalId = patientHospitalId;
+      filter.emergencyAccessId = { $exists: false };
+    }
+
+    const { logs, total } = await getPatientAuditTrail(patient._id, { page, limit, filter });
+
+    const flags = await AccessFlag.find({ auditLogId: { $in: logs.map((log) => log._id) } })
+      .select('auditLogId status createdAt')
+      .lean();
+    const flagsByLog = new Map(flags.map((flag) => [flag.auditLogId.toString(), flag]));
+
+    const data = logs.map((log) => {
+      const hospitalId = log.hospitalId?._id || log.hospitalId;
+      const flag = flagsByLog.get(log._id.toString());
+
+      return {
+        _id: log._id,
+        timestamp: log.timestamp,
+        action: log.action,
+        resource: resourceGroup(log.resourceType),
+        user: log.userId ? { firstName: log.userId.firstName, lastName: log.userId.lastName } : null,
+        role: log.userRole,
+        hospital: log.hospitalId?.name || null,
+        crossHospital: Boolean(log.emergencyAccessId) ||
+          Boolean(hospitalId && patientHospitalId && hospitalId.toString() !== patientHospitalId.toString()),
+        emergencyAccess: Boolean(log.emergencyAccessId),
+        flag: flag ? { status: flag.status, createdAt: flag.createdAt } : null,
+      };
+    });
+
+    return { data, total, page, pages: Math.ceil(total / limit) };
+  }
+
+  /**
+   * FLAG A SUSPICIOUS ACCESS
+   * @param {object} patient - Patient (req.user)
+   * @param {ObjectId} auditLogId - Entry from the patient's access history
+   * @param {string} reason - Why it looks suspicious
+   * @returns {object} AccessFlag document
+   */
+  static async flag(patient, auditLogId, reason) {
+    const log = await AuditLog.findOne({ _id: auditLogId, affectedPatientId: patient._id }).catch(() => null);
+    if (!log) {
+      throw accessReportError('Access not found', 404);
+    }
+
+    if (log.userId.toString() === patient._id.toString()) {
+      throw accessReportError('This is your own activity');
+    }
+
+    if (await AccessFlag.exists({ auditLogId: log._id })) {
+      throw accessReportError('This access has already been flagged', 409);
+    }
+
+    const hospitalId = log.hospitalId ||
+      (await User.findById(log.userId).select('hospitalId'))?.hospitalId;
+
+    const flag = await AccessFlag.create({
+      patientId: patient._id,
+      auditLogId: log._id,
+      accessedBy: log.userId,
+      hospitalId,
+      reason,
+    });
+
+    const patientHospitalId = patient.hospitalId?._id || patient.hospitalId;
+    const hospitalIds = [hospitalId, patientHospitalId].filter(Boolean);
+
+    await NotificationService.notifyUsers(
+      { role: 'hospital_admin', hospitalId: { $in: hospitalIds } },
+      {
+        type: 'access_flagged',
+        title: 'Patient flagged a record access',
+        message: `${patient.firstName} ${patient.lastName} reported an access to their records as suspicious`,
+        link: '/dashboard/hospital-admin/access-flags',
+        resourceType: 'AccessFlag',
+        resourceId: flag._id,
+      }
+    );
+
+    return flag;
+  }
+
+  /**
+   * FLAGS A HOSPITAL'S ADMINS CAN SEE
+   * Accesses from the hospital and accesses to its patients.
+   * @param {ObjectId|null} hospitalId - Hospital (null = all, for super admins)
+   * @param {object} filter - Extra conditions (e.g. status)
+   * @returns {object[]}
+   */
+  static async listForHospital(hospitalId, filter = {}) {
+    let scope = {};
+    if (hospitalId) {
+      const patients = await User.find({ role: 'patient', hospitalId }).distinct('_id');
+      scope = { $or: [{ hospitalId }, { patientId: { $in: patients } }] };
+    }
+
+    return AccessFlag.find({ ...scope, ...filter })
+      .populate('patientId', 'firstName lastName email')
+      .populate('accessedBy', 'firstName lastName email role')
+      .populate('hospitalId', 'name')
+      .populate('auditLogId', 'action resourceType resourceId timestamp ipAddress emergencyAccessId')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(200);
+  }
+
+  /**
+   * CAN THIS ADMIN REVIEW THE FLAG?
+   * Admins of the hospital the access came from or of the patient's hospital.
+   * @param {object} flag - AccessFlag document
+   * @param {object} req - Express request
+   * @returns {boolean}
+   */
+  static async isAdminFor(flag, req) {
+    if (req.user.role === 'super_admin') return true;
+    if (req.user.role !== 'hospital_admin' || !req.hospitalId) return false;
+
+    const hospitalId = req.hospitalId.toString();
+    if (flag.hospitalId?.toString() === hospitalId) return true;
+
+    return Boolean(await User.exists({ _id: flag.patientId, hospitalId: req.hospitalId }));
+  }
+
+  /**
+   * RECORD THE ADMIN REVIEW
+   * @param {object} flag - AccessFlag document
+   * @param {ObjectId} userId - Reviewing admin
+   * @param {string} note - Outcome of the review
+   */
+  static async review(flag, userId, note) {
+    flag.status = 'reviewed';
+    flag.reviewedBy = userId;
+    flag.reviewedAt = new Date();
+    flag.reviewNote = note;
+    return flag.save();
+  }
+}
+
+AccessReportService.RESOURCE_GROUPS = RESOURCE_GROUPS;
+
+module.exports = AccessReportService;
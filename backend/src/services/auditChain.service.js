@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { AuditLog, AuditChainHead } = require('../models/index.js');
+
+/**
+ * AUDIT CHAIN SERVICE
+ * Tamper-evident audit log.
+ *
+ * - Every entry gets seq (1, 2, 3...), the previous entry's hash (prevHash)
+ *   and its own hash = sha256(prevHash + entry content). Editing an entry
+ *   changes its hash; deleting one leaves a gap in seq.
+ * - append() is how entries are written (logAudit uses it). Appends from this
+ *   process run one at a time; the unique index on seq stops other processes
+ *   from forking the chain - the loser retries on top of the winner.
+ * - Every append also moves the head (AuditChainHead: newest seq and hash),
+ *   kept in its own collection. Deleting the newest entries leaves no gap, so
+ *   verify() checks the chain still ends at the head.
+ * - verify() walks the chain and reports gaps, modified entries, broken
+ *   links and a truncated end (npm run audit:verify, or GET /api/audit-logs/verify).
+ * - Entries written before the chain existed have no seq and are not checked.
+ *   The TTL index removes old entries, so the walk starts at the oldest kept one.
+ *   The report gives the TTL horizon next to that entry's time, and warns when
+ *   the chain starts well after the horizon (older entries removed early).
+ *
+ * Set AUDIT_FAIL_CLOSED=true to make a failed audit write fail PHI reads
+ * (READs of a patient's data) instead of only being logged.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+// Problems listed per kind in a verification report (all are counted)
+const MAX_REPORTED = 100;
+const HEAD_ID = 'audit';
+// TTL deletion runs about once a minute and the chain may have quiet periods,
+// so only warn when the oldest kept entry is this far inside the horizon
+const HORIZON_SLACK_MS = 24 * 60 * 60 * 1000;
+
+// Content covered by the hash, in a fixed order
+const HASHED_FIELDS = [
+  'seq',
+  'timestamp',
+  'userId',
+  'userRole',
+  'action',
+  'resourceType',
+  'resourceId',
+  'affectedPatientId',
+  'hospitalId',
+  'ipAddress',
+  'userAgent',
+  'terminalDepartmentId',
+  'emergencyAccessId',
+  'details',
+];
+
+function normalize(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || typeof value === 'string') return value;
+  return String(value);
+}
+
+// Works on documents and lean objects alike
+function computeHash(entry) {
+  const content = JSON.stringify(HASHED_FIELDS.map((field) => normalize(entry[field])));
+  return crypto.createHash('sha256').update(`${entry.prevHash}${content}`).digest('hex');
+}
+
+// Retention of the audit log's TTL index, in seconds
+function ttlSeconds() {
+  const ttlIndex = AuditLog.schema.indexes().find(([, options]) => options.expireAfterSeconds !== undefined);
+  return ttlIndex ? ttlIndex[1].expireAfterSeconds : null;
+}
+
+let appendQueue = Promise.resolve();
+
+class AuditChainService {
+  /**
+   * APPEND AN ENTRY TO THE CHAIN
+   * @param {object} data - AuditLog fields
+   * @returns {object} AuditLog document
+   */
+  static append(data) {
+    const result = appendQueue.then(() => AuditChainService.appendNow(data));
+    appendQueue = result.catch(() => {});
+    return result;
+  }
+
+  static async appendNow(data) {
+    for (let attempt = 1; ; attempt++) {
+      const last = await AuditLog.findOne({ seq: { $exists: true } })
+        .sort({ seq: -1 })
+        .select('seq hash')
+        .lean();
+
+      // Hash the cast values - exactly what is stored and later verified
+      const entry = new AuditLog({
+        ...data,
+        seq: (last?.seq || 0) + 1,
+        prevHash: last?.hash || GENESIS_HASH,
+      });
+      entry.hash = computeHash(entry);
+
+      try {
+        await entry.save();
+      } catch (error) {
+        // Another process took this seq
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+        continue;
+      }
+
+      await AuditChainService.advanceHead(entry);
+      return entry;
+    }
+  }
+
+  /**
+   * MOVE THE HEAD TO AN APPENDED ENTRY
+   * Never moves it back: when another process already appended a later
+   * entry, the upsert hits the unique _id and is ignored.
+   * @param {object} entry - Saved AuditLog document
+   */
+  static async advanceHead(entry) {
+    try {
+      await AuditChainHead.updateOne(
+        { _id: HEAD_ID, seq: { $lt: entry.seq } },
+        { $set: { seq: entry.seq, hash: entry.hash } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * WALK THE CHAIN
+   * @returns {object} { ok, checked, firstSeq, lastSeq, unchained, head,
+   *                     truncated, retention, warnings, issues, gaps, modified,
+   *                     brokenLinks } - issues has the count of each problem,
+   *                     the lists hold the first MAX_REPORTED. head is null for
+   *                     chains written before the head was recorded
+   */
+  static async verify() {
+    const report = {
+      ok: true,
+      checked: 0,
+      firstSeq: null,
+      lastSeq: null,
+      unchained: await AuditLog.countDocuments({ seq: { $exists: false } }),
+      head: await AuditChainHead.findById(HEAD_ID).select('seq hash').lean(),
+      truncated: null,
+      retention: null,
+      warnings: [],
+      issues: { gaps: 0, modified: 0, brokenLinks: 0, truncated: 0 },
+      gaps: [],
+      modified: [],
+      brokenLinks: [],
+    };
+
+    const record = (kind, problem) => {
+      report.issues[kind] += 1;
+      if (report[kind].length < MAX_REPORTED) report[kind].push(problem);
+    };
+
+    let previous = null;
+    let first = null;
+    let headEntry = null;
+    const entries = AuditLog.find({ seq: { $exists: true } }).sort({ seq: 1 }).lean().cursor();
+
+    for await (const entry of entries) {
+      report.checked += 1;
+      if (report.firstSeq === null) {
+        report.firstSeq = entry.seq;
+        first = entry;
+      }
+      if (report.head && entry.seq === report.head.seq) headEntry = entry;
+
+      if (computeHash(entry) !== entry.hash) {
+        record('modified', { seq: entry.seq, id: entry._id });
+      }
+
+      if (previous && entry.seq !== previous.seq + 1) {
+        record('gaps', { from: previous.seq + 1, to: entry.seq - 1 });
+      } else if (previous ? entry.prevHash !== previous.hash : entry.seq === 1 && entry.prevHash !== GENESIS_HASH) {
+        record('brokenLinks', { seq: entry.seq, id: entry._id });
+      }
+
+      previous = entry;
+    }
+
+    report.lastSeq = previous ? previous.seq : null;
+
+    // Newest entries deleted, or the end of the chain rewritten
+    const { head } = report;
+    if (head && (!headEntry || headEntry.hash !== head.hash)) {
+      report.issues.truncated = 1;
+      report.truncated = headEntry
+        ? { seq: head.seq, reason: 'Entry at the head has been replaced' }
+        : { from: (report.lastSeq || 0) + 1, to: head.seq, reason: 'Newest entries are missing' };
+    }
+
+    const ttl = ttlSeconds();
+    if (ttl !== null) {
+      const horizon = new Date(Date.now() - ttl * 1000);
+      report.retention = { ttlSeconds: ttl, horizon, firstTimestamp: first ? first.timestamp : null };
+
+      if (first && first.seq > 1 && first.timestamp - horizon > HORIZON_SLACK_MS) {
+        report.warnings.push(
+          `The chain starts at seq ${first.seq} (${first.timestamp.toISOString()}), well after the ` +
+          `retention horizon (${horizon.toISOString()}): older entries were removed early, ` +
+          'unless nothing was logged in between'
+        );
+      }
+    }
+
+    report.ok = !report.issues.gaps && !report.issues.modified && !report.issues.brokenLinks &&
+      !report.issues.truncated;
+    return report;
+  }
+
+  /**
+   * SHOULD A FAILED AUDIT WRITE FAIL THE REQUEST?
+   * @returns {boolean}
+   */
+  static failClosed() {
+    return process.env.AUDIT_FAIL_CLOSED === 'true';
+  }
+}
+
+AuditChainService.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = AuditChainService;
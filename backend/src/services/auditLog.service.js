@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { AuditLog, User } = require('../models/index.js');
+
+/**
+ * AUDIT LOG SERVICE
+ * Querying and exporting the audit log for compliance reviews.
+ *
+ * - scopeFor() limits hospital admins to their own hospital: actions taken
+ *   from it, by its staff, or on its patients. Super admins see everything.
+ * - buildFilter() turns query-string filters into a Mongo filter.
+ * - find() pages with a cursor (the last _id seen), so results stay stable
+ *   while new entries are written.
+ * - exportCursor() streams every match for CSV / NDJSON export.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const CSV_COLUMNS = [
+  'timestamp',
+  'userId',
+  'userName',
+  'userRole',
+  'action',
+  'resourceType',
+  'resourceId',
+  'affectedPatientId',
+  'hospitalId',
+  'ipAddress',
+  'userAgent',
+  'terminalDepartmentId',
+  'emergencyAccessId',
+  'details',
+];
+
+// Quote a CSV cell when needed; leading = + - @ tab and carriage return are
+// escaped so the file is safe to open in a spreadsheet
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AuditLogService {
+  /**
+   * WHAT THE REQUESTING ADMIN MAY SEE
+   * @param {object} req - Express request (hospital or super admin)
+   * @returns {object} Mongo filter ({} for super admins)
+   */
+  static async scopeFor(req) {
+    if (req.user.role === 'super_admin') return {};
+
+    const members = await User.find({ hospitalId: req.hospitalId }).distinct('_id');
+    return {
+      $or: [
+        { hospitalId: req.hospitalId },
+        { userId: { $in: members } },
+        { affectedPatientId: { $in: members } },
+      ],
+    };
+  }
+
+  /**
+   * QUERY-STRING FILTERS -> MONGO FILTER
+   * @param {object} query - userId, patientId, resourceType, action, from, to, ip, hospitalId
+   * @returns {object}
+   */
+  static buildFilter({ userId, patientId, resourceType, action, from, to, ip, hospitalId } = {}) {
+    const filter = {};
+
+    if (userId) filter.userId = new mongoose.Types.ObjectId(userId);
+    if (patientId) filter.affectedPatientId = new mongoose.Types.ObjectId(patientId);
+    if (resourceType) filter.resourceType = resourceType;
+    if (action) filter.action = action;
+    if (ip) filter.ipAddress = ip;
+    if (hospitalId) filter.hospitalId = new mongoose.Types.ObjectId(hospitalId);
+
+    if (from || to) {
+      const end = to && new Date(to);
+      // A plain date includes the whole day
+      if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+
+      filter.timestamp = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: end }),
+      };
+    }
+
+    return filter;
+  }
+
+  /**
+   * ONE PAGE OF LOGS, NEWEST FIRST
+   * @param {object} filter - From scopeFor() and buildFilter()
+   * @param {object} options - cursor (last _id of the previous page), limit
+   * @returns {object} { data, nextCursor }
+   */
+  static async find(filter, { cursor, limit } = {}) {
+    limit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const query = cursor
+      ? { $and: [filter, { _id: { $lt: new mongoose.Types.ObjectId(cursor) } }] }
+      : filter;
+
+    // One extra to know whether there is a next page
+    const logs = await AuditLog.find(query)
+      .populate('userId', 'firstName lastName email role')
+      .populate('affectedPatientId', 'firstName lastName email')
+      .populate('hospitalId', 'name')
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = logs.length > limit;
+    const data = hasMore ? logs.slice(0, limit) : logs;
+
+    return {
+      data,
+      nextCursor: hasMore ? data[data.length - 1]._id.toString() : null,
+    };
+  }
+
+  /**
+   * EVERY MATCHING LOG, FOR EXPORT
+   * @param {object} filter - From scopeFor() and buildFilter()
+   * @returns {object} Mongoose query cursor
+   */
+  static exportCursor(filter) {
+    return AuditLog.find(filter)
+      .populate('userId', 'firstName lastName')
+      .sort({ _id: -1 })
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * CSV HEADER LINE
+   * @returns {string}
+   */
+  static csvHeader() {
+    return `${CSV_COLUMNS.join(',')}\n`;
+  }
+
+  /**
+   * ONE LOG AS A CSV LINE
+   * @param {object} log - Lean AuditLog (userId populated)
+   * @returns {string}
+   */
+  static toCsvRow(log) {
+    const row = {
+      ...log,
+      userId: log.userId?._id || log.userId,
+      userName: log.userId?.firstName ? `${log.userId.firstName} ${log.userId.lastName}` : '',
+    };
+    return `${CSV_COLUMNS.map((column) => csvCell(row[column])).join(',')}\n`;
+  }
+
+  /**
+   * ONE LOG AS AN NDJSON LINE
+   * @param {object} log - Lean AuditLog (userId populated)
+   * @returns {string}
+   */
+  static toNdjsonRow(log) {
+    return `${JSON.stringify({
+      ...log,
+      userId: log.userId?._id || log.userId,
+      userName: log.userId?.firstName ? `${log.userId.firstName} ${log.userId.lastName}` : undefined,
+    })}\n`;
+  }
+}
+
+AuditLogService.MAX_LIMIT = MAX_LIMIT;
+AuditLogService.EXPORT_FORMATS = EXPORT_FORMATS;
+
+module.exports = AuditLogService;
@@ -0,0 +1,113 @@
+const { Consent, Hospital } = require('../models/index.js');
+
+/**
+ * CONSENT SERVICE
+ * Patient consent for cross-hospital record sharing.
+ *
+ * - A hospital sharing agreement alone is not enough: the patient must also
+ *   have consented to the viewing hospital seeing that kind of data.
+ * - Patients choose the hospital, the resources (medical records, test
+ *   results, prescriptions) and an optional date range.
+ * - Granting again for the same hospital replaces the active consent, and
+ *   revoked consents are kept as the patient's history.
+ * - Break-the-glass emergency access does not need consent.
+ */
+
+const CONSENT_RESOURCES = Consent.CONSENT_RESOURCES;
+
+function consentError(message, status = 400) {
+  const error = new Error(message);
+  error.name = 'ConsentError';
+  error.status = status;
+  return error;
+}
+
+class ConsentService {
+  /**
+   * GRANT CONSENT
+   * @param {ObjectId} patientId - Patient
+   * @param {object} scope - { hospitalId, resources, validFrom, validUntil }
+   * @returns {object} Consent document
+   */
+  static async grant(patientId, { hospitalId, resources, validFrom, validUntil }) {
+    const hospital = await Hospital.findById(hospitalId).select('approvalStatus');
+    if (!hospital || hospital.approvalStatus !== 'approved') {
+      throw consentError('Hospital not found', 404);
+    }
+
+    const from = validFrom ? new Date(validFrom) : new Date();
+    const until = validUntil ? new Date(validUntil) : undefined;
+    if (until && until <= from) {
+      throw consentError('The end date must be after the start date');
+    }
+    if (until && until <= Date.now()) {
+      throw consentError('The end date must be in the future');
+    }
+
+    const consent = await Consent.create({
+      patientId,
+      hospitalId,
+      resources: resources?.length ? [...new Set(resources)] : [...CONSENT_RESOURCES],
+      validFrom: from,
+      validUntil: until,
+    });
+
+    await Consent.updateMany(
+      { patientId, hospitalId, status: 'active', _id: { $ne: consent._id } },
+      { status: 'revoked', revokedAt: new Date(), revocationReason: 'Replaced by a new consent' }
+    );
+
+    return consent;
+  }
+
+  /**
+   * REVOKE CONSENT
+   * @param {object} consent - Consent document
+   * @param {string} reason - Optional reason
+   */
+  static async revoke(consent, reason) {
+    if (consent.status === 'revoked') {
+      throw consentError('This consent has already been revoked', 409);
+    }
+
+    consent.status = 'revoked';
+    consent.revokedAt = new Date();
+    consent.revocationReason = reason;
+    return consent.save();
+  }
+
+  /**
+   * VALID CONSENT FOR A HOSPITAL
+   * @param {ObjectId} patientId - Patient
+   * @param {ObjectId} hospitalId - Hospital that wants to view the records
+   * @param {string|null} resource - medicalRecords | testResults | prescriptions
+   *                                 (null = any, e.g. for the patient profile)
+   * @returns {object|null} Consent document
+   */
+  static async findValid(patientId, hospitalId, resource = null) {
+    const now = new Date();
+    return Consent.findOne({
+      patientId,
+      hospitalId,
+      status: 'active',
+      ...(resource && { resources: resource }),
+      validFrom: { $lte: now },
+      $or: [{ validUntil: null }, { validUntil: { $gt: now } }],
+    });
+  }
+
+  /**
+   * A PATIENT'S CONSENT HISTORY
+   * @param {ObjectId} patientId - Patient
+   * @returns {object[]} Newest first
+   */
+  static async history(patientId) {
+    return Consent.find({ patientId })
+      .populate('hospitalId', 'name')
+      .sort({ createdAt: -1 });
+  }
+}
+
+ConsentService.CONSENT_RESOURCES = CONSENT_RESOURCES;
+
+module.exports = ConsentService;
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Department, User } = require('../models/index.js');
+const LockoutService = require('./lockout.service.js');
+
+/**
+ * DEPARTMENT TERMINAL SERVICE
+ * Shared department workstations (lab bench, radiology desk).
+ *
+ * Flow:
+ * 1. login()          - departmentEmail / departmentPassword sign the terminal in
+ *                       and a department token is issued (jwt type 'department')
+ * 2. listStaff()      - the terminal shows who can work on it
+ * 3. identifyStaff()  - every request carries X-Staff-Id + X-Staff-PIN; the staff
+ *                       member becomes req.user, so audit entries, result uploads
+ *                       etc. are attributed to them, not to the department
+ *
+ * PINs are short, so they are stored as an HMAC keyed with STAFF_PIN_SECRET
+ * (falls back to JWT_SECRET) and wrong PINs count towards the account lockout.
+ * Wrong department passwords count towards a lockout of the department's
+ * terminal sign-in. The identified staff member also goes through the
+ * personal-login account checks (see auth middleware).
+ */
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+function pinSecret() {
+  return process.env.STAFF_PIN_SECRET || process.env.JWT_SECRET || 'serverkey';
+}
+
+function terminalError(message, status = 401, code) {
+  const error = new Error(message);
+  error.name = 'DepartmentTerminalError';
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function hashPin(userId, pin) {
+  return crypto
+    .createHmac('sha256', pinSecret())
+    .update(`${userId}:${pin}`)
+    .digest('hex');
+}
+
+// Hospital must be approved and paying, same as for personal logins
+function checkHospital(hospital) {
+  if (!hospital || hospital.approvalStatus !== 'approved' || hospital.subscriptionStatus !== 'active') {
+    throw terminalError('Hospital is not active', 403);
+  }
+}
+
+class DepartmentTerminalService {
+  /**
+   * IS THIS A VALID PIN FORMAT?
+   * @param {string} pin
+   * @returns {boolean}
+   */
+  static isValidPin(pin) {
+    return PIN_PATTERN.test(String(pin || ''));
+  }
+
+  /**
+   * SET A STAFF MEMBER'S TERMINAL PIN
+   * @param {ObjectId} userId - Department staff user
+   * @param {string} pin - 4-8 digits
+   */
+  static async setPin(userId, pin) {
+    if (!DepartmentTerminalService.isValidPin(pin)) {
+      throw terminalError('PIN must be 4 to 8 digits', 400);
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { staffPinHash: hashPin(userId, pin) } });
+  }
+
+  /**
+   * SIGN A TERMINAL IN WITH THE DEPARTMENT CREDENTIALS
+   * @param {string} email - departmentEmail
+   * @param {string} password - departmentPassword
+   * @param {object} req - Express request (for lockout auditing)
+   * @returns {object} Department (hospitalId populated)
+   */
+  static async login(email, password, req) {
+    const departmentEmail = String(email || '').toLowerCase();
+    const department = await Department.findOne({ departmentEmail })
+      .select('+departmentPassword')
+      .populate('hospitalId', 'name approvalStatus subscriptionStatus security');
+
+    if (!department || !department.departmentPassword) {
+      await LockoutService.recordDepartmentFailure(department, req, 'unknown_department', departmentEmail);
+      throw terminalError('Email or password is incorrect');
+    }
+
+    if (department.isLocked) {
+      await LockoutService.recordDepartmentFailure(department, req, 'account_locked', departmentEmail);
+      throw terminalError('Terminal sign-in locked after too many failed attempts', 423);
+    }
+
+    if (!(await department.compareDepartmentPassword(password))) {
+      const locked = await LockoutService.recordDepartmentFailure(
+        department, req, 'invalid_department_password', departmentEmail
+      );
+      throw locked
+        ? terminalError('Terminal sign-in locked after too many failed attempts', 423)
+        : terminalError('Email or password is incorrect');
+    }
+
+    if (department.loginAttempts > 0) {
+      await Department.updateOne({ _id: department._id }, { $set: { loginAttempts: 0 } });
+    }
+
+    if (!department.isActive || !department.departmentLoginEnabled) {
+      throw terminalError('Terminal login is disabled for this department', 403);
+    }
+
+    checkHospital(department.hospitalId);
+
+    return department;
+  }
+
+  /**
+   * CHECK A DECODED DEPARTMENT TOKEN
+   * Tokens stop working when terminal login is disabled or the department
+   * password changes.
+   * @param {object} decoded - Verified JWT payload
+   * @returns {object} Department (hospitalId populated)
+   */
+  static async validateToken(decoded) {
+    const department = await Department.findById(decoded.departmentId)
+      .populate('hospitalId', 'name approvalStatus subscriptionStatus');
+
+    if (!department || !department.isActive || !department.departmentLoginEnabled) {
+      throw terminalError('Terminal login is disabled for this department');
+    }
+
+    if (department.departmentPasswordChangedAt &&
+        decoded.iat < Math.floor(department.departmentPasswordChangedAt.getTime() / 1000)) {
+      throw terminalError('Department password has changed, please sign the terminal in again');
+    }
+
+    checkHospital(department.hospitalId);
+
+    return department;
+  }
+
+  /**
+   * STAFF WHO CAN USE THE TERMINAL (active, with a PIN set)
+   * @param {ObjectId} departmentId - Department ID
+   * @returns {object[]}
+   */
+  static async listStaff(departmentId) {
+    return User.find({
+      departmentId,
+      role: 'department_staff',
+      isActive: true,
+      staffPinHash: { $exists: true },
+    })
+      .select('firstName lastName')
+      .sort({ firstName: 1, lastName: 1 });
+  }
+
+  /**
+   * IDENTIFY THE STAFF MEMBER BEHIND A TERMINAL REQUEST
+   * @param {object} department - Department the terminal is signed in to
+   * @param {string} staffId - X-Staff-Id header
+   * @param {string} pin - X-Staff-PIN header
+   * @param {object} req - Express request (for lockout auditing)
+   * @returns {object} User document (hospital and department populated)
+   */
+  static async identifyStaff(department, staffId, pin, req) {
+    if (!staffId || !pin) {
+      throw terminalError('Enter your staff PIN to continue', 401, 'staff_pin_required');
+    }
+
+    const user = mongoose.isValidObjectId(staffId)
+      ? await User.findOne({
+        _id: staffId,
+        departmentId: department._id,
+        role: 'department_staff',
+        isActive: true,
+      })
+        .select('+staffPinHash')
+        .populate('hospitalId', 'name approvalStatus subscriptionStatus security')
+        .populate('departmentId', 'name code')
+      : null;
+
+    if (!user || !user.staffPinHash) {
+      throw terminalError('Unknown staff member for this department', 401, 'staff_pin_required');
+    }
+
+    if (user.isLocked) {
+      await LockoutService.recordFailure(user, req, 'account_locked');
+      throw terminalError('Account locked after too many failed attempts', 423, 'account_locked');
+    }
+
+    const expected = Buffer.from(user.staffPinHash, 'hex');
+    const actual = Buffer.from(hashPin(user._id, pin), 'hex');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      const locked = await LockoutService.recordFailure(user, req, 'invalid_pin');
+      throw locked
+        ? terminalError('Account locked after too many failed attempts', 423, 'account_locked')
+        : terminalError('Incorrect PIN', 401, 'staff_pin_invalid');
+    }
+
+    if (user.loginAttempts > 0) {
+      await User.updateOne({ _id: user._id }, { $set: { loginAttempts: 0 } });
+    }
+
+    return user;
+  }
+}
+
+module.exports = DepartmentTerminalService;
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { User } = require('../models/index.js');
+const MailService = require('./mail.service.js');
+
+/**
+ * EMAIL VERIFICATION SERVICE
+ * Sends verification links and decides what unverified accounts may do.
+ *
+ * Policy per role:
+ * - 'block' - login is refused until the email is verified
+ * - 'limit' - login works but the account is read-only (GET requests and /auth only)
+ * - 'none'  - verification is optional
+ *
+ * Override the defaults with EMAIL_VERIFICATION_POLICY, e.g.
+ * "patient:block,doctor:limit". Super admins are never blocked by default so
+ * a deployment can't lock out every admin.
+ *
+ * Accounts that existed before verification was introduced are marked
+ * verified by npm run migrate:email-verification.
+ */
+
+const DEFAULT_POLICY = {
+  patient: 'limit',
+  pending_approval: 'limit',
+  doctor: 'block',
+  nurse: 'block',
+  department_staff: 'block',
+  hospital_admin: 'block',
+  super_admin: 'none',
+};
+
+const POLICY_VALUES = ['block', 'limit', 'none'];
+const RESEND_INTERVAL_MS = 60 * 1000;
+const TOKEN_LIFETIME_MS = 24 * 60 * 60 * 1000; // Matches User.createEmailVerificationToken
+
+function configuredPolicy() {
+  const policy = { ...DEFAULT_POLICY };
+
+  (process.env.EMAIL_VERIFICATION_POLICY || '')
+    .split(',')
+    .map(entry => entry.trim().split(':').map(part => part.trim()))
+    .forEach(([role, value]) => {
+      if (role && POLICY_VALUES.includes(value)) policy[role] = value;
+    });
+
+  return policy;
+}
+
+class EmailVerificationService {
+  /**
+   * POLICY FOR A ROLE
+   * @param {string} role - User role
+   * @returns {string} 'block' | 'limit' | 'none'
+   */
+  static getPolicy(role) {
+    return configuredPolicy()[role] || 'limit';
+  }
+
+  /**
+   * SEND (OR RESEND) THE VERIFICATION EMAIL
+   * Issues a fresh token each time, invalidating earlier links.
+   * @param {object} user - User document
+   * @returns {boolean} false when already verified or a link was sent under a minute ago
+   */
+  static async sendVerification(user) {
+    if (user.isEmailVerified) return false;
+
+    const issuedAt = user.emailVerificationExpires
+      ? new Date(user.emailVerificationExpires).getTime() - TOKEN_LIFETIME_MS
+      : 0;
+    if (Date.now() - issuedAt < RESEND_INTERVAL_MS) return false;
+
+    const token = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    await MailService.send(user.email, 'emailVerification', {
+      firstName: user.firstName,
+      token,
+    });
+
+    return true;
+  }
+
+  /**
+   * VERIFY AN EMAIL ADDRESS
+   * @param {string} token - Raw token from the verification link
+   * @returns {object|null} Verified user, or null when the token is invalid or expired
+   */
+  static async verify(token) {
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() },
+    });
+
+    if (!user) return null;
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+  }
+
+  /**
+   * CAN AN UNVERIFIED USER MAKE THIS REQUEST?
+   * @param {object} user - Authenticated user
+   * @param {object} req - Express request object
+   * @returns {boolean}
+   */
+  static allowsRequest(user, req) {
+    if (user.isEmailVerified) return true;
+
+    const policy = EmailVerificationService.getPolicy(user.role);
+    if (policy === 'none') return true;
+    if (policy === 'block') return false;
+
+    // 'limit': read-only, plus the auth endpoints (resend, logout, ...)
+    return req.method === 'GET' || req.baseUrl.endsWith('/auth');
+  }
+}
+
+module.exports = EmailVerificationService;
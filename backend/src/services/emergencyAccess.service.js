@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const { EmergencyAccess, User, Hospital } = require('../models/index.js');
+const { logAudit } = require('../middleware/audit.js');
+const NotificationService = require('./notification.service.js');
+const MailService = require('./mail.service.js');
+
+/**
+ * EMERGENCY ACCESS SERVICE
+ * Break-the-glass access to patients outside the clinician's hospital.
+ *
+ * Flow:
+ * 1. grant()      - clinician gives a justification and gets time-boxed access
+ *                   to one patient; admins of both hospitals are notified
+ * 2. findActive() - canAccessPatient() falls back to an active grant; every
+ *                   request made under it is audited with emergencyAccessId
+ * 3. end()        - access can be ended before it expires
+ * 4. review()     - an admin of either hospital marks it justified / unjustified
+ */
+
+const DEFAULT_MINUTES = 60;
+const MAX_MINUTES = 240;
+
+function emergencyAccessError(message, status = 400) {
+  const error = new Error(message);
+  error.name = 'EmergencyAccessError';
+  error.status = status;
+  return error;
+}
+
+class EmergencyAccessService {
+  /**
+   * BREAK THE GLASS
+   * @param {object} user - Clinician (req.user, hospital populated)
+   * @param {object} patientRef - { patientId } or { patientEmail }
+   * @param {string} justification - Why the access is needed
+   * @param {number} minutes - Duration (capped at MAX_MINUTES)
+   * @param {object} req - Express request
+   * @returns {object} EmergencyAccess document
+   */
+  static async grant(user, { patientId, patientEmail }, justification, minutes, req) {
+    const userHospitalId = user.hospitalId?._id || user.hospitalId;
+    if (!userHospitalId) {
+      throw emergencyAccessError('Emergency access requires a hospital account', 403);
+    }
+
+    const patientFilter = patientId
+      ? mongoose.isValidObjectId(patientId) && { _id: patientId }
+      : { email: String(patientEmail || '').toLowerCase() };
+    const patient = patientFilter
+      ? await User.findOne({ ...patientFilter, role: 'patient' }).select('firstName lastName hospitalId')
+      : null;
+
+    if (!patient) {
+      throw emergencyAccessError('Patient not found', 404);
+    }
+
+    if (patient.hospitalId && patient.hospitalId.toString() === userHospitalId.toString()) {
+      throw emergencyAccessError('This patient belongs to your hospital - emergency access is not needed');
+    }
+
+    const duration = Math.min(Math.max(Number(minutes) || DEFAULT_MINUTES, 1), MAX_MINUTES);
+
+    const access = await EmergencyAccess.create({
+      userId: user._id,
+      userHospitalId,
+      patientId: patient._id,
+      patientHospitalId: patient.hospitalId,
+      justification,
+      expiresAt: new Date(Date.now() + duration * 60 * 1000),
+    });
+
+    // Flags this audit entry (and the rest of the request) as break-glass
+    req.emergencyAccess = access;
+    await logAudit(user._id, 'CREATE', 'EmergencyAccess', access._id.toString(), req,
+      `BREAK-GLASS: emergency access for ${duration} minutes - ${justification}`, patient._id);
+
+    await EmergencyAccessService.reportToAdmins(access, user, duration);
+
+    return access;
+  }
+
+  /**
+   * TELL BOTH HOSPITALS' ADMINS
+   * In-app notification plus email; failures never undo the grant.
+   * @param {object} access - EmergencyAccess document
+   * @param {object} user - Clinician
+   * @param {number} minutes - Granted duration
+   */
+  static async reportToAdmins(access, user, minutes) {
+    const hospitalIds = [access.userHospitalId, access.patientHospitalId].filter(Boolean);
+    const clinicianName = `${user.firstName} ${user.lastName}`;
+    const clinicianHospital = user.hospitalId?.name
+      ? user.hospitalId
+      : await Hospital.findById(access.userHospitalId).select('name');
+
+    await NotificationService.notifyUsers(
+      { role: 'hospital_admin', hospitalId: { $in: hospitalIds } },
+      {
+        type: 'emergency_access',
+        title: 'Emergency access used',
+        message: `${clinicianName} (${clinicianHospital?.name || 'another hospital'}) broke the glass for up to ${minutes} minutes`,
+        link: '/dashboard/hospital-admin/emergency-access',
+        resourceType: 'EmergencyAccess',
+        resourceId: access._id,
+      }
+    );
+
+    try {
+      const admins = await User.find({ role: 'hospital_admin', hospitalId: { $in: hospitalIds }, isActive: true })
+        .select('email firstName');
+
+      for (const admin of admins) {
+        await MailService.send(admin.email, 'emergencyAccess', {
+          firstName: admin.firstName,
+          clinicianName,
+          clinicianHospitalName: clinicianHospital?.name || 'another hospital',
+          minutes,
+        });
+      }
+    } catch (error) {
+      console.error('Failed to email emergency access report:', error);
+    }
+  }
+
+  /**
+   * ACTIVE GRANT FOR A CLINICIAN AND PATIENT
+   * @param {ObjectId} userId - Clinician
+   * @param {ObjectId} patientId - Patient
+   * @returns {object|null} EmergencyAccess document
+   */
+  static async findActive(userId, patientId) {
+    return EmergencyAccess.findOne({
+      userId,
+      patientId,
+      endedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).sort({ expiresAt: -1 });
+  }
+
+  /**
+   * GRANTS A HOSPITAL'S ADMINS CAN SEE
+   * Grants used by its clinicians and grants to its patients.
+   * @param {ObjectId|null} hospitalId - Hospital (null = all, for super admins)
+   * @param {object} filter - Extra conditions (e.g. reviewStatus)
+   * @returns {object[]}
+   */
+  static async listForHospital(hospitalId, filter = {}) {
+    const scope = hospitalId
+      ? { $or: [{ userHospitalId: hospitalId }, { patientHospitalId: hospitalId }] }
+      : {};
+
+    return EmergencyAccess.find({ ...scope, ...filter })
+      .populate('userId', 'firstName lastName email role')
+      .populate('patientId', 'firstName lastName email')
+      .populate('userHospitalId', 'name')
+      .populate('patientHospitalId', 'name')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(200);
+  }
+
+  /**
+   * CAN THIS ADMIN MANAGE THE GRANT?
+   * @param {object} access - EmergencyAccess document
+   * @param {object} req - Express request
+   * @returns {boolean}
+   */
+  static isAdminFor(access, req) {
+    if (req.user.role === 'super_admin') return true;
+    if (req.user.role !== 'hospital_admin' || !req.hospitalId) return false;
+
+    const hospitalId = req.hospitalId.toString();
+    return access.userHospitalId?.toString() === hospitalId ||
+      access.patientHospitalId?.toString() === hospitalId;
+  }
+
+  /**
+   * END A GRANT EARLY
+   * @param {object} access - EmergencyAccess document
+   * @param {ObjectId} userId - Who ended it
+   */
+  static async end(access, userId) {
+    if (!access.isActive) {
+      throw emergencyAccessError('This emergency access has already ended', 409);
+    }
+
+    access.endedAt = new Date();
+    access.endedBy = userId;
+    return access.save();
+  }
+
+  /**
+   * RECORD THE ADMIN REVIEW
+   * @param {object} access - EmergencyAccess document
+   * @param {ObjectId} userId - Reviewing admin
+   * @param {string} status - justified | unjustified
+   * @param {string} note - Optional review note
+   */
+  static async review(access, userId, status, note) {
+    access.reviewStatus = status;
+    access.reviewedBy = userId;
+    access.reviewedAt = new Date();
+    access.reviewNote = note;
+    return access.save();
+  }
+}
+
+EmergencyAccessService.DEFAULT_MINUTES = DEFAULT_MINUTES;
+EmergencyAccessService.MAX_MINUTES = MAX_MINUTES;
+
+module.exports = EmergencyAccessService;
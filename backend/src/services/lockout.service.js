@@ -0,0 +1,170 @@
+const { User, Hospital } = require('../models/index.js');
+const { logAudit } = require('../middleware/audit.js');
+
+/**
+ * LOCKOUT SERVICE
+ * Failed sign-in tracking and account lockout.
+ *
+ * - Thresholds come from hospital.security.lockout; accounts without a
+ *   hospital use DEFAULT_LOCKOUT.
+ * - Every failed or blocked attempt on an existing account is written to the
+ *   audit log as a LOGIN entry with the failure reason. Attempts with an email
+ *   that matches no account get a LOGIN entry with no user and the email.
+ * - Hospital admins can list locked staff accounts and unlock them early.
+ * - Department terminal sign-ins (department email + password) have their own
+ *   counter on the department, with the hospital's thresholds. Setting a new
+ *   department password lifts the lock.
+ */
+
+const DEFAULT_LOCKOUT = {
+  maxAttempts: 5,
+  lockMinutes: 120,
+};
+
+// Failure reasons recorded in the audit log
+const FAILURE_REASONS = {
+  invalid_password: 'wrong password',
+  invalid_mfa_code: 'wrong verification code',
+  invalid_pin: 'wrong terminal PIN',
+  invalid_department_password: 'wrong department password',
+  unknown_department: 'unknown department email',
+  account_locked: 'account locked',
+  account_inactive: 'account deactivated',
+  email_unverified: 'email not verified',
+  unknown_email: 'no account with this email',
+};
+
+class LockoutService {
+  /**
+   * EFFECTIVE LOCKOUT POLICY FOR A USER
+   * Uses the populated hospital when available, otherwise loads it.
+   * @param {object} user - User document
+   * @returns {object} { maxAttempts, lockMinutes }
+   */
+  static async policyFor(user) {
+    const hospitalId = user.hospitalId;
+    if (!hospitalId) return { ...DEFAULT_LOCKOUT };
+
+    const hospital = hospitalId.security
+      ? hospitalId
+      : await Hospital.findById(hospitalId).select('security').lean();
+
+    const configured = hospital?.security?.lockout || {};
+    return {
+      maxAttempts: configured.maxAttempts ?? DEFAULT_LOCKOUT.maxAttempts,
+      lockMinutes: configured.lockMinutes ?? DEFAULT_LOCKOUT.lockMinutes,
+    };
+  }
+
+  /**
+   * RECORD A FAILED ATTEMPT
+   * Counts towards the lockout unless the account is already locked or
+   * the credentials were right (inactive / unverified accounts).
+   * @param {object} user - User document
+   * @param {object} req - Express request
+   * @param {string} reason - Key of FAILURE_REASONS
+   * @returns {boolean} true when this attempt locked the account
+   */
+  static async recordFailure(user, req, reason) {
+    const counts = ['invalid_password', 'invalid_mfa_code', 'invalid_pin'].includes(reason);
+    let locked = false;
+    let details = `Sign-in failed: ${FAILURE_REASONS[reason] || reason}`;
+
+    if (counts) {
+      const policy = await LockoutService.policyFor(user);
+      locked = await user.incLoginAttempts(policy);
+      if (locked) {
+        details += ` - account locked for ${policy.lockMinutes} minutes after ${policy.maxAttempts} failed attempts`;
+      }
+    } else if (reason === 'account_locked' && user.lockUntil) {
+      details += ` until ${user.lockUntil.toISOString()}`;
+    }
+
+    await logAudit(user._id, 'LOGIN', 'User', user._id.toString(), req, details, null, user.role);
+
+    return locked;
+  }
+
+  /**
+   * RECORD A SIGN-IN WITH AN EMAIL THAT MATCHES NO ACCOUNT
+   * Nothing to count against, but the attempts stay visible (e.g. someone
+   * probing for accounts).
+   * @param {string} email - Email that was tried
+   * @param {object} req - Express request
+   */
+  static async recordUnknownEmail(email, req) {
+    await logAudit(null, 'LOGIN', 'User', 'unknown', req,
+      `Sign-in failed: ${FAILURE_REASONS.unknown_email} (${String(email || '').slice(0, 254)})`, null, 'unknown');
+  }
+
+  /**
+   * RECORD A FAILED DEPARTMENT TERMINAL SIGN-IN
+   * No person is identified, so the entry has no user; it is filed under the
+   * department's hospital so that hospital's admins see it.
+   * @param {object} department - Department document (hospitalId populated), or null for an unknown email
+   * @param {object} req - Express request
+   * @param {string} reason - Key of FAILURE_REASONS
+   * @param {string} email - Department email that was tried
+   * @returns {boolean} true when this attempt locked terminal sign-in
+   */
+  static async recordDepartmentFailure(department, req, reason, email) {
+    let locked = false;
+    let details = `Terminal sign-in failed: ${FAILURE_REASONS[reason] || reason} (${email})`;
+
+    if (reason === 'invalid_department_password') {
+      const policy = await LockoutService.policyFor(department);
+      locked = await department.incLoginAttempts(policy);
+      if (locked) {
+        details += ` - terminal sign-in locked for ${policy.lockMinutes} minutes after ${policy.maxAttempts} failed attempts`;
+      }
+    } else if (reason === 'account_locked' && department.lockUntil) {
+      details += ` until ${department.lockUntil.toISOString()}`;
+    }
+
+    if (department) req.hospitalId = department.hospitalId?._id || department.hospitalId;
+
+    await logAudit(null, 'LOGIN', 'Department', department ? department._id.toString() : 'unknown',
+      req, details, null, 'department_terminal');
+
+    return locked;
+  }
+
+  /**
+   * LOCKED ACCOUNTS
+   * @param {object} filter - Extra conditions (e.g. hospital, roles)
+   * @returns {object[]}
+   */
+  static async listLocked(filter = {}) {
+    const users = await User.find({ ...filter, lockUntil: { $gt: new Date() } })
+      .select('firstName lastName email role departmentId loginAttempts lockUntil')
+      .populate('departmentId', 'name')
+      .sort({ lockUntil: -1 });
+
+    // toJSON hides the lockout fields, so map them explicitly
+    return users.map((user) => ({
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      role: user.role,
+      departmentId: user.departmentId,
+      loginAttempts: user.loginAttempts,
+      lockUntil: user.lockUntil,
+    }));
+  }
+
+  /**
+   * UNLOCK AN ACCOUNT
+   * @param {ObjectId} userId - User ID
+   */
+  static async unlock(userId) {
+    await User.updateOne(
+      { _id: userId },
+      { $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+  }
+}
+
+LockoutService.DEFAULT_LOCKOUT = DEFAULT_LOCKOUT;
+
+module.exports = LockoutService;
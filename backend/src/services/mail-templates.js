@@ -0,0 +1,151 @@
+/**
+ * MAIL TEMPLATES
+ * Each template takes the data it needs and returns { subject, text, html }.
+ * Values are HTML-escaped in the html body; links point at FRONTEND_URL.
+ */
+
+const APP_NAME = 'My Health Vault';
+
+function frontendUrl(pathname) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap paragraphs (and an optional call-to-action button) in the shared layout
+ * @param {string[]} paragraphs - Plain text paragraphs
+ * @param {object} action - Optional { label, url }
+ */
+function layout(paragraphs, action) {
+  const text = [...paragraphs, action ? `${action.label}: ${action.url}` : null, `— ${APP_NAME}`]
+    .filter(Boolean)
+    .join('\n\n');
+
+  const html = `
+<div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #111827;">
+  <h2 style="color: #2563eb;">${APP_NAME}</h2>
+  ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n  ')}
+  ${action ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 20px; background: #2563eb; color: #ffffff; border-radius: 8px; text-decoration: none;">${escapeHtml(action.label)}</a></p>` : ''}
+  <p style="color: #6b7280; font-size: 12px;">This is an automated message from ${APP_NAME}. Please do not reply.</p>
+</div>`.trim();
+
+  return { text, html };
+}
+
+const templates = {
+  passwordReset: ({ firstName, token }) => ({
+    subject: 'Reset your password',
+    ...layout(
+      [
+        `Hi ${firstName},`,
+        'We received a request to reset your password. The link below is valid for 10 minutes.',
+        "If you didn't ask for this, you can ignore this email - your password won't change.",
+      ],
+      { label: 'Reset password', url: frontendUrl(`/reset-password/${token}`) }
+    ),
+  }),
+
+  emailVerification: ({ firstName, token }) => ({
+    subject: 'Verify your email address',
+    ...layout(
+      [
+        `Hi ${firstName},`,
+        `Please confirm this is your email address to finish setting up your ${APP_NAME} account. The link is valid for 24 hours.`,
+      ],
+      { label: 'Verify email', url: frontendUrl(`/verify-email/${token}`) }
+    ),
+  }),
+
+  accountApproved: ({ firstName, hospitalName }) => ({
+    subject: 'Your account has been approved',
+    ...layout(
+      [
+        `Hi ${firstName},`,
+        `Your account${hospitalName ? ` at ${hospitalName}` : ''} has been approved. You can now sign in and use all features available to your role.`,
+      ],
+      { label: 'Sign in', url: frontendUrl('/login') }
+    ),
+  }),
+
+  accountRejected: ({ firstName, reason }) => ({
+    subject: 'Your account application',
+    ...layout([
+      `Hi ${firstName},`,
+      'Unfortunately your account application was not approved.',
+      reason ? `Reason: ${reason}` : 'Contact your hospital administrator for details.',
+    ]),
+  }),
+
+  hospitalApproved: ({ firstName, hospitalName }) => ({
+    subject: `${hospitalName} has been approved`,
+    ...layout(
+      [
+        `Hi ${firstName},`,
+        `${hospitalName} has been approved on ${APP_NAME}. You can now add departments and invite staff.`,
+      ],
+      { label: 'Open dashboard', url: frontendUrl('/dashboard/hospital-admin') }
+    ),
+  }),
+
+  hospitalRejected: ({ firstName, hospitalName, reason }) => ({
+    subject: `${hospitalName} registration`,
+    ...layout([
+      `Hi ${firstName},`,
+      `Unfortunately the registration of ${hospitalName} was not approved.`,
+      reason ? `Reason: ${reason}` : null,
+    ].filter(Boolean)),
+  }),
+
+  // Deliberately contains no result values - results are only shown after sign-in
+  resultReady: ({ firstName, testName }) => ({
+    subject: 'Your test result is ready',
+    ...layout(
+      [
+        `Hi ${firstName},`,
+        `The result of your ${testName} is now available. Sign in to view it.`,
+      ],
+      { label: 'View results', url: frontendUrl('/dashboard/patient/tests') }
+    ),
+  }),
+
+  // Patient details and the justification stay in the app, behind sign-in
+  emergencyAccess: ({ firstName, clinicianName, clinicianHospitalName, minutes }) => ({
+    subject: 'Emergency access to patient records',
+    ...layout(
+      [
+        `Hi ${firstName},`,
+        `${clinicianName} (${clinicianHospitalName}) used break-the-glass emergency access to a patient's records for up to ${minutes} minutes.`,
+        'Please review the justification and mark the access as justified or not.',
+      ],
+      { label: 'Review access', url: frontendUrl('/dashboard/hospital-admin/emergency-access') }
+    ),
+  }),
+};
+
+/**
+ * RENDER A TEMPLATE
+ * @param {string} name - Template name (key of templates)
+ * @param {object} data - Template data
+ * @returns {object} { subject, text, html }
+ */
+function renderTemplate(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  renderTemplate,
+  templateNames: Object.keys(templates),
+};
@@ -0,0 +1,23 @@
+/**
+ * MAIL TRANSPORT INTERFACE
+ * Every way of delivering email (file, SMTP, ...) extends this class.
+ * send() must throw when the message could not be delivered so that
+ * MailService can queue it for retry.
+ */
+
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * DELIVER A MESSAGE
+   * @param {object} message - { from, to, subject, text, html }
+   * @returns {object} { messageId }
+   */
+  async send(message) {
+    throw new Error(`${this.name} transport does not implement send()`);
+  }
+}
+
+module.exports = MailTransport;
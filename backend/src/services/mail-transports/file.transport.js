@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const MailTransport = require('./base.transport');
+
+/**
+ * FILE TRANSPORT
+ * Development / test transport - nothing leaves the machine.
+ *
+ * Each message is written as JSON to MAIL_FILE_DIR (defaults to
+ * <os tmpdir>/healthvault-mail). The console only gets the recipient, subject
+ * and file - bodies hold reset and verification links, so open the file for those.
+ */
+class FileMailTransport extends MailTransport {
+  constructor() {
+    super('file');
+    this.directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'healthvault-mail');
+  }
+
+  async send(message) {
+    const messageId = `file_${uuidv4()}`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const file = path.join(this.directory, `${Date.now()}-${messageId}.json`);
+    await fs.writeFile(file, JSON.stringify({ messageId, ...message }, null, 2));
+
+    if (process.env.NODE_ENV !== 'test') {
+      console.log(`📧 [MAIL] To: ${message.to} | ${message.subject}`);
+      console.log(`   (saved to ${file})`);
+    }
+
+    return { messageId };
+  }
+}
+
+module.exports = FileMailTransport;
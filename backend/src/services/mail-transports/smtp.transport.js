@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+const MailTransport = require('./base.transport');
+
+/**
+ * SMTP TRANSPORT
+ * Production transport using nodemailer.
+ *
+ * Configuration:
+ * - SMTP_HOST, SMTP_PORT (default 587)
+ * - SMTP_SECURE ('true' for implicit TLS, usually port 465)
+ * - SMTP_USER, SMTP_PASS (optional for relays that don't need auth)
+ */
+class SmtpMailTransport extends MailTransport {
+  constructor() {
+    super('smtp');
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is not configured');
+      }
+
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    }
+
+    return this.transporter;
+  }
+
+  async send(message) {
+    const info = await this.getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpMailTransport;
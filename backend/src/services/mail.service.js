@@ -0,0 +1,204 @@
+const { MailQueue } = require('../models/index.js');
+const { renderTemplate } = require('./mail-templates.js');
+const FileMailTransport = require('./mail-transports/file.transport.js');
+const SmtpMailTransport = require('./mail-transports/smtp.transport.js');
+
+/**
+ * MAIL SERVICE
+ * Sends templated email through a pluggable transport.
+ *
+ * Flow:
+ * 1. send()         - render a template and try to deliver it immediately
+ * 2. on failure the message is stored in MailQueue instead of being dropped
+ * 3. processQueue() - retries queued messages with exponential backoff,
+ *    giving up (status 'failed') after MAIL_MAX_ATTEMPTS (default 5)
+ * 4. once a queued message is sent or has failed, its text and html (which
+ *    can hold reset and verification links) are removed
+ *
+ * MAIL_TRANSPORT selects the transport: 'smtp' (default in production)
+ * or 'file' (default everywhere else). MAIL_FROM sets the sender.
+ */
+
+const transports = {
+  file: new FileMailTransport(),
+  smtp: new SmtpMailTransport(),
+};
+
+const RETRY_BASE_DELAY_MS = 60 * 1000; // 1, 2, 4, 8... minutes
+const RETRY_LEASE_MS = 5 * 60 * 1000; // How long a worker owns a message it is retrying
+
+function sender() {
+  return process.env.MAIL_FROM || 'My Health Vault <no-reply@healthvault.local>';
+}
+
+function maxAttempts() {
+  return Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+}
+
+function mailError(message, status = 500) {
+  const error = new Error(message);
+  error.name = 'MailError';
+  error.status = status;
+  return error;
+}
+
+class MailService {
+  /**
+   * GET TRANSPORT
+   * @param {string} name - Transport name (defaults to MAIL_TRANSPORT)
+   * @returns {MailTransport}
+   */
+  static getTransport(name) {
+    const transportName = name || process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+    const transport = transports[transportName];
+
+    if (!transport) {
+      throw mailError(`Unknown mail transport: ${transportName}`);
+    }
+
+    return transport;
+  }
+
+  /**
+   * SEND A TEMPLATED EMAIL
+   * Never throws for delivery problems: a message that can't be delivered
+   * now is queued for retry. Unknown templates / transports still throw.
+   * @param {string} to - Recipient address
+   * @param {string} template - Template name (see mail-templates.js)
+   * @param {object} data - Template data
+   * @returns {object} { status: 'sent' | 'queued', messageId }
+   */
+  static async send(to, template, data = {}) {
+    const message = {
+      from: sender(),
+      to,
+      ...renderTemplate(template, data),
+    };
+
+    const transport = MailService.getTransport();
+
+    try {
+      const { messageId } = await transport.send(message);
+      return { status: 'sent', messageId };
+    } catch (error) {
+      console.error(`Mail delivery to ${to} failed, queueing for retry:`, error.message);
+
+      try {
+        await MailQueue.create({
+          to,
+          template,
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+          attempts: 1,
+          lastError: error.message,
+          transport: transport.name,
+          nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS),
+        });
+      } catch (queueError) {
+        console.error('Failed to queue email:', queueError);
+      }
+
+      return { status: 'queued' };
+    }
+  }
+
+  /**
+   * RETRY QUEUED EMAILS
+   * Each message is leased atomically, so concurrent workers never send it twice.
+   * @param {number} limit - Maximum messages to process in one run
+   * @returns {object} { sent, failed, retrying }
+   */
+  static async processQueue(limit = 20) {
+    const summary = { sent: 0, failed: 0, retrying: 0 };
+    const due = await MailQueue.find({ status: 'queued', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .select('_id');
+
+    for (const { _id } of due) {
+      const now = new Date();
+      const queued = await MailQueue.findOneAndUpdate(
+        { _id, status: 'queued', nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + RETRY_LEASE_MS) },
+        { new: true }
+      );
+
+      if (!queued) continue;
+
+      const transport = MailService.getTransport();
+
+      try {
+        const { messageId } = await transport.send({
+          from: sender(),
+          to: queued.to,
+          subject: queued.subject,
+          text: queued.text,
+          html: queued.html,
+        });
+
+        queued.status = 'sent';
+        queued.sentAt = new Date();
+        queued.text = undefined;
+        queued.html = undefined;
+        queued.messageId = messageId;
+        queued.transport = transport.name;
+        summary.sent += 1;
+      } catch (error) {
+        queued.attempts += 1;
+        queued.lastError = error.message;
+
+        if (queued.attempts >= maxAttempts()) {
+          queued.status = 'failed';
+          queued.text = undefined;
+          queued.html = undefined;
+          summary.failed += 1;
+          console.error(`Mail to ${queued.to} failed permanently after ${queued.attempts} attempts:`, error.message);
+        } else {
+          queued.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (queued.attempts - 1));
+          summary.retrying += 1;
+        }
+      }
+
+      await queued.save();
+    }
+
+    return summary;
+  }
+
+  /**
+   * REMOVE THE BODIES OF FINISHED MESSAGES
+   * For messages finished before bodies were removed on send.
+   * @returns {number} Messages redacted
+   */
+  static async redactFinished() {
+    const result = await MailQueue.updateMany(
+      { status: { $in: ['sent', 'failed'] }, $or: [{ text: { $exists: true } }, { html: { $exists: true } }] },
+      { $unset: { text: 1, html: 1 } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * START THE PERIODIC RETRY WORKER
+   * @param {number} intervalMs - How often to retry queued emails
+   * @returns {Timeout} Timer (unref'd so it never keeps the process alive)
+   */
+  static startRetryWorker(intervalMs = 60 * 1000) {
+    MailService.redactFinished().catch((error) => {
+      console.error('Mail queue redaction error:', error);
+    });
+
+    const timer = setInterval(() => {
+      MailService.processQueue().catch((error) => {
+        console.error('Mail queue processing error:', error);
+      });
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { User } = require('../models/index.js');
+
+/**
+ * MFA SERVICE
+ * Time-based one-time passwords (RFC 6238) plus single-use backup codes.
+ *
+ * Flow:
+ * 1. setup()   - generate a pending secret and an otpauth:// URI for the authenticator app
+ * 2. confirm() - first valid code switches MFA on and returns the backup codes
+ * 3. verifyCode() - checked at login; accepts a TOTP code or an unused backup code
+ *
+ * Hospitals can require MFA for doctors and hospital admins (hospital.security.requireMfa).
+ * MFA_ISSUER sets the account label shown in authenticator apps.
+ */
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept one step either side for clock drift
+const BACKUP_CODE_COUNT = 10;
+const MFA_ENFORCED_ROLES = ['doctor', 'hospital_admin'];
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function issuer() {
+  return process.env.MFA_ISSUER || 'My Health Vault';
+}
+
+function mfaError(message, status = 400) {
+  const error = new Error(message);
+  error.name = 'MfaError';
+  error.status = status;
+  return error;
+}
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(value) {
+  let bits = '';
+  for (const char of value.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw mfaError('Invalid MFA secret', 500);
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// HOTP (RFC 4226) for one counter value
+function hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function hashBackupCode(code) {
+  return crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+}
+
+class MfaService {
+  /**
+   * IS MFA REQUIRED FOR THIS USER?
+   * @param {object} user - User with hospitalId populated (needs security)
+   * @returns {boolean}
+   */
+  static isRequiredFor(user) {
+    return MFA_ENFORCED_ROLES.includes(user.role) &&
+      !!user.hospitalId?.security?.requireMfa;
+  }
+
+  /**
+   * MUST THIS USER ENROLL BEFORE USING THE APP?
+   * @param {object} user - User with hospitalId populated
+   * @returns {boolean}
+   */
+  static enrollmentRequired(user) {
+    return !user.mfaEnabled && MfaService.isRequiredFor(user);
+  }
+
+  /**
+   * FIND THE TOTP TIME STEP A CODE BELONGS TO
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @returns {number|null} Matching time step, or null when the code is wrong
+   */
+  static matchTotp(secret, code) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const candidate = Buffer.from(hotp(secret, currentStep + offset));
+      if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+        return currentStep + offset;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * START ENROLLMENT
+   * Replaces any earlier unconfirmed secret.
+   * @param {object} user - User document
+   * @returns {object} { secret, otpauthUri }
+   */
+  static async setup(user) {
+    if (user.mfaEnabled) {
+      throw mfaError('Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await User.updateOne({ _id: user._id }, { $set: { mfaPendingSecret: secret } });
+
+    const label = encodeURIComponent(`${issuer()}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: issuer(),
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS),
+    });
+
+    return { secret, otpauthUri: `otpauth://totp/${label}?${params}` };
+  }
+
+  /**
+   * FINISH ENROLLMENT
+   * @param {ObjectId} userId - User ID
+   * @param {string} code - First code from the authenticator app
+   * @returns {string[]} Backup codes (shown once, only hashes are stored)
+   */
+  static async confirm(userId, code) {
+    const user = await User.findById(userId).select('+mfaPendingSecret');
+
+    if (!user.mfaPendingSecret) {
+      throw mfaError('Start two-factor setup first');
+    }
+
+    const step = MfaService.matchTotp(user.mfaPendingSecret, code);
+    if (step === null) {
+      throw mfaError('Invalid verification code');
+    }
+
+    const backupCodes = MfaService.generateBackupCodes();
+
+    user.mfaEnabled = true;
+    user.mfaSecret = user.mfaPendingSecret;
+    user.mfaPendingSecret = undefined;
+    user.mfaLastUsedStep = step;
+    user.mfaBackupCodes = backupCodes.map(hashBackupCode);
+    await user.save({ validateBeforeSave: false });
+
+    return backupCodes;
+  }
+
+  /**
+   * VERIFY A LOGIN CODE
+   * TOTP codes are single use (the time step is claimed atomically);
+   * backup codes are removed once used.
+   * @param {ObjectId} userId - User ID
+   * @param {string} code - TOTP or backup code
+   * @returns {string|null} 'totp' | 'backup_code', or null when the code is wrong
+   */
+  static async verifyCode(userId, code) {
+    const user = await User.findById(userId).select('+mfaSecret');
+    if (!user || !user.mfaEnabled || !user.mfaSecret) return null;
+
+    const step = MfaService.matchTotp(user.mfaSecret, code);
+    if (step !== null) {
+      const claimed = await User.updateOne(
+        {
+          _id: userId,
+          $or: [{ mfaLastUsedStep: { $exists: false } }, { mfaLastUsedStep: { $lt: step } }],
+        },
+        { $set: { mfaLastUsedStep: step } }
+      );
+      return claimed.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    const hash = hashBackupCode(String(code || ''));
+    const used = await User.updateOne(
+      { _id: userId, mfaBackupCodes: hash },
+      { $pull: { mfaBackupCodes: hash } }
+    );
+    return used.modifiedCount === 1 ? 'backup_code' : null;
+  }
+
+  /**
+   * REPLACE ALL BACKUP CODES
+   * @param {ObjectId} userId - User ID
+   * @returns {string[]} New backup codes
+   */
+  static async regenerateBackupCodes(userId) {
+    const backupCodes = MfaService.generateBackupCodes();
+    await User.updateOne(
+      { _id: userId },
+      { $set: { mfaBackupCodes: backupCodes.map(hashBackupCode) } }
+    );
+    return backupCodes;
+  }
+
+  /**
+   * COUNT UNUSED BACKUP CODES
+   * @param {ObjectId} userId - User ID
+   * @returns {number}
+   */
+  static async backupCodesRemaining(userId) {
+    const user = await User.findById(userId).select('+mfaBackupCodes');
+    return user?.mfaBackupCodes?.length || 0;
+  }
+
+  /**
+   * TURN MFA OFF
+   * @param {object} user - User with hospitalId populated
+   */
+  static async disable(user) {
+    if (MfaService.isRequiredFor(user)) {
+      throw mfaError('Your hospital requires two-factor authentication', 403);
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { mfaEnabled: false },
+        $unset: { mfaSecret: 1, mfaPendingSecret: 1, mfaBackupCodes: 1, mfaLastUsedStep: 1 },
+      }
+    );
+  }
+
+  /**
+   * GENERATE BACKUP CODES
+   * @returns {string[]} Codes formatted as xxxx-xxxx
+   */
+  static generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(4).toString('hex');
+      return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+  }
+}
+
+module.exports = MfaService;
@@ -0,0 +1,138 @@
+const { Notification, User } = require('../models/index.js');
+
+/**
+ * NOTIFICATION SERVICE
+ * Creates the in-app notifications behind the dashboard bell.
+ *
+ * Like audit logging, a failed notification is logged and never breaks
+ * the request that triggered it.
+ */
+
+// Test order events tracked in TestOrder.notificationsSent
+const TEST_ORDER_EVENTS = {
+  orderCreated: {
+    type: 'test_order_created',
+    build: (testOrder) => ({
+      title: `${testOrder.testName} ordered`,
+      message: testOrder.paymentStatus === 'pending'
+        ? `Payment of $${testOrder.amountDue} is required before the test can be done`
+        : 'The test is ready to be performed',
+    }),
+    recipients: (testOrder) => ({ patient: testOrder.patientId }),
+    includeDepartmentStaff: true,
+  },
+  paymentReceived: {
+    type: 'test_order_paid',
+    build: (testOrder) => ({
+      title: `Payment received for ${testOrder.testName}`,
+      message: 'The test is ready to be performed',
+    }),
+    recipients: (testOrder) => ({ patient: testOrder.patientId }),
+    includeDepartmentStaff: true,
+    when: (testOrder) => testOrder.paymentStatus === 'paid',
+  },
+  resultUploaded: {
+    type: 'test_result_uploaded',
+    build: (testOrder) => ({
+      title: `${testOrder.testName} result available`,
+      message: 'A result has been uploaded for this test',
+    }),
+    recipients: (testOrder) => ({ doctor: testOrder.orderedBy, patient: testOrder.patientId }),
+  },
+};
+
+// Where each role views its test orders
+const TEST_ORDER_LINKS = {
+  patient: '/dashboard/patient/tests',
+  doctor: '/dashboard/doctor/tests',
+  department_staff: '/dashboard/department/pending',
+};
+
+class NotificationService {
+  /**
+   * NOTIFY USERS
+   * @param {ObjectId[]} userIds - Recipients (duplicates and empty values are ignored)
+   * @param {object} notification - { type, title, message, link, resourceType, resourceId }
+   * @returns {object[]} Created notifications
+   */
+  static async notify(userIds, notification) {
+    const recipients = [...new Set(userIds.filter(Boolean).map(id => (id._id || id).toString()))];
+    if (recipients.length === 0) return [];
+
+    try {
+      return await Notification.insertMany(
+        recipients.map(userId => ({ ...notification, userId }))
+      );
+    } catch (error) {
+      console.error('Failed to create notifications:', error);
+      return [];
+    }
+  }
+
+  /**
+   * NOTIFY EVERY ACTIVE USER WITH A ROLE
+   * @param {object} filter - User filter, e.g. { role: 'hospital_admin', hospitalId }
+   * @param {object} notification - See notify()
+   * @returns {object[]} Created notifications
+   */
+  static async notifyUsers(filter, notification) {
+    try {
+      const users = await User.find({ ...filter, isActive: true }).select('_id');
+      return NotificationService.notify(users.map(({ _id }) => _id), notification);
+    } catch (error) {
+      console.error('Failed to find notification recipients:', error);
+      return [];
+    }
+  }
+
+  /**
+   * NOTIFY ABOUT A TEST ORDER EVENT (once per event)
+   * @param {object} testOrder - TestOrder document
+   * @param {string} event - orderCreated | paymentReceived | resultUploaded
+   * @returns {boolean} Whether notifications were sent
+   */
+  static async notifyTestOrderEvent(testOrder, event) {
+    const config = TEST_ORDER_EVENTS[event];
+
+    if (!config || testOrder.notificationsSent?.[event]) return false;
+    if (config.when && !config.when(testOrder)) return false;
+
+    try {
+      // Claim the event atomically so it is only announced once
+      const claimed = await testOrder.constructor.updateOne(
+        { _id: testOrder._id, [`notificationsSent.${event}`]: { $ne: true } },
+        { $set: { [`notificationsSent.${event}`]: true } }
+      );
+      if (claimed.modifiedCount === 0) return false;
+      testOrder.set(`notificationsSent.${event}`, true);
+    } catch (error) {
+      console.error('Failed to record test order notification:', error);
+      return false;
+    }
+
+    const { title, message } = config.build(testOrder);
+    const base = {
+      type: config.type,
+      title,
+      message,
+      resourceType: 'TestOrder',
+      resourceId: testOrder._id,
+    };
+
+    // Each recipient gets a link to their own view of the order
+    for (const [role, userId] of Object.entries(config.recipients(testOrder))) {
+      await NotificationService.notify([userId], { ...base, link: TEST_ORDER_LINKS[role] });
+    }
+
+    if (config.includeDepartmentStaff) {
+      await NotificationService.notifyUsers(
+        { role: 'department_staff', departmentId: testOrder.departmentId },
+        { ...base, link: TEST_ORDER_LINKS.department_staff }
+      );
+    }
+
+    return true;
+  }
+}
+
+module.exports = NotificationService;
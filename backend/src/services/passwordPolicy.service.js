@@ -0,0 +1,174 @@
+const bcrypt = require('bcryptjs');
+const { User, Hospital } = require('../models/index.js');
+
+/**
+ * PASSWORD POLICY SERVICE
+ * Complexity rules, reuse prevention and forced changes.
+ *
+ * - Each hospital configures its rules in hospital.security.passwordPolicy;
+ *   accounts without a hospital get DEFAULT_POLICY.
+ * - setPassword() is the only place passwords should be changed by users so
+ *   the rules and history always apply.
+ * - A user must change their password before using the app when an admin or
+ *   script set mustChangePassword, or (staff only) when it is older than
+ *   maxAgeDays. Until then only /auth routes work.
+ */
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireNumber: false,
+  requireSymbol: false,
+  historyCount: 0,
+  maxAgeDays: 0,
+};
+const EXPIRING_ROLES = ['hospital_admin', 'doctor', 'nurse', 'department_staff'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function policyError(message, details, status = 400) {
+  const error = new Error(message);
+  error.name = 'PasswordPolicyError';
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+class PasswordPolicyService {
+  /**
+   * EFFECTIVE POLICY FOR A HOSPITAL
+   * @param {object} hospital - Hospital document / lean object, or null
+   * @returns {object} Policy with defaults filled in
+   */
+  static forHospital(hospital) {
+    const configured = hospital?.security?.passwordPolicy;
+    const policy = { ...DEFAULT_POLICY };
+    if (!configured) return policy;
+
+    for (const key of Object.keys(DEFAULT_POLICY)) {
+      if (configured[key] !== undefined && configured[key] !== null) {
+        policy[key] = configured[key];
+      }
+    }
+    return policy;
+  }
+
+  /**
+   * EFFECTIVE POLICY FOR A USER
+   * Uses the populated hospital when available, otherwise loads it.
+   * @param {object} user - User document
+   * @returns {object} Policy
+   */
+  static async forUser(user) {
+    const hospitalId = user.hospitalId;
+    if (!hospitalId) return { ...DEFAULT_POLICY };
+    if (hospitalId.security) return PasswordPolicyService.forHospital(hospitalId);
+
+    const hospital = await Hospital.findById(hospitalId).select('security').lean();
+    return PasswordPolicyService.forHospital(hospital);
+  }
+
+  /**
+   * CHECK A PASSWORD AGAINST THE COMPLEXITY RULES
+   * @param {string} password - Candidate password
+   * @param {object} policy - Effective policy
+   * @returns {string[]} Unmet rules (empty when the password is acceptable)
+   */
+  static validate(password, policy = DEFAULT_POLICY) {
+    const value = String(password || '');
+    const errors = [];
+
+    if (value.length < policy.minLength) {
+      errors.push(`Password must be at least ${policy.minLength} characters`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+      errors.push('Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(value)) {
+      errors.push('Password must contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/\d/.test(value)) {
+      errors.push('Password must contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+      errors.push('Password must contain a symbol');
+    }
+
+    return errors;
+  }
+
+  /**
+   * CHANGE A USER'S PASSWORD UNDER THEIR POLICY
+   * Rejects passwords that break the rules or match the current / recent
+   * ones, records the old hash and clears any forced-change flag.
+   * The caller saves the user.
+   * @param {object} user - User document (password and passwordHistory are loaded here if missing)
+   * @param {string} newPassword - Plain-text new password
+   */
+  static async setPassword(user, newPassword) {
+    const policy = await PasswordPolicyService.forUser(user);
+
+    const errors = PasswordPolicyService.validate(newPassword, policy);
+    if (errors.length > 0) {
+      throw policyError(errors[0], errors);
+    }
+
+    if (!user.isSelected('password') || !user.isSelected('passwordHistory')) {
+      const stored = await User.findById(user._id).select('+password +passwordHistory');
+      user.password = stored.password;
+      user.passwordHistory = stored.passwordHistory;
+    }
+
+    // The current password always counts; historyCount extends that to the last N
+    const keep = Math.max(policy.historyCount - 1, 0);
+    const previous = [user.password, ...(user.passwordHistory || []).slice(0, keep)].filter(Boolean);
+    for (const hash of previous) {
+      if (await bcrypt.compare(newPassword, hash)) {
+        throw policyError(
+          policy.historyCount > 1
+            ? `Password must differ from your last ${policy.historyCount} passwords`
+            : 'New password must differ from your current password'
+        );
+      }
+    }
+
+    user.passwordHistory = keep > 0 && user.password
+      ? [user.password, ...(user.passwordHistory || [])].slice(0, keep)
+      : [];
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+  }
+
+  /**
+   * HAS THE USER'S PASSWORD EXPIRED?
+   * Only staff passwords expire.
+   * @param {object} user - User document
+   * @param {object} policy - Effective policy
+   * @returns {boolean}
+   */
+  static isExpired(user, policy) {
+    if (!EXPIRING_ROLES.includes(user.role) || !policy.maxAgeDays) return false;
+
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    if (!changedAt) return false;
+
+    return Date.now() - new Date(changedAt).getTime() > policy.maxAgeDays * DAY_MS;
+  }
+
+  /**
+   * MUST THE USER CHANGE THEIR PASSWORD BEFORE CONTINUING?
+   * @param {object} user - User with hospitalId populated (needs security)
+   * @returns {string|null} 'required' (flag set), 'expired', or null
+   */
+  static changeRequired(user) {
+    if (user.mustChangePassword) return 'required';
+
+    const policy = PasswordPolicyService.forHospital(user.hospitalId?.security ? user.hospitalId : null);
+    return PasswordPolicyService.isExpired(user, policy) ? 'expired' : null;
+  }
+}
+
+PasswordPolicyService.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = PasswordPolicyService;
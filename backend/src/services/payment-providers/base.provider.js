@@ -0,0 +1,63 @@
+/**
+ * PAYMENT PROVIDER INTERFACE
+ * Every payment provider (mock, card gateway, mobile money, ...) extends this
+ * class and implements the four operations below.
+ *
+ * Statuses returned by initiate/verify/refund are normalised to:
+ * 'pending' | 'succeeded' | 'failed'
+ */
+
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Payment methods this provider can take (subset of TestOrder.paymentMethod)
+   * @returns {string[]}
+   */
+  get supportedMethods() {
+    return [];
+  }
+
+  /**
+   * START A PAYMENT
+   * @param {object} payment - { orderId, amount, currency, method, customer }
+   * @returns {object} { reference, status, nextAction }
+   */
+  async initiate(payment) {
+    throw new Error(`${this.name} provider does not implement initiate()`);
+  }
+
+  /**
+   * CHECK A PAYMENT WITH THE PROVIDER
+   * @param {string} reference - Provider reference returned by initiate()
+   * @returns {object} { reference, status, amount, method }
+   */
+  async verify(reference) {
+    throw new Error(`${this.name} provider does not implement verify()`);
+  }
+
+  /**
+   * AUTHENTICATE AND PARSE A WEBHOOK CALL
+   * Must throw (status 400) when the request signature is invalid.
+   * @param {object} req - Express request object
+   * @returns {object} { eventId, type, reference, amount }
+   *   type is one of 'payment.succeeded' | 'payment.failed' | 'refund.succeeded'
+   */
+  async parseWebhook(req) {
+    throw new Error(`${this.name} provider does not implement parseWebhook()`);
+  }
+
+  /**
+   * REFUND A PAYMENT
+   * @param {string} reference - Provider reference of the original payment
+   * @param {number} amount - Amount to refund
+   * @returns {object} { reference, status }
+   */
+  async refund(reference, amount) {
+    throw new Error(`${this.name} provider does not implement refund()`);
+  }
+}
+
+module.exports = PaymentProvider;
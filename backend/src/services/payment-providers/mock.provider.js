@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const PaymentProvider = require('./base.provider');
+
+// Read on use (.env is loaded after this module). PaymentService only hands
+// out this provider in development and test, so the fallback never signs real traffic
+function webhookSecret() {
+  return process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret';
+}
+
+/**
+ * MOCK PAYMENT PROVIDER
+ * Local provider for development and testing - no money moves.
+ * Only available when NODE_ENV is development or test.
+ *
+ * - initiate() returns a 'mock_...' reference and method-specific instructions
+ * - verify() reports MOCK_PAYMENT_OUTCOME ('succeeded' by default, or 'failed')
+ * - webhooks are signed with HMAC-SHA256 of the JSON body in 'x-mock-signature'
+ *   (use MockPaymentProvider.signWebhook() to build test calls)
+ */
+class MockPaymentProvider extends PaymentProvider {
+  constructor() {
+    super('mock');
+    this.payments = new Map(); // reference -> { amount, method, orderId }
+  }
+
+  get supportedMethods() {
+    return ['card', 'mobile_money', 'bank_transfer', 'insurance'];
+  }
+
+  async initiate({ orderId, amount, currency, method }) {
+    const reference = `mock_${uuidv4()}`;
+    this.payments.set(reference, { amount, method, orderId: orderId.toString() });
+
+    const nextActions = {
+      card: { type: 'redirect', url: `https://pay.mock.local/checkout/${reference}` },
+      mobile_money: { type: 'prompt', message: 'Approve the payment request on your phone' },
+      bank_transfer: { type: 'instructions', message: `Transfer ${currency} ${amount} quoting reference ${reference}` },
+      insurance: { type: 'authorization', message: 'Awaiting authorization from the insurer' },
+    };
+
+    return { reference, status: 'pending', nextAction: nextActions[method] };
+  }
+
+  async verify(reference) {
+    if (!reference || !reference.startsWith('mock_')) {
+      return { reference, status: 'failed' };
+    }
+
+    const payment = this.payments.get(reference) || {};
+    const status = process.env.MOCK_PAYMENT_OUTCOME === 'failed' ? 'failed' : 'succeeded';
+
+    return { reference, status, amount: payment.amount, method: payment.method };
+  }
+
+  async parseWebhook(req) {
+    const signature = req.headers['x-mock-signature'];
+    const expected = MockPaymentProvider.signWebhook(req.body);
+
+    if (
+      !signature ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      const error = new Error('Invalid webhook signature');
+      error.status = 400;
+      throw error;
+    }
+
+    const { id, type, data = {} } = req.body;
+    return { eventId: id, type, reference: data.reference, amount: data.amount };
+  }
+
+  async refund(reference, amount) {
+    return { reference: `mock_rf_${uuidv4()}`, status: 'succeeded', amount };
+  }
+
+  // Helper for local testing: signature the mock webhook endpoint expects
+  static signWebhook(payload) {
+    return crypto.createHmac('sha256', webhookSecret()).update(JSON.stringify(payload)).digest('hex');
+  }
+}
+
+module.exports = MockPaymentProvider;
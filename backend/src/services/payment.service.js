@@ -0,0 +1,295 @@
+const { TestOrder } = require('../models/index.js');
+const MockPaymentProvider = require('./payment-providers/mock.provider.js');
+const NotificationService = require('./notification.service.js');
+
+/**
+ * PAYMENT SERVICE
+ * Takes test order payments through a pluggable payment provider.
+ *
+ * Flow:
+ * 1. initiatePayment() - ask the provider to start a payment, store its reference
+ * 2. verifyPayment()   - confirm with the provider (never trust the client)
+ *    or handleWebhook() - provider tells us the outcome asynchronously
+ * 3. refundPayment()   - give the money back once a paid order has been cancelled
+ *
+ * Add a provider by extending PaymentProvider and registering it below.
+ * PAYMENT_PROVIDER selects the default one. The mock provider moves no money,
+ * so it is only available when NODE_ENV is development or test (and is the
+ * default there); anywhere else PAYMENT_PROVIDER and PAYMENT_WEBHOOK_SECRET
+ * must be set or the server won't start (see configurationErrors()).
+ */
+
+const providers = {
+  mock: new MockPaymentProvider(),
+};
+
+const MOCK_ENVIRONMENTS = ['development', 'test'];
+
+function mockAllowed() {
+  return MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV);
+}
+
+function paymentError(message, status = 400) {
+  const error = new Error(message);
+  error.name = 'PaymentError';
+  error.status = status;
+  return error;
+}
+
+class PaymentService {
+  /**
+   * GET PROVIDER
+   * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER)
+   * @returns {PaymentProvider}
+   */
+  static getProvider(name) {
+    const providerName = name || process.env.PAYMENT_PROVIDER || (mockAllowed() ? 'mock' : null);
+
+    if (!providerName) {
+      throw paymentError('No payment provider is configured', 503);
+    }
+
+    if (providerName === 'mock' && !mockAllowed()) {
+      throw paymentError('The mock payment provider is only available in development and test', 503);
+    }
+
+    const provider = providers[providerName];
+
+    if (!provider) {
+      throw paymentError(`Unknown payment provider: ${providerName}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * CHECK PAYMENT SETTINGS (run at startup)
+   * Outside development and test a real provider and a webhook secret are required.
+   * @returns {string[]} Problems found - empty when payments are usable
+   */
+  static configurationErrors() {
+    if (mockAllowed()) return [];
+
+    const errors = [];
+    const providerName = process.env.PAYMENT_PROVIDER;
+
+    if (!providerName) {
+      errors.push('Missing required environment variable: PAYMENT_PROVIDER');
+    } else if (providerName === 'mock') {
+      errors.push('PAYMENT_PROVIDER=mock is only allowed when NODE_ENV is development or test');
+    } else if (!providers[providerName]) {
+      errors.push(`Unknown payment provider: ${providerName}`);
+    }
+
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+      errors.push('Missing required environment variable: PAYMENT_WEBHOOK_SECRET');
+    }
+
+    return errors;
+  }
+
+  /**
+   * START PAYMENT FOR A TEST ORDER
+   * @param {object} testOrder - TestOrder document
+   * @param {string} method - card | mobile_money | bank_transfer | insurance
+   * @returns {object} Provider response ({ reference, status, nextAction })
+   */
+  static async initiatePayment(testOrder, method) {
+    return PaymentService.initiateGroupPayment([testOrder], method);
+  }
+
+  /**
+   * START ONE PAYMENT COVERING SEVERAL TEST ORDERS (an order set)
+   * Every order gets the same provider reference, so a single
+   * verification or webhook settles all of them.
+   * @param {object[]} testOrders - TestOrder documents
+   * @param {string} method - card | mobile_money | bank_transfer | insurance
+   * @returns {object} Provider response ({ reference, status, nextAction, amount })
+   */
+  static async initiateGroupPayment(testOrders, method) {
+    const provider = PaymentService.getProvider();
+
+    if (!provider.supportedMethods.includes(method)) {
+      throw paymentError(`Payment method '${method}' is not supported by the ${provider.name} provider`);
+    }
+
+    if (testOrders.length === 0) {
+      throw paymentError('There is nothing left to pay for', 409);
+    }
+
+    testOrders.forEach((testOrder) => {
+      if (['paid', 'waived', 'refunded'].includes(testOrder.paymentStatus)) {
+        throw paymentError(`Test order ${testOrder._id} is already ${testOrder.paymentStatus}`, 409);
+      }
+
+      if (!testOrder.canTransitionTo('ready_for_test')) {
+        throw paymentError(`Payment cannot be taken for an order with status: ${testOrder.status}`, 409);
+      }
+
+      if (testOrder.claimPending) {
+        throw paymentError(`Test order ${testOrder._id} has an insurance claim awaiting the insurer's decision`, 409);
+      }
+    });
+
+    const amount = testOrders.reduce((total, testOrder) => total + testOrder.amountDue, 0);
+
+    const result = await provider.initiate({
+      orderId: testOrders[0].orderSetId || testOrders[0]._id,
+      amount,
+      currency: process.env.PAYMENT_CURRENCY || 'USD',
+      method,
+    });
+
+    for (const testOrder of testOrders) {
+      // A new attempt after a failed one puts the order back to pending
+      if (testOrder.status === 'payment_failed') {
+        testOrder.transitionTo('payment_pending', null, 'Payment retried');
+      }
+
+      testOrder.paymentStatus = 'pending';
+      testOrder.paymentMethod = method;
+      testOrder.paymentProvider = provider.name;
+      testOrder.paymentReference = result.reference;
+      testOrder.chargeAmount = testOrder.amountDue;
+      await testOrder.save();
+    }
+
+    return { ...result, amount };
+  }
+
+  /**
+   * VERIFY PAYMENT WITH THE PROVIDER
+   * Marks the order(s) paid (or failed) based on what the provider reports.
+   * @param {object|object[]} testOrders - TestOrder document(s) sharing one payment
+   * @param {string} reference - Provider reference from initiatePayment()
+   * @param {ObjectId} paidBy - User confirming the payment
+   * @returns {object} Provider response ({ reference, status, ... })
+   */
+  static async verifyPayment(testOrders, reference, paidBy) {
+    const orders = [].concat(testOrders);
+    const [first] = orders;
+
+    if (!first || !first.paymentProvider || !first.paymentReference) {
+      throw paymentError('No payment has been initiated for this test order');
+    }
+
+    const mismatch = orders.some(testOrder =>
+      testOrder.paymentReference !== first.paymentReference ||
+      (reference && reference !== testOrder.paymentReference)
+    );
+    if (mismatch) {
+      throw paymentError('Payment reference does not match this test order');
+    }
+
+    const provider = PaymentService.getProvider(first.paymentProvider);
+    const result = await provider.verify(first.paymentReference);
+
+    for (const testOrder of orders) {
+      if (result.status === 'succeeded') {
+        await testOrder.markAsPaid({
+          method: testOrder.paymentMethod,
+          reference: testOrder.paymentReference,
+          provider: provider.name,
+          amount: testOrder.chargeAmount,
+          paidBy,
+        });
+        await NotificationService.notifyTestOrderEvent(testOrder, 'paymentReceived');
+      } else if (result.status === 'failed') {
+        await testOrder.markPaymentFailed('Payment declined by provider');
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * HANDLE PROVIDER WEBHOOK
+   * Idempotent: each provider event ID is applied to an order at most once.
+   * One payment can cover several orders (order sets); all of them are updated.
+   * @param {string} providerName - Provider from the webhook URL
+   * @param {object} req - Express request object
+   * @returns {object} { handled, duplicate, orderIds }
+   */
+  static async handleWebhook(providerName, req) {
+    const provider = PaymentService.getProvider(providerName);
+    const event = await provider.parseWebhook(req);
+
+    if (!event.eventId || !event.reference) {
+      throw paymentError('Webhook event is missing an ID or payment reference');
+    }
+
+    const existing = await TestOrder.find({
+      paymentProvider: provider.name,
+      paymentReference: event.reference,
+    }).select('_id');
+
+    if (existing.length === 0) {
+      return { handled: false, duplicate: false, orderIds: [] };
+    }
+
+    const applied = [];
+
+    for (const { _id } of existing) {
+      // Claim the event atomically so concurrent deliveries are only applied once
+      const testOrder = await TestOrder.findOneAndUpdate(
+        { _id, paymentEvents: { $ne: event.eventId } },
+        { $addToSet: { paymentEvents: event.eventId } },
+        { new: true }
+      );
+
+      if (!testOrder) continue;
+
+      try {
+        if (event.type === 'payment.succeeded' && testOrder.paymentStatus === 'pending') {
+          await testOrder.markAsPaid({
+            method: testOrder.paymentMethod,
+            reference: testOrder.paymentReference,
+            provider: provider.name,
+            amount: testOrder.chargeAmount,
+            paidBy: testOrder.patientId,
+          });
+          await NotificationService.notifyTestOrderEvent(testOrder, 'paymentReceived');
+        } else if (event.type === 'payment.failed' && testOrder.paymentStatus === 'pending') {
+          await testOrder.markPaymentFailed('Payment declined by provider');
+        }
+      } catch (error) {
+        // Release the event so the provider's retry can apply it
+        await TestOrder.updateOne({ _id: testOrder._id }, { $pull: { paymentEvents: event.eventId } });
+        throw error;
+      }
+
+      applied.push(testOrder._id);
+    }
+
+    return {
+      handled: true,
+      duplicate: applied.length === 0,
+      orderIds: existing.map(({ _id }) => _id),
+    };
+  }
+
+  /**
+   * REFUND A PAID TEST ORDER
+   * Refunds what was actually taken (amountPaid). Cash payments (no provider)
+   * are refunded at the counter, so nothing is sent.
+   * @param {object} testOrder - TestOrder document (not saved here)
+   * @returns {object|null} Provider refund response
+   */
+  static async refundPayment(testOrder) {
+    if (testOrder.paymentStatus !== 'paid' || !testOrder.paymentProvider) {
+      return null;
+    }
+
+    const provider = PaymentService.getProvider(testOrder.paymentProvider);
+    const result = await provider.refund(testOrder.paymentReference, testOrder.amountPaid ?? testOrder.amountDue);
+
+    if (result.status === 'failed') {
+      throw paymentError('Refund was declined by the payment provider', 502);
+    }
+
+    testOrder.refundReference = result.reference;
+    return result;
+  }
+}
+
+module.exports = PaymentService;
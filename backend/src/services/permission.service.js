@@ -0,0 +1,208 @@
+const { Hospital } = require('../models/index.js');
+
+/**
+ * PERMISSION SERVICE
+ * Named permissions mapped to roles.
+ *
+ * - Routes ask for a permission (requirePermission('orders:create')) instead
+ *   of listing roles.
+ * - DEFAULT_ROLE_PERMISSIONS is the mapping every hospital starts with.
+ * - Hospitals can replace the list for the clinical roles in
+ *   hospital.security.rolePermissions (e.g. let nurses order tests).
+ * - Admins always have every permission so a hospital can't lock itself out.
+ */
+
+// Permission name -> description shown to hospital admins
+const PERMISSIONS = {
+  'patients:read': 'Search and view patients of the hospital',
+  'records:read': 'View patient medical records, prescriptions and results',
+  'records:write': 'Create and edit medical records',
+  'prescriptions:create': 'Prescribe medication',
+  'prescriptions:update': 'Activate or discontinue prescriptions',
+  'orders:create': 'Order tests',
+  'orders:read': 'View the tests they ordered',
+  'orders:process': 'Work the department test queue (start and complete tests)',
+  'results:record': 'Record test results and attach result files for patients',
+  'orders:upload_result': 'Upload results for tests ordered from their department',
+  'insurance:read': 'View patient insurance policies',
+  'insurance:adjudicate': 'Approve or deny insurance claims on test orders',
+  'alerts:manage': 'View and acknowledge critical result alerts',
+  'emergency:access': 'Break the glass: temporary access to a patient of another hospital',
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  doctor: [
+    'patients:read',
+    'records:read',
+    'records:write',
+    'prescriptions:create',
+    'prescriptions:update',
+    'orders:create',
+    'orders:read',
+    'results:record',
+    'insurance:read',
+    'alerts:manage',
+    'emergency:access',
+  ],
+  nurse: [
+    'patients:read',
+    'records:read',
+    'records:write',
+    'prescriptions:update',
+    'orders:create',
+    'orders:read',
+    'results:record',
+    'insurance:read',
+    'emergency:access',
+  ],
+  department_staff: [
+    'orders:process',
+    'orders:upload_result',
+    'insurance:read',
+    'insurance:adjudicate',
+  ],
+  patient: [],
+};
+
+// Roles whose permissions a hospital can change
+const CONFIGURABLE_ROLES = ['doctor', 'nurse', 'department_staff'];
+const ADMIN_ROLES = ['super_admin', 'hospital_admin'];
+
+// Permissions that were split: old name -> replacement per role, so saved
+// hospital overrides keep granting what they used to
+const RENAMED_PERMISSIONS = {
+  'results:upload': {
+    doctor: 'results:record',
+    nurse: 'results:record',
+    department_staff: 'orders:upload_result',
+  },
+};
+
+function upgradePermissions(role, permissions) {
+  return [...new Set(permissions.map((permission) => RENAMED_PERMISSIONS[permission]?.[role] || permission))];
+}
+
+function permissionError(message, details, status = 400) {
+  const error = new Error(message);
+  error.name = 'PermissionError';
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+class PermissionService {
+  /**
+   * PERMISSIONS OF A ROLE IN A HOSPITAL
+   * @param {string} role - User role
+   * @param {object} hospital - Hospital document / lean object, or null
+   * @returns {string[]}
+   */
+  static forRole(role, hospital) {
+    if (ADMIN_ROLES.includes(role)) return Object.keys(PERMISSIONS);
+
+    const configured = CONFIGURABLE_ROLES.includes(role)
+      ? hospital?.security?.rolePermissions?.[role]
+      : null;
+
+    return configured
+      ? upgradePermissions(role, configured)
+      : [...(DEFAULT_ROLE_PERMISSIONS[role] || [])];
+  }
+
+  /**
+   * PERMISSIONS OF A USER
+   * Uses the populated hospital when available, otherwise loads it.
+   * @param {object} user - User document
+   * @returns {string[]}
+   */
+  static async forUser(user) {
+    const hospitalId = user.hospitalId;
+    if (!hospitalId || ADMIN_ROLES.includes(user.role)) {
+      return PermissionService.forRole(user.role, null);
+    }
+    if (hospitalId.security) return PermissionService.forRole(user.role, hospitalId);
+
+    const hospital = await Hospital.findById(hospitalId).select('security').lean();
+    return PermissionService.forRole(user.role, hospital);
+  }
+
+  /**
+   * DOES THE USER HAVE EVERY ONE OF THESE PERMISSIONS?
+   * @param {object} user - User document
+   * @param {...string} permissions - Permission names
+   * @returns {boolean}
+   */
+  static async can(user, ...permissions) {
+    const granted = await PermissionService.forUser(user);
+    return permissions.every((permission) => granted.includes(permission));
+  }
+
+  /**
+   * ROLE -> PERMISSIONS TABLE FOR A HOSPITAL
+   * @param {object} hospital - Hospital document / lean object
+   * @returns {object} { role: { permissions, customized } }
+   */
+  static matrix(hospital) {
+    const configured = hospital?.security?.rolePermissions || {};
+    const result = {};
+    for (const role of CONFIGURABLE_ROLES) {
+      result[role] = {
+        permissions: PermissionService.forRole(role, hospital),
+        customized: Array.isArray(configured[role]),
+      };
+    }
+    return result;
+  }
+
+  /**
+   * BUILD THE $set / $unset FOR A HOSPITAL'S OVERRIDES
+   * A role mapped to null goes back to the defaults.
+   * @param {object} rolePermissions - { role: string[] | null }
+   * @returns {object} Mongo update
+   */
+  static buildUpdate(rolePermissions) {
+    const $set = {};
+    const $unset = {};
+    const errors = [];
+
+    for (const [role, permissions] of Object.entries(rolePermissions || {})) {
+      if (!CONFIGURABLE_ROLES.includes(role)) {
+        errors.push(`Permissions for ${role} cannot be changed`);
+        continue;
+      }
+
+      if (permissions === null) {
+        $unset[`security.rolePermissions.${role}`] = 1;
+        continue;
+      }
+
+      if (!Array.isArray(permissions)) {
+        errors.push(`Permissions for ${role} must be a list`);
+        continue;
+      }
+
+      const unknown = permissions.filter((permission) => !PERMISSIONS[permission]);
+      if (unknown.length) {
+        errors.push(`Unknown permission for ${role}: ${unknown.join(', ')}`);
+        continue;
+      }
+
+      $set[`security.rolePermissions.${role}`] = [...new Set(permissions)];
+    }
+
+    if (errors.length) {
+      throw permissionError('Invalid role permissions', errors);
+    }
+
+    return {
+      ...(Object.keys($set).length && { $set }),
+      ...(Object.keys($unset).length && { $unset }),
+    };
+  }
+}
+
+PermissionService.PERMISSIONS = PERMISSIONS;
+PermissionService.DEFAULT_ROLE_PERMISSIONS = DEFAULT_ROLE_PERMISSIONS;
+PermissionService.CONFIGURABLE_ROLES = CONFIGURABLE_ROLES;
+
+module.exports = PermissionService;
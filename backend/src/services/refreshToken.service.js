@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { RefreshToken, User } = require('../models/index.js');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  decodeToken,
+} = require('../utils/jwt.js');
+const SessionService = require('./session.service.js');
+
+/**
+ * REFRESH TOKEN SERVICE
+ * Persisted refresh tokens with rotation and reuse detection.
+ *
+ * - Each login starts a token family; every refresh marks the presented token
+ *   'rotated' and issues a new one in the same family.
+ * - Presenting a rotated token again means it was copied: the whole family is
+ *   revoked and that login has to sign in again.
+ * - A token reused within REFRESH_REUSE_GRACE_MS (default 10s) of its rotation
+ *   is only rejected, not treated as theft - parallel requests from one browser
+ *   can legitimately race.
+ *
+ * Each family is also a Session (session.service.js); its familyId is the
+ * session ID carried by access tokens.
+ */
+
+function reuseGraceMs() {
+  return Number(process.env.REFRESH_REUSE_GRACE_MS) || 10 * 1000;
+}
+
+function tokenError(message, status = 401) {
+  const error = new Error(message);
+  error.name = 'RefreshTokenError';
+  error.status = status;
+  return error;
+}
+
+class RefreshTokenService {
+  /**
+   * ISSUE A REFRESH TOKEN IN A FAMILY
+   * @param {ObjectId} userId - User ID
+   * @param {string} familyId - Token family
+   * @returns {object} { token, expiresAt }
+   */
+  static async issue(userId, familyId) {
+    const jti = crypto.randomUUID();
+    const token = generateRefreshToken(userId, { jti, familyId });
+    const expiresAt = new Date(decodeToken(token).exp * 1000);
+
+    await RefreshToken.create({ userId, familyId, jti, expiresAt });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * ISSUE ACCESS + REFRESH TOKENS FOR A NEW LOGIN
+   * Starts a new token family and registers it as a session.
+   * @param {object} user - User document
+   * @param {object} req - Express request (device info for the session)
+   * @returns {object} { accessToken, refreshToken }
+   */
+  static async issueTokens(user, req) {
+    const familyId = crypto.randomUUID();
+    const { token, expiresAt } = await RefreshTokenService.issue(user._id, familyId);
+
+    await SessionService.start(user._id, familyId, expiresAt, req);
+
+    return {
+      accessToken: generateAccessToken(user._id, user.role, familyId),
+      refreshToken: token,
+    };
+  }
+
+  /**
+   * ROTATE A REFRESH TOKEN
+   * @param {string} token - Refresh token presented by the client
+   * @param {object} req - Express request (updates the session's last seen)
+   * @returns {object} { userId, refreshToken, sessionId }
+   */
+  static async rotate(token, req) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(token);
+    } catch (error) {
+      throw tokenError(error.message);
+    }
+
+    // Tokens issued before rotation existed have no record to check against
+    if (!decoded.jti) {
+      throw tokenError('Session expired, please sign in again');
+    }
+
+    const now = new Date();
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { jti: decoded.jti, status: 'active' },
+      { status: 'rotated', rotatedAt: now },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const record = await RefreshToken.findOne({ jti: decoded.jti });
+
+      if (record?.status === 'rotated') {
+        if (now - record.rotatedAt < reuseGraceMs()) {
+          throw tokenError('Refresh token already used');
+        }
+
+        console.warn(`Refresh token reuse detected for user ${record.userId}, revoking family ${record.familyId}`);
+        await RefreshTokenService.revokeFamily(record.familyId, 'reuse_detected');
+      }
+
+      throw tokenError('Session has been revoked, please sign in again');
+    }
+
+    const { token: refreshToken, expiresAt } = await RefreshTokenService.issue(claimed.userId, claimed.familyId);
+    await SessionService.refreshed(claimed.familyId, expiresAt, req);
+
+    return {
+      userId: claimed.userId,
+      refreshToken,
+      sessionId: claimed.familyId,
+    };
+  }
+
+  /**
+   * REVOKE EVERY TOKEN IN A FAMILY (ends that session)
+   * @param {string} familyId - Token family / session ID
+   * @param {string} reason - Revocation reason
+   * @param {ObjectId} revokedBy - User who ended the session, if any
+   */
+  static async revokeFamily(familyId, reason, revokedBy) {
+    await RefreshToken.updateMany(
+      { familyId, status: { $ne: 'revoked' } },
+      { status: 'revoked', revokedAt: new Date(), revokedReason: reason }
+    );
+    await SessionService.markRevoked({ familyId }, reason, revokedBy);
+  }
+
+  /**
+   * REVOKE THE FAMILY A TOKEN BELONGS TO (logout on this device)
+   * Invalid or unknown tokens are ignored.
+   * @param {string} token - Refresh token
+   * @param {ObjectId} userId - Only revoke tokens belonging to this user
+   */
+  static async revokeToken(token, userId) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(token);
+    } catch (error) {
+      return;
+    }
+
+    if (!decoded.familyId || String(decoded.userId) !== String(userId)) return;
+
+    await RefreshTokenService.revokeFamily(decoded.familyId, 'logout', userId);
+  }
+
+  /**
+   * REVOKE ALL OF A USER'S TOKENS (log out all devices)
+   * Also cuts off access tokens issued before now.
+   * @param {ObjectId} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {ObjectId} revokedBy - User who ended the sessions, if any
+   */
+  static async revokeAllForUser(userId, reason = 'logout_all', revokedBy) {
+    await RefreshToken.updateMany(
+      { userId, status: { $ne: 'revoked' } },
+      { status: 'revoked', revokedAt: new Date(), revokedReason: reason }
+    );
+    await SessionService.markRevoked({ userId }, reason, revokedBy);
+    await User.updateOne({ _id: userId }, { $set: { tokensRevokedAt: new Date() } });
+  }
+}
+
+module.exports = RefreshTokenService;
@@ -0,0 +1,224 @@
+const { ResultAlert, User, Department } = require('../models/index.js');
+const NotificationService = require('./notification.service.js');
+
+/**
+ * RESULT ALERT SERVICE
+ * Makes sure abnormal and critical results reach the ordering doctor.
+ *
+ * Flow:
+ * 1. raiseForTestOrder() / raiseForTestResult() - open an alert when a result is flagged
+ * 2. acknowledge()     - the ordering doctor confirms they have seen it
+ * 3. escalateOverdue() - alerts left unacknowledged past their window go to the hospital admins
+ *
+ * Escalation windows (minutes) come from CRITICAL_RESULT_ESCALATION_MINUTES
+ * (default 30) and ABNORMAL_RESULT_ESCALATION_MINUTES (default 240).
+ */
+
+const DEFAULT_ESCALATION_MINUTES = {
+  critical: 30,
+  abnormal: 240,
+};
+
+const SEVERITY_RANK = { abnormal: 1, critical: 2 };
+
+function escalationMinutes(severity) {
+  const configured = Number(process.env[`${severity.toUpperCase()}_RESULT_ESCALATION_MINUTES`]);
+  return configured > 0 ? configured : DEFAULT_ESCALATION_MINUTES[severity];
+}
+
+function escalationDueAt(severity, from = new Date()) {
+  return new Date(from.getTime() + escalationMinutes(severity) * 60 * 1000);
+}
+
+// e.g. "Potassium 6.8 mmol/L (critical), Sodium 128 mmol/L (low)"
+function summarizeAnalytes(analytes = []) {
+  return analytes
+    .filter(analyte => analyte.flag && analyte.flag !== 'normal')
+    .map(analyte => `${analyte.name} ${analyte.value}${analyte.unit ? ` ${analyte.unit}` : ''} (${analyte.flag})`)
+    .join(', ');
+}
+
+class ResultAlertService {
+  /**
+   * RAISE (OR UPDATE) AN ALERT
+   * Keeps a single open alert per result. A re-upload that makes the result
+   * worse upgrades the alert and restarts its escalation window.
+   * @param {object} alert - { sourceType, sourceId, severity, patientId, doctorId, hospitalId, departmentId, testName, summary }
+   * @returns {object|null} ResultAlert document
+   */
+  static async raise(alert) {
+    const existing = await ResultAlert.findOne({
+      sourceType: alert.sourceType,
+      sourceId: alert.sourceId,
+      status: { $ne: 'acknowledged' },
+    });
+
+    if (!existing) {
+      const created = await ResultAlert.create({
+        ...alert,
+        escalationDueAt: escalationDueAt(alert.severity),
+      });
+
+      console.log(`[RESULT ALERT] ${alert.severity.toUpperCase()} ${alert.testName} for doctor ${alert.doctorId}`);
+      await ResultAlertService.notifyDoctor(created);
+      return created;
+    }
+
+    existing.summary = alert.summary;
+    if (SEVERITY_RANK[alert.severity] > SEVERITY_RANK[existing.severity]) {
+      existing.severity = alert.severity;
+      if (existing.status === 'open') {
+        existing.escalationDueAt = escalationDueAt(alert.severity);
+      }
+      await ResultAlertService.notifyDoctor(existing);
+    }
+    return existing.save();
+  }
+
+  /**
+   * NOTIFY THE ORDERING DOCTOR ABOUT AN ALERT
+   * @param {object} alert - ResultAlert document
+   */
+  static async notifyDoctor(alert) {
+    await NotificationService.notify([alert.doctorId], {
+      type: 'result_alert',
+      title: `${alert.severity === 'critical' ? 'Critical' : 'Abnormal'} result: ${alert.testName}`,
+      message: alert.summary,
+      link: '/dashboard/doctor/alerts',
+      resourceType: 'ResultAlert',
+      resourceId: alert._id,
+    });
+  }
+
+  /**
+   * ALERT FOR A DEPARTMENT TEST ORDER RESULT
+   * Critical results always alert; abnormal ones respect the department's
+   * autoNotifyDoctor setting.
+   * @param {object} testOrder - TestOrder document (after the result was saved)
+   * @returns {object|null} ResultAlert document, or null when no alert is needed
+   */
+  static async raiseForTestOrder(testOrder) {
+    const severity = testOrder.resultStatus === 'critical'
+      ? 'critical'
+      : (testOrder.resultStatus === 'abnormal' || testOrder.abnormalFlag) ? 'abnormal' : null;
+
+    if (!severity) return null;
+
+    if (severity === 'abnormal') {
+      const department = await Department.findById(testOrder.departmentId).select('settings');
+      if (department && department.settings?.autoNotifyDoctor === false) return null;
+    }
+
+    return ResultAlertService.raise({
+      sourceType: 'TestOrder',
+      sourceId: testOrder._id,
+      severity,
+      patientId: testOrder.patientId,
+      doctorId: testOrder.orderedBy,
+      hospitalId: testOrder.hospitalId,
+      departmentId: testOrder.departmentId,
+      testName: testOrder.testName,
+      summary: summarizeAnalytes(testOrder.analytes) || testOrder.result,
+    });
+  }
+
+  /**
+   * ALERT FOR A STANDALONE TEST RESULT
+   * @param {object} testResult - TestResult document
+   * @param {ObjectId} hospitalId - Hospital the result was recorded in
+   * @returns {object|null} ResultAlert document, or null when no alert is needed
+   */
+  static async raiseForTestResult(testResult, hospitalId) {
+    if (!['abnormal', 'critical'].includes(testResult.status)) return null;
+
+    return ResultAlertService.raise({
+      sourceType: 'TestResult',
+      sourceId: testResult._id,
+      severity: testResult.status,
+      patientId: testResult.patientId,
+      doctorId: testResult.orderedBy,
+      hospitalId,
+      testName: testResult.testName,
+      summary: summarizeAnalytes(testResult.analytes) || testResult.result,
+    });
+  }
+
+  /**
+   * CAN THIS USER ACKNOWLEDGE THE ALERT?
+   * The ordering doctor always can; once escalated, so can the admins it went to.
+   * @param {object} alert - ResultAlert document
+   * @param {object} user - Authenticated user
+   * @returns {boolean}
+   */
+  static canAcknowledge(alert, user) {
+    if (alert.doctorId.toString() === user._id.toString()) return true;
+    return alert.status === 'escalated' &&
+      alert.escalatedTo.some(adminId => adminId.toString() === user._id.toString());
+  }
+
+  /**
+   * ESCALATE OVERDUE ALERTS TO HOSPITAL ADMINS
+   * Safe to run repeatedly: each alert is claimed atomically, so only one
+   * run escalates it. Alerts from a hospital with no active admin stay open.
+   * @returns {number} Number of alerts escalated
+   */
+  static async escalateOverdue() {
+    const overdue = await ResultAlert.findOverdue().select('_id hospitalId');
+    let escalated = 0;
+
+    for (const { _id, hospitalId } of overdue) {
+      const admins = await User.find({ role: 'hospital_admin', hospitalId, isActive: true }).select('_id');
+
+      // Nobody to hand it to: keep it open (the doctor can still acknowledge) and retry next run
+      if (admins.length === 0) {
+        console.warn(`[RESULT ALERT] Alert ${_id} is overdue but hospital ${hospitalId} has no active hospital admin - left open`);
+        continue;
+      }
+
+      const alert = await ResultAlert.findOneAndUpdate(
+        { _id, status: 'open' },
+        {
+          status: 'escalated',
+          escalatedAt: new Date(),
+          escalatedTo: admins.map(({ _id: adminId }) => adminId),
+        },
+        { new: true }
+      );
+
+      if (!alert) continue;
+
+      escalated += 1;
+      await NotificationService.notify(alert.escalatedTo, {
+        type: 'result_alert',
+        title: `Unacknowledged ${alert.severity} result: ${alert.testName}`,
+        message: alert.summary,
+        link: '/dashboard/hospital-admin/alerts',
+        resourceType: 'ResultAlert',
+        resourceId: alert._id,
+      });
+      console.warn(
+        `[RESULT ALERT] ${alert.severity.toUpperCase()} ${alert.testName} unacknowledged by doctor ${alert.doctorId} - escalated to ${admins.length} hospital admin(s)`
+      );
+    }
+
+    return escalated;
+  }
+
+  /**
+   * START THE PERIODIC ESCALATION CHECK
+   * @param {number} intervalMs - How often to look for overdue alerts
+   * @returns {Timeout} Timer (unref'd so it never keeps the process alive)
+   */
+  static startEscalationWorker(intervalMs = 60 * 1000) {
+    const timer = setInterval(() => {
+      ResultAlertService.escalateOverdue().catch((error) => {
+        console.error('Result alert escalation error:', error);
+      });
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = ResultAlertService;
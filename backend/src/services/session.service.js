@@ -0,0 +1,148 @@
+const { Session } = require('../models/index.js');
+
+/**
+ * SESSION SERVICE
+ * Registry of signed-in devices. Sessions are created at login, refreshed
+ * (last seen, IP, expiry) on every token refresh and revoked together with
+ * their refresh token family - see refreshToken.service.js.
+ */
+
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000; // Don't write lastSeenAt on every request
+
+function clientIp(req) {
+  if (!req) return undefined;
+  return (req.headers['x-forwarded-for'] || '').split(',')[0].trim() ||
+    req.headers['x-real-ip'] ||
+    req.socket?.remoteAddress ||
+    req.ip;
+}
+
+class SessionService {
+  /**
+   * SHORT DEVICE LABEL FROM A USER AGENT
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} e.g. "Chrome on Windows"
+   */
+  static describeDevice(userAgent = '') {
+    const browser =
+      /Edg\//.test(userAgent) ? 'Edge' :
+      /OPR\//.test(userAgent) ? 'Opera' :
+      /Chrome\//.test(userAgent) ? 'Chrome' :
+      /Firefox\//.test(userAgent) ? 'Firefox' :
+      /Safari\//.test(userAgent) ? 'Safari' :
+      null;
+
+    const os =
+      /iPhone|iPad/.test(userAgent) ? 'iOS' :
+      /Android/.test(userAgent) ? 'Android' :
+      /Windows/.test(userAgent) ? 'Windows' :
+      /Mac OS X/.test(userAgent) ? 'macOS' :
+      /Linux/.test(userAgent) ? 'Linux' :
+      null;
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+  }
+
+  /**
+   * REGISTER A NEW SESSION
+   * @param {ObjectId} userId - User ID
+   * @param {string} familyId - Refresh token family
+   * @param {Date} expiresAt - Refresh token expiry
+   * @param {object} req - Express request (device info)
+   */
+  static async start(userId, familyId, expiresAt, req) {
+    const userAgent = req?.headers['user-agent'];
+
+    return Session.create({
+      userId,
+      familyId,
+      userAgent,
+      device: SessionService.describeDevice(userAgent),
+      ipAddress: clientIp(req),
+      lastSeenAt: new Date(),
+      expiresAt,
+    });
+  }
+
+  /**
+   * RECORD A TOKEN REFRESH
+   * @param {string} familyId - Refresh token family
+   * @param {Date} expiresAt - Expiry of the new refresh token
+   * @param {object} req - Express request
+   */
+  static async refreshed(familyId, expiresAt, req) {
+    await Session.updateOne(
+      { familyId },
+      { $set: { lastSeenAt: new Date(), ipAddress: clientIp(req), expiresAt } }
+    );
+  }
+
+  /**
+   * CHECK THE SESSION BEHIND AN ACCESS TOKEN
+   * Also bumps lastSeenAt (at most every few minutes).
+   * @param {string} familyId - `sid` claim of the access token
+   * @param {object} req - Express request
+   * @returns {boolean} false when the session was revoked or has expired
+   */
+  static async validate(familyId, req) {
+    const session = await Session.findOne({ familyId }).select('revokedAt expiresAt lastSeenAt');
+    if (!session || !session.isActive) return false;
+
+    if (Date.now() - session.lastSeenAt > LAST_SEEN_RESOLUTION_MS) {
+      Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), ipAddress: clientIp(req) } })
+        .catch((error) => console.error('Failed to update session last seen:', error));
+    }
+
+    return true;
+  }
+
+  /**
+   * ACTIVE SESSIONS FOR A USER
+   * @param {ObjectId} userId - User ID
+   * @param {string} currentSessionId - Marks the caller's own session
+   * @returns {object[]}
+   */
+  static async listActive(userId, currentSessionId) {
+    const sessions = await Session.find({
+      userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    return sessions.map((session) => ({
+      id: session.familyId,
+      device: session.device,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session.familyId === currentSessionId,
+    }));
+  }
+
+  /**
+   * FIND ONE OF A USER'S SESSIONS
+   * @param {ObjectId} userId - Owner
+   * @param {string} sessionId - Session (family) ID
+   * @returns {object|null}
+   */
+  static async findForUser(userId, sessionId) {
+    return Session.findOne({ userId, familyId: sessionId });
+  }
+
+  /**
+   * MARK SESSIONS REVOKED
+   * @param {object} filter - Which sessions
+   * @param {string} reason - Revocation reason
+   * @param {ObjectId} revokedBy - Who revoked them (admins / the user)
+   */
+  static async markRevoked(filter, reason, revokedBy) {
+    await Session.updateMany(
+      { ...filter, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+    );
+  }
+}
+
+module.exports = SessionService;
@@ -21,6 +21,8 @@ const JWT_SECRET = process.env.JWT_SECRET || 'serverkey';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'serverkeyrf';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+const MFA_CHALLENGE_EXPIRES_IN = '5m';
+const DEPARTMENT_TOKEN_EXPIRES_IN = process.env.DEPARTMENT_TOKEN_EXPIRES_IN || '12h';
 
 
 
@@ -44,12 +46,14 @@ console.log('✅ JWT secrets loaded successfully');
 
 /**
  * Generate access token
+ * sessionId (sid) lets a revoked session cut off its access tokens immediately
  */
-const generateAccessToken = (userId, role) => {
+const generateAccessToken = (userId, role, sessionId) => {
   return jwt.sign(
     { 
       userId, 
       role,
+      sid: sessionId,
       type: 'access'
     },
     JWT_SECRET,
@@ -59,15 +63,17 @@ const generateAccessToken = (userId, role) => {
 
 /**
  * Generate refresh token
+ * jti and familyId tie the token to its RefreshToken record (see refreshToken.service.js)
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, { jti, familyId } = {}) => {
   return jwt.sign(
     { 
       userId,
+      familyId,
       type: 'refresh'
     },
     JWT_REFRESH_SECRET,
-    { expiresIn: JWT_REFRESH_EXPIRES_IN }
+    { expiresIn: JWT_REFRESH_EXPIRES_IN, ...(jti && { jwtid: jti }) }
   );
 };
 
@@ -85,8 +91,9 @@ const generateTokens = (userId, role) => {
  * Verify access token
  */
 const verifyAccessToken = (token) => {
+  let decoded;
   try {
-    return jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Token expired');
@@ -96,6 +103,12 @@ const verifyAccessToken = (token) => {
     }
     throw error;
   }
+
+  if (decoded.type !== 'access') {
+    throw new Error('Invalid token');
+  }
+
+  return decoded;
 };
 
 /**
@@ -115,6 +128,57 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Generate MFA challenge token
+ * Proves the password step of login succeeded; only accepted by /auth/mfa/verify
+ */
+const generateMfaChallengeToken = (userId) => {
+  return jwt.sign(
+    {
+      userId,
+      type: 'mfa_challenge'
+    },
+    JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify MFA challenge token
+ */
+const verifyMfaChallengeToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Verification session expired, please sign in again');
+    }
+    throw new Error('Invalid verification session');
+  }
+
+  if (decoded.type !== 'mfa_challenge') {
+    throw new Error('Invalid verification session');
+  }
+
+  return decoded;
+};
+
+/**
+ * Generate department terminal token
+ * Signs a shared department terminal in; each request still needs a staff PIN
+ */
+const generateDepartmentToken = (departmentId) => {
+  return jwt.sign(
+    {
+      departmentId,
+      type: 'department'
+    },
+    JWT_SECRET,
+    { expiresIn: DEPARTMENT_TOKEN_EXPIRES_IN }
+  );
+};
+
 /**
  * Decode token without verification (for debugging)
  */
@@ -128,6 +192,9 @@ module.exports = {
   generateTokens,
   verifyAccessToken,
   verifyRefreshToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateDepartmentToken,
   decodeToken,
   JWT_SECRET,
   JWT_REFRESH_SECRET
@@ -0,0 +1,340 @@
+// frontend/app/audit-logs/page.tsx
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import { motion } from 'framer-motion';
+import { ScrollText, Loader2, Download, Siren, ShieldCheck, ShieldAlert } from 'lucide-react';
+import { useAuth } from '@/app/providers/AuthProvider';
+import api, { AuditAction, AuditChainReport, AuditLogEntry, AuditLogFilters } from '@/lib/api';
+
+const ACTIONS: AuditAction[] = ['CREATE', 'READ', 'UPDATE', 'DELETE', 'UPLOAD', 'LOGIN', 'LOGOUT'];
+
+const EMPTY_FILTERS: AuditLogFilters = {};
+
+export default function AuditLogsPage() {
+  const { hasRole } = useAuth();
+  const [logs, setLogs] = useState<AuditLogEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  // Filters being edited vs. the ones applied to the list
+  const [draft, setDraft] = useState<AuditLogFilters>(EMPTY_FILTERS);
+  const [filters, setFilters] = useState<AuditLogFilters>(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  const [chainReport, setChainReport] = useState<AuditChainReport | null>(null);
+
+  const fetchLogs = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await api.getAuditLogs(filters);
+      setLogs(response.data);
+      setNextCursor(response.nextCursor);
+    } catch (err: any) {
+      setError(err.message || 'Failed to fetch audit logs');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const response = await api.getAuditLogs(filters, nextCursor);
+      setLogs([...logs, ...response.data]);
+      setNextCursor(response.nextCursor);
+    } catch (err: any) {
+      setError(err.message || 'Failed to fetch audit logs');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleExport = async (format: 'csv' | 'ndjson') => {
+    setExporting(true);
+    try {
+      const blob = await api.exportAuditLogs(filters, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err: any) {
+      alert(err.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    try {
+      const response = await api.verifyAuditChain();
+      setChainReport(response.data);
+    } catch (err: any) {
+      alert(err.message || 'Verification failed');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  // Clicking a name filters by that user / patient
+  const applyFilter = (changes: AuditLogFilters) => {
+    const next = { ...filters, ...changes };
+    setDraft(next);
+    setFilters(next);
+  };
+
+  const setDraftField = (field: keyof AuditLogFilters, value: string) => {
+    setDraft({ ...draft, [field]: value || undefined });
+  };
+
+  const inputClass = 'px-3 py-2 border-2 border-gray-200 rounded-xl text-sm outline-none focus:border-blue-500';
+
+  return (
+    <ProtectedRoute allowedRoles={['hospital_admin', 'super_admin']}>
+      <DashboardLayout>
+        <div className="space-y-6">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex flex-wrap items-end justify-between gap-4"
+          >
+            <div>
+              <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+                Audit Logs
+              </h1>
+              <p className="text-gray-600">Who did what, when and from where</p>
+            </div>
+            <div className="flex gap-2">
+              {hasRole('super_admin') && (
+                <button
+                  onClick={handleVerify}
+                  disabled={verifying}
+                  className="px-4 py-2 border-2 border-green-200 rounded-xl font-semibold text-green-600 hover:bg-green-50 flex items-center gap-2 disabled:opacity-50"
+                >
+                  {verifying ? <Loader2 className="w-4 h-4 animate-spin" /> : <ShieldCheck className="w-4 h-4" />}
+                  Verify chain
+                </button>
+              )}
+              {(['csv', 'ndjson'] as const).map((format) => (
+                <button
+                  key={format}
+                  onClick={() => handleExport(format)}
+                  disabled={exporting}
+                  className="px-4 py-2 border-2 border-blue-200 rounded-xl font-semibold text-blue-600 hover:bg-blue-50 flex items-center gap-2 disabled:opacity-50"
+                >
+                  <Download className="w-4 h-4" />
+                  {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </motion.div>
+
+          {chainReport && (
+            <div
+              className={`p-4 border rounded-xl text-sm flex items-start gap-3 ${
+                chainReport.ok ? 'bg-green-50 border-green-200 text-green-700' : 'bg-red-50 border-red-200 text-red-700'
+              }`}
+            >
+              {chainReport.ok ? <ShieldCheck className="w-5 h-5 shrink-0" /> : <ShieldAlert className="w-5 h-5 shrink-0" />}
+              <div>
+                <p className="font-semibold">
+                  {chainReport.ok ? 'Audit log is intact' : 'Audit log has been tampered with'}
+                </p>
+                <p>
+                  {chainReport.checked} entries checked
+                  {chainReport.checked > 0 && ` (seq ${chainReport.firstSeq} to ${chainReport.lastSeq})`}
+                  {chainReport.unchained > 0 && `, ${chainReport.unchained} older entries not covered by the chain`}
+                </p>
+                {!chainReport.ok && (
+                  <p>
+                    {chainReport.issues.gaps} gaps, {chainReport.issues.modified} modified entries,{' '}
+                    {chainReport.issues.brokenLinks} broken links
+                    {chainReport.gaps.length > 0 &&
+                      ` · missing seq ${chainReport.gaps.map((gap) => gap.from === gap.to ? gap.from : `${gap.from}-${gap.to}`).join(', ')}`}
+                    {chainReport.modified.length > 0 &&
+                      ` · modified seq ${chainReport.modified.map((entry) => entry.seq).join(', ')}`}
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Filters */}
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              setFilters(draft);
+            }}
+            className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 grid grid-cols-1 md:grid-cols-4 gap-3"
+          >
+            <input
+              value={draft.userId || ''}
+              onChange={(e) => setDraftField('userId', e.target.value)}
+              placeholder="User ID"
+              className={inputClass}
+            />
+            <input
+              value={draft.patientId || ''}
+              onChange={(e) => setDraftField('patientId', e.target.value)}
+              placeholder="Patient ID"
+              className={inputClass}
+            />
+            <input
+              value={draft.resourceType || ''}
+              onChange={(e) => setDraftField('resourceType', e.target.value)}
+              placeholder="Resource type"
+              className={inputClass}
+            />
+            <select
+              value={draft.action || ''}
+              onChange={(e) => setDraftField('action', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">All actions</option>
+              {ACTIONS.map((action) => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={draft.from || ''}
+              onChange={(e) => setDraftField('from', e.target.value)}
+              className={inputClass}
+            />
+            <input
+              type="date"
+              value={draft.to || ''}
+              onChange={(e) => setDraftField('to', e.target.value)}
+              className={inputClass}
+            />
+            <input
+              value={draft.ip || ''}
+              onChange={(e) => setDraftField('ip', e.target.value)}
+              placeholder="IP address"
+              className={inputClass}
+            />
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold"
+              >
+                Apply
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setDraft(EMPTY_FILTERS);
+                  setFilters(EMPTY_FILTERS);
+                }}
+                className="px-4 py-2 border-2 border-gray-200 rounded-xl font-semibold text-gray-700 hover:bg-gray-50"
+              >
+                Clear
+              </button>
+            </div>
+          </form>
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">{error}</div>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-20">
+              <Loader2 className="w-8 h-8 text-blue-600 animate-spin" />
+            </div>
+          ) : logs.length === 0 ? (
+            <div className="text-center py-20">
+              <ScrollText className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No audit entries match these filters</p>
+            </div>
+          ) : (
+            <div className="bg-white rounded-2xl shadow-lg border border-gray-100 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left text-gray-600">
+                  <tr>
+                    <th className="px-4 py-3">When</th>
+                    <th className="px-4 py-3">User</th>
+                    <th className="px-4 py-3">Action</th>
+                    <th className="px-4 py-3">Resource</th>
+                    <th className="px-4 py-3">Patient</th>
+                    <th className="px-4 py-3">IP</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {logs.map((log) => (
+                    <tr key={log._id} className="align-top">
+                      <td className="px-4 py-3 whitespace-nowrap text-gray-600">
+                        {new Date(log.timestamp).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-3">
+                        {log.userId ? (
+                          <button
+                            onClick={() => applyFilter({ userId: log.userId!._id })}
+                            className="font-semibold text-gray-900 hover:text-blue-600"
+                          >
+                            {log.userId.firstName} {log.userId.lastName}
+                          </button>
+                        ) : (
+                          <span className="text-gray-500">Unknown</span>
+                        )}
+                        <p className="text-xs text-gray-500">
+                          {log.userRole}{log.hospitalId?.name && ` · ${log.hospitalId.name}`}
+                        </p>
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className="font-semibold">{log.action}</span>
+                        {log.emergencyAccessId && (
+                          <Siren className="inline w-4 h-4 ml-1 text-red-600" aria-label="Emergency access" />
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <p>{log.resourceType}</p>
+                        {log.details && <p className="text-xs text-gray-500 max-w-xs truncate">{log.details}</p>}
+                      </td>
+                      <td className="px-4 py-3">
+                        {log.affectedPatientId && (
+                          <button
+                            onClick={() => applyFilter({ patientId: log.affectedPatientId!._id })}
+                            className="text-gray-900 hover:text-blue-600"
+                          >
+                            {log.affectedPatientId.firstName} {log.affectedPatientId.lastName}
+                          </button>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-gray-600">{log.ipAddress}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {nextCursor && (
+                <div className="p-4 text-center border-t border-gray-100">
+                  <button
+                    onClick={handleLoadMore}
+                    disabled={loadingMore}
+                    className="px-6 py-2 border-2 border-gray-200 rounded-xl font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    {loadingMore ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Load more'}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
@@ -0,0 +1,99 @@
+// frontend/app/dashboard/department/cancelled/page.tsx
+
+'use client';
+
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import { motion } from 'framer-motion';
+import { useState, useEffect } from 'react';
+import { XCircle, Loader2, User, Calendar, DollarSign } from 'lucide-react';
+import api from '@/lib/api';
+
+export default function DepartmentCancelledTestsPage() {
+  const [testOrders, setTestOrders] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchCancelledTests();
+  }, []);
+
+  const fetchCancelledTests = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getDepartmentCancelledTests();
+      setTestOrders(response.data);
+    } catch (error) {
+      console.error('Failed to fetch cancelled tests:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ProtectedRoute allowedRoles={['department_staff']}>
+      <DashboardLayout>
+        <div className="space-y-6">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+              Cancelled Tests
+            </h1>
+            <p className="text-gray-600">Test orders cancelled before testing started</p>
+          </motion.div>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-20">
+              <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+            </div>
+          ) : testOrders.length > 0 ? (
+            <div className="space-y-4">
+              {testOrders.map((order, index) => (
+                <motion.div
+                  key={order._id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                  className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-lg border border-white/20 p-6"
+                >
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <h3 className="text-xl font-bold text-gray-900 mb-1">{order.testName}</h3>
+                      <div className="flex items-center gap-4 text-sm text-gray-600 mb-2">
+                        <div className="flex items-center gap-1">
+                          <User className="w-4 h-4" />
+                          {order.patientId?.firstName} {order.patientId?.lastName}
+                        </div>
+                        <div className="flex items-center gap-1">
+                          <Calendar className="w-4 h-4" />
+                          {order.cancelledDate && new Date(order.cancelledDate).toLocaleString()}
+                        </div>
+                      </div>
+                      <p className="text-sm text-red-600">
+                        Reason: {order.cancellationReason}
+                        {order.cancelledBy && ` (by ${order.cancelledBy.firstName} ${order.cancelledBy.lastName})`}
+                      </p>
+                    </div>
+                    {order.paymentStatus === 'refunded' && (
+                      <span className="px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-700 flex items-center gap-1">
+                        <DollarSign className="w-3 h-3" />
+                        Refunded {order.refundAmount != null && `$${order.refundAmount}`}
+                      </span>
+                    )}
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-20">
+              <XCircle className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">No cancelled tests</h3>
+            </div>
+          )}
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
@@ -0,0 +1,158 @@
+// frontend/app/dashboard/department/insurance/page.tsx
+
+'use client';
+
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import { motion } from 'framer-motion';
+import { useState, useEffect } from 'react';
+import { Shield, Loader2, User, Calendar, CheckCircle, XCircle, Percent } from 'lucide-react';
+import api from '@/lib/api';
+
+export default function DepartmentInsuranceClaimsPage() {
+  const [testOrders, setTestOrders] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [processingId, setProcessingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchPendingClaims();
+  }, []);
+
+  const fetchPendingClaims = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getDepartmentInsurancePendingTests();
+      setTestOrders(response.data);
+    } catch (error) {
+      console.error('Failed to fetch insurance claims:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdjudicate = async (order: any, status: 'approved' | 'partially_covered' | 'denied') => {
+    const data: { status: typeof status; approvedAmount?: number; denialReason?: string } = { status };
+
+    // The claimed amount comes from the patient's own policy terms, so staff
+    // enter what the insurer actually approved
+    if (status === 'approved' || status === 'partially_covered') {
+      const amount = window.prompt(`Amount approved by ${order.insuranceClaim.provider} (max $${order.paymentAmount}):`);
+      if (!amount || isNaN(Number(amount))) return;
+      data.approvedAmount = Number(amount);
+    }
+
+    if (status === 'denied') {
+      const reason = window.prompt('Reason the insurer denied the claim:');
+      if (!reason || !reason.trim()) return;
+      data.denialReason = reason.trim();
+    }
+
+    setProcessingId(order._id);
+    try {
+      await api.adjudicateInsuranceClaim(order._id, data);
+      await fetchPendingClaims();
+    } catch (error: any) {
+      console.error('Adjudication failed:', error);
+      alert(error.message || 'Failed to update insurance claim');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  return (
+    <ProtectedRoute allowedRoles={['department_staff']}>
+      <DashboardLayout>
+        <div className="space-y-6">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+              Insurance Claims
+            </h1>
+            <p className="text-gray-600">Test orders awaiting a decision from the patient&apos;s insurer</p>
+          </motion.div>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-20">
+              <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+            </div>
+          ) : testOrders.length > 0 ? (
+            <div className="space-y-4">
+              {testOrders.map((order, index) => (
+                <motion.div
+                  key={order._id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                  className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-lg border border-white/20 p-6"
+                >
+                  <div className="flex items-start justify-between mb-4">
+                    <div>
+                      <h3 className="text-xl font-bold text-gray-900 mb-1">{order.testName}</h3>
+                      <div className="flex items-center gap-4 text-sm text-gray-600 mb-2">
+                        <div className="flex items-center gap-1">
+                          <User className="w-4 h-4" />
+                          {order.patientId?.firstName} {order.patientId?.lastName}
+                        </div>
+                        <div className="flex items-center gap-1">
+                          <Calendar className="w-4 h-4" />
+                          {new Date(order.insuranceClaim.submittedAt).toLocaleDateString()}
+                        </div>
+                      </div>
+                      <p className="text-sm text-gray-600">
+                        {order.insuranceClaim.provider} &middot; Policy {order.insuranceClaim.policyNumber} &middot; Claim {order.insuranceClaim.claimNumber}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-2xl font-bold text-gray-900">${order.paymentAmount}</p>
+                      <p className="text-sm text-gray-600">
+                        Claimed ${order.insuranceClaim.claimedAmount} &middot; Co-pay ${order.insuranceClaim.coPayAmount}
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center justify-end gap-2 pt-4 border-t border-gray-200">
+                    {processingId === order._id ? (
+                      <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => handleAdjudicate(order, 'approved')}
+                          className="px-4 py-2 bg-gradient-to-r from-green-600 to-green-700 text-white rounded-lg font-semibold text-sm shadow-lg hover:shadow-xl transition-all flex items-center gap-2"
+                        >
+                          <CheckCircle className="w-4 h-4" />
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleAdjudicate(order, 'partially_covered')}
+                          className="px-4 py-2 border-2 border-blue-300 text-blue-600 rounded-lg font-semibold text-sm hover:bg-blue-50 transition-all flex items-center gap-2"
+                        >
+                          <Percent className="w-4 h-4" />
+                          Partial
+                        </button>
+                        <button
+                          onClick={() => handleAdjudicate(order, 'denied')}
+                          className="px-4 py-2 border-2 border-red-300 text-red-600 rounded-lg font-semibold text-sm hover:bg-red-50 transition-all flex items-center gap-2"
+                        >
+                          <XCircle className="w-4 h-4" />
+                          Deny
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-20">
+              <Shield className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">No claims awaiting adjudication</h3>
+            </div>
+          )}
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
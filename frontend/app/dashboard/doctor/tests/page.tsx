@@ -42,6 +42,14 @@ interface Department {
   type: string;
 }
 
+interface DepartmentService {
+  _id: string;
+  name: string;
+  description?: string;
+  price: number;
+  duration?: number;
+}
+
 interface TestOrder {
   paymentAmount: number;
   _id: string;
@@ -55,9 +63,23 @@ interface TestOrder {
   status: string;
   resultFileUrl?: string;
   notes?: string;
+  cancellationReason?: string;
+  orderSetId?: string;
   createdAt: string;
 }
 
+type ProviderPaymentMethod = 'card' | 'mobile_money' | 'bank_transfer' | 'insurance';
+
+const PAYMENT_METHOD_LABELS: Record<ProviderPaymentMethod, string> = {
+  card: 'Card',
+  mobile_money: 'Mobile money',
+  bank_transfer: 'Bank transfer',
+  insurance: 'Insurance',
+};
+
+// Orders can no longer be cancelled once testing has started
+const CANCELLABLE_STATUSES = ['ordered', 'payment_pending', 'payment_failed', 'ready_for_test'];
+
 export default function DoctorTestOrdersPage() {
   const { user } = useAuth();
   const [showCreateModal, setShowCreateModal] = useState(false);
@@ -89,21 +111,49 @@ const [paymentLoading, setPaymentLoading] = useState(false);
   };
 
 
-const handleConfirmPayment = async () => {
+// Provider payment started for the selected order (or its order set)
+const [payment, setPayment] = useState<{ reference: string; nextAction?: any } | null>(null);
+
+const closePaymentModal = () => {
+  setShowPaymentModal(false);
+  setSelectedOrder(null);
+  setPayment(null);
+};
+
+const handleStartPayment = async (paymentMethod: ProviderPaymentMethod) => {
   if (!selectedOrder) return;
 
   setPaymentLoading(true);
   try {
-    await api.post(`/test-orders/${selectedOrder._id}/payment`, {
-      paymentMethod: 'cash',
-      transactionId: `TXN-${Date.now()}`,
-    });
+    // Orders placed together are paid together
+    const response = selectedOrder.orderSetId
+      ? await api.initiateOrderSetPayment(selectedOrder.orderSetId, paymentMethod)
+      : await api.initiateTestOrderPayment(selectedOrder._id, paymentMethod);
+    setPayment(response.data);
+  } catch (error: any) {
+    console.error('Payment initiation failed:', error);
+    alert(error.message || 'Payment initiation failed');
+  } finally {
+    setPaymentLoading(false);
+  }
+};
+
+// The backend verifies the payment with the provider
+const handleConfirmPayment = async () => {
+  if (!selectedOrder || !payment) return;
+
+  setPaymentLoading(true);
+  try {
+    const paymentData = { transactionId: payment.reference };
+
+    if (selectedOrder.orderSetId) {
+      await api.confirmOrderSetPayment(selectedOrder.orderSetId, paymentData);
+    } else {
+      await api.updateTestOrderPayment(selectedOrder._id, paymentData);
+    }
 
-    // Refresh orders
     await fetchTestOrders();
-    
-    setShowPaymentModal(false);
-    setSelectedOrder(null);
+    closePaymentModal();
   } catch (error: any) {
     console.error('Payment confirmation failed:', error);
     alert(error.message || 'Payment confirmation failed');
@@ -112,8 +162,26 @@ const handleConfirmPayment = async () => {
   }
 };
 
+const handleCancelOrder = async (order: TestOrder) => {
+  const reason = window.prompt(`Reason for cancelling ${order.testType}:`);
+  if (!reason || !reason.trim()) return;
+
+  try {
+    const response = await api.cancelTestOrder(order._id, reason.trim());
+    alert(response.message);
+    await fetchTestOrders();
+  } catch (error: any) {
+    console.error('Cancel test order failed:', error);
+    alert(error.message || 'Failed to cancel test order');
+  }
+};
 
 
+  // Unpaid orders that will be settled together with the given order
+  const getUnpaidOrderSet = (order: TestOrder) =>
+    order.orderSetId
+      ? testOrders.filter(o => o.orderSetId === order.orderSetId && o.paymentStatus === 'pending' && o.status !== 'cancelled')
+      : [order];
 
   const filteredOrders = testOrders.filter(order => 
     order.testType.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -171,7 +239,7 @@ const handleConfirmPayment = async () => {
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ delay: 0.2 }}
-            className="grid grid-cols-1 md:grid-cols-4 gap-6"
+            className="grid grid-cols-1 md:grid-cols-5 gap-6"
           >
             <StatCard
               title="Total Orders"
@@ -181,7 +249,7 @@ const handleConfirmPayment = async () => {
             />
             <StatCard
               title="Pending Payment"
-              value={testOrders.filter(o => o.paymentStatus === 'pending').length}
+              value={testOrders.filter(o => o.paymentStatus === 'pending' && o.status !== 'cancelled').length}
               icon={Clock}
               color="from-orange-500 to-orange-600"
             />
@@ -197,6 +265,12 @@ const handleConfirmPayment = async () => {
               icon={CheckCircle}
               color="from-green-500 to-green-600"
             />
+            <StatCard
+              title="Cancelled"
+              value={testOrders.filter(o => o.status === 'cancelled').length}
+              icon={XCircle}
+              color="from-red-500 to-red-600"
+            />
           </motion.div>
 
           {/* Test Orders List */}
@@ -220,6 +294,7 @@ const handleConfirmPayment = async () => {
                     setSelectedOrder(order);
                     setShowPaymentModal(true);
                   }}
+                  onCancel={() => handleCancelOrder(order)}
                 />
               ))}
             </motion.div>
@@ -264,10 +339,10 @@ const handleConfirmPayment = async () => {
             {showPaymentModal && selectedOrder && (
               <PaymentModal
                 order={selectedOrder}
-                onClose={() => {
-                  setShowPaymentModal(false);
-                  setSelectedOrder(null);
-                }}
+                setOrders={getUnpaidOrderSet(selectedOrder)}
+                payment={payment}
+                onClose={closePaymentModal}
+                onStart={handleStartPayment}
                 onConfirm={handleConfirmPayment}
                 loading={paymentLoading}
               />
@@ -301,11 +376,13 @@ function StatCard({ title, value, icon: Icon, color }: any) {
 function TestOrderCard({
   order,
   index,
-  onPayment
+  onPayment,
+  onCancel
 }: {
   order: TestOrder;
   index: number;
   onPayment?: () => void; // ✅ Add this
+  onCancel?: () => void;
 }) {
   const statusColors = {
     ordered: 'bg-blue-100 text-blue-700 border-blue-300',
@@ -325,6 +402,14 @@ function TestOrderCard({
     waived: 'bg-blue-100 text-blue-700',
   };
 
+  const paymentLabels = {
+    pending: 'Pending Payment',
+    paid: 'Paid',
+    failed: 'Payment Failed',
+    refunded: 'Refunded',
+    waived: 'Waived',
+  };
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -339,7 +424,14 @@ function TestOrderCard({
             <TestTube className="w-6 h-6 text-white" />
           </div>
           <div className="flex-1">
-            <h3 className="text-xl font-bold text-gray-900 mb-1">{order.testType}</h3>
+            <h3 className="text-xl font-bold text-gray-900 mb-1 flex items-center gap-2">
+              {order.testType}
+              {order.orderSetId && (
+                <span className="px-2 py-0.5 bg-purple-100 text-purple-700 text-xs font-semibold rounded-full">
+                  Order set
+                </span>
+              )}
+            </h3>
             <p className="text-sm text-gray-600 mb-2">
               Patient: {order.patientId.firstName} {order.patientId.lastName}
             </p>
@@ -353,6 +445,11 @@ function TestOrderCard({
                 {new Date(order.createdAt).toLocaleDateString()}
               </div>
             </div>
+            {order.status === 'cancelled' && order.cancellationReason && (
+              <p className="text-sm text-red-600 mt-2">
+                Cancelled: {order.cancellationReason}
+              </p>
+            )}
           </div>
         </div>
         <div className="text-right">
@@ -362,7 +459,7 @@ function TestOrderCard({
           <div className="flex gap-2">
             <span className={`px-3 py-1 rounded-full text-xs font-semibold ${paymentColors[order.paymentStatus as keyof typeof paymentColors]
               }`}>
-              {order.paymentStatus === 'paid' ? 'Paid' : 'Pending Payment'}
+              {paymentLabels[order.paymentStatus as keyof typeof paymentLabels] || order.paymentStatus}
             </span>
           </div>
         </div>
@@ -376,7 +473,7 @@ function TestOrderCard({
 
         {/* ✅ ADD: Action buttons */}
         <div className="flex items-center gap-2">
-          {order.paymentStatus === 'pending' && onPayment && (
+          {order.paymentStatus === 'pending' && order.status !== 'cancelled' && onPayment && (
             <motion.button
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -384,7 +481,18 @@ function TestOrderCard({
               className="px-4 py-2 bg-gradient-to-r from-green-600 to-green-700 text-white rounded-lg font-semibold text-sm shadow-lg hover:shadow-xl transition-all flex items-center gap-2"
             >
               <DollarSign className="w-4 h-4" />
-              Confirm Payment
+              Take Payment
+            </motion.button>
+          )}
+          {CANCELLABLE_STATUSES.includes(order.status) && onCancel && (
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={onCancel}
+              className="px-4 py-2 border-2 border-red-300 text-red-600 rounded-lg font-semibold text-sm hover:bg-red-50 transition-all flex items-center gap-2"
+            >
+              <XCircle className="w-4 h-4" />
+              Cancel
             </motion.button>
           )}
           <motion.button
@@ -402,15 +510,23 @@ function TestOrderCard({
 
 function PaymentModal({
   order,
+  setOrders,
+  payment,
   onClose,
+  onStart,
   onConfirm,
   loading,
 }: {
   order: TestOrder;
+  setOrders: TestOrder[];
+  payment: { reference: string; nextAction?: any } | null;
   onClose: () => void;
+  onStart: (paymentMethod: ProviderPaymentMethod) => void;
   onConfirm: () => void;
   loading?: boolean;
 }) {
+  const [paymentMethod, setPaymentMethod] = useState<ProviderPaymentMethod>('card');
+
   return (
     <motion.div
       initial={{ opacity: 0 }}
@@ -430,17 +546,19 @@ function PaymentModal({
           <div className="inline-flex p-4 bg-green-100 rounded-full mb-4">
             <DollarSign className="w-8 h-8 text-green-600" />
           </div>
-          <h2 className="text-2xl font-bold text-gray-900 mb-2">Confirm Payment</h2>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Take Payment</h2>
           <p className="text-gray-600">
-            Are you sure you want to confirm payment for this test order?
+            Cash is paid at the department counter; other methods go through the payment provider
           </p>
         </div>
 
         {/* Order Details */}
         <div className="bg-gradient-to-r from-blue-50 to-purple-50 rounded-xl p-4 mb-6 space-y-2">
           <div className="flex justify-between">
-            <span className="text-sm text-gray-600">Test Type:</span>
-            <span className="text-sm font-semibold text-gray-900">{order.testType}</span>
+            <span className="text-sm text-gray-600">{setOrders.length > 1 ? 'Tests:' : 'Test Type:'}</span>
+            <span className="text-sm font-semibold text-gray-900 text-right">
+              {setOrders.map(o => o.testType).join(', ')}
+            </span>
           </div>
           <div className="flex justify-between">
             <span className="text-sm text-gray-600">Patient:</span>
@@ -457,25 +575,44 @@ function PaymentModal({
           <div className="flex justify-between pt-2 border-t border-gray-200">
             <span className="text-sm text-gray-600">Amount:</span>
             <span className="text-lg font-bold text-green-600">
-              ${order.paymentAmount || order.amount}
+              ${setOrders.reduce((total, o) => total + (o.paymentAmount || o.amount), 0)}
             </span>
           </div>
         </div>
 
-        {/* Payment Method Info */}
-        <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 mb-6">
-          <div className="flex items-start gap-3">
-            <FileText className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
-            <div>
-              <p className="text-sm font-semibold text-yellow-800 mb-1">
-                Demo Payment Simulation
-              </p>
-              <p className="text-xs text-yellow-700">
-                This is a simulated payment. In production, this would integrate with a real payment gateway.
-              </p>
+        {/* Payment Method / Provider Instructions */}
+        {payment ? (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 mb-6">
+            <div className="flex items-start gap-3">
+              <FileText className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+              <div>
+                <p className="text-sm font-semibold text-yellow-800 mb-1">
+                  Payment started ({payment.reference})
+                </p>
+                <p className="text-xs text-yellow-700">
+                  {payment.nextAction?.message || (payment.nextAction?.url && (
+                    <a href={payment.nextAction.url} target="_blank" rel="noopener noreferrer" className="underline">
+                      Open the payment page
+                    </a>
+                  ))}
+                </p>
+              </div>
             </div>
           </div>
-        </div>
+        ) : (
+          <div className="mb-6">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Payment method</label>
+            <select
+              value={paymentMethod}
+              onChange={(e) => setPaymentMethod(e.target.value as ProviderPaymentMethod)}
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl outline-none focus:border-blue-500"
+            >
+              {(Object.keys(PAYMENT_METHOD_LABELS) as ProviderPaymentMethod[]).map((method) => (
+                <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+              ))}
+            </select>
+          </div>
+        )}
 
         {/* Buttons */}
         <div className="flex gap-3">
@@ -491,7 +628,7 @@ function PaymentModal({
           <motion.button
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
-            onClick={onConfirm}
+            onClick={payment ? onConfirm : () => onStart(paymentMethod)}
             disabled={loading}
             className="flex-1 px-6 py-3 bg-gradient-to-r from-green-600 to-green-700 text-white rounded-xl font-semibold shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
           >
@@ -503,7 +640,7 @@ function PaymentModal({
             ) : (
               <>
                 <CheckCircle className="w-5 h-5" />
-                Confirm Payment
+                {payment ? 'Check Payment' : 'Start Payment'}
               </>
             )}
           </motion.button>
@@ -527,14 +664,17 @@ function CreateTestOrderModal({
   const [searchResults, setSearchResults] = useState<Patient[]>([]);
   const [selectedPatient, setSelectedPatient] = useState<Patient | null>(null);
   const [departments, setDepartments] = useState<Department[]>([]);
+  const [services, setServices] = useState<DepartmentService[]>([]);
   const [searching, setSearching] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
+  // Tests added to this request; more than one creates an order set
+  const [items, setItems] = useState<{ departmentId: string; service: DepartmentService }[]>([]);
+
   const [formData, setFormData] = useState({
-    testType: '',
+    serviceId: '',
     departmentId: '',
-    amount: '',
     description: '',
     urgency: 'routine' as 'routine' | 'urgent' | 'emergency',
   });
@@ -553,6 +693,30 @@ function CreateTestOrderModal({
     }
   };
 
+  // Load the selected department's service catalog
+  useEffect(() => {
+    if (!formData.departmentId) {
+      setServices([]);
+      return;
+    }
+
+    api.getDepartmentServices(formData.departmentId)
+      .then((response) => setServices(response.data))
+      .catch((error) => console.error('Failed to fetch services:', error));
+  }, [formData.departmentId]);
+
+  const selectedService = services.find((service) => service._id === formData.serviceId);
+
+  const handleAddItem = () => {
+    if (!selectedService) return;
+    setItems([...items, { departmentId: formData.departmentId, service: selectedService }]);
+    setFormData({ ...formData, serviceId: '' });
+  };
+
+  const handleRemoveItem = (index: number) => {
+    setItems(items.filter((_, i) => i !== index));
+  };
+
   // Search patients
   const handleSearch = async () => {
     if (!searchQuery.trim()) return;
@@ -585,15 +749,28 @@ function CreateTestOrderModal({
     setError('');
     setLoading(true);
 
+    // Include the current selection even if "Add test" wasn't clicked
+    const orderItems = items.map((item) => ({ departmentId: item.departmentId, serviceId: item.service._id }));
+    if (formData.serviceId) {
+      orderItems.push({ departmentId: formData.departmentId, serviceId: formData.serviceId });
+    }
+
     try {
-      await api.createTestOrder({
-        patientId: selectedPatient?._id,
-        testType: formData.testType,
-        departmentId: formData.departmentId,
-        amount: parseFloat(formData.amount),
-        description: formData.description,
-        urgency: formData.urgency,
-      });
+      if (orderItems.length > 1) {
+        await api.createOrderSet({
+          patientId: selectedPatient!._id,
+          items: orderItems,
+          description: formData.description,
+          urgency: formData.urgency,
+        });
+      } else {
+        await api.createTestOrder({
+          patientId: selectedPatient?._id,
+          ...orderItems[0],
+          description: formData.description,
+          urgency: formData.urgency,
+        });
+      }
       onSuccess();
     } catch (err: any) {
       setError(err.message || 'Failed to create test order');
@@ -744,33 +921,6 @@ function CreateTestOrderModal({
               <p className="text-sm text-gray-600">{selectedPatient.email}</p>
             </div>
 
-            {/* Test Type */}
-            <div>
-              <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Test Type *
-              </label>
-              <select
-                required
-                value={formData.testType}
-                onChange={(e) => setFormData({ ...formData, testType: e.target.value })}
-                className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
-              >
-                <option value="">Select test type...</option>
-                <option value="Blood Test">Complete Blood Count (CBC)</option>
-                <option value="X-Ray">X-Ray</option>
-                <option value="CT Scan">CT Scan</option>
-                <option value="MRI">MRI</option>
-                <option value="Ultrasound">Ultrasound</option>
-                <option value="ECG">ECG (Electrocardiogram)</option>
-                <option value="Urinalysis">Urinalysis</option>
-                <option value="Lipid Profile">Lipid Profile</option>
-                <option value="Blood Sugar">Blood Sugar Test</option>
-                <option value="Liver Function">Liver Function Test</option>
-                <option value="Kidney Function">Kidney Function Test</option>
-                <option value="Other">Other</option>
-              </select>
-            </div>
-
             {/* Department */}
             <div>
               <label className="block text-sm font-semibold text-gray-700 mb-2">
@@ -779,7 +929,7 @@ function CreateTestOrderModal({
               <select
                 required
                 value={formData.departmentId}
-                onChange={(e) => setFormData({ ...formData, departmentId: e.target.value })}
+                onChange={(e) => setFormData({ ...formData, departmentId: e.target.value, serviceId: '' })}
                 className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
               >
                 <option value="">Select department...</option>
@@ -791,26 +941,78 @@ function CreateTestOrderModal({
               </select>
             </div>
 
-            {/* Amount */}
+            {/* Service */}
             <div>
               <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Amount (USD) *
+                Test *
               </label>
-              <div className="relative">
-                <DollarSign className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-                <input
-                  type="number"
-                  required
-                  min="0"
-                  step="0.01"
-                  value={formData.amount}
-                  onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
-                  placeholder="0.00"
-                  className="w-full pl-12 pr-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
-                />
-              </div>
+              <select
+                required={items.length === 0}
+                disabled={!formData.departmentId}
+                value={formData.serviceId}
+                onChange={(e) => setFormData({ ...formData, serviceId: e.target.value })}
+                className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all disabled:bg-gray-50"
+              >
+                <option value="">
+                  {formData.departmentId && services.length === 0 ? 'No services offered by this department' : 'Select test...'}
+                </option>
+                {services.map((service) => (
+                  <option key={service._id} value={service._id}>
+                    {service.name} (${service.price})
+                  </option>
+                ))}
+              </select>
+              {selectedService && (
+                <div className="mt-2 flex items-center gap-4 text-sm text-gray-600">
+                  <div className="flex items-center gap-1">
+                    <DollarSign className="w-4 h-4" />
+                    {selectedService.price}
+                  </div>
+                  {selectedService.duration && (
+                    <div className="flex items-center gap-1">
+                      <Clock className="w-4 h-4" />
+                      {selectedService.duration} min
+                    </div>
+                  )}
+                  <button
+                    type="button"
+                    onClick={handleAddItem}
+                    className="ml-auto px-3 py-1 bg-blue-100 text-blue-700 rounded-lg font-semibold flex items-center gap-1"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Add another test
+                  </button>
+                </div>
+              )}
             </div>
 
+            {/* Tests added so far (ordered together as one order set) */}
+            {items.length > 0 && (
+              <div className="p-4 bg-gray-50 rounded-xl border border-gray-200 space-y-2">
+                {items.map((item, index) => (
+                  <div key={`${item.service._id}-${index}`} className="flex items-center justify-between text-sm">
+                    <span className="font-semibold text-gray-900">{item.service.name}</span>
+                    <div className="flex items-center gap-3">
+                      <span className="text-gray-600">${item.service.price}</span>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveItem(index)}
+                        className="text-red-600 hover:bg-red-50 rounded p-1"
+                      >
+                        <XCircle className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                <div className="flex justify-between pt-2 border-t border-gray-200 text-sm">
+                  <span className="text-gray-600">Total</span>
+                  <span className="font-bold text-gray-900">
+                    ${items.reduce((total, item) => total + item.service.price, 0) + (selectedService?.price || 0)}
+                  </span>
+                </div>
+              </div>
+            )}
+
             {/* Urgency */}
             <div>
               <label className="block text-sm font-semibold text-gray-700 mb-2">
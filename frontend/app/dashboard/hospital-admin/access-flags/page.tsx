@@ -0,0 +1,140 @@
+// frontend/app/dashboard/hospital-admin/access-flags/page.tsx
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import { motion } from 'framer-motion';
+import { Flag, Loader2, CheckCircle } from 'lucide-react';
+import api from '@/lib/api';
+
+type StatusFilter = 'open' | 'reviewed' | '';
+
+export default function HospitalAdminAccessFlagsPage() {
+  const [flags, setFlags] = useState<any[]>([]);
+  const [filter, setFilter] = useState<StatusFilter>('open');
+  const [loading, setLoading] = useState(true);
+
+  const fetchFlags = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.getAccessFlags(filter || undefined);
+      setFlags(response.data);
+    } catch (error) {
+      console.error('Failed to fetch flagged accesses:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchFlags();
+  }, [fetchFlags]);
+
+  const handleReview = async (flag: any) => {
+    const note = window.prompt('Outcome of your review:');
+    if (!note?.trim()) return;
+    try {
+      await api.reviewAccessFlag(flag._id, note.trim());
+      await fetchFlags();
+    } catch (error: any) {
+      alert(error.message || 'Failed to save review');
+    }
+  };
+
+  return (
+    <ProtectedRoute allowedRoles={['hospital_admin']}>
+      <DashboardLayout>
+        <div className="space-y-6">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex flex-wrap items-end justify-between gap-4"
+          >
+            <div>
+              <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+                Flagged Access
+              </h1>
+              <p className="text-gray-600">
+                Record accesses patients reported as suspicious
+              </p>
+            </div>
+            <select
+              value={filter}
+              onChange={(e) => setFilter(e.target.value as StatusFilter)}
+              className="px-4 py-2 border-2 border-gray-200 rounded-xl outline-none"
+            >
+              <option value="open">Awaiting review</option>
+              <option value="reviewed">Reviewed</option>
+              <option value="">All</option>
+            </select>
+          </motion.div>
+
+          {loading ? (
+            <div className="flex justify-center py-20">
+              <Loader2 className="w-8 h-8 text-blue-600 animate-spin" />
+            </div>
+          ) : flags.length === 0 ? (
+            <div className="text-center py-20">
+              <Flag className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No flagged accesses to show</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {flags.map((flag) => (
+                <div key={flag._id} className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-3">
+                  <div className="flex flex-wrap items-start justify-between gap-4">
+                    <div>
+                      <p className="font-semibold text-gray-900">
+                        {flag.accessedBy?.firstName} {flag.accessedBy?.lastName}
+                        <span className="font-normal text-gray-500">
+                          {' '}({flag.accessedBy?.role}{flag.hospitalId?.name && `, ${flag.hospitalId.name}`})
+                        </span>
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        Patient: {flag.patientId?.firstName} {flag.patientId?.lastName}
+                      </p>
+                      {flag.auditLogId && (
+                        <p className="text-xs text-gray-500">
+                          {flag.auditLogId.action} {flag.auditLogId.resourceType} on{' '}
+                          {new Date(flag.auditLogId.timestamp).toLocaleString()}
+                          {flag.auditLogId.ipAddress && ` from ${flag.auditLogId.ipAddress}`}
+                          {flag.auditLogId.emergencyAccessId && ' (emergency access)'}
+                        </p>
+                      )}
+                    </div>
+                    <span
+                      className={`px-3 py-1 text-xs font-semibold rounded-full ${
+                        flag.status === 'open' ? 'bg-yellow-100 text-yellow-700' : 'bg-green-100 text-green-700'
+                      }`}
+                    >
+                      {flag.status === 'open' ? 'Awaiting review' : 'Reviewed'}
+                    </span>
+                  </div>
+
+                  <p className="p-3 bg-gray-50 rounded-xl text-sm text-gray-800">{flag.reason}</p>
+
+                  {flag.reviewedBy ? (
+                    <p className="text-xs text-gray-500">
+                      Reviewed by {flag.reviewedBy.firstName} {flag.reviewedBy.lastName}: {flag.reviewNote}
+                    </p>
+                  ) : (
+                    <button
+                      onClick={() => handleReview(flag)}
+                      className="px-4 py-2 border-2 border-green-200 rounded-xl font-semibold text-green-600 hover:bg-green-50 flex items-center gap-2"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      Mark reviewed
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
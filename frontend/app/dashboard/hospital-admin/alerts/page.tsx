@@ -0,0 +1,33 @@
+// frontend/app/dashboard/hospital-admin/alerts/page.tsx
+
+'use client';
+
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import ResultAlertsList from '@/components/ResultAlertsList';
+import { motion } from 'framer-motion';
+
+export default function HospitalAdminResultAlertsPage() {
+  return (
+    <ProtectedRoute allowedRoles={['hospital_admin']}>
+      <DashboardLayout>
+        <div className="space-y-6">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+              Escalated Results
+            </h1>
+            <p className="text-gray-600">
+              Abnormal and critical results the ordering doctor has not acknowledged in time
+            </p>
+          </motion.div>
+
+          <ResultAlertsList emptyMessage="No escalated results" />
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
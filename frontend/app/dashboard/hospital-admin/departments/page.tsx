@@ -6,7 +6,7 @@ import ProtectedRoute from '@/components/ProtectedRoute';
 import DashboardLayout from '@/components/DashboardLayout';
 import { motion } from 'framer-motion';
 import { useState, useEffect } from 'react';
-import { Building2, Plus, Users, Edit, Trash2, Search, Loader2 } from 'lucide-react';
+import { Building2, Plus, Users, Edit, Trash2, Search, Loader2, ClipboardList, Clock, DollarSign, Monitor } from 'lucide-react';
 import api from '@/lib/api';
 
 interface Department {
@@ -16,6 +16,17 @@ interface Department {
   description?: string;
   type?: string;
   staffCount?: number;
+  departmentEmail?: string;
+  departmentLoginEnabled?: boolean;
+}
+
+interface DepartmentService {
+  _id: string;
+  name: string;
+  description?: string;
+  price: number;
+  duration?: number;
+  isActive: boolean;
 }
 
 export default function DepartmentsPage() {
@@ -27,6 +38,8 @@ export default function DepartmentsPage() {
     const [showCreateModal, setShowCreateModal] = useState(false);
     const [showEditModal, setShowEditModal] = useState(false);
     const [showDeleteModal, setShowDeleteModal] = useState(false);
+    const [showServicesModal, setShowServicesModal] = useState(false);
+    const [showTerminalModal, setShowTerminalModal] = useState(false);
     const [selectedDepartment, setSelectedDepartment] = useState<Department | null>(null);  
 
   // Fetch departments
@@ -59,6 +72,18 @@ const handleEdit = (department: Department) => {
   setShowEditModal(true);
 };
 
+// Handle service catalog
+const handleServices = (department: Department) => {
+  setSelectedDepartment(department);
+  setShowServicesModal(true);
+};
+
+// Handle terminal login
+const handleTerminal = (department: Department) => {
+  setSelectedDepartment(department);
+  setShowTerminalModal(true);
+};
+
 // Handle delete
 const handleDelete = (department: Department) => {
   setSelectedDepartment(department);
@@ -193,6 +218,8 @@ const handleDeleteConfirm = async () => {
                         department={department}
                         index={index}
                         onEdit={() => handleEdit(department)}
+                        onServices={() => handleServices(department)}
+                        onTerminal={() => handleTerminal(department)}
                         onDelete={() => handleDelete(department)}  
                   />
                 ))}
@@ -265,6 +292,33 @@ const handleDeleteConfirm = async () => {
                       />
                   )}
 
+                  {/* Service Catalog Modal */}
+                  {showServicesModal && selectedDepartment && (
+                      <ServiceCatalogModal
+                          department={selectedDepartment}
+                          onClose={() => {
+                              setShowServicesModal(false);
+                              setSelectedDepartment(null);
+                          }}
+                      />
+                  )}
+
+                  {/* Terminal Login Modal */}
+                  {showTerminalModal && selectedDepartment && (
+                      <TerminalLoginModal
+                          department={selectedDepartment}
+                          onClose={() => {
+                              setShowTerminalModal(false);
+                              setSelectedDepartment(null);
+                          }}
+                          onSuccess={() => {
+                              setShowTerminalModal(false);
+                              setSelectedDepartment(null);
+                              fetchDepartments();
+                          }}
+                      />
+                  )}
+
                   {/* Delete Confirmation Modal */}
                   {showDeleteModal && selectedDepartment && (
                       <DeleteConfirmModal
@@ -290,11 +344,15 @@ function DepartmentCard({
   department,
   index,
   onEdit,
+  onServices,
+  onTerminal,
   onDelete,
 }: {
   department: Department;
   index: number;
   onEdit: () => void;
+  onServices: () => void;
+  onTerminal: () => void;
   onDelete: () => void;
 }) {
   const departmentColors = [
@@ -330,6 +388,24 @@ function DepartmentCard({
           >
             <Edit className="w-4 h-4" />
           </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={onServices}
+            title="Service catalog"
+            className="p-2 text-purple-600 hover:bg-purple-50 rounded-lg transition-all"
+          >
+            <ClipboardList className="w-4 h-4" />
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={onTerminal}
+            title="Terminal login"
+            className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-all"
+          >
+            <Monitor className="w-4 h-4" />
+          </motion.button>
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
@@ -694,6 +770,377 @@ function EditDepartmentModal({
   );
 }
 
+// Service Catalog Modal Component
+function ServiceCatalogModal({
+  department,
+  onClose,
+}: {
+  department: Department;
+  onClose: () => void;
+}) {
+  const [services, setServices] = useState<DepartmentService[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({
+    name: '',
+    price: '',
+    duration: '',
+    description: '',
+  });
+
+  useEffect(() => {
+    fetchServices();
+  }, []);
+
+  const fetchServices = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getDepartmentServices(department._id);
+      setServices(response.data);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load services');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      await api.addDepartmentService(department._id, {
+        name: formData.name,
+        price: parseFloat(formData.price),
+        duration: formData.duration ? parseInt(formData.duration) : undefined,
+        description: formData.description || undefined,
+      });
+      setFormData({ name: '', price: '', duration: '', description: '' });
+      fetchServices();
+    } catch (err: any) {
+      setError(err.message || 'Failed to add service');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEditPrice = async (service: DepartmentService) => {
+    const price = window.prompt(`New price for ${service.name}:`, String(service.price));
+    if (price === null || isNaN(Number(price))) return;
+
+    try {
+      await api.updateDepartmentService(department._id, service._id, { price: Number(price) });
+      fetchServices();
+    } catch (err: any) {
+      setError(err.message || 'Failed to update service');
+    }
+  };
+
+  const handleToggleActive = async (service: DepartmentService) => {
+    try {
+      await api.updateDepartmentService(department._id, service._id, { isActive: !service.isActive });
+      fetchServices();
+    } catch (err: any) {
+      setError(err.message || 'Failed to update service');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-2xl bg-white/90 backdrop-blur-xl rounded-2xl shadow-2xl p-6 max-h-[90vh] overflow-y-auto"
+      >
+        <h2 className="text-2xl font-bold text-gray-900 mb-1">Service Catalog</h2>
+        <p className="text-gray-600 mb-6">{department.name} tests and prices used for new test orders</p>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-xl text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        {/* Services List */}
+        {loading ? (
+          <div className="flex items-center justify-center py-10">
+            <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+          </div>
+        ) : services.length > 0 ? (
+          <div className="space-y-2 mb-6">
+            {services.map((service) => (
+              <div
+                key={service._id}
+                className={`p-4 rounded-xl border border-gray-200 flex items-center justify-between ${
+                  service.isActive ? 'bg-white' : 'bg-gray-50 opacity-60'
+                }`}
+              >
+                <div>
+                  <p className="font-semibold text-gray-900">{service.name}</p>
+                  <div className="flex items-center gap-4 text-sm text-gray-600">
+                    <div className="flex items-center gap-1">
+                      <DollarSign className="w-4 h-4" />
+                      {service.price}
+                    </div>
+                    {service.duration && (
+                      <div className="flex items-center gap-1">
+                        <Clock className="w-4 h-4" />
+                        {service.duration} min
+                      </div>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => handleEditPrice(service)}
+                    className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-all"
+                  >
+                    <Edit className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(service)}
+                    className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                      service.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-700'
+                    }`}
+                  >
+                    {service.isActive ? 'Active' : 'Inactive'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-center text-gray-600 py-6 mb-6">No services yet. Add the first one below.</p>
+        )}
+
+        {/* Add Service */}
+        <form onSubmit={handleAdd} className="space-y-4 pt-4 border-t border-gray-200">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <input
+              type="text"
+              required
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="Service name"
+              className="sm:col-span-3 w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+            />
+            <input
+              type="number"
+              required
+              min="0"
+              step="0.01"
+              value={formData.price}
+              onChange={(e) => setFormData({ ...formData, price: e.target.value })}
+              placeholder="Price"
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+            />
+            <input
+              type="number"
+              min="0"
+              value={formData.duration}
+              onChange={(e) => setFormData({ ...formData, duration: e.target.value })}
+              placeholder="Duration (min)"
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+            />
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              placeholder="Description"
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+            />
+          </div>
+
+          <div className="flex gap-3">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition-all"
+            >
+              Close
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="submit"
+              disabled={saving}
+              className="flex-1 px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              {saving ? (
+                <>
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                  Adding...
+                </>
+              ) : (
+                <>
+                  <Plus className="w-5 h-5" />
+                  Add Service
+                </>
+              )}
+            </motion.button>
+          </div>
+        </form>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// Terminal Login Modal Component
+function TerminalLoginModal({
+  department,
+  onClose,
+  onSuccess,
+}: {
+  department: Department;
+  onClose: () => void;
+  onSuccess: () => void;
+}) {
+  const [formData, setFormData] = useState({
+    departmentLoginEnabled: department.departmentLoginEnabled ?? true,
+    departmentEmail: department.departmentEmail || '',
+    departmentPassword: '',
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      await api.updateDepartmentTerminalLogin(department._id, {
+        departmentLoginEnabled: formData.departmentLoginEnabled,
+        departmentEmail: formData.departmentEmail || undefined,
+        departmentPassword: formData.departmentPassword || undefined,
+      });
+      onSuccess();
+    } catch (err: any) {
+      setError(err.message || 'Failed to update terminal login');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-md bg-white/90 backdrop-blur-xl rounded-2xl shadow-2xl p-6"
+      >
+        <h2 className="text-2xl font-bold text-gray-900 mb-1">Terminal Login</h2>
+        <p className="text-gray-600 mb-6">
+          Shared sign-in for {department.name} workstations. Staff identify themselves with their own PIN.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-xl text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <label className="flex items-center gap-3 text-sm font-semibold text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.departmentLoginEnabled}
+              onChange={(e) => setFormData({ ...formData, departmentLoginEnabled: e.target.checked })}
+              className="w-4 h-4"
+            />
+            Allow terminal sign-in
+          </label>
+
+          {/* Department Email */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Department Email
+            </label>
+            <input
+              type="email"
+              value={formData.departmentEmail}
+              onChange={(e) => setFormData({ ...formData, departmentEmail: e.target.value })}
+              placeholder="e.g., lab@hospital.com"
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+            />
+          </div>
+
+          {/* Department Password */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              New Password
+            </label>
+            <input
+              type="password"
+              minLength={8}
+              value={formData.departmentPassword}
+              onChange={(e) => setFormData({ ...formData, departmentPassword: e.target.value })}
+              placeholder="Leave blank to keep the current password"
+              autoComplete="new-password"
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Changing the password signs out every terminal using the old one.
+            </p>
+          </div>
+
+          {/* Buttons */}
+          <div className="flex gap-3 pt-4">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition-all"
+            >
+              Cancel
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="submit"
+              disabled={loading}
+              className="flex-1 px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              {loading ? (
+                <>
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <Monitor className="w-5 h-5" />
+                  Save
+                </>
+              )}
+            </motion.button>
+          </div>
+        </form>
+      </motion.div>
+    </motion.div>
+  );
+}
+
 // Delete Confirmation Modal Component
 function DeleteConfirmModal({
   department,
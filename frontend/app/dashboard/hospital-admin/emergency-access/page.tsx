@@ -0,0 +1,168 @@
+// frontend/app/dashboard/hospital-admin/emergency-access/page.tsx
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import { motion } from 'framer-motion';
+import { Siren, Loader2, CheckCircle, XCircle } from 'lucide-react';
+import api, { EmergencyAccess } from '@/lib/api';
+
+type ReviewFilter = 'pending' | 'justified' | 'unjustified' | '';
+
+const REVIEW_BADGES: Record<EmergencyAccess['reviewStatus'], string> = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  justified: 'bg-green-100 text-green-700',
+  unjustified: 'bg-red-100 text-red-700',
+};
+
+export default function HospitalAdminEmergencyAccessPage() {
+  const [grants, setGrants] = useState<EmergencyAccess[]>([]);
+  const [filter, setFilter] = useState<ReviewFilter>('pending');
+  const [loading, setLoading] = useState(true);
+
+  const fetchGrants = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.getEmergencyAccessLog(filter || undefined);
+      setGrants(response.data);
+    } catch (error) {
+      console.error('Failed to fetch emergency access:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchGrants();
+  }, [fetchGrants]);
+
+  const handleReview = async (grant: EmergencyAccess, reviewStatus: 'justified' | 'unjustified') => {
+    const note = window.prompt(`Review note (optional) - marking as ${reviewStatus}:`) ?? undefined;
+    try {
+      await api.reviewEmergencyAccess(grant._id, reviewStatus, note || undefined);
+      await fetchGrants();
+    } catch (error: any) {
+      alert(error.message || 'Failed to save review');
+    }
+  };
+
+  const handleEnd = async (grant: EmergencyAccess) => {
+    if (!confirm('End this emergency access now?')) return;
+    try {
+      await api.endEmergencyAccess(grant._id);
+      await fetchGrants();
+    } catch (error: any) {
+      alert(error.message || 'Failed to end emergency access');
+    }
+  };
+
+  return (
+    <ProtectedRoute allowedRoles={['hospital_admin']}>
+      <DashboardLayout>
+        <div className="space-y-6">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex flex-wrap items-end justify-between gap-4"
+          >
+            <div>
+              <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+                Emergency Access
+              </h1>
+              <p className="text-gray-600">
+                Break-the-glass access by your clinicians, or to your patients by other hospitals
+              </p>
+            </div>
+            <select
+              value={filter}
+              onChange={(e) => setFilter(e.target.value as ReviewFilter)}
+              className="px-4 py-2 border-2 border-gray-200 rounded-xl outline-none"
+            >
+              <option value="pending">Awaiting review</option>
+              <option value="justified">Justified</option>
+              <option value="unjustified">Unjustified</option>
+              <option value="">All</option>
+            </select>
+          </motion.div>
+
+          {loading ? (
+            <div className="flex justify-center py-20">
+              <Loader2 className="w-8 h-8 text-blue-600 animate-spin" />
+            </div>
+          ) : grants.length === 0 ? (
+            <div className="text-center py-20">
+              <Siren className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No emergency access to show</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {grants.map((grant) => (
+                <div key={grant._id} className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-3">
+                  <div className="flex flex-wrap items-start justify-between gap-4">
+                    <div>
+                      <p className="font-semibold text-gray-900">
+                        {grant.userId?.firstName} {grant.userId?.lastName}
+                        <span className="font-normal text-gray-500">
+                          {' '}({grant.userId?.role}, {grant.userHospitalId?.name})
+                        </span>
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        Patient: {grant.patientId?.firstName} {grant.patientId?.lastName}
+                        {grant.patientHospitalId?.name && ` · ${grant.patientHospitalId.name}`}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {new Date(grant.createdAt).toLocaleString()} - {grant.isActive
+                          ? `active until ${new Date(grant.expiresAt).toLocaleTimeString()}`
+                          : `ended ${new Date(grant.endedAt || grant.expiresAt).toLocaleString()}`}
+                      </p>
+                    </div>
+                    <span className={`px-3 py-1 text-xs font-semibold rounded-full ${REVIEW_BADGES[grant.reviewStatus]}`}>
+                      {grant.reviewStatus}
+                    </span>
+                  </div>
+
+                  <p className="p-3 bg-gray-50 rounded-xl text-sm text-gray-800">{grant.justification}</p>
+
+                  {grant.reviewedBy && (
+                    <p className="text-xs text-gray-500">
+                      Reviewed by {grant.reviewedBy.firstName} {grant.reviewedBy.lastName}
+                      {grant.reviewNote && `: ${grant.reviewNote}`}
+                    </p>
+                  )}
+
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => handleReview(grant, 'justified')}
+                      className="px-4 py-2 border-2 border-green-200 rounded-xl font-semibold text-green-600 hover:bg-green-50 flex items-center gap-2"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      Justified
+                    </button>
+                    <button
+                      onClick={() => handleReview(grant, 'unjustified')}
+                      className="px-4 py-2 border-2 border-red-200 rounded-xl font-semibold text-red-600 hover:bg-red-50 flex items-center gap-2"
+                    >
+                      <XCircle className="w-4 h-4" />
+                      Unjustified
+                    </button>
+                    {grant.isActive && (
+                      <button
+                        onClick={() => handleEnd(grant)}
+                        className="px-4 py-2 border-2 border-gray-200 rounded-xl font-semibold text-gray-700 hover:bg-gray-50"
+                      >
+                        End access now
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
@@ -0,0 +1,288 @@
+// frontend/app/dashboard/hospital-admin/settings/page.tsx
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import RolePermissionsSettings from '@/components/RolePermissionsSettings';
+import { motion } from 'framer-motion';
+import { ShieldCheck, KeyRound, Lock, Loader2 } from 'lucide-react';
+import api, { PasswordPolicy, LockoutPolicy } from '@/lib/api';
+import { useAuth } from '@/app/providers/AuthProvider';
+
+const DEFAULT_PASSWORD_POLICY: PasswordPolicy = {
+  minLength: 8,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireNumber: false,
+  requireSymbol: false,
+  historyCount: 0,
+  maxAgeDays: 0,
+};
+
+const DEFAULT_LOCKOUT: LockoutPolicy = {
+  maxAttempts: 5,
+  lockMinutes: 120,
+};
+
+const COMPLEXITY_RULES: { key: 'requireUppercase' | 'requireLowercase' | 'requireNumber' | 'requireSymbol'; label: string }[] = [
+  { key: 'requireUppercase', label: 'Require an uppercase letter' },
+  { key: 'requireLowercase', label: 'Require a lowercase letter' },
+  { key: 'requireNumber', label: 'Require a number' },
+  { key: 'requireSymbol', label: 'Require a symbol' },
+];
+
+export default function HospitalSettingsPage() {
+  const { refreshUser } = useAuth();
+  const [requireMfa, setRequireMfa] = useState(false);
+  const [passwordPolicy, setPasswordPolicy] = useState<PasswordPolicy>(DEFAULT_PASSWORD_POLICY);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  const [policyMessage, setPolicyMessage] = useState('');
+  const [lockout, setLockout] = useState<LockoutPolicy>(DEFAULT_LOCKOUT);
+  const [savingLockout, setSavingLockout] = useState(false);
+  const [lockoutMessage, setLockoutMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.getMyHospital()
+      .then((response) => {
+        setRequireMfa(!!response.data?.security?.requireMfa);
+        setPasswordPolicy({ ...DEFAULT_PASSWORD_POLICY, ...response.data?.security?.passwordPolicy });
+        setLockout({ ...DEFAULT_LOCKOUT, ...response.data?.security?.lockout });
+      })
+      .catch((error) => console.error('Failed to fetch hospital:', error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleToggleMfa = async () => {
+    setSaving(true);
+    setMessage('');
+    try {
+      const response = await api.updateHospitalSecurity({ requireMfa: !requireMfa });
+      setRequireMfa(!!response.data?.security?.requireMfa);
+      setMessage(response.message);
+      // Turning the policy on may mean this admin now has to enroll too
+      await refreshUser();
+    } catch (error: any) {
+      setMessage(error.message || 'Failed to update security policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSavePolicy = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSavingPolicy(true);
+    setPolicyMessage('');
+    try {
+      const response = await api.updateHospitalSecurity({ passwordPolicy });
+      setPasswordPolicy({ ...DEFAULT_PASSWORD_POLICY, ...response.data?.security?.passwordPolicy });
+      setPolicyMessage(response.message);
+      // A shorter expiry may mean this admin's own password is now out of date
+      await refreshUser();
+    } catch (error: any) {
+      setPolicyMessage(error.message || 'Failed to update password policy');
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const handleSaveLockout = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSavingLockout(true);
+    setLockoutMessage('');
+    try {
+      const response = await api.updateHospitalSecurity({ lockout });
+      setLockout({ ...DEFAULT_LOCKOUT, ...response.data?.security?.lockout });
+      setLockoutMessage(response.message);
+    } catch (error: any) {
+      setLockoutMessage(error.message || 'Failed to update lockout policy');
+    } finally {
+      setSavingLockout(false);
+    }
+  };
+
+  const numberInputClass =
+    'w-24 px-3 py-2 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-100 outline-none';
+
+  return (
+    <ProtectedRoute allowedRoles={['hospital_admin']}>
+      <DashboardLayout>
+        <div className="space-y-6 max-w-3xl">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+              Hospital Settings
+            </h1>
+            <p className="text-gray-600">
+              Security policy for your staff.
+            </p>
+          </motion.div>
+
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <Loader2 className="w-8 h-8 text-blue-600 animate-spin" />
+            </div>
+          ) : (
+            <>
+              <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 flex items-start gap-4">
+                <ShieldCheck className="w-8 h-8 text-blue-600 flex-shrink-0" />
+                <div className="flex-1">
+                  <h2 className="text-xl font-bold text-gray-900">Require two-factor authentication</h2>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Doctors and hospital admins must sign in with an authenticator app. Anyone who hasn't set it up
+                    will be asked to do so before they can continue.
+                  </p>
+                  {message && <p className="text-sm text-gray-700 mt-3">{message}</p>}
+                </div>
+                <button
+                  onClick={handleToggleMfa}
+                  disabled={saving}
+                  className={`px-4 py-2 rounded-xl font-semibold disabled:opacity-50 ${
+                    requireMfa
+                      ? 'bg-green-100 text-green-700 hover:bg-green-200'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {saving ? <Loader2 className="w-5 h-5 animate-spin" /> : requireMfa ? 'Required' : 'Optional'}
+                </button>
+              </div>
+
+              <form
+                onSubmit={handleSavePolicy}
+                className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 flex items-start gap-4"
+              >
+                <KeyRound className="w-8 h-8 text-blue-600 flex-shrink-0" />
+                <div className="flex-1 space-y-4">
+                  <div>
+                    <h2 className="text-xl font-bold text-gray-900">Password policy</h2>
+                    <p className="text-sm text-gray-600 mt-1">
+                      Applies whenever someone in your hospital sets a new password. Expired staff passwords must be
+                      changed before the app can be used again.
+                    </p>
+                  </div>
+
+                  <label className="flex items-center justify-between gap-4 text-sm text-gray-700">
+                    Minimum length
+                    <input
+                      type="number"
+                      min={8}
+                      max={128}
+                      value={passwordPolicy.minLength}
+                      onChange={(e) => setPasswordPolicy({ ...passwordPolicy, minLength: Number(e.target.value) })}
+                      className={numberInputClass}
+                    />
+                  </label>
+
+                  {COMPLEXITY_RULES.map(({ key, label }) => (
+                    <label key={key} className="flex items-center gap-3 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={passwordPolicy[key]}
+                        onChange={(e) => setPasswordPolicy({ ...passwordPolicy, [key]: e.target.checked })}
+                        className="w-4 h-4"
+                      />
+                      {label}
+                    </label>
+                  ))}
+
+                  <label className="flex items-center justify-between gap-4 text-sm text-gray-700">
+                    Block reuse of the last N passwords (0 = off)
+                    <input
+                      type="number"
+                      min={0}
+                      max={24}
+                      value={passwordPolicy.historyCount}
+                      onChange={(e) => setPasswordPolicy({ ...passwordPolicy, historyCount: Number(e.target.value) })}
+                      className={numberInputClass}
+                    />
+                  </label>
+
+                  <label className="flex items-center justify-between gap-4 text-sm text-gray-700">
+                    Staff passwords expire after days (0 = never)
+                    <input
+                      type="number"
+                      min={0}
+                      max={365}
+                      value={passwordPolicy.maxAgeDays}
+                      onChange={(e) => setPasswordPolicy({ ...passwordPolicy, maxAgeDays: Number(e.target.value) })}
+                      className={numberInputClass}
+                    />
+                  </label>
+
+                  {policyMessage && <p className="text-sm text-gray-700">{policyMessage}</p>}
+
+                  <button
+                    type="submit"
+                    disabled={savingPolicy}
+                    className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+                  >
+                    {savingPolicy ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Save password policy'}
+                  </button>
+                </div>
+              </form>
+
+              <form
+                onSubmit={handleSaveLockout}
+                className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 flex items-start gap-4"
+              >
+                <Lock className="w-8 h-8 text-blue-600 flex-shrink-0" />
+                <div className="flex-1 space-y-4">
+                  <div>
+                    <h2 className="text-xl font-bold text-gray-900">Account lockout</h2>
+                    <p className="text-sm text-gray-600 mt-1">
+                      Accounts are locked after repeated failed sign-ins. Locked staff are listed on the Staff page,
+                      where you can unlock them early.
+                    </p>
+                  </div>
+
+                  <label className="flex items-center justify-between gap-4 text-sm text-gray-700">
+                    Failed attempts before locking
+                    <input
+                      type="number"
+                      min={3}
+                      max={20}
+                      value={lockout.maxAttempts}
+                      onChange={(e) => setLockout({ ...lockout, maxAttempts: Number(e.target.value) })}
+                      className={numberInputClass}
+                    />
+                  </label>
+
+                  <label className="flex items-center justify-between gap-4 text-sm text-gray-700">
+                    Lock duration (minutes)
+                    <input
+                      type="number"
+                      min={1}
+                      max={1440}
+                      value={lockout.lockMinutes}
+                      onChange={(e) => setLockout({ ...lockout, lockMinutes: Number(e.target.value) })}
+                      className={numberInputClass}
+                    />
+                  </label>
+
+                  {lockoutMessage && <p className="text-sm text-gray-700">{lockoutMessage}</p>}
+
+                  <button
+                    type="submit"
+                    disabled={savingLockout}
+                    className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+                  >
+                    {savingLockout ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Save lockout policy'}
+                  </button>
+                </div>
+              </form>
+
+              <RolePermissionsSettings />
+            </>
+          )}
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
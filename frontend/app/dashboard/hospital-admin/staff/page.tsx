@@ -0,0 +1,252 @@
+// frontend/app/dashboard/hospital-admin/staff/page.tsx
+
+'use client';
+
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import SessionList from '@/components/SessionList';
+import { motion } from 'framer-motion';
+import { useState, useEffect } from 'react';
+import { Users, Search, Loader2, Monitor, KeyRound, Lock } from 'lucide-react';
+import api, { UserSession, LockedAccount } from '@/lib/api';
+
+interface StaffMember {
+  _id: string;
+  firstName: string;
+  lastName: string;
+  email: string;
+  role: string;
+  isActive: boolean;
+  approvalStatus: string;
+  departmentId?: { _id: string; name: string };
+  lastLogin?: string;
+}
+
+export default function StaffPage() {
+  const [staff, setStaff] = useState<StaffMember[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [expandedUserId, setExpandedUserId] = useState<string | null>(null);
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [lockedAccounts, setLockedAccounts] = useState<LockedAccount[]>([]);
+
+  useEffect(() => {
+    fetchStaff();
+    fetchLockedAccounts();
+  }, []);
+
+  const fetchLockedAccounts = async () => {
+    try {
+      const response = await api.getLockedAccounts();
+      setLockedAccounts(response.data);
+    } catch (error) {
+      console.error('Failed to fetch locked accounts:', error);
+    }
+  };
+
+  const handleUnlock = async (account: LockedAccount) => {
+    try {
+      await api.unlockUser(account._id);
+      fetchLockedAccounts();
+    } catch (error: any) {
+      alert(error.message || 'Failed to unlock account');
+    }
+  };
+
+  const fetchStaff = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getHospitalUsers();
+      setStaff(response.data.filter((member: StaffMember) => member.role !== 'patient'));
+    } catch (error) {
+      console.error('Failed to fetch staff:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSessions = async (userId: string) => {
+    try {
+      setSessionsLoading(true);
+      const response = await api.getUserSessions(userId);
+      setSessions(response.data);
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+      setSessions([]);
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const toggleSessions = (userId: string) => {
+    if (expandedUserId === userId) {
+      setExpandedUserId(null);
+      return;
+    }
+    setExpandedUserId(userId);
+    fetchSessions(userId);
+  };
+
+  const handleTerminateSession = async (userId: string, session: UserSession) => {
+    try {
+      await api.terminateUserSession(userId, session.id);
+      fetchSessions(userId);
+    } catch (error: any) {
+      alert(error.message || 'Failed to terminate session');
+    }
+  };
+
+  const handleTerminateAll = async (member: StaffMember) => {
+    if (!confirm(`Sign ${member.firstName} ${member.lastName} out of every device?`)) return;
+
+    try {
+      await api.terminateAllUserSessions(member._id);
+      fetchSessions(member._id);
+    } catch (error: any) {
+      alert(error.message || 'Failed to terminate sessions');
+    }
+  };
+
+  const handleRequirePasswordChange = async (member: StaffMember) => {
+    if (!confirm(`Require ${member.firstName} ${member.lastName} to choose a new password before continuing?`)) return;
+
+    try {
+      const response = await api.requirePasswordChange(member._id);
+      alert(response.message);
+    } catch (error: any) {
+      alert(error.message || 'Failed to require password change');
+    }
+  };
+
+  const filteredStaff = staff.filter((member) =>
+    `${member.firstName} ${member.lastName} ${member.email}`.toLowerCase().includes(searchQuery.toLowerCase())
+  );
+
+  return (
+    <ProtectedRoute allowedRoles={['hospital_admin']}>
+      <DashboardLayout>
+        <div className="space-y-6">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+              Staff
+            </h1>
+            <p className="text-gray-600">Staff accounts in your hospital and where they are signed in</p>
+          </motion.div>
+
+          {/* Locked Accounts */}
+          {lockedAccounts.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-2xl p-5 space-y-3">
+              <h2 className="font-bold text-red-800 flex items-center gap-2">
+                <Lock className="w-5 h-5" />
+                Locked accounts ({lockedAccounts.length})
+              </h2>
+              {lockedAccounts.map((account) => (
+                <div key={account._id} className="flex flex-wrap items-center gap-4 bg-white rounded-xl p-4">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-gray-900">
+                      {account.firstName} {account.lastName}
+                    </p>
+                    <p className="text-sm text-gray-500 truncate">
+                      {account.email} · {account.loginAttempts} failed attempts · Locked until{' '}
+                      {new Date(account.lockUntil).toLocaleString()}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleUnlock(account)}
+                    className="px-4 py-2 border-2 border-red-200 rounded-xl font-semibold text-red-600 hover:bg-red-50"
+                  >
+                    Unlock
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Search Bar */}
+          <div className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-lg border border-white/20 p-4">
+            <div className="relative">
+              <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search staff by name or email..."
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                className="w-full pl-12 pr-4 py-3 bg-white border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+              />
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-20">
+              <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+            </div>
+          ) : filteredStaff.length === 0 ? (
+            <div className="text-center py-20 text-gray-500">
+              <Users className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+              No staff found
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {filteredStaff.map((member) => (
+                <div key={member._id} className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-lg border border-white/20 p-5">
+                  <div className="flex flex-wrap items-center gap-4">
+                    <div className="flex-1 min-w-0">
+                      <p className="font-semibold text-gray-900">
+                        {member.firstName} {member.lastName}
+                        {!member.isActive && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold bg-gray-100 text-gray-600 rounded-full">Inactive</span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-500 truncate">
+                        {member.email} · {member.role.replace('_', ' ')}
+                        {member.departmentId?.name && ` · ${member.departmentId.name}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleRequirePasswordChange(member)}
+                      className="px-4 py-2 border-2 border-gray-200 rounded-xl font-semibold text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+                    >
+                      <KeyRound className="w-4 h-4" />
+                      Require password change
+                    </button>
+                    <button
+                      onClick={() => toggleSessions(member._id)}
+                      className="px-4 py-2 border-2 border-gray-200 rounded-xl font-semibold text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+                    >
+                      <Monitor className="w-4 h-4" />
+                      Sessions
+                    </button>
+                  </div>
+
+                  {expandedUserId === member._id && (
+                    <div className="mt-4 pt-4 border-t border-gray-100">
+                      <SessionList
+                        sessions={sessions}
+                        loading={sessionsLoading}
+                        onRevoke={(session) => handleTerminateSession(member._id, session)}
+                        revokeLabel="Terminate"
+                      />
+                      {sessions.length > 0 && (
+                        <button
+                          onClick={() => handleTerminateAll(member)}
+                          className="mt-3 text-sm font-semibold text-red-600 hover:text-red-700"
+                        >
+                          Terminate all sessions
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
@@ -0,0 +1,230 @@
+// frontend/app/dashboard/patient/consents/page.tsx
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import { motion } from 'framer-motion';
+import { ShieldCheck, Loader2, Building2 } from 'lucide-react';
+import api, { ConsentResource, PatientConsent } from '@/lib/api';
+
+const RESOURCE_LABELS: Record<ConsentResource, string> = {
+  medicalRecords: 'Medical records',
+  testResults: 'Test results',
+  prescriptions: 'Prescriptions',
+};
+
+const RESOURCES = Object.keys(RESOURCE_LABELS) as ConsentResource[];
+
+function consentStatus(consent: PatientConsent): { label: string; className: string } {
+  if (consent.status === 'revoked') return { label: 'Revoked', className: 'bg-gray-100 text-gray-600' };
+  if (consent.isValid) return { label: 'Active', className: 'bg-green-100 text-green-700' };
+  if (new Date(consent.validFrom) > new Date()) return { label: 'Scheduled', className: 'bg-blue-100 text-blue-700' };
+  return { label: 'Expired', className: 'bg-yellow-100 text-yellow-700' };
+}
+
+export default function PatientConsentsPage() {
+  const [consents, setConsents] = useState<PatientConsent[]>([]);
+  const [hospitals, setHospitals] = useState<{ _id: string; name: string; address?: { city?: string } }[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [hospitalId, setHospitalId] = useState('');
+  const [resources, setResources] = useState<ConsentResource[]>(RESOURCES);
+  const [validFrom, setValidFrom] = useState('');
+  const [validUntil, setValidUntil] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchConsents = useCallback(async () => {
+    try {
+      const response = await api.getMyConsents();
+      setConsents(response.data);
+    } catch (err) {
+      console.error('Failed to fetch consents:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConsents();
+    api.getConsentHospitals()
+      .then((response) => setHospitals(response.data))
+      .catch((err) => console.error('Failed to fetch hospitals:', err));
+  }, [fetchConsents]);
+
+  const toggleResource = (resource: ConsentResource) => {
+    setResources(
+      resources.includes(resource) ? resources.filter((r) => r !== resource) : [...resources, resource]
+    );
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      await api.grantConsent({
+        hospitalId,
+        resources,
+        validFrom: validFrom || undefined,
+        validUntil: validUntil || undefined,
+      });
+      setHospitalId('');
+      setResources(RESOURCES);
+      setValidFrom('');
+      setValidUntil('');
+      await fetchConsents();
+    } catch (err: any) {
+      setError(err.message || 'Failed to grant consent');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (consent: PatientConsent) => {
+    if (!confirm(`Stop sharing your records with ${consent.hospitalId?.name}?`)) return;
+    const reason = window.prompt('Reason (optional):') ?? undefined;
+    try {
+      await api.revokeConsent(consent._id, reason || undefined);
+      await fetchConsents();
+    } catch (err: any) {
+      alert(err.message || 'Failed to revoke consent');
+    }
+  };
+
+  const inputClass =
+    'w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-100 outline-none';
+
+  return (
+    <ProtectedRoute allowedRoles={['patient']}>
+      <DashboardLayout>
+        <div className="space-y-6 max-w-3xl">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+              Sharing Consent
+            </h1>
+            <p className="text-gray-600">
+              Choose which other hospitals may see your records. Your own hospital always can.
+            </p>
+          </motion.div>
+
+          <form
+            onSubmit={handleSubmit}
+            className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4"
+          >
+            <h2 className="text-xl font-bold text-gray-900">Give consent</h2>
+
+            {error && (
+              <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">{error}</div>
+            )}
+
+            <select
+              value={hospitalId}
+              onChange={(e) => setHospitalId(e.target.value)}
+              required
+              className={inputClass}
+            >
+              <option value="">Select a hospital</option>
+              {hospitals.map((hospital) => (
+                <option key={hospital._id} value={hospital._id}>
+                  {hospital.name}{hospital.address?.city ? ` (${hospital.address.city})` : ''}
+                </option>
+              ))}
+            </select>
+
+            <div className="flex flex-wrap gap-4">
+              {RESOURCES.map((resource) => (
+                <label key={resource} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={resources.includes(resource)}
+                    onChange={() => toggleResource(resource)}
+                    className="w-4 h-4"
+                  />
+                  {RESOURCE_LABELS[resource]}
+                </label>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <label className="text-sm text-gray-700 space-y-1">
+                <span>From (optional)</span>
+                <input type="date" value={validFrom} onChange={(e) => setValidFrom(e.target.value)} className={inputClass} />
+              </label>
+              <label className="text-sm text-gray-700 space-y-1">
+                <span>Until (optional)</span>
+                <input type="date" value={validUntil} onChange={(e) => setValidUntil(e.target.value)} className={inputClass} />
+              </label>
+            </div>
+
+            <button
+              type="submit"
+              disabled={submitting || !hospitalId || resources.length === 0}
+              className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+            >
+              {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Give consent'}
+            </button>
+          </form>
+
+          {/* History */}
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4">
+            <h2 className="text-xl font-bold text-gray-900">Consent history</h2>
+
+            {loading ? (
+              <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+            ) : consents.length === 0 ? (
+              <div className="text-center py-8">
+                <ShieldCheck className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+                <p className="text-sm text-gray-500">You have not shared your records with other hospitals</p>
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {consents.map((consent) => {
+                  const status = consentStatus(consent);
+                  return (
+                    <li key={consent._id} className="py-4 flex flex-wrap items-start gap-4">
+                      <Building2 className="w-5 h-5 text-gray-400 mt-1" />
+                      <div className="flex-1 min-w-0 space-y-1">
+                        <p className="font-semibold text-gray-900">{consent.hospitalId?.name}</p>
+                        <p className="text-sm text-gray-600">
+                          {consent.resources.map((resource) => RESOURCE_LABELS[resource]).join(', ')}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          Given {new Date(consent.createdAt).toLocaleDateString()}
+                          {' · '}valid {new Date(consent.validFrom).toLocaleDateString()}
+                          {consent.validUntil ? ` - ${new Date(consent.validUntil).toLocaleDateString()}` : ' until revoked'}
+                        </p>
+                        {consent.revokedAt && (
+                          <p className="text-xs text-gray-500">
+                            Revoked {new Date(consent.revokedAt).toLocaleDateString()}
+                            {consent.revocationReason && `: ${consent.revocationReason}`}
+                          </p>
+                        )}
+                      </div>
+                      <span className={`px-3 py-1 text-xs font-semibold rounded-full ${status.className}`}>
+                        {status.label}
+                      </span>
+                      {consent.status === 'active' && (
+                        <button
+                          onClick={() => handleRevoke(consent)}
+                          className="px-4 py-2 border-2 border-red-200 rounded-xl font-semibold text-red-600 hover:bg-red-50"
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
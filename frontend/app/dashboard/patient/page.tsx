@@ -5,6 +5,7 @@
 import ProtectedRoute from '@/components/ProtectedRoute';
 import DashboardLayout from '@/components/DashboardLayout';
 import StatCard from '@/components/StatCard';
+import PatientAccessHistory from '@/components/PatientAccessHistory';
 import { useAuth } from '@/app/providers/AuthProvider';
 import { motion } from 'framer-motion';
 import { FileText, TestTube, Pill, Clock, Download, Eye, Calendar, Heart } from 'lucide-react';
@@ -311,6 +312,9 @@ export default function PatientDashboard() {
               ))}
             </div>
           </motion.div>
+
+          {/* Access History */}
+          <PatientAccessHistory />
         </div>
       </DashboardLayout>
     </ProtectedRoute>
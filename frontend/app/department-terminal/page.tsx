@@ -0,0 +1,348 @@
+// frontend/app/department-terminal/page.tsx
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Building2, Lock, LogOut, Loader2, Play, CheckCircle, UserCircle } from 'lucide-react';
+import api, { TerminalDepartment, TerminalStaff } from '@/lib/api';
+
+// Staff are locked out of the terminal after this long without activity
+const IDLE_LOCK_MS = 2 * 60 * 1000;
+const TOKEN_KEY = 'departmentToken';
+// Errors that mean the active staff member can't keep working on the terminal
+const LOCKING_STATUSES = [
+  'staff_pin_required',
+  'staff_pin_invalid',
+  'account_locked',
+  'email_unverified',
+  'mfa_enrollment_required',
+  'password_change_required',
+];
+
+export default function DepartmentTerminalPage() {
+  const [departmentToken, setDepartmentToken] = useState<string | null>(null);
+  const [department, setDepartment] = useState<TerminalDepartment | null>(null);
+  const [staff, setStaff] = useState<TerminalStaff[]>([]);
+  const [activeStaff, setActiveStaff] = useState<TerminalStaff | null>(null);
+  const [selectedStaff, setSelectedStaff] = useState<TerminalStaff | null>(null);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [pin, setPin] = useState('');
+  const [orders, setOrders] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const signTerminalOut = useCallback(() => {
+    sessionStorage.removeItem(TOKEN_KEY);
+    api.setTerminalAuth(null);
+    setDepartmentToken(null);
+    setDepartment(null);
+    setStaff([]);
+    setActiveStaff(null);
+    setSelectedStaff(null);
+  }, []);
+
+  // Forget the PIN; the terminal stays signed in for the next person
+  const lock = useCallback(() => {
+    if (departmentToken) api.setTerminalAuth({ departmentToken });
+    setActiveStaff(null);
+    setSelectedStaff(null);
+    setPin('');
+    setOrders([]);
+  }, [departmentToken]);
+
+  // Resume a terminal sign-in after a reload
+  useEffect(() => {
+    const token = sessionStorage.getItem(TOKEN_KEY);
+    if (!token) {
+      setLoading(false);
+      return;
+    }
+
+    api.setTerminalAuth({ departmentToken: token });
+    api.getTerminalStaff()
+      .then((response) => {
+        setDepartmentToken(token);
+        setDepartment(response.department);
+        setStaff(response.staff);
+      })
+      .catch(() => signTerminalOut())
+      .finally(() => setLoading(false));
+
+    return () => api.setTerminalAuth(null);
+  }, [signTerminalOut]);
+
+  useEffect(() => {
+    if (!activeStaff) return;
+
+    let timer = setTimeout(lock, IDLE_LOCK_MS);
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lock, IDLE_LOCK_MS);
+    };
+
+    window.addEventListener('mousemove', reset);
+    window.addEventListener('keydown', reset);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('mousemove', reset);
+      window.removeEventListener('keydown', reset);
+    };
+  }, [activeStaff, lock]);
+
+  const handleError = (err: any) => {
+    setError(err.message || 'Something went wrong');
+    if (LOCKING_STATUSES.includes(err.status)) {
+      lock();
+    }
+  };
+
+  const fetchOrders = async () => {
+    const response = await api.getDepartmentReadyTests();
+    setOrders(response.data);
+  };
+
+  const handleTerminalLogin = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await api.departmentLogin(email, password);
+      sessionStorage.setItem(TOKEN_KEY, response.departmentToken);
+      api.setTerminalAuth({ departmentToken: response.departmentToken });
+      setDepartmentToken(response.departmentToken);
+      setDepartment(response.department);
+      setStaff(response.staff);
+      setPassword('');
+    } catch (err: any) {
+      setError(err.message || 'Terminal login failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleUnlock = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!departmentToken || !selectedStaff) return;
+
+    setSubmitting(true);
+    setError('');
+    api.setTerminalAuth({ departmentToken, staffId: selectedStaff._id, pin });
+    try {
+      await fetchOrders();
+      setActiveStaff(selectedStaff);
+    } catch (err: any) {
+      setPin('');
+      api.setTerminalAuth({ departmentToken });
+      setError(err.message || 'Incorrect PIN');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runOrderAction = async (action: () => Promise<unknown>) => {
+    setError('');
+    try {
+      await action();
+      await fetchOrders();
+    } catch (err: any) {
+      handleError(err);
+    }
+  };
+
+  const inputClass =
+    'w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-100 outline-none';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 p-6">
+      <div className="max-w-4xl mx-auto space-y-6">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-wrap items-center justify-between gap-4"
+        >
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+              Department Terminal
+            </h1>
+            <p className="text-gray-600 flex items-center gap-2">
+              <Building2 className="w-4 h-4" />
+              {department ? `${department.name}${department.hospitalName ? ` · ${department.hospitalName}` : ''}` : 'Shared workstation sign-in'}
+            </p>
+          </div>
+          {department && (
+            <div className="flex gap-2">
+              {activeStaff && (
+                <button
+                  onClick={lock}
+                  className="px-4 py-2 border-2 border-gray-200 rounded-xl font-semibold text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+                >
+                  <Lock className="w-4 h-4" />
+                  Lock
+                </button>
+              )}
+              <button
+                onClick={signTerminalOut}
+                className="px-4 py-2 border-2 border-red-200 rounded-xl font-semibold text-red-600 hover:bg-red-50 flex items-center gap-2"
+              >
+                <LogOut className="w-4 h-4" />
+                Sign terminal out
+              </button>
+            </div>
+          )}
+        </motion.div>
+
+        {error && (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-20">
+            <Loader2 className="w-8 h-8 text-blue-600 animate-spin" />
+          </div>
+        ) : !department ? (
+          /* Department credentials */
+          <form
+            onSubmit={handleTerminalLogin}
+            className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4 max-w-md"
+          >
+            <p className="text-sm text-gray-600">
+              Sign this workstation in with the department's login. Staff then identify themselves with their PIN.
+            </p>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              placeholder="Department email"
+              className={inputClass}
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              placeholder="Department password"
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+            >
+              {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Sign terminal in'}
+            </button>
+          </form>
+        ) : !activeStaff ? (
+          /* Who is at the keyboard */
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4">
+            <h2 className="text-xl font-bold text-gray-900">Who's working?</h2>
+            {staff.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No staff have set a terminal PIN yet. Staff can set one under Account Settings.
+              </p>
+            ) : (
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                {staff.map((member) => (
+                  <button
+                    key={member._id}
+                    onClick={() => {
+                      setSelectedStaff(member);
+                      setPin('');
+                      setError('');
+                    }}
+                    className={`p-4 rounded-xl border-2 flex items-center gap-2 font-semibold ${
+                      selectedStaff?._id === member._id
+                        ? 'border-blue-500 bg-blue-50 text-blue-700'
+                        : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    <UserCircle className="w-5 h-5" />
+                    {member.firstName} {member.lastName}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {selectedStaff && (
+              <form onSubmit={handleUnlock} className="flex gap-3 max-w-sm">
+                <input
+                  type="password"
+                  inputMode="numeric"
+                  value={pin}
+                  onChange={(e) => setPin(e.target.value)}
+                  required
+                  autoFocus
+                  placeholder="PIN"
+                  className={`${inputClass} tracking-widest`}
+                />
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+                >
+                  {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Continue'}
+                </button>
+              </form>
+            )}
+          </div>
+        ) : (
+          /* Work queue - every action is recorded against the PIN holder */
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-xl font-bold text-gray-900">Ready for testing</h2>
+              <span className="text-sm text-gray-600">
+                Working as <span className="font-semibold">{activeStaff.firstName} {activeStaff.lastName}</span>
+              </span>
+            </div>
+
+            {orders.length === 0 ? (
+              <p className="text-sm text-gray-500 py-4">No tests waiting</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {orders.map((order) => (
+                  <li key={order._id} className="flex flex-wrap items-center gap-4 py-3">
+                    <div className="flex-1 min-w-0">
+                      <p className="font-semibold text-gray-900">
+                        {order.patientId?.firstName} {order.patientId?.lastName}
+                        {order.urgency && order.urgency !== 'routine' && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold bg-red-100 text-red-700 rounded-full uppercase">
+                            {order.urgency}
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-500 truncate">
+                        {order.testName} · {order.status.replace(/_/g, ' ')}
+                      </p>
+                    </div>
+                    {order.status === 'ready_for_test' && (
+                      <button
+                        onClick={() => runOrderAction(() => api.startTest(order._id))}
+                        className="px-4 py-2 border-2 border-blue-200 rounded-xl font-semibold text-blue-600 hover:bg-blue-50 flex items-center gap-2"
+                      >
+                        <Play className="w-4 h-4" />
+                        Start
+                      </button>
+                    )}
+                    {order.status === 'in_progress' && (order.result || order.resultFileUrl || order.analytes?.length > 0) && (
+                      <button
+                        onClick={() => runOrderAction(() => api.completeTest(order._id))}
+                        className="px-4 py-2 border-2 border-green-200 rounded-xl font-semibold text-green-600 hover:bg-green-50 flex items-center gap-2"
+                      >
+                        <CheckCircle className="w-4 h-4" />
+                        Complete
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+// frontend/app/emergency-access/page.tsx
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import { motion } from 'framer-motion';
+import { Siren, Loader2, Clock, FileText } from 'lucide-react';
+import api, { EmergencyAccess } from '@/lib/api';
+
+const DURATIONS = [15, 30, 60, 120, 240];
+
+export default function EmergencyAccessPage() {
+  const [grants, setGrants] = useState<EmergencyAccess[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [patientEmail, setPatientEmail] = useState('');
+  const [justification, setJustification] = useState('');
+  const [durationMinutes, setDurationMinutes] = useState(60);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [records, setRecords] = useState<Record<string, any[]>>({});
+
+  const fetchGrants = useCallback(async () => {
+    try {
+      const response = await api.getMyEmergencyAccess();
+      setGrants(response.data);
+    } catch (err) {
+      console.error('Failed to fetch emergency access:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGrants();
+  }, [fetchGrants]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!confirm('Break the glass? This access is logged and reported to the admins of both hospitals.')) return;
+
+    setSubmitting(true);
+    setError('');
+    try {
+      await api.requestEmergencyAccess({ patientEmail, justification, durationMinutes });
+      setPatientEmail('');
+      setJustification('');
+      await fetchGrants();
+    } catch (err: any) {
+      setError(err.message || 'Emergency access failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEnd = async (grant: EmergencyAccess) => {
+    try {
+      await api.endEmergencyAccess(grant._id);
+      await fetchGrants();
+    } catch (err: any) {
+      alert(err.message || 'Failed to end emergency access');
+    }
+  };
+
+  const handleViewRecords = async (grant: EmergencyAccess) => {
+    try {
+      const response = await api.getPatientMedicalRecords(grant.patientId._id);
+      setRecords({ ...records, [grant._id]: response.data });
+    } catch (err: any) {
+      alert(err.message || 'Failed to load records');
+    }
+  };
+
+  const inputClass =
+    'w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-red-500 focus:ring-4 focus:ring-red-100 outline-none';
+
+  return (
+    <ProtectedRoute allowedRoles={['doctor', 'nurse']}>
+      <DashboardLayout>
+        <div className="space-y-6 max-w-3xl">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+              Emergency Access
+            </h1>
+            <p className="text-gray-600">
+              Temporary access to a patient registered at another hospital, for emergencies only.
+            </p>
+          </motion.div>
+
+          <form
+            onSubmit={handleSubmit}
+            className="bg-white rounded-2xl shadow-lg border-2 border-red-200 p-6 space-y-4"
+          >
+            <div className="flex items-center gap-3">
+              <Siren className="w-8 h-8 text-red-600" />
+              <div>
+                <h2 className="text-xl font-bold text-gray-900">Break the glass</h2>
+                <p className="text-sm text-gray-600">
+                  Every record you open is logged and both hospitals&apos; admins review the access.
+                </p>
+              </div>
+            </div>
+
+            {error && (
+              <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">{error}</div>
+            )}
+
+            <input
+              type="email"
+              value={patientEmail}
+              onChange={(e) => setPatientEmail(e.target.value)}
+              required
+              placeholder="Patient email"
+              className={inputClass}
+            />
+            <textarea
+              value={justification}
+              onChange={(e) => setJustification(e.target.value)}
+              required
+              minLength={20}
+              maxLength={1000}
+              rows={3}
+              placeholder="Clinical justification (at least 20 characters)"
+              className={inputClass}
+            />
+            <label className="flex items-center justify-between gap-4 text-sm text-gray-700">
+              Access for
+              <select
+                value={durationMinutes}
+                onChange={(e) => setDurationMinutes(Number(e.target.value))}
+                className="px-4 py-2 border-2 border-gray-200 rounded-xl outline-none"
+              >
+                {DURATIONS.map((minutes) => (
+                  <option key={minutes} value={minutes}>
+                    {minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes > 60 ? 's' : ''}`}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-6 py-3 bg-gradient-to-r from-red-600 to-red-700 text-white rounded-xl font-semibold disabled:opacity-50"
+            >
+              {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Request emergency access'}
+            </button>
+          </form>
+
+          {/* Active grants */}
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4">
+            <h2 className="text-xl font-bold text-gray-900">Active emergency access</h2>
+
+            {loading ? (
+              <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+            ) : grants.length === 0 ? (
+              <p className="text-sm text-gray-500">No active emergency access</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {grants.map((grant) => (
+                  <li key={grant._id} className="py-4 space-y-3">
+                    <div className="flex flex-wrap items-center gap-4">
+                      <div className="flex-1 min-w-0">
+                        <p className="font-semibold text-gray-900">
+                          {grant.patientId?.firstName} {grant.patientId?.lastName}
+                          {grant.patientHospitalId?.name && (
+                            <span className="font-normal text-gray-500"> · {grant.patientHospitalId.name}</span>
+                          )}
+                        </p>
+                        <p className="text-sm text-gray-500 flex items-center gap-1">
+                          <Clock className="w-4 h-4" />
+                          Until {new Date(grant.expiresAt).toLocaleTimeString()}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => handleViewRecords(grant)}
+                        className="px-4 py-2 border-2 border-blue-200 rounded-xl font-semibold text-blue-600 hover:bg-blue-50 flex items-center gap-2"
+                      >
+                        <FileText className="w-4 h-4" />
+                        Records
+                      </button>
+                      <button
+                        onClick={() => handleEnd(grant)}
+                        className="px-4 py-2 border-2 border-red-200 rounded-xl font-semibold text-red-600 hover:bg-red-50"
+                      >
+                        End access
+                      </button>
+                    </div>
+
+                    {records[grant._id] && (
+                      records[grant._id].length === 0 ? (
+                        <p className="text-sm text-gray-500">No medical records</p>
+                      ) : (
+                        <ul className="space-y-2">
+                          {records[grant._id].map((record) => (
+                            <li key={record._id} className="p-3 bg-gray-50 rounded-xl text-sm">
+                              <p className="font-semibold text-gray-900">{record.diagnosis}</p>
+                              <p className="text-gray-500">
+                                {new Date(record.visitDate).toLocaleDateString()}
+                                {record.hospitalId?.name && ` · ${record.hospitalId.name}`}
+                              </p>
+                            </li>
+                          ))}
+                        </ul>
+                      )
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
@@ -4,6 +4,7 @@ import { useState } from 'react';
 import { useAuth } from '@/app/providers/AuthProvider';
 import { useRouter } from 'next/navigation';
 import { motion } from 'framer-motion';
+import api from '@/lib/api';
 import { 
   Activity, 
   Mail, 
@@ -24,24 +25,67 @@ export default function LoginPage() {
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [emailUnverified, setEmailUnverified] = useState(false);
+  const [resendMessage, setResendMessage] = useState('');
+  const [mfaToken, setMfaToken] = useState('');
+  const [mfaCode, setMfaCode] = useState('');
+  const { login, verifyMfa } = useAuth();
   const router = useRouter();
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
+    setEmailUnverified(false);
+    setResendMessage('');
     setLoading(true);
 
     try {
-      await login(email, password);
-      // Redirect happens automatically in login function
+      const result = await login(email, password);
+      // Redirect happens automatically in login function, unless a code is still needed
+      if (result.mfaToken) {
+        setMfaToken(result.mfaToken);
+      }
     } catch (err: any) {
       setError(err.message || 'Login failed');
+      setEmailUnverified(err.status === 'email_unverified');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleVerifyMfa = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const { backupCodesRemaining } = await verifyMfa(mfaToken, mfaCode);
+      if (backupCodesRemaining !== undefined && backupCodesRemaining <= 2) {
+        alert(`You have ${backupCodesRemaining} backup codes left. Generate new ones in Account Settings.`);
+      }
+    } catch (err: any) {
+      setError(err.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelMfa = () => {
+    setMfaToken('');
+    setMfaCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await api.resendVerificationEmail(email);
+      setResendMessage(response.message);
+    } catch (err: any) {
+      setResendMessage(err.message || 'Failed to resend verification email');
+    }
+  };
+
  const testAccounts = [
   { role: '👑 Super Admin', email: 'superadmin@myhealthvault.com', color: 'from-purple-500 to-pink-500' },
   { role: '🏥 Hospital Admin', email: 'hospitaladmin@generalcityhospital.com', color: 'from-blue-500 to-cyan-500' },
@@ -167,10 +211,76 @@ export default function LoginPage() {
                   <div className="flex-1">
                     <p className="text-sm font-semibold text-red-900">Login Failed</p>
                     <p className="text-sm text-red-700">{error}</p>
+                    {emailUnverified && (
+                      resendMessage ? (
+                        <p className="text-sm text-gray-700 mt-2">{resendMessage}</p>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={handleResendVerification}
+                          className="text-sm font-semibold text-blue-600 hover:text-blue-700 mt-2"
+                        >
+                          Resend verification email
+                        </button>
+                      )
+                    )}
                   </div>
                 </motion.div>
               )}
 
+              {mfaToken ? (
+              <form onSubmit={handleVerifyMfa} className="space-y-6">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Verification Code
+                  </label>
+                  <div className="relative">
+                    <Shield className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                    <input
+                      type="text"
+                      value={mfaCode}
+                      onChange={(e) => setMfaCode(e.target.value)}
+                      required
+                      autoFocus
+                      autoComplete="one-time-code"
+                      placeholder="6-digit code or backup code"
+                      className="w-full pl-12 pr-4 py-3.5 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-100 transition-all outline-none text-gray-900 placeholder-gray-400 tracking-widest"
+                    />
+                  </div>
+                  <p className="text-sm text-gray-500 mt-2">
+                    Enter the code from your authenticator app. Lost your device? Use one of your backup codes.
+                  </p>
+                </div>
+
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  type="submit"
+                  disabled={loading}
+                  className="w-full py-3.5 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  {loading ? (
+                    <>
+                      <Loader2 className="w-5 h-5 animate-spin" />
+                      Verifying...
+                    </>
+                  ) : (
+                    <>
+                      Verify
+                      <ArrowRight className="w-5 h-5" />
+                    </>
+                  )}
+                </motion.button>
+
+                <button
+                  type="button"
+                  onClick={handleCancelMfa}
+                  className="w-full text-sm font-semibold text-gray-600 hover:text-gray-800 transition-colors"
+                >
+                  Use a different account
+                </button>
+              </form>
+              ) : (
               <form onSubmit={handleSubmit} className="space-y-6">
                 {/* Email Input */}
                 <div>
@@ -247,6 +357,7 @@ export default function LoginPage() {
                   )}
                 </motion.button>
               </form>
+              )}
 
               {/* Divider */}
               <div className="relative my-8">
@@ -301,6 +412,15 @@ export default function LoginPage() {
                     Create one now
                   </button>
                 </p>
+                <p className="text-gray-600 mt-2">
+                  Shared department workstation?{' '}
+                  <button
+                    onClick={() => router.push('/department-terminal')}
+                    className="font-semibold text-blue-600 hover:text-blue-700 transition-colors"
+                  >
+                    Sign in the terminal
+                  </button>
+                </p>
               </div>
             </div>
           </motion.div>
@@ -42,6 +42,8 @@ export interface User {
   specialization?: string;
   phone?: string;
   isActive: boolean;
+  isEmailVerified?: boolean;
+  mfaEnabled?: boolean;
   approvalStatus: 'pending' | 'approved' | 'rejected';
   createdAt: string;
 }
@@ -49,7 +51,12 @@ export interface User {
 interface AuthContextType {
   user: User | null;
   loading: boolean;
-  login: (email: string, password: string) => Promise<void>;
+  // Resolves with an mfaToken when a verification code is still needed
+  login: (email: string, password: string) => Promise<{ mfaToken?: string }>;
+  verifyMfa: (mfaToken: string, code: string) => Promise<{ backupCodesRemaining?: number }>;
+  mfaEnrollmentRequired: boolean;
+  // Set by an admin ('required') or the hospital's expiry rule ('expired')
+  passwordChangeRequired: 'required' | 'expired' | null;
   logout: () => void;
   refreshUser: () => Promise<void>;
   isAuthenticated: boolean;
@@ -73,6 +80,8 @@ const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8000/api';
 export function AuthProvider({ children }: { children: React.ReactNode }) {
   const [user, setUser] = useState<User | null>(null);
   const [loading, setLoading] = useState(true);
+  const [mfaEnrollmentRequired, setMfaEnrollmentRequired] = useState(false);
+  const [passwordChangeRequired, setPasswordChangeRequired] = useState<'required' | 'expired' | null>(null);
   const router = useRouter();
 
   // Fetch current user
@@ -94,6 +103,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       if (response.ok) {
         const data = await response.json();
         setUser(data.user);
+        setMfaEnrollmentRequired(!!data.mfaEnrollmentRequired);
+        setPasswordChangeRequired(data.passwordChangeRequired || null);
       } else {
         // Token invalid, try refresh
         await refreshTokens();
@@ -129,6 +140,9 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
         localStorage.setItem('accessToken', data.accessToken);
         localStorage.setItem('refreshToken', data.refreshToken);
         await fetchUser();
+      } else if (localStorage.getItem('refreshToken') !== refreshToken) {
+        // Rotated by another request in the meantime - use the new tokens
+        await fetchUser();
       } else {
         throw new Error('Refresh failed');
       }
@@ -154,31 +168,86 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
 
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.message || 'Login failed');
+        // Keep the API status (e.g. 'email_unverified') so the login page can react to it
+        throw Object.assign(new Error(error.message || 'Login failed'), { status: error.status });
       }
 
       const data = await response.json();
-      
-      // Store tokens
-      localStorage.setItem('accessToken', data.accessToken);
-      localStorage.setItem('refreshToken', data.refreshToken);
-      
-      // Set user
-      setUser(data.user);
 
-      // Redirect based on role
-      redirectAfterLogin(data.user.role);
+      // Two-factor accounts get a challenge instead of tokens
+      if (data.mfaRequired) {
+        return { mfaToken: data.mfaToken };
+      }
+
+      completeLogin(data);
+      return {};
     } catch (error) {
       console.error('Login error:', error);
       throw error;
     }
   };
 
+  // Second login step for two-factor accounts
+  const verifyMfa = async (mfaToken: string, code: string) => {
+    const response = await fetch(`${API_URL}/auth/mfa/verify`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ mfaToken, code }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Verification failed');
+    }
+
+    completeLogin(data);
+    return { backupCodesRemaining: data.backupCodesRemaining };
+  };
+
+  // Store tokens and user, then redirect
+  const completeLogin = (data: any) => {
+    localStorage.setItem('accessToken', data.accessToken);
+    localStorage.setItem('refreshToken', data.refreshToken);
+
+    setUser(data.user);
+    setMfaEnrollmentRequired(!!data.mfaEnrollmentRequired);
+    setPasswordChangeRequired(data.passwordChangeRequired || null);
+
+    // Hospital requires MFA but it isn't set up yet, or the password must be changed
+    if (data.mfaEnrollmentRequired || data.passwordChangeRequired) {
+      router.push('/settings');
+      return;
+    }
+
+    // Redirect based on role
+    redirectAfterLogin(data.user.role);
+  };
+
   // Logout
   const logout = () => {
+    const accessToken = localStorage.getItem('accessToken');
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    // Revoke the refresh token server-side; signing out locally doesn't wait for it
+    if (accessToken && refreshToken) {
+      fetch(`${API_URL}/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+        },
+        body: JSON.stringify({ refreshToken }),
+      }).catch((error) => console.error('Logout request failed:', error));
+    }
+
     localStorage.removeItem('accessToken');
     localStorage.removeItem('refreshToken');
     setUser(null);
+    setMfaEnrollmentRequired(false);
+    setPasswordChangeRequired(null);
     router.push('/login');
   };
 
@@ -246,6 +315,9 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     user,
     loading,
     login,
+    verifyMfa,
+    mfaEnrollmentRequired,
+    passwordChangeRequired,
     logout,
     refreshUser,
     isAuthenticated: !!user,
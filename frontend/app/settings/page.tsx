@@ -0,0 +1,111 @@
+// frontend/app/settings/page.tsx
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import ProtectedRoute from '@/components/ProtectedRoute';
+import DashboardLayout from '@/components/DashboardLayout';
+import TwoFactorSettings from '@/components/TwoFactorSettings';
+import ChangePasswordSettings from '@/components/ChangePasswordSettings';
+import TerminalPinSettings from '@/components/TerminalPinSettings';
+import SessionList from '@/components/SessionList';
+import { motion } from 'framer-motion';
+import { Monitor, Loader2 } from 'lucide-react';
+import { useAuth } from '@/app/providers/AuthProvider';
+import api, { UserSession } from '@/lib/api';
+
+export default function AccountSettingsPage() {
+  const { user, logout } = useAuth();
+  const [signingOut, setSigningOut] = useState(false);
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await api.getSessions();
+      setSessions(response.data);
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevokeSession = async (session: UserSession) => {
+    try {
+      await api.revokeSession(session.id);
+      if (session.current) {
+        logout();
+        return;
+      }
+      await fetchSessions();
+    } catch (error: any) {
+      alert(error.message || 'Failed to end session');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!confirm('Sign out on every device, including this one?')) return;
+
+    setSigningOut(true);
+    try {
+      await api.logoutAllDevices();
+      logout();
+    } catch (error: any) {
+      alert(error.message || 'Failed to sign out other devices');
+      setSigningOut(false);
+    }
+  };
+
+  return (
+    <ProtectedRoute>
+      <DashboardLayout>
+        <div className="space-y-6 max-w-3xl">
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+          >
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 bg-clip-text text-transparent mb-2">
+              Account Settings
+            </h1>
+            <p className="text-gray-600">
+              Manage how you sign in to your account.
+            </p>
+          </motion.div>
+
+          <ChangePasswordSettings />
+
+          <TwoFactorSettings />
+
+          {user?.role === 'department_staff' && <TerminalPinSettings />}
+
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4">
+            <div className="flex items-start gap-3">
+              <Monitor className="w-8 h-8 text-blue-600 flex-shrink-0" />
+              <div className="flex-1">
+                <h2 className="text-xl font-bold text-gray-900">Where you're signed in</h2>
+                <p className="text-sm text-gray-600">
+                  Sign out any device you don't recognise, or every device if you used a shared computer.
+                </p>
+              </div>
+              <button
+                onClick={handleLogoutAll}
+                disabled={signingOut}
+                className="px-4 py-2 border-2 border-red-200 rounded-xl font-semibold text-red-600 hover:bg-red-50 disabled:opacity-50"
+              >
+                {signingOut ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Sign out all devices'}
+              </button>
+            </div>
+
+            <SessionList sessions={sessions} loading={sessionsLoading} onRevoke={handleRevokeSession} />
+          </div>
+        </div>
+      </DashboardLayout>
+    </ProtectedRoute>
+  );
+}
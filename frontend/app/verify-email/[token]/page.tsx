@@ -0,0 +1,73 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import api from '@/lib/api';
+
+export default function VerifyEmailPage() {
+  const { token } = useParams<{ token: string }>();
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>('verifying');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single use, so never send the same one twice
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    api.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.message);
+      })
+      .catch((err: any) => {
+        setStatus('failed');
+        setMessage(err.message || 'Verification link is invalid or has expired');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 via-white to-purple-50 p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="max-w-md w-full bg-white rounded-2xl shadow-2xl p-8 text-center"
+      >
+        {status === 'verifying' && (
+          <>
+            <Loader2 className="w-12 h-12 text-blue-600 animate-spin mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900">Verifying your email...</h1>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <CheckCircle className="w-12 h-12 text-green-600 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Email Verified</h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <XCircle className="w-12 h-12 text-red-600 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Verification Failed</h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            href="/login"
+            className="inline-block px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all"
+          >
+            Go to Login
+          </Link>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+// frontend/components/ChangePasswordSettings.tsx
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useAuth } from '@/app/providers/AuthProvider';
+import api, { PasswordPolicy } from '@/lib/api';
+import { Lock, Loader2 } from 'lucide-react';
+
+// Human-readable list of the rules a new password has to meet
+function describePolicy(policy: PasswordPolicy) {
+  const rules = [`At least ${policy.minLength} characters`];
+  if (policy.requireUppercase) rules.push('an uppercase letter');
+  if (policy.requireLowercase) rules.push('a lowercase letter');
+  if (policy.requireNumber) rules.push('a number');
+  if (policy.requireSymbol) rules.push('a symbol');
+  if (policy.historyCount > 1) rules.push(`not one of your last ${policy.historyCount} passwords`);
+  return rules.join(', ');
+}
+
+export default function ChangePasswordSettings() {
+  const { refreshUser, passwordChangeRequired } = useAuth();
+  const [policy, setPolicy] = useState<PasswordPolicy | null>(null);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    api.getPasswordPolicy()
+      .then((response) => setPolicy(response.policy))
+      .catch((err) => console.error('Failed to fetch password policy:', err));
+  }, []);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (newPassword !== confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await api.changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setSuccess('Password changed successfully');
+      await refreshUser();
+    } catch (err: any) {
+      setError(err.message || 'Failed to change password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-100 outline-none';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4">
+      <div className="flex items-center gap-3">
+        <Lock className="w-8 h-8 text-blue-600" />
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">Password</h2>
+          <p className="text-sm text-gray-600">
+            {policy ? describePolicy(policy) : 'Change the password you use to sign in.'}
+          </p>
+        </div>
+      </div>
+
+      {passwordChangeRequired && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-xl text-sm text-yellow-800">
+          {passwordChangeRequired === 'expired'
+            ? 'Your password has expired. Choose a new one to continue using the app.'
+            : 'You must choose a new password to continue using the app.'}
+        </div>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">{error}</div>
+      )}
+
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-xl text-sm text-green-700">{success}</div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <input
+          type="password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          required
+          autoComplete="current-password"
+          placeholder="Current password"
+          className={inputClass}
+        />
+        <input
+          type="password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          required
+          minLength={policy?.minLength ?? 8}
+          autoComplete="new-password"
+          placeholder="New password"
+          className={inputClass}
+        />
+        <input
+          type="password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          required
+          autoComplete="new-password"
+          placeholder="Confirm new password"
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+        >
+          {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Change password'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -25,9 +25,18 @@ import {
   Shield,
   Clock,
   Tablets,
-  Calendar
+  Calendar,
+  XCircle,
+  AlertTriangle,
+  CheckCheck,
+  Mail,
+  Siren,
+  ShieldCheck,
+  Flag,
+  ScrollText
 } from 'lucide-react';
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import api from '@/lib/api';
 
 interface NavItem {
   label: string;
@@ -38,11 +47,90 @@ interface NavItem {
 }
 
 export default function DashboardLayout({ children }: { children: React.ReactNode }) {
-  const { user, logout, hospitalName, departmentName } = useAuth();
+  const { user, logout, hospitalName, departmentName, mfaEnrollmentRequired, passwordChangeRequired } = useAuth();
   const router = useRouter();
   const pathname = usePathname();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [profileOpen, setProfileOpen] = useState(false);
+  const [notificationsOpen, setNotificationsOpen] = useState(false);
+  const [notifications, setNotifications] = useState<any[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [verificationMessage, setVerificationMessage] = useState('');
+
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await api.getUnreadNotificationCount();
+      setUnreadCount(response.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch notification count:', error);
+    }
+  }, []);
+
+  // Hospital policy requires MFA or a new password: keep the user on settings until it's done
+  useEffect(() => {
+    if ((mfaEnrollmentRequired || passwordChangeRequired) && pathname !== '/settings') {
+      router.push('/settings');
+    }
+  }, [mfaEnrollmentRequired, passwordChangeRequired, pathname, router]);
+
+  // Poll the bell badge while signed in
+  useEffect(() => {
+    if (!user) return;
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, 60 * 1000);
+    return () => clearInterval(interval);
+  }, [user, fetchUnreadCount]);
+
+  const toggleNotifications = async () => {
+    const opening = !notificationsOpen;
+    setNotificationsOpen(opening);
+    setProfileOpen(false);
+    if (!opening) return;
+
+    try {
+      const response = await api.getNotifications({ limit: 20 });
+      setNotifications(response.data);
+      setUnreadCount(response.unreadCount);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    }
+  };
+
+  const handleNotificationClick = async (notification: any) => {
+    if (!notification.isRead) {
+      try {
+        await api.markNotificationRead(notification._id);
+        setNotifications((prev) => prev.map((n) => (n._id === notification._id ? { ...n, isRead: true } : n)));
+        setUnreadCount((count) => Math.max(0, count - 1));
+      } catch (error) {
+        console.error('Failed to mark notification as read:', error);
+      }
+    }
+
+    if (notification.link) {
+      setNotificationsOpen(false);
+      router.push(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await api.markAllNotificationsRead();
+      setNotifications((prev) => prev.map((n) => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await api.resendMyVerificationEmail();
+      setVerificationMessage(response.message);
+    } catch (error: any) {
+      setVerificationMessage(error.message || 'Failed to resend verification email');
+    }
+  };
 
   const getNavItems = (): NavItem[] => {
     if (!user) return [];
@@ -58,6 +146,7 @@ export default function DashboardLayout({ children }: { children: React.ReactNod
           { label: 'Hospitals', href: '/dashboard/super-admin/hospitals', icon: Building2 },
           { label: 'Pending Approvals', href: '/dashboard/super-admin/approvals', icon: Clock, badge: '3', badgeColor: 'bg-orange-500' },
           { label: 'Sharing Requests', href: '/dashboard/super-admin/sharing', icon: Users, badge: '2', badgeColor: 'bg-blue-500' },
+          { label: 'Audit Logs', href: '/audit-logs', icon: ScrollText },
           { label: 'System Settings', href: '/dashboard/super-admin/settings', icon: Settings },
         ];
 
@@ -65,6 +154,10 @@ export default function DashboardLayout({ children }: { children: React.ReactNod
         return [
           ...baseItems,
           { label: 'Departments', href: '/dashboard/hospital-admin/departments', icon: Building2 },
+          { label: 'Escalated Results', href: '/dashboard/hospital-admin/alerts', icon: AlertTriangle },
+          { label: 'Emergency Access', href: '/dashboard/hospital-admin/emergency-access', icon: Siren },
+          { label: 'Flagged Access', href: '/dashboard/hospital-admin/access-flags', icon: Flag },
+          { label: 'Audit Logs', href: '/audit-logs', icon: ScrollText },
           { label: 'Staff', href: '/dashboard/hospital-admin/staff', icon: Users },
           { label: 'Pending Approvals', href: '/dashboard/hospital-admin/approvals', icon: Clock, badge: '5', badgeColor: 'bg-orange-500' },
           { label: 'Settings', href: '/dashboard/hospital-admin/settings', icon: Settings },
@@ -76,7 +169,9 @@ export default function DashboardLayout({ children }: { children: React.ReactNod
           { label: 'Patients', href: '/dashboard/doctor/patients', icon: Users },
           { label: 'Medical Records', href: '/dashboard/doctor/records', icon: FileText },
           { label: 'Test Orders', href: '/dashboard/doctor/tests', icon: TestTube, badge: '8', badgeColor: 'bg-blue-500' },
+          { label: 'Result Alerts', href: '/dashboard/doctor/alerts', icon: AlertTriangle },
           { label: 'Prescriptions', href: '/dashboard/doctor/prescriptions', icon: Tablets },
+          { label: 'Emergency Access', href: '/emergency-access', icon: Siren },
         ];
 
       case 'nurse':
@@ -85,6 +180,7 @@ export default function DashboardLayout({ children }: { children: React.ReactNod
           { label: 'Patients', href: '/dashboard/nurse/patients', icon: Users },
           { label: 'Records', href: '/dashboard/nurse/records', icon: FileText },
           { label: 'Schedules', href: '/dashboard/nurse/schedules', icon: Calendar },
+          { label: 'Emergency Access', href: '/emergency-access', icon: Siren },
         ];
 
       case 'department_staff':
@@ -93,6 +189,8 @@ export default function DashboardLayout({ children }: { children: React.ReactNod
           { label: 'Pending Tests', href: '/dashboard/department/pending', icon: Clock, badge: '5', badgeColor: 'bg-orange-500' },
           { label: 'Ready for Upload', href: '/dashboard/department/ready', icon: TestTube, badge: '2', badgeColor: 'bg-green-500' },
           { label: 'Completed', href: '/dashboard/department/completed', icon: FlaskConical },
+          { label: 'Insurance Claims', href: '/dashboard/department/insurance', icon: Shield },
+          { label: 'Cancelled', href: '/dashboard/department/cancelled', icon: XCircle },
         ];
 
       case 'patient':
@@ -102,6 +200,7 @@ export default function DashboardLayout({ children }: { children: React.ReactNod
           { label: 'Test Results', href: '/dashboard/patient/tests', icon: TestTube, badge: '2', badgeColor: 'bg-blue-500' },
           { label: 'Prescriptions', href: '/dashboard/patient/prescriptions', icon: Tablets },
           { label: 'Appointments', href: '/dashboard/patient/appointments', icon: Calendar },
+          { label: 'Sharing Consent', href: '/dashboard/patient/consents', icon: ShieldCheck },
         ];
 
       default:
@@ -324,25 +423,86 @@ export default function DashboardLayout({ children }: { children: React.ReactNod
             {/* Right side */}
             <div className="flex items-center gap-3">
               {/* Notifications */}
-              <motion.button
-                whileHover={{ scale: 1.1 }}
-                whileTap={{ scale: 0.9 }}
-                className="relative p-2 text-gray-600 hover:text-gray-900 hover:bg-white/50 rounded-xl transition-all"
-              >
-                <Bell className="w-5 h-5" />
-                <motion.span
-                  animate={{ scale: [1, 1.2, 1] }}
-                  transition={{ repeat: Infinity, duration: 2 }}
-                  className="absolute top-1 right-1 w-2 h-2 bg-red-500 rounded-full shadow-lg"
-                />
-              </motion.button>
+              <div className="relative">
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={toggleNotifications}
+                  className="relative p-2 text-gray-600 hover:text-gray-900 hover:bg-white/50 rounded-xl transition-all"
+                >
+                  <Bell className="w-5 h-5" />
+                  {unreadCount > 0 && (
+                    <motion.span
+                      animate={{ scale: [1, 1.2, 1] }}
+                      transition={{ repeat: Infinity, duration: 2 }}
+                      className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-bold rounded-full shadow-lg flex items-center justify-center"
+                    >
+                      {unreadCount > 99 ? '99+' : unreadCount}
+                    </motion.span>
+                  )}
+                </motion.button>
+
+                <AnimatePresence>
+                  {notificationsOpen && (
+                    <motion.div
+                      initial={{ opacity: 0, y: -10, scale: 0.95 }}
+                      animate={{ opacity: 1, y: 0, scale: 1 }}
+                      exit={{ opacity: 0, y: -10, scale: 0.95 }}
+                      transition={{ duration: 0.2 }}
+                      className="absolute right-0 mt-2 w-80 bg-white/90 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 overflow-hidden"
+                    >
+                      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+                        <p className="text-sm font-bold text-gray-900">Notifications</p>
+                        {unreadCount > 0 && (
+                          <button
+                            onClick={handleMarkAllRead}
+                            className="text-xs font-semibold text-blue-600 hover:text-blue-700 flex items-center gap-1"
+                          >
+                            <CheckCheck className="w-3 h-3" />
+                            Mark all read
+                          </button>
+                        )}
+                      </div>
+                      <div className="max-h-96 overflow-y-auto">
+                        {notifications.length > 0 ? (
+                          notifications.map((notification) => (
+                            <button
+                              key={notification._id}
+                              onClick={() => handleNotificationClick(notification)}
+                              className={`w-full px-4 py-3 text-left border-b border-gray-100 hover:bg-blue-50/50 transition-all ${
+                                notification.isRead ? '' : 'bg-blue-50'
+                              }`}
+                            >
+                              <div className="flex items-start gap-2">
+                                {!notification.isRead && <span className="mt-1.5 w-2 h-2 bg-blue-600 rounded-full flex-shrink-0" />}
+                                <div className="min-w-0">
+                                  <p className="text-sm font-semibold text-gray-900">{notification.title}</p>
+                                  {notification.message && (
+                                    <p className="text-xs text-gray-600 line-clamp-2">{notification.message}</p>
+                                  )}
+                                  <p className="text-xs text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                                </div>
+                              </div>
+                            </button>
+                          ))
+                        ) : (
+                          <p className="px-4 py-8 text-center text-sm text-gray-500">You&apos;re all caught up</p>
+                        )}
+                      </div>
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+              </div>
 
               {/* Profile Dropdown */}
               <div className="hidden lg:block relative">
                 <motion.button
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
-                  onClick={() => setProfileOpen(!profileOpen)}
+                  onClick={() => {
+                    setProfileOpen(!profileOpen);
+                    setNotificationsOpen(false);
+                  }}
                   className="flex items-center gap-3 px-3 py-2 bg-white/50 hover:bg-white/80 rounded-xl transition-all"
                 >
                   <div className="w-9 h-9 bg-gradient-to-br from-blue-600 to-purple-600 rounded-xl flex items-center justify-center text-white text-sm font-bold shadow-lg">
@@ -414,6 +574,26 @@ export default function DashboardLayout({ children }: { children: React.ReactNod
           </div>
         </header>
 
+        {/* Email verification reminder */}
+        {user && user.isEmailVerified === false && (
+          <div className="bg-yellow-50 border-b border-yellow-200 px-6 py-3 flex flex-wrap items-center gap-3">
+            <Mail className="w-5 h-5 text-yellow-600 flex-shrink-0" />
+            <p className="text-sm text-yellow-800 flex-1">
+              Please verify your email address ({user.email}). Until then your account is read-only.
+            </p>
+            {verificationMessage ? (
+              <span className="text-sm text-yellow-800">{verificationMessage}</span>
+            ) : (
+              <button
+                onClick={handleResendVerification}
+                className="text-sm font-semibold text-yellow-700 hover:text-yellow-900"
+              >
+                Resend verification email
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Page Content */}
         <main className="p-6">
           <motion.div
@@ -0,0 +1,206 @@
+// frontend/components/PatientAccessHistory.tsx
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Eye, Flag, Loader2, ChevronLeft, ChevronRight } from 'lucide-react';
+import api, { AccessHistoryEntry, AccessHistoryFilters, AccessResource } from '@/lib/api';
+
+const RESOURCE_LABELS: Record<AccessResource, string> = {
+  profile: 'Profile',
+  medicalRecords: 'Medical records',
+  prescriptions: 'Prescriptions',
+  testResults: 'Test results',
+  insurance: 'Insurance',
+  other: 'Other',
+};
+
+const ACTION_LABELS: Record<string, string> = {
+  READ: 'Viewed',
+  CREATE: 'Added',
+  UPDATE: 'Updated',
+  DELETE: 'Deleted',
+  UPLOAD: 'Uploaded',
+};
+
+const ROLES = ['doctor', 'nurse', 'department_staff', 'hospital_admin', 'super_admin'];
+
+export default function PatientAccessHistory() {
+  const [entries, setEntries] = useState<AccessHistoryEntry[]>([]);
+  const [filters, setFilters] = useState<AccessHistoryFilters>({ page: 1 });
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.getMyAccessHistory(filters);
+      setEntries(response.data);
+      setPages(response.pages);
+      setTotal(response.total);
+    } catch (error) {
+      console.error('Failed to fetch access history:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  // Any filter change goes back to the first page
+  const setFilter = (changes: Partial<AccessHistoryFilters>) => {
+    setFilters({ ...filters, ...changes, page: 1 });
+  };
+
+  const handleFlag = async (entry: AccessHistoryEntry) => {
+    const reason = window.prompt('Why does this access look suspicious?');
+    if (!reason?.trim()) return;
+    try {
+      const response = await api.flagAccess(entry._id, reason.trim());
+      alert(response.message);
+      await fetchHistory();
+    } catch (error: any) {
+      alert(error.message || 'Failed to flag access');
+    }
+  };
+
+  const selectClass = 'px-3 py-2 border-2 border-gray-200 rounded-xl text-sm outline-none';
+  const page = filters.page || 1;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.9 }}
+      className="bg-white/80 backdrop-blur-xl rounded-2xl shadow-lg border border-white/20 p-6 space-y-4"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <Eye className="w-5 h-5 text-blue-600" />
+            Who viewed my records
+          </h2>
+          <p className="text-sm text-gray-600">Every time staff opened or changed your records</p>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={filters.resource || ''}
+            onChange={(e) => setFilter({ resource: (e.target.value || undefined) as AccessResource | undefined })}
+            className={selectClass}
+          >
+            <option value="">All records</option>
+            {(Object.keys(RESOURCE_LABELS) as AccessResource[])
+              .filter((resource) => resource !== 'other')
+              .map((resource) => (
+                <option key={resource} value={resource}>{RESOURCE_LABELS[resource]}</option>
+              ))}
+          </select>
+          <select
+            value={filters.role || ''}
+            onChange={(e) => setFilter({ role: e.target.value || undefined })}
+            className={selectClass}
+          >
+            <option value="">Anyone</option>
+            {ROLES.map((role) => (
+              <option key={role} value={role}>{role.replace('_', ' ')}</option>
+            ))}
+          </select>
+          <select
+            value={filters.crossHospital === undefined ? '' : String(filters.crossHospital)}
+            onChange={(e) => setFilter({ crossHospital: e.target.value === '' ? undefined : e.target.value === 'true' })}
+            className={selectClass}
+          >
+            <option value="">All hospitals</option>
+            <option value="false">My hospital</option>
+            <option value="true">Other hospitals</option>
+          </select>
+          <input
+            type="date"
+            value={filters.from || ''}
+            onChange={(e) => setFilter({ from: e.target.value || undefined })}
+            className={selectClass}
+          />
+          <input
+            type="date"
+            value={filters.to || ''}
+            onChange={(e) => setFilter({ to: e.target.value || undefined })}
+            className={selectClass}
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4">No one has accessed your records for these filters</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {entries.map((entry) => (
+            <li key={entry._id} className="py-3 flex flex-wrap items-center gap-4">
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-900">
+                  {entry.user ? `${entry.user.firstName} ${entry.user.lastName}` : 'Unknown user'}
+                  <span className="font-normal text-gray-500">
+                    {' '}({entry.role.replace('_', ' ')}{entry.hospital && `, ${entry.hospital}`})
+                  </span>
+                </p>
+                <p className="text-sm text-gray-600">
+                  {ACTION_LABELS[entry.action] || entry.action} {RESOURCE_LABELS[entry.resource].toLowerCase()}
+                  {' · '}{new Date(entry.timestamp).toLocaleString()}
+                </p>
+              </div>
+              {entry.emergencyAccess ? (
+                <span className="px-3 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-700">Emergency access</span>
+              ) : entry.crossHospital && (
+                <span className="px-3 py-1 text-xs font-semibold rounded-full bg-purple-100 text-purple-700">Other hospital</span>
+              )}
+              {entry.flag ? (
+                <span className="px-3 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-700">
+                  {entry.flag.status === 'open' ? 'Flagged' : 'Reviewed'}
+                </span>
+              ) : (
+                <button
+                  onClick={() => handleFlag(entry)}
+                  className="px-3 py-1 border-2 border-gray-200 rounded-xl text-sm font-semibold text-gray-600 hover:bg-gray-50 flex items-center gap-1"
+                >
+                  <Flag className="w-4 h-4" />
+                  Flag
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-gray-600">
+          <span>{total} accesses</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setFilters({ ...filters, page: page - 1 })}
+              disabled={page <= 1}
+              className="p-2 border-2 border-gray-200 rounded-xl disabled:opacity-50"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span>Page {page} of {pages}</span>
+            <button
+              onClick={() => setFilters({ ...filters, page: page + 1 })}
+              disabled={page >= pages}
+              className="p-2 border-2 border-gray-200 rounded-xl disabled:opacity-50"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+}
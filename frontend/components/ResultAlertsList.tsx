@@ -0,0 +1,139 @@
+// frontend/components/ResultAlertsList.tsx
+
+'use client';
+
+import { motion } from 'framer-motion';
+import { useState, useEffect } from 'react';
+import { AlertTriangle, Loader2, User, Calendar, CheckCircle, Building2 } from 'lucide-react';
+import api from '@/lib/api';
+
+const severityStyles: Record<string, string> = {
+  critical: 'bg-red-100 text-red-700 border-red-300',
+  abnormal: 'bg-orange-100 text-orange-700 border-orange-300',
+};
+
+const severityBorders: Record<string, string> = {
+  critical: 'border-red-500',
+  abnormal: 'border-orange-400',
+};
+
+export default function ResultAlertsList({ emptyMessage }: { emptyMessage: string }) {
+  const [alerts, setAlerts] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [processingId, setProcessingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, []);
+
+  const fetchAlerts = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getResultAlerts();
+      setAlerts(response.data);
+    } catch (error) {
+      console.error('Failed to fetch result alerts:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAcknowledge = async (alertItem: any) => {
+    const note = window.prompt('Acknowledgement note (e.g. action taken):');
+    if (note === null) return;
+
+    setProcessingId(alertItem._id);
+    try {
+      await api.acknowledgeResultAlert(alertItem._id, note.trim() || undefined);
+      await fetchAlerts();
+    } catch (error: any) {
+      console.error('Acknowledge failed:', error);
+      alert(error.message || 'Failed to acknowledge alert');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (alerts.length === 0) {
+    return (
+      <div className="text-center py-20">
+        <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4" />
+        <h3 className="text-xl font-semibold text-gray-900 mb-2">{emptyMessage}</h3>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {alerts.map((alertItem, index) => (
+        <motion.div
+          key={alertItem._id}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: index * 0.05 }}
+          className={`bg-white/80 backdrop-blur-xl rounded-2xl shadow-lg border-l-4 p-6 ${severityBorders[alertItem.severity]}`}
+        >
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <div className="flex items-center gap-2 mb-1">
+                <AlertTriangle className={`w-5 h-5 ${alertItem.severity === 'critical' ? 'text-red-600' : 'text-orange-500'}`} />
+                <h3 className="text-xl font-bold text-gray-900">{alertItem.testName}</h3>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold uppercase ${severityStyles[alertItem.severity]}`}>
+                  {alertItem.severity}
+                </span>
+                {alertItem.status === 'escalated' && (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-purple-100 text-purple-700">
+                    Escalated
+                  </span>
+                )}
+              </div>
+              <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 mb-2">
+                <div className="flex items-center gap-1">
+                  <User className="w-4 h-4" />
+                  {alertItem.patientId?.firstName} {alertItem.patientId?.lastName}
+                </div>
+                <div className="flex items-center gap-1">
+                  <Calendar className="w-4 h-4" />
+                  {new Date(alertItem.createdAt).toLocaleString()}
+                </div>
+                {alertItem.departmentId && (
+                  <div className="flex items-center gap-1">
+                    <Building2 className="w-4 h-4" />
+                    {alertItem.departmentId.name}
+                  </div>
+                )}
+              </div>
+              {alertItem.summary && <p className="text-sm text-gray-800">{alertItem.summary}</p>}
+              {alertItem.status === 'escalated' && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Not acknowledged by Dr. {alertItem.doctorId?.firstName} {alertItem.doctorId?.lastName} &middot; escalated{' '}
+                  {new Date(alertItem.escalatedAt).toLocaleString()}
+                </p>
+              )}
+            </div>
+
+            {processingId === alertItem._id ? (
+              <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
+            ) : (
+              <button
+                onClick={() => handleAcknowledge(alertItem)}
+                className="px-4 py-2 bg-gradient-to-r from-green-600 to-green-700 text-white rounded-lg font-semibold text-sm shadow-lg hover:shadow-xl transition-all flex items-center gap-2 whitespace-nowrap"
+              >
+                <CheckCircle className="w-4 h-4" />
+                Acknowledge
+              </button>
+            )}
+          </div>
+        </motion.div>
+      ))}
+    </div>
+  );
+}
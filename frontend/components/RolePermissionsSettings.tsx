@@ -0,0 +1,133 @@
+// frontend/components/RolePermissionsSettings.tsx
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import api, { ConfigurableRole, RolePermissionMatrix } from '@/lib/api';
+import { UserCog, Loader2 } from 'lucide-react';
+
+const ROLES: { key: ConfigurableRole; label: string }[] = [
+  { key: 'doctor', label: 'Doctors' },
+  { key: 'nurse', label: 'Nurses' },
+  { key: 'department_staff', label: 'Department staff' },
+];
+
+export default function RolePermissionsSettings() {
+  const [catalog, setCatalog] = useState<Record<string, string>>({});
+  const [matrix, setMatrix] = useState<RolePermissionMatrix | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    api.getHospitalPermissions()
+      .then((response) => {
+        setCatalog(response.permissions);
+        setMatrix(response.data);
+      })
+      .catch((error) => console.error('Failed to fetch permissions:', error));
+  }, []);
+
+  const togglePermission = (role: ConfigurableRole, permission: string) => {
+    if (!matrix) return;
+
+    const current = matrix[role].permissions;
+    const permissions = current.includes(permission)
+      ? current.filter((p) => p !== permission)
+      : [...current, permission];
+
+    setMatrix({ ...matrix, [role]: { permissions, customized: true } });
+  };
+
+  const save = async (rolePermissions: Partial<Record<ConfigurableRole, string[] | null>>) => {
+    setSaving(true);
+    setMessage('');
+    try {
+      const response = await api.updateHospitalPermissions(rolePermissions);
+      setMatrix(response.data);
+      setMessage(response.message);
+    } catch (error: any) {
+      setMessage(error.message || 'Failed to update permissions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    if (!matrix) return;
+    save(Object.fromEntries(ROLES.map(({ key }) => [key, matrix[key].permissions])));
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 flex items-start gap-4">
+      <UserCog className="w-8 h-8 text-blue-600 flex-shrink-0" />
+      <div className="flex-1 space-y-4 min-w-0">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">Role permissions</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Choose what each staff role can do in this hospital. Hospital admins always have every permission.
+          </p>
+        </div>
+
+        {!matrix ? (
+          <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-2 pr-4 font-semibold">Permission</th>
+                  {ROLES.map(({ key, label }) => (
+                    <th key={key} className="py-2 px-2 font-semibold text-center whitespace-nowrap">
+                      {label}
+                      {matrix[key].customized && (
+                        <button
+                          type="button"
+                          onClick={() => save({ [key]: null })}
+                          disabled={saving}
+                          className="block mx-auto text-xs font-normal text-blue-600 hover:underline"
+                        >
+                          Reset
+                        </button>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {Object.entries(catalog).map(([permission, description]) => (
+                  <tr key={permission}>
+                    <td className="py-2 pr-4">
+                      <p className="font-mono text-gray-900">{permission}</p>
+                      <p className="text-xs text-gray-500">{description}</p>
+                    </td>
+                    {ROLES.map(({ key }) => (
+                      <td key={key} className="py-2 px-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={matrix[key].permissions.includes(permission)}
+                          onChange={() => togglePermission(key, permission)}
+                          className="w-4 h-4"
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {message && <p className="text-sm text-gray-700">{message}</p>}
+
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving || !matrix}
+          className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Save permissions'}
+        </button>
+      </div>
+    </div>
+  );
+}
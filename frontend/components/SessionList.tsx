@@ -0,0 +1,57 @@
+// frontend/components/SessionList.tsx
+
+'use client';
+
+import { Monitor, Loader2 } from 'lucide-react';
+import type { UserSession } from '@/lib/api';
+
+interface SessionListProps {
+  sessions: UserSession[];
+  loading?: boolean;
+  onRevoke: (session: UserSession) => void;
+  revokeLabel?: string;
+}
+
+export default function SessionList({ sessions, loading, onRevoke, revokeLabel = 'Sign out' }: SessionListProps) {
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Loader2 className="w-6 h-6 text-blue-600 animate-spin" />
+      </div>
+    );
+  }
+
+  if (sessions.length === 0) {
+    return <p className="text-sm text-gray-500 py-4">No active sessions</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {sessions.map((session) => (
+        <li key={session.id} className="flex items-center gap-4 py-3">
+          <Monitor className="w-6 h-6 text-gray-400 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <p className="font-semibold text-gray-900">
+              {session.device}
+              {session.current && (
+                <span className="ml-2 px-2 py-0.5 text-xs font-semibold bg-green-100 text-green-700 rounded-full">
+                  This device
+                </span>
+              )}
+            </p>
+            <p className="text-sm text-gray-500 truncate">
+              {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastSeenAt).toLocaleString()} · Signed in{' '}
+              {new Date(session.createdAt).toLocaleDateString()}
+            </p>
+          </div>
+          <button
+            onClick={() => onRevoke(session)}
+            className="px-3 py-1.5 text-sm border-2 border-red-200 rounded-xl font-semibold text-red-600 hover:bg-red-50"
+          >
+            {revokeLabel}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,92 @@
+// frontend/components/TerminalPinSettings.tsx
+
+'use client';
+
+import { useState } from 'react';
+import api from '@/lib/api';
+import { KeyRound, Loader2 } from 'lucide-react';
+
+export default function TerminalPinSettings() {
+  const [password, setPassword] = useState('');
+  const [pin, setPin] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (!/^\d{4,8}$/.test(pin)) {
+      setError('PIN must be 4 to 8 digits');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await api.setStaffPin(password, pin);
+      setPassword('');
+      setPin('');
+      setSuccess('Terminal PIN saved');
+    } catch (err: any) {
+      setError(err.message || 'Failed to save PIN');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass =
+    'w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-100 outline-none';
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4">
+      <div className="flex items-center gap-3">
+        <KeyRound className="w-8 h-8 text-blue-600" />
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">Department terminal PIN</h2>
+          <p className="text-sm text-gray-600">
+            Used to identify you on your department's shared terminal. Work done there is recorded under your name.
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">{error}</div>
+      )}
+
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-xl text-sm text-green-700">{success}</div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          autoComplete="current-password"
+          placeholder="Current password"
+          className={inputClass}
+        />
+        <input
+          type="password"
+          inputMode="numeric"
+          value={pin}
+          onChange={(e) => setPin(e.target.value)}
+          required
+          autoComplete="off"
+          placeholder="New PIN (4-8 digits)"
+          className={`${inputClass} tracking-widest`}
+        />
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+        >
+          {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Save PIN'}
+        </button>
+      </form>
+    </div>
+  );
+}
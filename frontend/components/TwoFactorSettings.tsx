@@ -0,0 +1,214 @@
+// frontend/components/TwoFactorSettings.tsx
+
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/app/providers/AuthProvider';
+import api from '@/lib/api';
+import { Shield, ShieldCheck, KeyRound, Loader2 } from 'lucide-react';
+
+export default function TwoFactorSettings() {
+  const { user, refreshUser, mfaEnrollmentRequired } = useAuth();
+  const [setup, setSetup] = useState<{ secret: string; otpauthUri: string } | null>(null);
+  const [backupCodes, setBackupCodes] = useState<string[]>([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [mode, setMode] = useState<'idle' | 'disable' | 'regenerate'>('idle');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const run = async (action: () => Promise<void>) => {
+    setSubmitting(true);
+    setError('');
+    try {
+      await action();
+    } catch (err: any) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    const response = await api.setupMfa();
+    setSetup({ secret: response.secret, otpauthUri: response.otpauthUri });
+  });
+
+  const handleConfirm = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await api.confirmMfa(code);
+      setBackupCodes(response.backupCodes);
+      setSetup(null);
+      setCode('');
+      await refreshUser();
+    });
+  };
+
+  const handleDisable = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      await api.disableMfa(password, code);
+      setMode('idle');
+      setPassword('');
+      setCode('');
+      setBackupCodes([]);
+      await refreshUser();
+    });
+  };
+
+  const handleRegenerate = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await api.regenerateMfaBackupCodes(code);
+      setBackupCodes(response.backupCodes);
+      setMode('idle');
+      setCode('');
+    });
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      required
+      autoComplete="one-time-code"
+      placeholder="6-digit code"
+      className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-100 outline-none tracking-widest"
+    />
+  );
+
+  return (
+    <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-6 space-y-4">
+      <div className="flex items-center gap-3">
+        {user?.mfaEnabled ? (
+          <ShieldCheck className="w-8 h-8 text-green-600" />
+        ) : (
+          <Shield className="w-8 h-8 text-gray-400" />
+        )}
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">Two-Factor Authentication</h2>
+          <p className="text-sm text-gray-600">
+            {user?.mfaEnabled
+              ? 'Enabled. You will be asked for a code from your authenticator app when you sign in.'
+              : 'Protect your account with a code from an authenticator app.'}
+          </p>
+        </div>
+      </div>
+
+      {mfaEnrollmentRequired && !user?.mfaEnabled && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-xl text-sm text-yellow-800">
+          Your hospital requires two-factor authentication. Set it up to continue using the app.
+        </div>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700">{error}</div>
+      )}
+
+      {backupCodes.length > 0 && (
+        <div className="p-4 bg-blue-50 border border-blue-200 rounded-xl">
+          <p className="font-semibold text-blue-900 mb-2 flex items-center gap-2">
+            <KeyRound className="w-4 h-4" />
+            Backup codes
+          </p>
+          <p className="text-sm text-blue-800 mb-3">
+            Each code works once if you lose your device. Store them somewhere safe - they won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+            {backupCodes.map((backupCode) => (
+              <span key={backupCode} className="px-3 py-1 bg-white rounded-lg border border-blue-100">{backupCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!user?.mfaEnabled && !setup && (
+        <button
+          onClick={handleStartSetup}
+          disabled={submitting}
+          className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+        >
+          {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Set up two-factor authentication'}
+        </button>
+      )}
+
+      {setup && (
+        <form onSubmit={handleConfirm} className="space-y-4">
+          <ol className="list-decimal list-inside text-sm text-gray-700 space-y-2">
+            <li>
+              Add this account to your authenticator app:{' '}
+              <a href={setup.otpauthUri} className="font-semibold text-blue-600 hover:text-blue-700">open in app</a>
+              {' '}or enter the key manually.
+            </li>
+            <li>Enter the 6-digit code it shows.</li>
+          </ol>
+          <p className="font-mono text-sm bg-gray-50 border border-gray-200 rounded-lg px-3 py-2 break-all">{setup.secret}</p>
+          {codeInput}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50"
+          >
+            {submitting ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Confirm'}
+          </button>
+        </form>
+      )}
+
+      {user?.mfaEnabled && mode === 'idle' && (
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={() => setMode('regenerate')}
+            className="px-4 py-2 border-2 border-gray-200 rounded-xl font-semibold text-gray-700 hover:bg-gray-50"
+          >
+            New backup codes
+          </button>
+          <button
+            onClick={() => setMode('disable')}
+            className="px-4 py-2 border-2 border-red-200 rounded-xl font-semibold text-red-600 hover:bg-red-50"
+          >
+            Disable
+          </button>
+        </div>
+      )}
+
+      {mode === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="space-y-3">
+          <p className="text-sm text-gray-700">Enter a current code. Your old backup codes will stop working.</p>
+          {codeInput}
+          <div className="flex gap-3">
+            <button type="submit" disabled={submitting} className="px-4 py-2 bg-blue-600 text-white rounded-xl font-semibold disabled:opacity-50">
+              Generate
+            </button>
+            <button type="button" onClick={() => setMode('idle')} className="px-4 py-2 text-gray-600 font-semibold">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-3">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            placeholder="Password"
+            className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-4 focus:ring-blue-100 outline-none"
+          />
+          {codeInput}
+          <div className="flex gap-3">
+            <button type="submit" disabled={submitting} className="px-4 py-2 bg-red-600 text-white rounded-xl font-semibold disabled:opacity-50">
+              Disable two-factor authentication
+            </button>
+            <button type="button" onClick={() => setMode('idle')} className="px-4 py-2 text-gray-600 font-semibold">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
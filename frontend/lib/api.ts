@@ -6,19 +6,225 @@ interface RequestOptions extends RequestInit {
   requireAuth?: boolean;
 }
 
+// Structured lab result value; `flag` is computed by the API
+export interface Analyte {
+  code: string;
+  name: string;
+  value: number;
+  unit?: string;
+  referenceLow?: number;
+  referenceHigh?: number;
+  criticalLow?: number;
+  criticalHigh?: number;
+  flag?: 'normal' | 'low' | 'high' | 'critical';
+}
+
+// A signed-in device; `current` marks the session making the request
+export interface UserSession {
+  id: string;
+  device: string;
+  userAgent?: string;
+  ipAddress?: string;
+  createdAt: string;
+  lastSeenAt: string;
+  current?: boolean;
+}
+
+// Password rules of a hospital (historyCount / maxAgeDays of 0 mean off)
+export interface PasswordPolicy {
+  minLength: number;
+  requireUppercase: boolean;
+  requireLowercase: boolean;
+  requireNumber: boolean;
+  requireSymbol: boolean;
+  historyCount: number;
+  maxAgeDays: number;
+}
+
+// Failed sign-ins allowed before an account is locked, and for how long
+export interface LockoutPolicy {
+  maxAttempts: number;
+  lockMinutes: number;
+}
+
+export type ConfigurableRole = 'doctor' | 'nurse' | 'department_staff';
+
+// Effective permissions of each configurable role in a hospital
+export type RolePermissionMatrix = Record<ConfigurableRole, { permissions: string[]; customized: boolean }>;
+
+export interface TerminalDepartment {
+  id: string;
+  name: string;
+  code: string;
+  hospitalName?: string;
+}
+
+export interface TerminalStaff {
+  _id: string;
+  firstName: string;
+  lastName: string;
+}
+
+export interface LockedAccount {
+  _id: string;
+  firstName: string;
+  lastName: string;
+  email: string;
+  role: string;
+  departmentId?: { _id: string; name: string };
+  loginAttempts: number;
+  lockUntil: string;
+}
+
+// Break-the-glass grant (populated fields depend on the endpoint)
+export interface EmergencyAccess {
+  _id: string;
+  userId: any;
+  userHospitalId: any;
+  patientId: any;
+  patientHospitalId?: any;
+  justification: string;
+  expiresAt: string;
+  endedAt?: string;
+  isActive: boolean;
+  reviewStatus: 'pending' | 'justified' | 'unjustified';
+  reviewedBy?: { _id: string; firstName: string; lastName: string };
+  reviewedAt?: string;
+  reviewNote?: string;
+  createdAt: string;
+}
+
+export type ConsentResource = 'medicalRecords' | 'testResults' | 'prescriptions';
+
+// Patient consent for a hospital to see their records through a sharing agreement
+export interface PatientConsent {
+  _id: string;
+  hospitalId: { _id: string; name: string };
+  resources: ConsentResource[];
+  validFrom: string;
+  validUntil?: string;
+  status: 'active' | 'revoked';
+  isValid: boolean;
+  revokedAt?: string;
+  revocationReason?: string;
+  createdAt: string;
+}
+
+export type AccessResource = 'profile' | 'medicalRecords' | 'prescriptions' | 'testResults' | 'insurance' | 'other';
+
+// One entry of a patient's "who viewed my records" report
+export interface AccessHistoryEntry {
+  _id: string;
+  timestamp: string;
+  action: string;
+  resource: AccessResource;
+  user: { firstName: string; lastName: string } | null;
+  role: string;
+  hospital: string | null;
+  crossHospital: boolean;
+  emergencyAccess: boolean;
+  flag: { status: 'open' | 'reviewed'; createdAt: string } | null;
+}
+
+export interface AccessHistoryFilters {
+  page?: number;
+  resource?: AccessResource;
+  role?: string;
+  crossHospital?: boolean;
+  from?: string;
+  to?: string;
+}
+
+export type AuditAction = 'CREATE' | 'READ' | 'UPDATE' | 'DELETE' | 'UPLOAD' | 'LOGIN' | 'LOGOUT';
+
+export interface AuditLogFilters {
+  userId?: string;
+  patientId?: string;
+  resourceType?: string;
+  action?: AuditAction;
+  from?: string;
+  to?: string;
+  ip?: string;
+  hospitalId?: string;
+}
+
+// Audit entry as returned by GET /audit-logs (user, patient and hospital populated)
+export interface AuditLogEntry {
+  _id: string;
+  timestamp: string;
+  userId: { _id: string; firstName: string; lastName: string; email: string; role: string } | null;
+  userRole: string;
+  action: AuditAction;
+  resourceType: string;
+  resourceId: string;
+  affectedPatientId?: { _id: string; firstName: string; lastName: string; email: string } | null;
+  hospitalId?: { _id: string; name: string } | null;
+  ipAddress?: string;
+  userAgent?: string;
+  emergencyAccessId?: string;
+  details?: string;
+}
+
+// Result of walking the audit log hash chain (GET /audit-logs/verify)
+export interface AuditChainReport {
+  ok: boolean;
+  checked: number;
+  firstSeq: number | null;
+  lastSeq: number | null;
+  unchained: number;
+  issues: { gaps: number; modified: number; brokenLinks: number };
+  gaps: { from: number; to: number }[];
+  modified: { seq: number; id: string }[];
+  brokenLinks: { seq: number; id: string }[];
+}
+
+// Shared department terminal: department token plus the staff member at the keyboard
+export interface TerminalAuth {
+  departmentToken: string;
+  staffId?: string;
+  pin?: string;
+}
+
+// Drops empty values so they don't reach the API as filters
+function toQueryString(params: Record<string, string | number | boolean | undefined>): string {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') query.append(key, String(value));
+  });
+  const qs = query.toString();
+  return qs ? `?${qs}` : '';
+}
+
 class ApiClient {
   private baseURL: string;
+  // Refresh tokens are single use, so concurrent 401s must share one refresh
+  private refreshPromise: Promise<string | null> | null = null;
+  // When set, requests are sent as the terminal instead of the signed-in user
+  private terminalAuth: TerminalAuth | null = null;
 
   constructor(baseURL: string) {
     this.baseURL = baseURL;
   }
 
+  setTerminalAuth(auth: TerminalAuth | null) {
+    this.terminalAuth = auth;
+  }
+
   private async getAccessToken(): Promise<string | null> {
     if (typeof window === 'undefined') return null;
     return localStorage.getItem('accessToken');
   }
 
-  private async refreshAccessToken(): Promise<string | null> {
+  private refreshAccessToken(): Promise<string | null> {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  private async performRefresh(): Promise<string | null> {
     if (typeof window === 'undefined') return null;
 
     const refreshToken = localStorage.getItem('refreshToken');
@@ -38,6 +244,12 @@ class ApiClient {
         return data.accessToken;
       }
 
+      // Another tab may have rotated the token while this request was in flight
+      const currentRefreshToken = localStorage.getItem('refreshToken');
+      if (currentRefreshToken && currentRefreshToken !== refreshToken) {
+        return localStorage.getItem('accessToken');
+      }
+
       localStorage.removeItem('accessToken');
       localStorage.removeItem('refreshToken');
       if (typeof window !== 'undefined') {
@@ -53,7 +265,14 @@ class ApiClient {
   async request<T>(endpoint: string, options: RequestOptions = {}): Promise<T> {
     const { requireAuth = true, headers = {}, ...fetchOptions } = options;
 
-    if (requireAuth) {
+    if (requireAuth && this.terminalAuth) {
+      const terminalHeaders = headers as Record<string, string>;
+      terminalHeaders['Authorization'] = `Bearer ${this.terminalAuth.departmentToken}`;
+      if (this.terminalAuth.staffId && this.terminalAuth.pin) {
+        terminalHeaders['X-Staff-Id'] = this.terminalAuth.staffId;
+        terminalHeaders['X-Staff-PIN'] = this.terminalAuth.pin;
+      }
+    } else if (requireAuth) {
       const token = await this.getAccessToken();
       if (token) {
         (headers as Record<string, string>)['Authorization'] = `Bearer ${token}`;
@@ -68,7 +287,8 @@ class ApiClient {
       },
     });
 
-    if (response.status === 401 && requireAuth) {
+    // Terminal tokens have no refresh token - a 401 means a wrong PIN or re-login
+    if (response.status === 401 && requireAuth && !this.terminalAuth) {
       const newToken = await this.refreshAccessToken();
       if (newToken) {
         (headers as Record<string, string>)['Authorization'] = `Bearer ${newToken}`;
@@ -84,7 +304,7 @@ class ApiClient {
 
     const data = await response.json();
     if (!response.ok) {
-      throw new Error(data.message || 'Request failed');
+      throw Object.assign(new Error(data.message || 'Request failed'), { status: data.status });
     }
 
     return data;
@@ -136,6 +356,74 @@ class ApiClient {
     return this.get<{ user: any }>('/auth/me');
   }
 
+  async logoutAllDevices() {
+    return this.post<{ message: string }>('/auth/logout-all');
+  }
+
+  // SESSIONS
+  async getSessions() {
+    return this.get<{ count: number; data: UserSession[] }>('/auth/sessions');
+  }
+
+  async revokeSession(sessionId: string) {
+    return this.delete<{ message: string; current: boolean }>(`/auth/sessions/${sessionId}`);
+  }
+
+  async verifyEmail(token: string) {
+    return this.post<{ message: string }>(`/auth/verify-email/${token}`, undefined, { requireAuth: false });
+  }
+
+  async resendVerificationEmail(email: string) {
+    return this.post<{ message: string }>('/auth/resend-verification', { email }, { requireAuth: false });
+  }
+
+  async resendMyVerificationEmail() {
+    return this.post<{ message: string }>('/auth/me/resend-verification');
+  }
+
+  // PASSWORD
+  async changePassword(currentPassword: string, newPassword: string) {
+    return this.post<{ message: string }>('/auth/change-password', { currentPassword, newPassword });
+  }
+
+  async getPasswordPolicy() {
+    return this.get<{ policy: PasswordPolicy }>('/auth/password-policy');
+  }
+
+  async setStaffPin(password: string, pin: string) {
+    return this.put<{ message: string }>('/auth/staff-pin', { password, pin });
+  }
+
+  // DEPARTMENT TERMINAL
+  async departmentLogin(email: string, password: string) {
+    return this.post<{ message: string; departmentToken: string; department: TerminalDepartment; staff: TerminalStaff[] }>(
+      '/auth/department/login',
+      { email, password },
+      { requireAuth: false }
+    );
+  }
+
+  async getTerminalStaff() {
+    return this.get<{ department: TerminalDepartment; staff: TerminalStaff[] }>('/auth/department/staff');
+  }
+
+  // TWO-FACTOR AUTHENTICATION
+  async setupMfa() {
+    return this.post<{ message: string; secret: string; otpauthUri: string }>('/auth/mfa/setup');
+  }
+
+  async confirmMfa(code: string) {
+    return this.post<{ message: string; backupCodes: string[] }>('/auth/mfa/confirm', { code });
+  }
+
+  async disableMfa(password: string, code: string) {
+    return this.post<{ message: string }>('/auth/mfa/disable', { password, code });
+  }
+
+  async regenerateMfaBackupCodes(code: string) {
+    return this.post<{ message: string; backupCodes: string[] }>('/auth/mfa/backup-codes', { code });
+  }
+
   // HOSPITALS
   async getMyHospital() {
     return this.get<{ data: any }>('/hospitals/my-hospital');
@@ -145,6 +433,27 @@ class ApiClient {
     return this.get<{ data: any }>('/hospitals/my-hospital/stats');
   }
 
+  async updateHospitalSecurity(settings: {
+    requireMfa?: boolean;
+    passwordPolicy?: Partial<PasswordPolicy>;
+    lockout?: Partial<LockoutPolicy>;
+  }) {
+    return this.put<{ message: string; data: any }>('/hospitals/my-hospital/security', settings);
+  }
+
+  async getHospitalPermissions() {
+    return this.get<{
+      permissions: Record<string, string>;
+      defaults: Record<string, string[]>;
+      data: RolePermissionMatrix;
+    }>('/hospitals/my-hospital/permissions');
+  }
+
+  // A role set to null goes back to the default permissions
+  async updateHospitalPermissions(rolePermissions: Partial<Record<ConfigurableRole, string[] | null>>) {
+    return this.put<{ message: string; data: RolePermissionMatrix }>('/hospitals/my-hospital/permissions', { rolePermissions });
+  }
+
   // DEPARTMENTS
   async getDepartments() {
     return this.get<{ count: number; data: any[] }>('/departments');
@@ -154,6 +463,33 @@ class ApiClient {
     return this.get<{ data: any }>(`/departments/${id}`);
   }
 
+  async getDepartmentServices(departmentId: string) {
+    return this.get<{ count: number; data: any[] }>(`/departments/${departmentId}/services`);
+  }
+
+  async addDepartmentService(departmentId: string, data: any) {
+    return this.post<{ message: string; data: any }>(`/departments/${departmentId}/services`, data);
+  }
+
+  async updateDepartmentService(departmentId: string, serviceId: string, data: any) {
+    return this.put<{ message: string; data: any }>(`/departments/${departmentId}/services/${serviceId}`, data);
+  }
+
+  async deleteDepartmentService(departmentId: string, serviceId: string) {
+    return this.delete<{ message: string }>(`/departments/${departmentId}/services/${serviceId}`);
+  }
+
+  async updateDepartmentTerminalLogin(departmentId: string, data: {
+    departmentLoginEnabled?: boolean;
+    departmentEmail?: string;
+    departmentPassword?: string;
+  }) {
+    return this.put<{ message: string; data: { departmentLoginEnabled: boolean; departmentEmail?: string } }>(
+      `/departments/${departmentId}/terminal-login`,
+      data
+    );
+  }
+
   // MEDICAL RECORDS (Updated for V2)
   async getPatientMedicalRecords(patientId: string, hospitalId?: string) {
     const query = hospitalId ? `?hospitalId=${hospitalId}` : '';
@@ -179,6 +515,38 @@ class ApiClient {
     return this.post<{ message: string; data: any }>(`/admin/reject/${userId}`, { reason });
   }
 
+  async getHospitalUsers(params?: { role?: string; search?: string }) {
+    const query = new URLSearchParams();
+    if (params?.role) query.append('role', params.role);
+    if (params?.search) query.append('search', params.search);
+    const qs = query.toString();
+    return this.get<{ count: number; data: any[] }>(`/admin/users${qs ? `?${qs}` : ''}`);
+  }
+
+  async getUserSessions(userId: string) {
+    return this.get<{ count: number; data: UserSession[] }>(`/admin/users/${userId}/sessions`);
+  }
+
+  async terminateUserSession(userId: string, sessionId: string) {
+    return this.delete<{ message: string }>(`/admin/users/${userId}/sessions/${sessionId}`);
+  }
+
+  async terminateAllUserSessions(userId: string) {
+    return this.delete<{ message: string }>(`/admin/users/${userId}/sessions`);
+  }
+
+  async getLockedAccounts() {
+    return this.get<{ count: number; data: LockedAccount[] }>('/admin/users/locked');
+  }
+
+  async unlockUser(userId: string) {
+    return this.post<{ message: string }>(`/admin/users/${userId}/unlock`);
+  }
+
+  async requirePasswordChange(userId: string) {
+    return this.post<{ message: string }>(`/admin/users/${userId}/require-password-change`);
+  }
+
  
  // TEST ORDERS
   async getPatientTestOrders(patientId: string) {
@@ -189,6 +557,34 @@ class ApiClient {
     return this.post<{ message: string; data: any }>('/test-orders', data);
   }
 
+  async initiateTestOrderPayment(orderId: string, paymentMethod: 'card' | 'mobile_money' | 'bank_transfer' | 'insurance') {
+    return this.post<{ message: string; data: { reference: string; status: string; nextAction?: any } }>(
+      `/test-orders/${orderId}/payment/initiate`,
+      { paymentMethod }
+    );
+  }
+
+  async createOrderSet(data: {
+    patientId: string;
+    items: { departmentId: string; serviceId: string }[];
+    description?: string;
+    urgency?: string;
+  }) {
+    return this.post<{ message: string; data: any }>('/test-orders/order-sets', data);
+  }
+
+  async getOrderSet(orderSetId: string) {
+    return this.get<{ data: any }>(`/test-orders/order-sets/${orderSetId}`);
+  }
+
+  async initiateOrderSetPayment(orderSetId: string, paymentMethod: 'card' | 'mobile_money' | 'bank_transfer' | 'insurance') {
+    return this.post<{ message: string; data: any }>(`/test-orders/order-sets/${orderSetId}/payment/initiate`, { paymentMethod });
+  }
+
+  async confirmOrderSetPayment(orderSetId: string, data: { paymentMethod?: string; transactionId?: string }) {
+    return this.post<{ message: string; data: any }>(`/test-orders/order-sets/${orderSetId}/payment`, data);
+  }
+
   async updateTestOrderPayment(orderId: string, data: any) {
     return this.post<{ message: string; data: any }>(`/test-orders/${orderId}/payment`, data);
   }
@@ -215,6 +611,24 @@ class ApiClient {
     return data;
   }
 
+  async getAnalyteTrend(patientId: string, analyteCode: string) {
+    return this.get<{ analyteCode: string; count: number; data: (Analyte & { date: string; testName: string; source: string })[] }>(
+      `/test-orders/patient/${patientId}/trends/${encodeURIComponent(analyteCode)}`
+    );
+  }
+
+  async startTest(orderId: string) {
+    return this.put<{ message: string; data: any }>(`/test-orders/${orderId}/start`);
+  }
+
+  async completeTest(orderId: string, resultNotes?: string) {
+    return this.put<{ message: string; data: any }>(`/test-orders/${orderId}/complete`, { resultNotes });
+  }
+
+  async cancelTestOrder(orderId: string, reason: string) {
+    return this.put<{ message: string; data: any }>(`/test-orders/${orderId}/cancel`, { reason });
+  }
+
   async getDepartmentPendingTests() {
     return this.get<{ count: number; data: any[] }>('/test-orders/department/pending');
   }
@@ -227,6 +641,178 @@ class ApiClient {
     return this.get<{ count: number; data: any[] }>('/test-orders/department/completed');
   }
 
+  async getDepartmentCancelledTests() {
+    return this.get<{ count: number; data: any[] }>('/test-orders/department/cancelled');
+  }
+
+  async getDepartmentInsurancePendingTests() {
+    return this.get<{ count: number; data: any[] }>('/test-orders/department/insurance-pending');
+  }
+
+  // INSURANCE
+  async submitInsuranceClaim(orderId: string, policyId?: string) {
+    return this.post<{ message: string; data: any }>(`/test-orders/${orderId}/insurance-claim`, { policyId });
+  }
+
+  async adjudicateInsuranceClaim(
+    orderId: string,
+    data: { status: 'approved' | 'partially_covered' | 'denied'; approvedAmount?: number; denialReason?: string; notes?: string }
+  ) {
+    return this.put<{ message: string; data: any }>(`/test-orders/${orderId}/insurance-claim/adjudicate`, data);
+  }
+
+  async getMyInsurancePolicies() {
+    return this.get<{ count: number; data: any[] }>('/patients/me/insurance');
+  }
+
+  async addInsurancePolicy(data: any) {
+    return this.post<{ message: string; data: any }>('/patients/me/insurance', data);
+  }
+
+  async updateInsurancePolicy(policyId: string, data: any) {
+    return this.put<{ message: string; data: any }>(`/patients/me/insurance/${policyId}`, data);
+  }
+
+  async deleteInsurancePolicy(policyId: string) {
+    return this.delete<{ message: string }>(`/patients/me/insurance/${policyId}`);
+  }
+
+  // SHARING CONSENT (patient)
+  async getMyConsents() {
+    return this.get<{ count: number; data: PatientConsent[] }>('/patients/me/consents');
+  }
+
+  async getConsentHospitals() {
+    return this.get<{ count: number; data: { _id: string; name: string; address?: { city?: string } }[] }>(
+      '/patients/me/consent-hospitals'
+    );
+  }
+
+  async grantConsent(data: {
+    hospitalId: string;
+    resources: ConsentResource[];
+    validFrom?: string;
+    validUntil?: string;
+  }) {
+    return this.post<{ message: string; data: PatientConsent }>('/patients/me/consents', data);
+  }
+
+  async revokeConsent(consentId: string, reason?: string) {
+    return this.post<{ message: string; data: PatientConsent }>(`/patients/me/consents/${consentId}/revoke`, { reason });
+  }
+
+  // ACCESS HISTORY (patient)
+  async getMyAccessHistory(filters: AccessHistoryFilters = {}) {
+    return this.get<{ data: AccessHistoryEntry[]; total: number; page: number; pages: number }>(
+      `/patients/me/access-history${toQueryString({ ...filters })}`
+    );
+  }
+
+  async flagAccess(logId: string, reason: string) {
+    return this.post<{ message: string; data: any }>(`/patients/me/access-history/${logId}/flag`, { reason });
+  }
+
+  async getPatientInsurancePolicies(patientId: string) {
+    return this.get<{ count: number; data: any[] }>(`/patients/${patientId}/insurance`);
+  }
+
+  // RESULT ALERTS
+  async getResultAlerts(status?: 'open' | 'escalated' | 'acknowledged') {
+    return this.get<{ count: number; data: any[] }>(`/result-alerts${status ? `?status=${status}` : ''}`);
+  }
+
+  async acknowledgeResultAlert(alertId: string, note?: string) {
+    return this.put<{ message: string; data: any }>(`/result-alerts/${alertId}/acknowledge`, { note });
+  }
+
+  // FLAGGED ACCESS (hospital admin)
+  async getAccessFlags(status?: 'open' | 'reviewed') {
+    return this.get<{ count: number; data: any[] }>(`/access-flags${status ? `?status=${status}` : ''}`);
+  }
+
+  async reviewAccessFlag(flagId: string, note: string) {
+    return this.put<{ message: string; data: any }>(`/access-flags/${flagId}/review`, { note });
+  }
+
+  // AUDIT LOGS (admins)
+  async getAuditLogs(filters: AuditLogFilters = {}, cursor?: string) {
+    return this.get<{ count: number; data: AuditLogEntry[]; nextCursor: string | null }>(
+      `/audit-logs${toQueryString({ ...filters, cursor })}`
+    );
+  }
+
+  // A file download, so it can't go through request() (which parses JSON)
+  async exportAuditLogs(filters: AuditLogFilters, format: 'csv' | 'ndjson'): Promise<Blob> {
+    const url = `${this.baseURL}/audit-logs/export${toQueryString({ ...filters, format })}`;
+    const send = (token: string | null) =>
+      fetch(url, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+    let response = await send(await this.getAccessToken());
+    if (response.status === 401) {
+      response = await send(await this.refreshAccessToken());
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(data.message || 'Export failed'), { status: data.status });
+    }
+
+    return response.blob();
+  }
+
+  async verifyAuditChain() {
+    return this.get<{ data: AuditChainReport }>('/audit-logs/verify');
+  }
+
+  // EMERGENCY ACCESS (break the glass)
+  async requestEmergencyAccess(data: {
+    patientId?: string;
+    patientEmail?: string;
+    justification: string;
+    durationMinutes?: number;
+  }) {
+    return this.post<{ message: string; data: EmergencyAccess }>('/emergency-access', data);
+  }
+
+  async getMyEmergencyAccess() {
+    return this.get<{ count: number; data: EmergencyAccess[] }>('/emergency-access/mine');
+  }
+
+  async endEmergencyAccess(accessId: string) {
+    return this.post<{ message: string; data: EmergencyAccess }>(`/emergency-access/${accessId}/end`);
+  }
+
+  async getEmergencyAccessLog(reviewStatus?: 'pending' | 'justified' | 'unjustified') {
+    return this.get<{ count: number; data: EmergencyAccess[] }>(
+      `/emergency-access${reviewStatus ? `?reviewStatus=${reviewStatus}` : ''}`
+    );
+  }
+
+  async reviewEmergencyAccess(accessId: string, reviewStatus: 'justified' | 'unjustified', note?: string) {
+    return this.put<{ message: string; data: EmergencyAccess }>(`/emergency-access/${accessId}/review`, { reviewStatus, note });
+  }
+
+  // NOTIFICATIONS
+  async getNotifications(params?: { unread?: boolean; limit?: number }) {
+    const query = new URLSearchParams();
+    if (params?.unread) query.set('unread', 'true');
+    if (params?.limit) query.set('limit', String(params.limit));
+    const qs = query.toString();
+    return this.get<{ count: number; unreadCount: number; data: any[] }>(`/notifications${qs ? `?${qs}` : ''}`);
+  }
+
+  async getUnreadNotificationCount() {
+    return this.get<{ unreadCount: number }>('/notifications/unread-count');
+  }
+
+  async markNotificationRead(notificationId: string) {
+    return this.put<{ message: string; data: any }>(`/notifications/${notificationId}/read`);
+  }
+
+  async markAllNotificationsRead() {
+    return this.put<{ message: string; updated: number }>('/notifications/read-all');
+  }
+
   // PATIENTS SEARCH
   async searchPatients(query: string) {
     return this.get<{ count: number; data: any[] }>(`/patients/search?q=${encodeURIComponent(query)}`);